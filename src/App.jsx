@@ -1,17 +1,23 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import './App.css';
 import { useSelector, useDispatch } from 'react-redux';
 
 import CustomMap from './versions/CustomMap';
 import WeatherDataTable from './components/WeatherDataTable';
 import ControlPanel from './components/ControlPanel';
+import OfflineBanner from './components/OfflineBanner';
+import { BatchScheduler } from './workers/batchScheduler';
 
 import {
-  fetchInitialWeatherData, fetchWeatherBatchFromWorker, loadCachedBatch, addFetchingBatch, removeFetchingBatch,
-  selectLoading, selectError, selectWeatherData, selectBatchInfo, selectCacheStats,
+  fetchInitialWeatherData, fetchWeatherBatchFromWorker, loadCachedBatch, readCachedBatch,
+  setBatchStatus, resetBatchStatus, retryFailedBatches, syncNestBatches, computeDerivedGrids, computeEnsembleGrids,
+  selectLoading, selectError, selectWeatherData, selectBatchInfo, selectBatchStatus, selectCacheStats,
+  selectCurrentStepStatus, selectRequestedRun, selectSelectedVariable, selectCurrentTimeIndex, selectGridVersion,
 } from './redux/slices/weatherSlice';
 
-import { setShowDataTable, selectIsPlaying } from './redux/slices/uiSlice';
+import { setShowDataTable } from './redux/slices/uiSlice';
+import { computeExpressionGrids, selectExpressionLayers } from './redux/slices/expressionSlice';
+import { useDataSource } from './dataSources';
 
 function App() {
   const dispatch = useDispatch();
@@ -19,72 +25,45 @@ function App() {
   const error = useSelector(selectError);
   const weatherData = useSelector(selectWeatherData);
   const batchInfo = useSelector(selectBatchInfo);
+  const batchStatus = useSelector(selectBatchStatus);
   const cacheStats = useSelector(selectCacheStats);
+  const dataSource = useDataSource();
+  const currentStep = useSelector(selectCurrentStepStatus);
+  const requestedRun = useSelector(selectRequestedRun);
+  const selectedVariable = useSelector(selectSelectedVariable);
+  const currentTimeIndex = useSelector(selectCurrentTimeIndex);
+  const gridVersion = useSelector(selectGridVersion);
+  const expressionLayers = useSelector(selectExpressionLayers);
 
   const [viewMode, setViewMode] = useState('map'); // 'map', 'table'
-  const [backgroundFetchStarted, setBackgroundFetchStarted] = useState(false);
-  const [worker, setWorker] = useState(null);
-  const backendUrl = import.meta.env.VITE_BACKEND_URL;
+  const schedulerRef = useRef(null);
+  const runIdRef = useRef(null);
+  runIdRef.current = batchInfo?.runId || null;
+  const requestedRunRef = useRef(null);
+  requestedRunRef.current = requestedRun;
 
-  // Initialize Web Worker
-  useEffect(() => {
-    const workerBlob = new Blob([`
-      self.onmessage = async function(e) {
-        const { type, batchNumber } = e.data;
-        
-        if (type === 'FETCH_BATCH') {
-          try {
-            console.log(\`🔄 Worker fetching batch \${batchNumber}...\`);
-            
-            const paddedBatchNumber = String(batchNumber).padStart(3, '0');
-            const response = await fetch(\`${backendUrl}/data/\${paddedBatchNumber}\`);
-            
-            if (!response.ok) {
-              throw new Error(\`HTTP error! status: \${response.status}\`);
-            }
-            
-            const data = await response.json();
-            
-            self.postMessage({
-              type: 'FETCH_SUCCESS',
-              batchNumber,
-              data
-            });
-            
-            console.log(\`✅ Worker completed batch \${batchNumber}\`);
-            
-          } catch (error) {
-            console.error(\`❌ Worker error for batch \${batchNumber}:\`, error);
-            
-            self.postMessage({
-              type: 'FETCH_ERROR',
-              batchNumber,
-              error: error.message
-            });
-          }
-        }
-      };
-    `], { type: 'application/javascript' });
-
-    const newWorker = new Worker(URL.createObjectURL(workerBlob));
-
-    newWorker.onmessage = function (e) {
-      const { type, batchNumber, data, error } = e.data;
-
-      if (type === 'FETCH_SUCCESS') {
-        // Use the Web Worker specific action
-        dispatch(fetchWeatherBatchFromWorker({ batchNumber, data }));
-      } else if (type === 'FETCH_ERROR') {
-        // Remove from fetching batches and log error
-        dispatch(removeFetchingBatch(batchNumber));
-        console.error(`❌ Worker failed to fetch batch ${batchNumber}:`, error);
-      }
-    };
+  // Background batch downloads only run while a batch-loaded source (WRF) is on screen
+  const isBatchSourceActive = dataSource.capabilities.batches;
 
-    setWorker(newWorker);
+  // Identifies the run currently loaded, so a new run (or a cleared one) cancels outstanding batches
+  const runKey = weatherData && batchInfo
+    ? `${weatherData.metadata?.source || 'backend'}|${batchInfo.runId}|${batchInfo.totalBatches}`
+    : null;
+
+  // Batch scheduler: a pool of workers that fetch and decode JSON/MessagePack batches off the main thread
+  useEffect(() => {
+    const scheduler = new BatchScheduler({
+      checkCache: (batchNumber) => (runIdRef.current ? readCachedBatch(runIdRef.current, batchNumber) : null),
+      onCached: (batchNumber, data) => dispatch(loadCachedBatch({ batchNumber, data })),
+      onSuccess: (batchNumber, data, size) => dispatch(fetchWeatherBatchFromWorker({ batchNumber, data, size })),
+      onStatus: (batchNumber, status, { attempts, error }) => dispatch(setBatchStatus({ batchNumber, status, attempts, error })),
+      requestOptions: () => ({ run: requestedRunRef.current }),
+    });
+    schedulerRef.current = scheduler;
 
     return () => {
-      if (newWorker) newWorker.terminate();
+      scheduler.destroy();
+      schedulerRef.current = null;
     };
   }, [dispatch]);
 
@@ -93,95 +72,74 @@ function App() {
     dispatch(fetchInitialWeatherData());
   }, [dispatch]);
 
-  // Simplified IndexedDB cache check
-  const checkCache = async (batchNumber) => {
-    const DB_NAME = 'WeatherDataCache';
-    const STORE_NAME = 'weatherBatches';
-    const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours
-
-    try {
-      return new Promise((resolve) => {
-        const request = indexedDB.open(DB_NAME, 1);
-
-        request.onsuccess = () => {
-          const db = request.result;
-          const transaction = db.transaction([STORE_NAME], 'readonly');
-          const store = transaction.objectStore(STORE_NAME);
-          const getRequest = store.get(batchNumber);
-
-          getRequest.onsuccess = () => {
-            const result = getRequest.result;
-            if (result) {
-              const now = Date.now();
-              if (now - result.timestamp < CACHE_DURATION) resolve(result.data);
-              else resolve(null); // Cache expired
-            } else resolve(null); // Not found
-          };
-
-          getRequest.onerror = () => resolve(null);
-        };
-
-        request.onerror = () => resolve(null);
-      });
-    } catch (error) {
-      return null;
+  // Queue every batch that is neither loaded nor already known to the scheduler.
+  // Failed batches stay out until they are retried (manually or when the connection returns).
+  useEffect(() => {
+    const scheduler = schedulerRef.current;
+    if (!scheduler || !isBatchSourceActive || !batchInfo) return;
+
+    const missing = [];
+    for (let batchNumber = 2; batchNumber <= batchInfo.totalBatches; batchNumber++) {
+      if (!batchInfo.loadedBatches.includes(batchNumber) && !batchStatus[batchNumber]) missing.push(batchNumber);
     }
-  };
 
-  // Non-blocking background fetching - completely separate from animation
-  useEffect(() => {
-    if (weatherData && batchInfo && !backgroundFetchStarted && worker) {
-      const { totalBatches, loadedBatches } = batchInfo;
-
-      if (totalBatches > 1 && loadedBatches.length === 1) {
-        console.log(`🚀 Starting background fetch of ${totalBatches - 1} remaining batches...`);
-        setBackgroundFetchStarted(true);
-
-        // Truly async background fetching that doesn't block animation
-        const fetchRemainingBatches = async () => {
-          // Process batches one at a time with minimal delay
-          for (let batchNumber = 2; batchNumber <= totalBatches; batchNumber++) {
-            try {
-              // Check IndexedDB cache first (fast, non-blocking)
-              const cachedData = await checkCache(batchNumber);
-
-              if (cachedData) {
-                // FIXED: Cache hit - use direct action (no pending state, no async)
-                console.log(`📦 Loading batch ${batchNumber} from cache (instant)`);
-                dispatch(loadCachedBatch({ batchNumber, data: cachedData }));
-                // Tiny delay to prevent overwhelming
-                await new Promise(resolve => setTimeout(resolve, 10));
-              } else {
-                // Cache miss - use worker for API call (non-blocking)
-                dispatch(addFetchingBatch(batchNumber));
-                worker.postMessage({ type: 'FETCH_BATCH', batchNumber });
-              }
-
-              // Very small delay to prevent overwhelming - this doesn't affect animation
-              await new Promise(resolve => setTimeout(resolve, 100));
-
-            } catch (error) {
-              console.warn(`Cache check failed for batch ${batchNumber}, using worker:`, error);
-              // Fallback to worker
-              dispatch(addFetchingBatch(batchNumber));
-              worker.postMessage({ type: 'FETCH_BATCH', batchNumber });
-              await new Promise(resolve => setTimeout(resolve, 10));
-            }
-          }
-          console.log('✅ Background fetching process initiated');
-        };
-
-        // Start background fetching without blocking
-        fetchRemainingBatches().catch(error => {
-          console.error('Background fetching error:', error);
-        });
-      }
+    if (missing.length > 0) {
+      console.log(`🚀 Queueing ${missing.length} remaining batches for background fetch...`);
+      scheduler.enqueue(missing);
     }
-  }, [weatherData, batchInfo, backgroundFetchStarted, worker, dispatch]);
+  }, [isBatchSourceActive, batchInfo, batchStatus]);
+
+  // Scrubbing or playing into a step that isn't loaded yet jumps its batch to the front of the
+  // queue, followed by the next batch so playback can continue. Keyed on batch numbers rather
+  // than batchStatus, so a batch that keeps failing isn't hammered while the user waits on it.
+  const requestedBatch = currentStep && !currentStep.loaded && !batchInfo.loadedBatches.includes(currentStep.batchNumber)
+    ? currentStep.batchNumber : null;
+  const followingBatch = requestedBatch && requestedBatch < batchInfo.totalBatches &&
+    !batchInfo.loadedBatches.includes(requestedBatch + 1) ? requestedBatch + 1 : null;
+
+  useEffect(() => {
+    const scheduler = schedulerRef.current;
+    if (!scheduler || !isBatchSourceActive || !requestedBatch) return;
+
+    console.log(`⏩ Prioritising batch ${requestedBatch} for the selected time step`);
+    scheduler.prioritize(requestedBatch, 100);
+    if (followingBatch) scheduler.prioritize(followingBatch, 50);
+  }, [requestedBatch, followingBatch, isBatchSourceActive]);
+
+  // Cancel outstanding batches when the data source switches or the run changes/is cleared
+  useEffect(() => {
+    if (!runKey || !isBatchSourceActive) return;
+
+    return () => {
+      const cancelled = schedulerRef.current?.cancelAll() || [];
+      if (cancelled.length > 0) dispatch(resetBatchStatus(cancelled));
+    };
+  }, [runKey, isBatchSourceActive, dispatch]);
+
+  // Nested domains follow the outer domain's batches as they arrive (and after retries)
+  useEffect(() => {
+    if (!isBatchSourceActive || !batchInfo) return;
+    dispatch(syncNestBatches());
+  }, [isBatchSourceActive, batchInfo, batchStatus, dispatch]);
+
+  // Ensemble products and derived variables (wind speed, dew point, ...) are computed for what's
+  // on screen as grids arrive, expression layers for every loaded step
+  useEffect(() => {
+    if (!isBatchSourceActive) return;
+    dispatch(computeEnsembleGrids());
+    dispatch(computeDerivedGrids());
+    dispatch(computeExpressionGrids());
+  }, [isBatchSourceActive, selectedVariable, currentTimeIndex, gridVersion, expressionLayers, dispatch]);
+
+  // Give failed batches another go once the browser is back online
+  useEffect(() => {
+    const handleOnline = () => dispatch(retryFailedBatches());
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [dispatch]);
 
   // Retry function for error state
   const handleRetry = () => {
-    setBackgroundFetchStarted(false); // Reset background fetch flag
     dispatch(fetchInitialWeatherData());
   };
 
@@ -263,6 +221,8 @@ function App() {
         handleViewModeChange={handleViewModeChange} />
 
       {renderContent()}
+
+      <OfflineBanner />
     </div>
   );
 }
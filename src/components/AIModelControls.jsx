@@ -0,0 +1,78 @@
+import React from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { RotateCcw } from 'lucide-react';
+
+import {
+    AI_MODELS, setAiModel, loadAiModel, fetchAiSteps, selectAiSelectedModel, selectAiManifest,
+    selectAiLoading, selectAiError, selectAiFailedSteps, selectAiGridInfo
+} from '../redux/slices/aiModelSlice';
+import { selectTimeZone } from '../redux/slices/unitsSlice';
+import { formatTime } from '../hooks/time';
+
+// Model picker and run info for the "Other Forecasts" mode
+const AIModelControls = () => {
+    const dispatch = useDispatch();
+
+    const selectedModel = useSelector(selectAiSelectedModel);
+    const manifest = useSelector(selectAiManifest);
+    const loading = useSelector(selectAiLoading);
+    const error = useSelector(selectAiError);
+    const failedSteps = useSelector(selectAiFailedSteps);
+    const gridInfo = useSelector(selectAiGridInfo);
+    const timeZone = useSelector(selectTimeZone);
+
+    return (
+        <div className="mb-3 sm:mb-4 p-3 sm:p-4 bg-gray-50 rounded-lg">
+            <h3 className="font-medium text-gray-700 mb-2 text-sm sm:text-base">Other Forecast Models</h3>
+            <div className="space-y-1 text-xs sm:text-sm text-gray-600">
+                {AI_MODELS.map(model => (
+                    <button key={model.id}
+                        onClick={() => dispatch(setAiModel(model.id))}
+                        className={`w-full flex items-center gap-2 px-2 py-1 rounded cursor-pointer transition-colors ${selectedModel === model.id
+                            ? 'bg-white font-medium text-gray-800 shadow-sm'
+                            : 'hover:bg-white'
+                            }`}>
+                        <div className={`w-2 h-2 ${model.color} rounded-full flex-shrink-0`}></div>
+                        <span>{model.name}</span>
+                        {selectedModel === model.id && loading && (
+                            <RotateCcw className="w-3 h-3 ml-auto animate-spin text-gray-400" />
+                        )}
+                    </button>
+                ))}
+            </div>
+
+            {manifest && (
+                <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-500 space-y-0.5">
+                    <div>Run: {formatTime(manifest.initTime, timeZone)} · every {manifest.stepHours}h</div>
+                    {gridInfo ? (
+                        <div>Showing {gridInfo.steps[0].toFixed(2)}° cells around the map view</div>
+                    ) : (
+                        <div>The map view is outside this model's grid</div>
+                    )}
+                </div>
+            )}
+
+            {error && (
+                <div className="flex items-center justify-between mt-2 text-xs text-red-600 bg-red-50 p-2 rounded">
+                    <span>Could not load {selectedModel}: {error}</span>
+                    <button onClick={() => dispatch(loadAiModel())}
+                        className="flex items-center gap-1 font-medium hover:text-red-800 cursor-pointer">
+                        <RotateCcw className="w-3 h-3" /> Retry
+                    </button>
+                </div>
+            )}
+
+            {failedSteps.length > 0 && (
+                <div className="flex items-center justify-between mt-2 text-xs text-red-600 bg-red-50 p-2 rounded">
+                    <span>{failedSteps.length} step{failedSteps.length > 1 ? 's' : ''} failed to load</span>
+                    <button onClick={() => dispatch(fetchAiSteps())}
+                        className="flex items-center gap-1 font-medium hover:text-red-800 cursor-pointer">
+                        <RotateCcw className="w-3 h-3" /> Retry
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AIModelControls;
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Database, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+
+import {
+    refreshCacheStats, clearCache, evictCacheRun, selectCacheStats, selectBatchInfo
+} from '../redux/slices/weatherSlice';
+
+const formatBytes = (bytes) => {
+    if (bytes == null) return '–';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+// '2025-07-01_00:00:00_d01' -> '2025-07-01 00:00 · d01'
+const formatRunId = (runId) => {
+    const [date, time, domain] = runId.split('_');
+    return `${date} ${time?.slice(0, 5) || ''} · ${domain || ''}`;
+};
+
+// Cached WRF runs with their sizes and hit counts, plus per-run delete
+const CacheInspector = () => {
+    const dispatch = useDispatch();
+    const cacheStats = useSelector(selectCacheStats);
+    const batchInfo = useSelector(selectBatchInfo);
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    // Sizes change as batches arrive in the background, so re-read whenever the panel opens
+    useEffect(() => {
+        if (isExpanded) dispatch(refreshCacheStats());
+    }, [isExpanded, dispatch]);
+
+    const { hits, misses, totalSize, runs, usage, quota } = cacheStats;
+    const hitRate = hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : null;
+
+    return (
+        <div className="mb-3 sm:mb-4 border border-gray-200 rounded-lg">
+            <button
+                onClick={() => setIsExpanded(!isExpanded)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-700 cursor-pointer">
+                <span className="flex items-center gap-2">
+                    <Database className="w-4 h-4 text-blue-500" />
+                    Cache
+                    <span className="text-xs font-normal text-gray-500">{formatBytes(totalSize)}</span>
+                </span>
+                {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+
+            {isExpanded && (
+                <div className="px-3 pb-3 space-y-2 text-xs text-gray-600">
+                    <div className="flex justify-between">
+                        <span>Hits / misses this session</span>
+                        <span className="font-medium">{hits} / {misses}{hitRate !== null && ` (${hitRate}%)`}</span>
+                    </div>
+                    {quota && (
+                        <div className="flex justify-between">
+                            <span>Browser storage</span>
+                            <span className="font-medium">{formatBytes(usage)} of {formatBytes(quota)}</span>
+                        </div>
+                    )}
+
+                    {runs.length === 0 ? (
+                        <div className="text-gray-400 py-1">No cached runs</div>
+                    ) : (
+                        <ul className="divide-y divide-gray-100 border-t border-gray-100">
+                            {runs.map(run => (
+                                <li key={run.runId} className="flex items-center justify-between gap-2 py-1.5">
+                                    <div className="min-w-0">
+                                        <div className="font-medium text-gray-700 truncate">
+                                            {formatRunId(run.runId)}
+                                            {run.runId === batchInfo?.runId && <span className="ml-1 text-blue-600">(current)</span>}
+                                        </div>
+                                        <div className="text-gray-500">
+                                            {run.batches} batch{run.batches !== 1 ? 'es' : ''} · {formatBytes(run.size)} · {run.hits} hit{run.hits !== 1 ? 's' : ''}
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => dispatch(evictCacheRun(run.runId))}
+                                        title="Delete this run from the cache"
+                                        className="p-1 text-gray-400 hover:text-red-600 cursor-pointer">
+                                        <Trash2 className="w-3.5 h-3.5" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {runs.length > 0 && (
+                        <button
+                            onClick={() => dispatch(clearCache())}
+                            className="w-full px-2 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:border-red-400 hover:text-red-600 cursor-pointer">
+                            Clear cache
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CacheInspector;
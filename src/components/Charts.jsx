@@ -10,37 +10,69 @@ import {
 } from 'lucide-react';
 import stationsData from '../data/aws_ghmc.json';
 import { getGridValueAt } from '../hooks/helper';
+import { memberVariableOf, quantile } from '../hooks/ensemble';
+import { variableConverter } from '../hooks/units';
+import { formatTime } from '../hooks/time';
 
 // Redux selectors
+import { useDataSource, useNests, getNestLayers } from '../dataSources';
 import {
-    selectWeatherData, selectSelectedVariable, selectCurrentTime,
-    selectWeatherVariables, selectTimeSteps, setSelectedVariable
-} from '../redux/slices/weatherSlice';
-import {
-    selectselectedPointsForComparison, selectCanAddMoreStations,
+    selectselectedPointsForComparison, selectCanAddMoreStations, selectSamplingMethod,
     addPointForComparison, removePointForComparison, clearPointsForComparison
 } from '../redux/slices/dataTableSlice';
+import { selectUnits, selectTimeZone } from '../redux/slices/unitsSlice';
 
 // Variable colors for consistency
 const variableColors = {
     T2: '#ef4444', RH: '#3b82f6', TOTAL_RAIN: '#06b6d4',
     PBLH: '#8b5cf6', SST: '#f59e0b', TSK: '#dc2626',
-    ALBEDO: '#64748b', EMISS: '#84cc16', VEGFRA: '#22c55e'
+    ALBEDO: '#64748b', EMISS: '#84cc16', VEGFRA: '#22c55e',
+    WSPD10: '#0ea5e9', WDIR10: '#a855f7', TD2: '#10b981', HEAT_INDEX: '#f97316', APPARENT_T: '#e11d48'
+};
+
+// One time step of a point's ensemble: each member's value (m0, m1, ...), their mean, and the
+// bands of the fan display ([min, max] and the interquartile range around the median)
+const ensembleRow = (time, memberValues) => {
+    const row = { time };
+    memberValues.forEach((value, m) => {
+        row[`m${m}`] = value === null ? null : parseFloat(value.toFixed(4));
+    });
+
+    const sorted = memberValues.filter(value => value !== null).sort((a, b) => a - b);
+    if (sorted.length === 0) return row;
+    row.mean = parseFloat((sorted.reduce((sum, value) => sum + value, 0) / sorted.length).toFixed(4));
+    row.median = parseFloat(quantile(sorted, 0.5).toFixed(4));
+    row.range = [sorted[0], sorted[sorted.length - 1]];
+    row.iqr = [quantile(sorted, 0.25), quantile(sorted, 0.75)];
+    return row;
 };
 
 const Charts = () => {
     const dispatch = useDispatch();
 
-    // Weather state
-    const weatherData = useSelector(selectWeatherData);
-    const selectedVariable = useSelector(selectSelectedVariable);
-    const currentTime = useSelector(selectCurrentTime);
-    const weatherVariables = useSelector(selectWeatherVariables);
-    const timeSteps = useSelector(selectTimeSteps);
+    // Grids of the selected data source
+    const dataSource = useDataSource();
+    const gridInfo = useSelector(dataSource.selectGridInfo);
+    const selectedVariable = useSelector(dataSource.selectSelectedVariable);
+    const weatherVariables = useSelector(dataSource.selectVariables);
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const timeSteps = timeAxis.indices;
+    const gridVersion = useSelector(dataSource.selectGridVersion);
+    const nests = useNests();
+
+    // Charted values are converted to the user's units as they're read
+    const units = useSelector(selectUnits);
+    const { unit } = variableConverter(weatherVariables[selectedVariable], units);
+
+    // Points are keyed by time index; axes and tooltips show their valid times in the user's zone
+    const timeZone = useSelector(selectTimeZone);
+    const formatTick = useCallback((time) => formatTime(timeAxis.timeOf(time), timeZone, 'tick'), [timeAxis, timeZone]);
+    const formatTimeLabel = useCallback((time) => formatTime(timeAxis.timeOf(time), timeZone), [timeAxis, timeZone]);
 
     // Station comparison state
     const selectedPointsForComparison = useSelector(selectselectedPointsForComparison);
     const canAddMoreStations = useSelector(selectCanAddMoreStations);
+    const samplingMethod = useSelector(selectSamplingMethod); // how stations read the grids
 
     // Local state for chart controls
     const [chartType, setChartType] = useState('line');
@@ -48,60 +80,49 @@ const Charts = () => {
     const [showStationComparison, setShowStationComparison] = useState(true);
     const [isExpanded, setIsExpanded] = useState(false);
     const [selectedTimeRange, setSelectedTimeRange] = useState('all');
+    const [ensembleDisplay, setEnsembleDisplay] = useState('plume'); // 'plume' | 'fan' | 'line'
 
     // Process time series data for the selected variable
     const timeSeriesData = useMemo(() => {
-        if (!weatherData?.time_series) return [];
+        if (!gridInfo || !gridVersion) return [];
+        const { convert } = variableConverter(weatherVariables[selectedVariable], units);
 
-        const scale = weatherData.metadata?.variable_scales?.[selectedVariable] || 1;
-
-        return weatherData.time_series.map(timePoint => {
-            const values = timePoint.variables[selectedVariable];
-            if (!values || !Array.isArray(values)) return { time: timePoint.time, value: null };
-
-            const scaledValues = values.map(v => v / scale);
-            const avgValue = scaledValues.reduce((sum, val) => sum + val, 0) / scaledValues.length;
+        return timeSteps.map(time => {
+            const stats = dataSource.getGridStats(time, selectedVariable);
+            if (!stats) return { time, value: null };
 
             return {
-                time: timePoint.time,
-                value: parseFloat(avgValue.toFixed(4)),
-                min: Math.min(...scaledValues),
-                max: Math.max(...scaledValues),
-                count: scaledValues.length
+                time,
+                value: parseFloat(convert(stats.mean).toFixed(4)),
+                min: convert(stats.min),
+                max: convert(stats.max),
+                count: stats.count
             };
         }).filter(item => item.value !== null);
-    }, [weatherData, selectedVariable]);
+    }, [gridInfo, timeSteps, gridVersion, selectedVariable, weatherVariables, units, dataSource]);
 
     const mergedPointData = useMemo(() => {
-        if (selectedPointsForComparison.length === 0 || !weatherData?.time_series) return [];
-
-        const scale = weatherData.metadata?.variable_scales?.[selectedVariable] || 1;
-        const gridInfo = weatherData.grid_info;
+        if (selectedPointsForComparison.length === 0 || !gridInfo || !gridVersion) return [];
+        const { convert } = variableConverter(weatherVariables[selectedVariable], units);
 
-        return weatherData.time_series.map(timePoint => {
-            const dataPoint = { time: timePoint.time };
-            const values = timePoint.variables[selectedVariable];
+        return timeSteps.map(time => {
+            const dataPoint = { time };
+            const values = dataSource.getGrid(time, selectedVariable);
+            const nestLayers = getNestLayers(dataSource, nests, time, selectedVariable);
 
-            if (values && Array.isArray(values) && gridInfo) {
+            if (values) {
                 selectedPointsForComparison.forEach(itemId => {
                     // Check if it's a grid point (assuming grid points are numeric IDs)
                     if (typeof itemId === 'number' || !isNaN(itemId)) {
-                        // Handle grid point - direct array access
-                        const gridIndex = parseInt(itemId);
-                        if (gridIndex >= 0 && gridIndex < values.length) {
-                            dataPoint[itemId] = parseFloat((values[gridIndex] / scale).toFixed(4));
-                        } else {
-                            dataPoint[itemId] = null;
-                        }
+                        // Handle grid point - direct lookup in the grid store
+                        const value = values[parseInt(itemId)];
+                        dataPoint[itemId] = value !== undefined && !Number.isNaN(value) ? parseFloat(convert(value).toFixed(4)) : null;
                     } else {
                         // Handle AWS station - existing logic
                         const station = stationsData.find(s => s.id === itemId);
                         if (station) {
-                            const stationValue = getGridValueAt(
-                                station.lat, station.lon, values,
-                                gridInfo, scale
-                            );
-                            dataPoint[itemId] = stationValue !== null ? parseFloat(stationValue.toFixed(4)) : null;
+                            const stationValue = getGridValueAt(station.lat, station.lon, values, gridInfo, 1, nestLayers, samplingMethod);
+                            dataPoint[itemId] = stationValue !== null ? parseFloat(convert(stationValue).toFixed(4)) : null;
                         } else {
                             dataPoint[itemId] = null;
                         }
@@ -115,7 +136,43 @@ const Charts = () => {
 
             return dataPoint;
         });
-    }, [weatherData, selectedPointsForComparison, selectedVariable]);
+    }, [gridInfo, timeSteps, gridVersion, selectedPointsForComparison, selectedVariable, weatherVariables, units, dataSource, nests, samplingMethod]);
+
+    // Points of an ensemble run: every member's value at each selected point, keyed by point.
+    // Statistics layers (T2.mean, ...) chart the members they come from; null without members.
+    const memberVariable = memberVariableOf(selectedVariable);
+    const ensemblePointData = useMemo(() => {
+        if (!dataSource.getMemberGrids || selectedPointsForComparison.length === 0 || !gridInfo || !gridVersion) return null;
+
+        const steps = timeSteps.map(time => ({ time, members: dataSource.getMemberGrids(time, memberVariable) }));
+        const memberCount = Math.max(0, ...steps.map(({ members }) => members?.length || 0));
+        if (memberCount === 0) return null;
+        const { convert } = variableConverter(weatherVariables[memberVariable], units);
+
+        return Object.fromEntries(selectedPointsForComparison.map(itemId => {
+            const station = typeof itemId === 'number' || !isNaN(itemId) ? null : stationsData.find(s => s.id === itemId);
+
+            const rows = steps.map(({ time, members }) => {
+                const nestMembers = nests.map(nest => ({
+                    gridInfo: nest.gridInfo, members: dataSource.getMemberGrids(time, memberVariable, nest.domain)
+                }));
+                const memberValues = Array.from({ length: memberCount }, (_, m) => {
+                    const values = members?.[m];
+                    if (!values) return null;
+                    if (!station) {
+                        const value = values[parseInt(itemId)];
+                        return value !== undefined && !Number.isNaN(value) ? convert(value) : null;
+                    }
+                    const nestLayers = nestMembers.map(nest => ({ gridInfo: nest.gridInfo, values: nest.members?.[m] || null }));
+                    const value = getGridValueAt(station.lat, station.lon, values, gridInfo, 1, nestLayers, samplingMethod);
+                    return value === null ? null : convert(value);
+                });
+                return ensembleRow(time, memberValues);
+            });
+
+            return [itemId, { rows, memberCount }];
+        }));
+    }, [gridInfo, timeSteps, gridVersion, selectedPointsForComparison, memberVariable, weatherVariables, units, dataSource, nests, samplingMethod]);
 
     // Get station/point names
     const pointNames = useMemo(() => {
@@ -145,12 +202,16 @@ const Charts = () => {
         return limit ? mergedPointData.slice(-limit) : mergedPointData;
     }, [mergedPointData, selectedTimeRange]);
 
+    const filteredEnsembleRows = useCallback((rows) => {
+        const limit = { '24h': 24, '7d': 168, '30d': 720 }[selectedTimeRange];
+        return limit ? rows.slice(-limit) : rows;
+    }, [selectedTimeRange]);
+
     // Custom tooltip formatter
     const formatTooltip = useCallback((value, name) => {
-        const unit = weatherVariables[selectedVariable]?.unit || '';
         if (typeof value === 'number') return [`${value.toFixed(4)} ${unit}`, name];
         return [value || 'No data', name];
-    }, [selectedVariable, weatherVariables]);
+    }, [unit]);
 
     // Render chart based on type
     const renderChart = () => {
@@ -161,6 +222,7 @@ const Charts = () => {
 
         const xAxisProps = {
             dataKey: "time",
+            tickFormatter: formatTick,
             tick: { fontSize: 12 },
             angle: -45,
             textAnchor: 'end'
@@ -169,7 +231,7 @@ const Charts = () => {
         const yAxisProps = {
             tick: { fontSize: 12 },
             label: {
-                value: `${weatherVariables[selectedVariable]?.name} (${weatherVariables[selectedVariable]?.unit})`,
+                value: `${weatherVariables[selectedVariable]?.name} (${unit})`,
                 angle: -90,
                 position: 'insideLeft'
             }
@@ -182,7 +244,7 @@ const Charts = () => {
                         <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
                         <XAxis {...xAxisProps} />
                         <YAxis {...yAxisProps} />
-                        <Tooltip formatter={formatTooltip} labelFormatter={(time) => `Time: ${time}`} />
+                        <Tooltip formatter={formatTooltip} labelFormatter={formatTimeLabel} />
                         <Legend />
                         <Area
                             type="monotone"
@@ -201,7 +263,7 @@ const Charts = () => {
                         <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
                         <XAxis {...xAxisProps} />
                         <YAxis {...yAxisProps} />
-                        <Tooltip formatter={formatTooltip} labelFormatter={(time) => `Time: ${time}`} />
+                        <Tooltip formatter={formatTooltip} labelFormatter={formatTimeLabel} />
                         <Legend />
                         <Bar
                             dataKey="value"
@@ -216,7 +278,7 @@ const Charts = () => {
                         <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
                         <XAxis {...xAxisProps} />
                         <YAxis {...yAxisProps} />
-                        <Tooltip formatter={formatTooltip} labelFormatter={(time) => `Time: ${time}`} />
+                        <Tooltip formatter={formatTooltip} labelFormatter={formatTimeLabel} />
                         <Legend />
                         <Area
                             type="monotone"
@@ -249,7 +311,7 @@ const Charts = () => {
                         <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
                         <XAxis {...xAxisProps} />
                         <YAxis {...yAxisProps} />
-                        <Tooltip formatter={formatTooltip} labelFormatter={(time) => `Time: ${time}`} />
+                        <Tooltip formatter={formatTooltip} labelFormatter={formatTimeLabel} />
                         <Legend />
                         <Line
                             type="monotone"
@@ -263,13 +325,79 @@ const Charts = () => {
         }
     };
 
+    // Plume: every member as a thin line around a bold mean. Fan: the members' full range and
+    // interquartile range as bands around the median.
+    const renderEnsembleChart = (itemId, index) => {
+        const { rows, memberCount } = ensemblePointData[itemId];
+        const color = `hsl(${(index * 360) / selectedPointsForComparison.length}, 70%, 50%)`;
+        const label = memberVariable === selectedVariable
+            ? weatherVariables[selectedVariable]?.name
+            : weatherVariables[memberVariable]?.name || memberVariable;
+
+        return (
+            <div key={itemId} className="mb-4">
+                <div className="text-sm text-gray-600 mb-1">
+                    {pointNames[itemId] || itemId} - {label}, {memberCount} members
+                </div>
+                <ResponsiveContainer width="100%" height={isExpanded ? 400 : 300}>
+                    <ComposedChart data={filteredEnsembleRows(rows)}>
+                        <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+                        <XAxis dataKey="time" tickFormatter={formatTick} tick={{ fontSize: 12 }} angle={-45} textAnchor="end" />
+                        <YAxis
+                            tick={{ fontSize: 12 }}
+                            domain={['auto', 'auto']}
+                            label={{
+                                value: `${label} (${variableConverter(weatherVariables[memberVariable], units).unit})`,
+                                angle: -90,
+                                position: 'insideLeft'
+                            }} />
+                        <Tooltip
+                            formatter={(value, name) => (Array.isArray(value)
+                                ? [`${value[0].toFixed(2)} - ${value[1].toFixed(2)}`, name]
+                                : formatTooltip(value, name))}
+                            labelFormatter={formatTimeLabel} />
+                        {ensembleDisplay === 'fan' ? (
+                            <>
+                                <Legend />
+                                <Area type="monotone" dataKey="range" stroke="none" fill={color} fillOpacity={0.15} name="Min - max" />
+                                <Area type="monotone" dataKey="iqr" stroke="none" fill={color} fillOpacity={0.35} name="25th - 75th percentile" />
+                                <Line type="monotone" dataKey="median" stroke={color} strokeWidth={2} dot={false} name="Median" />
+                            </>
+                        ) : (
+                            <>
+                                {Array.from({ length: memberCount }, (_, m) => (
+                                    <Line key={m} type="monotone" dataKey={`m${m}`} stroke={color} strokeOpacity={0.35}
+                                        strokeWidth={1} dot={false} isAnimationActive={false} legendType="none"
+                                        name={`Member ${m + 1}`} />
+                                ))}
+                                <Line type="monotone" dataKey="mean" stroke="#111827" strokeWidth={2.5} dot={false} name="Ensemble mean" />
+                            </>
+                        )}
+                    </ComposedChart>
+                </ResponsiveContainer>
+            </div>
+        );
+    };
+
     const renderPointComparison = () => {
         if (!showStationComparison || selectedPointsForComparison.length === 0) return null;
 
         return (
             <div className="mb-6">
                 <div className="flex items-center justify-between mb-4">
-                    <h4 className="text-md font-medium">Compare Values Over Time</h4>
+                    <h4 className="text-md font-medium flex items-center gap-2">
+                        Compare Values Over Time
+                        {ensemblePointData && (
+                            <select
+                                value={ensembleDisplay}
+                                onChange={(e) => setEnsembleDisplay(e.target.value)}
+                                className="px-2 py-0.5 border border-gray-300 rounded-md text-xs font-normal focus:outline-none focus:ring-2 focus:ring-blue-500">
+                                <option value="plume">Plume</option>
+                                <option value="fan">Fan</option>
+                                <option value="line">Single line</option>
+                            </select>
+                        )}
+                    </h4>
                     <div className="flex items-center gap-2 text-sm text-gray-600">
                         <span className="text-sm font-medium text-gray-700 flex items-center gap-1">
                             <Plus className="w-4 h-4" />Selected ({selectedPointsForComparison.length}/5):
@@ -291,46 +419,50 @@ const Charts = () => {
                     </div>
                 </div>
 
-                <ResponsiveContainer width="100%" height={isExpanded ? 500 : 400}>
-                    <LineChart data={filteredStationData}>
-                        <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
-                        <XAxis
-                            dataKey="time"
-                            tick={{ fontSize: 12 }}
-                            angle={-45}
-                            textAnchor="end"
-                        />
-                        <YAxis
-                            tick={{ fontSize: 12 }}
-                            label={{
-                                value: `${weatherVariables[selectedVariable]?.name} (${weatherVariables[selectedVariable]?.unit})`,
-                                angle: -90,
-                                position: 'insideLeft'
-                            }} />
-                        <Tooltip
-                            formatter={formatTooltip}
-                            labelFormatter={(time) => `Time: ${time}`} />
-                        <Legend />
-                        {selectedPointsForComparison.map((stationId, index) => (
-                            <Line
-                                key={stationId}
-                                type="monotone"
-                                dataKey={stationId}
-                                stroke={`hsl(${(index * 360) / selectedPointsForComparison.length}, 70%, 50%)`}
-                                strokeWidth={2}
-                                name={pointNames[stationId] || stationId}
-                                connectNulls={false}
-                                dot={false}
-                            />
-                        ))}
-                    </LineChart>
-                </ResponsiveContainer>
+                {ensemblePointData && ensembleDisplay !== 'line'
+                    ? selectedPointsForComparison.map(renderEnsembleChart)
+                    : (
+                        <ResponsiveContainer width="100%" height={isExpanded ? 500 : 400}>
+                            <LineChart data={filteredStationData}>
+                                <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+                                <XAxis
+                                    dataKey="time"
+                                    tickFormatter={formatTick}
+                                    tick={{ fontSize: 12 }}
+                                    angle={-45}
+                                    textAnchor="end"
+                                />
+                                <YAxis
+                                    tick={{ fontSize: 12 }}
+                                    label={{
+                                        value: `${weatherVariables[selectedVariable]?.name} (${unit})`,
+                                        angle: -90,
+                                        position: 'insideLeft'
+                                    }} />
+                                <Tooltip
+                                    formatter={formatTooltip}
+                                    labelFormatter={formatTimeLabel} />
+                                <Legend />
+                                {selectedPointsForComparison.map((stationId, index) => (
+                                    <Line
+                                        key={stationId}
+                                        type="monotone"
+                                        dataKey={stationId}
+                                        stroke={`hsl(${(index * 360) / selectedPointsForComparison.length}, 70%, 50%)`}
+                                        strokeWidth={2}
+                                        name={pointNames[stationId] || stationId}
+                                        connectNulls={false}
+                                        dot={false}
+                                    />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    )}
             </div>
         );
     };
 
-    if (!weatherData || timeSeriesData.length === 0) {
-        console.log(weatherData);
+    if (!gridInfo || timeSeriesData.length === 0) {
         return (
             <div className="bg-white rounded-lg shadow-sm p-6">
                 <div className="text-center text-gray-500">
@@ -1,19 +1,25 @@
 import React from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { Play, Pause, RotateCcw, SkipBack, SkipForward, Eye, EyeOff, ChevronLeft, ChevronRight, RadioTower, Grid3x3, MapPin, Zap, Activity, Map, Table2, Wind, Edit3, Eraser, Download, Edit, X, Check } from 'lucide-react';
+import { Play, Pause, RotateCcw, SkipBack, SkipForward, Eye, EyeOff, ChevronLeft, ChevronRight, RadioTower, Grid3x3, MapPin, Zap, Activity, Map, Table2, Wind, Edit3, Eraser, Download, Edit, X, Check, Upload, ToggleLeft, ToggleRight } from 'lucide-react';
 import ZWSControls from './ZWSControls';
+import RasterControls from './RasterControls';
+import RunControls from './RunControls';
+import ExpressionLayers from './ExpressionLayers';
+import CacheInspector from './CacheInspector';
+import AIModelControls from './AIModelControls';
+import UnitControls from './UnitControls';
+import { useDataSource, useLevels, listDataSources, getDataSource, getNextDataSource } from '../dataSources';
+import { unitConverter, variableConverter } from '../hooks/units';
+import { formatTime } from '../hooks/time';
 
 import {
-    setSelectedVariable, setCurrentTimeIndex, setAnimationSpeed, advanceTime, selectSelectedVariable,
-    selectCurrentTimeIndex, selectCurrentTimestamp, selectAnimationSpeed, selectWeatherVariables,
-    selectCurrentStats, selectTimeIndices, selectTimeRangeInfo, selectBatchInfo,
-    selectFetchingBatches, clearWeatherData, loadCachedBatch, addFetchingBatch, removeFetchingBatch
+    selectBatchInfo, selectFailedBatches, selectCurrentStepStatus, retryFailedBatches, setExceedanceThreshold
 } from '../redux/slices/weatherSlice';
 
 import {
-    setIsPlaying, setOpacity, setShowWindAnimation, selectIsPlaying, selectOpacity,
+    setOpacity, setShowWindAnimation, selectOpacity,
     selectShowWindAnimation, setShowStations, setShowGrid, setControlPanelExpanded, selectIsControlPanelExpanded,
-    setShowDataTable, selectShowDataTable, selectShowGrid, selectShowStations, setSelectedDataSource, selectSelectedDataSource
+    selectShowGrid, selectShowStations, setSelectedDataSource
 } from '../redux/slices/uiSlice';
 
 import {
@@ -24,49 +30,64 @@ import {
 import {
     setDrawingMode, setPolygonPoints, clearPolygonData, selectDrawingMode,
     selectPolygonPoints, selectPolygonArea, selectOpenMeteoData, selectOpenMeteoLoading,
-    selectOpenMeteoCurrentTimeIndex, setOpenMeteoCurrentTimeIndex, selectOpenMeteoTimeIndices,
-    advanceOpenMeteoTime, setOpenMeteoAnimationSpeed, selectOpenMeteoAnimationSpeed,
-    triggerDataFetch, removePolygonPoint, editPolygonPoint, setOpenMeteoIsPlaying,
-    selectOpenMeteoIsPlaying, selectHasValidData as selectOpenMeteoHasValidData
+    triggerDataFetch, removePolygonPoint, editPolygonPoint
 } from '../redux/slices/openMeteoSlice';
 
+import {
+    loadGribFile, selectGribFileName, selectGribLoading, selectGribError
+} from '../redux/slices/GribStreamSlice';
+
+import { selectUnits, selectTimeZone } from '../redux/slices/unitsSlice';
+
 const ControlPanel = ({ viewMode, handleViewModeChange }) => {
     const dispatch = useDispatch();
 
-    // Weather state from Redux
-    const selectedVariable = useSelector(selectSelectedVariable);
-    const currentTimeIndex = useSelector(selectCurrentTimeIndex);
-    const currentTimestamp = useSelector(selectCurrentTimestamp);
-    const animationSpeed = useSelector(selectAnimationSpeed);
-    const weatherVariables = useSelector(selectWeatherVariables);
-    const timeIndices = useSelector(selectTimeIndices);
-    const timeRangeInfo = useSelector(selectTimeRangeInfo);
+    // Selected data source (WRF, OpenMeteo, ...) and its time axis
+    const dataSource = useDataSource();
+    const { capabilities } = dataSource;
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const variables = useSelector(dataSource.selectVariables);
+    const selectedVariable = useSelector(dataSource.selectSelectedVariable);
+    const exceedance = variables[selectedVariable]?.exceedance;
+    const units = useSelector(selectUnits);
+    const thresholdUnits = unitConverter(exceedance?.unit, units); // thresholds are kept in the variable's own unit
+    const timeZone = useSelector(selectTimeZone);
+    const [levels, selectedLevel] = useLevels();
+    const dataSources = listDataSources();
+    const otherForecastSource = listDataSources('other')[0];
+
+    // Batch loading state (sources with capabilities.batches)
     const batchInfo = useSelector(selectBatchInfo);
+    const failedBatches = useSelector(selectFailedBatches);
+    const currentStep = useSelector(selectCurrentStepStatus);
 
     // UI state from Redux
-    const isPlaying = useSelector(selectIsPlaying);
     const opacity = useSelector(selectOpacity);
     const showWindAnimation = useSelector(selectShowWindAnimation);
     const isControlPanelExpanded = useSelector(selectIsControlPanelExpanded);
     const showGrid = useSelector(selectShowGrid);
     const showStations = useSelector(selectShowStations);
-    const selectedDataSource = useSelector(selectSelectedDataSource);
 
-    // OpenMeteo state from Redux
+    // OpenMeteo polygon state from Redux
     const drawingMode = useSelector(selectDrawingMode);
     const polygonPoints = useSelector(selectPolygonPoints);
     const polygonArea = useSelector(selectPolygonArea);
     const openMeteoData = useSelector(selectOpenMeteoData);
     const openMeteoLoading = useSelector(selectOpenMeteoLoading);
-    const openMeteoCurrentTimeIndex = useSelector(selectOpenMeteoCurrentTimeIndex);
-    const openMeteoTimeIndices = useSelector(selectOpenMeteoTimeIndices);
-    const openMeteoAnimationSpeed = useSelector(selectOpenMeteoAnimationSpeed);
-    const openMeteoIsPlaying = useSelector(selectOpenMeteoIsPlaying);
-    const openMeteoHasValidData = useSelector(selectOpenMeteoHasValidData);
+
+    // GRIB2 file state from Redux
+    const gribFileName = useSelector(selectGribFileName);
+    const gribLoading = useSelector(selectGribLoading);
+    const gribError = useSelector(selectGribError);
 
     // Mode state
     const [selectedMode, setSelectedMode] = React.useState('iith');
 
+    // Forecast source to go back to when leaving Other Forecasts
+    const [lastForecastSource, setLastForecastSource] = React.useState(null);
+    const forecastSource = selectedMode === 'other' ? getDataSource(lastForecastSource) : dataSource;
+    const nextDataSource = getNextDataSource(forecastSource.id);
+
     // Store previous WRF settings
     const [previousWRFSettings, setPreviousWRFSettings] = React.useState({
         showGrid: false,
@@ -74,86 +95,54 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
         showStations: false
     });
 
-    // Data sources
-    const dataSources = [
-        { id: 'wrf', name: 'WRF Model', icon: '🌡️' },
-        { id: 'openmeteo', name: 'OpenMeteo', icon: '🌐' }
-    ];
-
-    // Get current data source info
-    const currentDataSource = dataSources.find(ds => ds.id === selectedDataSource) || dataSources[0];
-
     // Check if polygon is complete
     const isPolygonComplete = polygonPoints.length >= 3;
     const hasPolygonPoints = polygonPoints.length > 0;
 
-    // Get appropriate time indices and current time based on data source
-    const getCurrentTimeIndices = () => {
-        if (selectedDataSource === 'openmeteo') {
-            return openMeteoTimeIndices;
-        }
-        return timeIndices;
-    };
-
-    const getCurrentTimeIndex = () => {
-        if (selectedDataSource === 'openmeteo') {
-            return openMeteoCurrentTimeIndex;
-        }
-        return currentTimeIndex;
-    };
-
-    const getCurrentAnimationSpeed = () => {
-        if (selectedDataSource === 'openmeteo') {
-            return openMeteoAnimationSpeed;
-        }
-        return animationSpeed;
-    };
-
-    const getCurrentIsPlaying = () => {
-        if (selectedDataSource === 'openmeteo') {
-            return openMeteoIsPlaying;
-        }
-        return isPlaying;
-    };
-
-    // Get min and max available time indices
-    const currentTimeIndices = getCurrentTimeIndices();
-    const [minTimeIndex, maxTimeIndex] = currentTimeIndices.length > 0
-        ? [Math.min(...currentTimeIndices), Math.max(...currentTimeIndices)] : [0, 0];
-
-    // Get total possible time indices from metadata
-    const totalTimeIndices = selectedDataSource === 'openmeteo'
-        ? (openMeteoData?.hourly?.time?.length || 0) - 1
-        : (timeRangeInfo ? timeRangeInfo.totalTimestamps - 1 : maxTimeIndex);
+    // Last selectable time index (the count comes from metadata, so it includes steps not loaded yet)
+    const totalTimeIndices = Math.max(0, timeAxis.count - 1);
 
     // Calculate loaded percentage for slider
-    const loadedPercentage = selectedDataSource === 'openmeteo'
-        ? 100
-        : (timeRangeInfo && batchInfo ? (batchInfo.loadedBatches.length / batchInfo.totalBatches) * 100 : 0);
+    const loadedPercentage = timeAxis.loaded * 100;
 
     // Simple max available calculation
-    const maxAvailableTimeIndex = currentTimeIndices.length > 0 ? Math.max(...currentTimeIndices) : 0;
+    const maxAvailableTimeIndex = timeAxis.indices.length > 0 ? timeAxis.indices[timeAxis.indices.length - 1] : 0;
+
+    // WRF batches can arrive out of order (the batch under the slider is fetched first),
+    // so the slider track shades each loaded batch rather than one contiguous range
+    const sliderTrackBackground = capabilities.batches && batchInfo && batchInfo.totalBatches > 1
+        ? `linear-gradient(to right, ${Array.from({ length: batchInfo.totalBatches }, (_, i) => {
+            const color = batchInfo.loadedBatches.includes(i + 1) ? '#dee2e6' : '#ffffff';
+            return `${color} ${(i / batchInfo.totalBatches) * 100}%, ${color} ${((i + 1) / batchInfo.totalBatches) * 100}%`;
+        }).join(', ')})`
+        : `linear-gradient(to right, 
+            #dee2e6 0%, 
+            #dee2e6 ${loadedPercentage}%, 
+            #ffffff ${loadedPercentage}%, 
+            #ffffff 100%)`;
 
     // Convert animation speed to speed multiplier
-    const speedMultiplier = 1000 / getCurrentAnimationSpeed();
+    const speedMultiplier = 1000 / timeAxis.animationSpeed;
 
     // Animation timer
     const animationTimer = React.useRef(null);
 
+    // Playback holds on a step whose batch hasn't arrived yet instead of skipping past it
+    const currentStepPendingRef = React.useRef(false);
+    currentStepPendingRef.current = capabilities.batches && Boolean(currentStep) && !currentStep.loaded;
+
     const startAnimation = React.useCallback(() => {
         if (animationTimer.current) {
             clearInterval(animationTimer.current);
             animationTimer.current = null;
         }
 
+        // The speed is per output step; interpolated playback spreads it over the step's frames
         animationTimer.current = setInterval(() => {
-            if (selectedDataSource === 'openmeteo') {
-                dispatch(advanceOpenMeteoTime());
-            } else {
-                dispatch(advanceTime());
-            }
-        }, getCurrentAnimationSpeed());
-    }, [getCurrentAnimationSpeed, dispatch, selectedDataSource]);
+            if (currentStepPendingRef.current) return;
+            dispatch(dataSource.advanceTime());
+        }, timeAxis.animationSpeed / timeAxis.framesPerStep);
+    }, [timeAxis.animationSpeed, timeAxis.framesPerStep, dispatch, dataSource]);
 
     const stopAnimation = React.useCallback(() => {
         if (animationTimer.current) {
@@ -164,27 +153,25 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
 
     // Animation control effect
     React.useEffect(() => {
-        const currentIsPlaying = getCurrentIsPlaying();
-        const hasValidData = selectedDataSource === 'openmeteo'
-            ? openMeteoHasValidData
-            : (timeIndices.length > 0);
-
-        if (currentIsPlaying && selectedMode === 'iith' && hasValidData) {
+        if (timeAxis.isPlaying && selectedMode !== 'realtime' && timeAxis.hasData) {
             startAnimation();
         } else {
             stopAnimation();
         }
 
         return stopAnimation;
-    }, [getCurrentIsPlaying, selectedMode, selectedDataSource, openMeteoHasValidData, timeIndices.length, startAnimation, stopAnimation]);
+    }, [timeAxis.isPlaying, selectedMode, timeAxis.hasData, startAnimation, stopAnimation]);
 
     // Handle data source cycling
     const handleDataSourceChange = () => {
-        const currentIndex = dataSources.findIndex(ds => ds.id === selectedDataSource);
-        const nextIndex = (currentIndex + 1) % dataSources.length;
-        const nextDataSource = dataSources[nextIndex];
+        // In Other Forecasts the toggle only picks the source to come back to
+        if (selectedMode === 'other') {
+            setLastForecastSource(nextDataSource.id);
+            return;
+        }
 
-        if (selectedDataSource === 'wrf' && nextDataSource.id === 'openmeteo') {
+        // Grid layers don't apply to every source - park their toggles and restore them on the way back
+        if (dataSource.capabilities.gridOverlay && !nextDataSource.capabilities.gridOverlay) {
             setPreviousWRFSettings({
                 showGrid: showGrid,
                 showWindAnimation: showWindAnimation,
@@ -194,15 +181,14 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
             dispatch(setShowGrid(false));
             dispatch(setShowWindAnimation(false));
             dispatch(setShowStations(false));
-        } else if (selectedDataSource === 'openmeteo' && nextDataSource.id === 'wrf') {
+        } else if (!dataSource.capabilities.gridOverlay && nextDataSource.capabilities.gridOverlay) {
             dispatch(setShowGrid(previousWRFSettings.showGrid));
             dispatch(setShowWindAnimation(previousWRFSettings.showWindAnimation));
             dispatch(setShowStations(previousWRFSettings.showStations));
         }
 
         dispatch(setSelectedDataSource(nextDataSource.id));
-        dispatch(setIsPlaying(false));
-        dispatch(setOpenMeteoIsPlaying(false));
+        dataSources.forEach(source => dispatch(source.setIsPlaying(false)));
     };
 
     const handleCityChange = (city) => {
@@ -211,32 +197,30 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
     };
 
     const handlePlayPause = () => {
-        if (selectedDataSource === 'openmeteo') {
-            dispatch(setOpenMeteoIsPlaying(!openMeteoIsPlaying));
-        } else {
-            dispatch(setIsPlaying(!isPlaying));
-        }
+        dispatch(dataSource.setIsPlaying(!timeAxis.isPlaying));
     };
 
     const handleReset = () => {
-        if (selectedDataSource === 'openmeteo') {
-            dispatch(setOpenMeteoIsPlaying(false));
-            dispatch(setOpenMeteoCurrentTimeIndex(0));
-        } else {
-            dispatch(setIsPlaying(false));
-            dispatch(setCurrentTimeIndex(0));
-        }
+        dispatch(dataSource.setIsPlaying(false));
+        dispatch(dataSource.setTimeIndex(0));
+    };
+
+    const handleVariableChange = (value) => {
+        if (dataSource.setVariable) dispatch(dataSource.setVariable(value));
     };
 
-    const handleVariableChange = (value) => dispatch(setSelectedVariable(value));
+    // '' is the surface
+    const handleLevelChange = (value) => {
+        if (dataSource.setLevel) dispatch(dataSource.setLevel(value === '' ? null : Number(value)));
+    };
 
+    // Whole steps, or fractional frames from the slider while interpolating
     const handleTimeIndexChange = (value) => {
-        const newTimeIndex = parseInt(value);
-        if (selectedDataSource === 'openmeteo') {
-            dispatch(setOpenMeteoCurrentTimeIndex(newTimeIndex));
-        } else {
-            dispatch(setCurrentTimeIndex(newTimeIndex));
-        }
+        dispatch(dataSource.setTimeIndex(Number(value)));
+    };
+
+    const handleInterpolationToggle = () => {
+        dispatch(dataSource.setTimeInterpolation(!timeAxis.interpolate));
     };
 
     // KISS: Simple opacity handler
@@ -257,15 +241,20 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
         const newSpeedMultiplier = parseFloat(value);
         const newAnimationSpeed = Math.round(1000 / newSpeedMultiplier);
 
-        if (selectedDataSource === 'openmeteo') {
-            dispatch(setOpenMeteoAnimationSpeed(newAnimationSpeed));
-        } else {
-            dispatch(setAnimationSpeed(newAnimationSpeed));
-        }
+        dispatch(dataSource.setAnimationSpeed(newAnimationSpeed));
     };
 
     const handleWindAnimationToggle = (checked) => dispatch(setShowWindAnimation(checked));
 
+    const handleGribFileChange = (e) => {
+        const file = e.target.files?.[0];
+        if (file) {
+            dispatch(dataSource.setIsPlaying(false));
+            dispatch(loadGribFile(file));
+        }
+        e.target.value = ''; // allow re-selecting the same file
+    };
+
     const handleDrawingModeToggle = () => {
         dispatch(setDrawingMode(drawingMode === 'draw' ? 'view' : 'draw'));
     };
@@ -273,7 +262,7 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
     const handleEraserMode = () => {
         dispatch(setDrawingMode('view'));
         dispatch(clearPolygonData());
-        dispatch(setOpenMeteoIsPlaying(false));
+        dispatch(dataSource.setIsPlaying(false));
     };
 
     const handleDoneClick = () => {
@@ -286,18 +275,31 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
     const handleRemovePolygonPoint = (index) => {
         dispatch(removePolygonPoint(index));
         if (polygonPoints.length <= 3) {
-            dispatch(setOpenMeteoIsPlaying(false));
+            dispatch(dataSource.setIsPlaying(false));
         }
     };
 
     const handleModeChange = (mode) => {
         setSelectedMode(mode);
 
+        // Other Forecasts has sources of its own; the forecast source comes back when leaving it
+        if (selectedMode === 'other' && mode !== 'other') {
+            const forecastSource = getDataSource(lastForecastSource);
+            dispatch(otherForecastSource.setIsPlaying(false));
+            dispatch(setSelectedDataSource(forecastSource.id));
+
+            if (mode === 'iith' && forecastSource.capabilities.gridOverlay) {
+                dispatch(setShowGrid(previousWRFSettings.showGrid));
+                dispatch(setShowWindAnimation(previousWRFSettings.showWindAnimation));
+                dispatch(setShowStations(previousWRFSettings.showStations));
+            }
+        }
+
         if (mode === 'iith') {
             dispatch(setShowZWS(false));
         } else if (mode === 'realtime') {
             if (selectedMode === 'iith') {
-                if (selectedDataSource === 'wrf') {
+                if (capabilities.gridOverlay) {
                     setPreviousWRFSettings({
                         showGrid: showGrid,
                         showWindAnimation: showWindAnimation,
@@ -312,7 +314,7 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
             dispatch(setShowStations(false));
         } else if (mode === 'other') {
             if (selectedMode === 'iith') {
-                if (selectedDataSource === 'wrf') {
+                if (capabilities.gridOverlay) {
                     setPreviousWRFSettings({
                         showGrid: showGrid,
                         showWindAnimation: showWindAnimation,
@@ -320,38 +322,23 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                     });
                 }
             }
+            if (selectedMode !== 'other') {
+                setLastForecastSource(dataSource.id);
+                dispatch(dataSource.setIsPlaying(false));
+            }
             dispatch(setShowZWS(false));
             handleViewModeChange('map');
-            dispatch(setShowGrid(false));
+            dispatch(setSelectedDataSource(otherForecastSource.id));
+            dispatch(otherForecastSource.load());
+            dispatch(setShowGrid(true));
             dispatch(setShowWindAnimation(false));
             dispatch(setShowStations(false));
         }
     };
 
-    const formatTimestampDisplay = (timestamp) => {
-        if (!timestamp) return '';
-        return timestamp.toLocaleString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-        });
-    };
-
-    const getCurrentTimestamp = () => {
-        if (selectedDataSource === 'openmeteo' && openMeteoData?.hourly?.time) {
-            const timeString = openMeteoData.hourly.time[openMeteoCurrentTimeIndex];
-            return timeString ? new Date(timeString) : null;
-        }
-        return currentTimestamp;
-    };
-
-    const currentProgress = totalTimeIndices > 0 ? (getCurrentTimeIndex() / totalTimeIndices) * 100 : 0;
+    const formatTimestampDisplay = (timestamp) => formatTime(timestamp, timeZone);
 
-    const shouldShowAnimationControls = selectedDataSource === 'openmeteo'
-        ? openMeteoHasValidData
-        : (batchInfo !== null);
+    const shouldShowAnimationControls = timeAxis.ready;
 
     return (
         <div className={`absolute top-0 left-0 bg-white shadow-lg p-3 sm:p-4 z-40 
@@ -396,7 +383,7 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                             <MapPin className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
                             <div className="text-left flex-1">
                                 <div className="font-medium text-sm sm:text-base">Forecast</div>
-                                <div className="text-xs opacity-75">{currentDataSource.name}</div>
+                                <div className="text-xs opacity-75">{forecastSource.name}</div>
                             </div>
                         </button>
 
@@ -406,7 +393,7 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                                 ? 'border-blue-300 text-blue-600 hover:bg-blue-100'
                                 : 'border-gray-200 text-gray-500'
                                 }`}
-                            title={`Switch to ${dataSources[(dataSources.findIndex(ds => ds.id === selectedDataSource) + 1) % dataSources.length].name}`}>
+                            title={`Switch to ${nextDataSource.name}`}>
                             <ChevronRight className="w-3 h-3 sm:w-4 sm:h-4" />
                         </button>
                     </div>
@@ -440,9 +427,11 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
             </div>
 
             <div className="flex flex-col flex-1 overflow-y-auto overflow-x-hidden">
-                {selectedMode === 'iith' && (
+                {selectedMode === 'other' && <AIModelControls />}
+
+                {(selectedMode === 'iith' || selectedMode === 'other') && (
                     <>
-                        {selectedDataSource !== 'openmeteo' && (
+                        {capabilities.dataTable && (
                             <div className="mb-3 sm:mb-4">
                                 <label className="block text-sm font-medium text-gray-700 mb-2">View Mode</label>
                                 <div className="p-1 bg-gray-100 rounded-lg">
@@ -473,30 +462,67 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                             </div>
                         )}
 
+                        {levels.length > 0 && (
+                            <div className="mb-3 sm:mb-4">
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Level</label>
+                                <select
+                                    value={selectedLevel ?? ''}
+                                    onChange={(e) => handleLevelChange(e.target.value)}
+                                    className="w-full py-2 sm:py-2.5 px-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent cursor-pointer text-sm">
+                                    <option value="">Surface</option>
+                                    {levels.map(level => (
+                                        <option key={level} value={level}>{level} hPa</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         <div className="mb-3 sm:mb-4">
                             <label className="block text-sm font-medium text-gray-700 mb-2">Weather Variable</label>
                             <select
-                                value={selectedVariable}
+                                value={selectedVariable || ''}
                                 onChange={(e) => handleVariableChange(e.target.value)}
                                 className="w-full py-2 sm:py-2.5 px-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent cursor-pointer text-sm">
-                                {selectedDataSource === 'openmeteo' ? (
-                                    <option value="temperature_2m">Temperature (°C)</option>
-                                ) : (
-                                    Object.entries(weatherVariables).map(([key, info]) => (
+                                {Object.entries(variables)
+                                    .filter(([, info]) => !info.tooltipOnly && !info.group)
+                                    .map(([key, info]) => (
                                         <option key={key} value={key}>
-                                            {info.name} ({info.unit})
+                                            {info.name} ({variableConverter(info, units).unit})
                                         </option>
-                                    ))
-                                )}
+                                    ))}
+                                {[...new Set(Object.values(variables).map(info => info.group).filter(Boolean))].map(group => (
+                                    <optgroup key={group} label={group}>
+                                        {Object.entries(variables)
+                                            .filter(([, info]) => info.group === group)
+                                            .map(([key, info]) => (
+                                                <option key={key} value={key}>
+                                                    {info.name} ({variableConverter(info, units).unit})
+                                                </option>
+                                            ))}
+                                    </optgroup>
+                                ))}
                             </select>
+
+                            {/* Probability layers: the threshold the members are counted against */}
+                            {exceedance && (
+                                <label className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+                                    Threshold
+                                    <input type="number" step="any" key={`${selectedVariable}-${exceedance.threshold}-${thresholdUnits.unit}`}
+                                        defaultValue={parseFloat(thresholdUnits.convert(exceedance.threshold).toFixed(2))}
+                                        onBlur={(e) => dispatch(setExceedanceThreshold(exceedance.variable, thresholdUnits.invert(parseFloat(e.target.value))))}
+                                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                                        className="w-20 p-1 border border-gray-300 rounded text-xs" />
+                                    {thresholdUnits.unit}
+                                </label>
+                            )}
                         </div>
 
                         <div className="mb-3 sm:mb-4">
                             <label className="block text-sm font-medium text-gray-700 mb-2">
-                                {selectedDataSource === 'openmeteo' ? 'Draw Polygon' : 'Layout'}
+                                {capabilities.polygonDrawing ? 'Draw Polygon' : 'Layout'}
                             </label>
 
-                            {selectedDataSource === 'openmeteo' ? (
+                            {capabilities.polygonDrawing ? (
                                 <div className="space-y-3">
                                     <div className="grid grid-cols-4 gap-2 w-full">
                                         <button
@@ -623,37 +649,65 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                                         <span className="text-xs sm:text-sm font-medium text-gray-700">Grid</span>
                                     </button>
 
-                                    <button
-                                        onClick={() => dispatch(setShowStations(!showStations))}
-                                        className={`flex items-center gap-2 px-3 py-2 sm:py-2.5 border rounded-md cursor-pointer 
-                                        ${showStations ? 'bg-white border-gray-300' : 'bg-gray-100 border-gray-200'}
-                                        hover:border-blue-500 focus:outline-none focus:ring-0`}>
-                                        {showStations ? (
-                                            <Eye className="w-3 h-3 sm:w-4 sm:h-4 text-green-600" />
-                                        ) : (
-                                            <EyeOff className="w-3 h-3 sm:w-4 sm:h-4 text-gray-400" />
-                                        )}
-                                        <RadioTower className="w-3 h-3 sm:w-4 sm:h-4 text-blue-500" />
-                                        <span className="text-xs sm:text-sm font-medium text-gray-700">AWS</span>
-                                    </button>
+                                    {capabilities.stations && (
+                                        <button
+                                            onClick={() => dispatch(setShowStations(!showStations))}
+                                            className={`flex items-center gap-2 px-3 py-2 sm:py-2.5 border rounded-md cursor-pointer 
+                                            ${showStations ? 'bg-white border-gray-300' : 'bg-gray-100 border-gray-200'}
+                                            hover:border-blue-500 focus:outline-none focus:ring-0`}>
+                                            {showStations ? (
+                                                <Eye className="w-3 h-3 sm:w-4 sm:h-4 text-green-600" />
+                                            ) : (
+                                                <EyeOff className="w-3 h-3 sm:w-4 sm:h-4 text-gray-400" />
+                                            )}
+                                            <RadioTower className="w-3 h-3 sm:w-4 sm:h-4 text-blue-500" />
+                                            <span className="text-xs sm:text-sm font-medium text-gray-700">AWS</span>
+                                        </button>
+                                    )}
 
-                                    <button
-                                        onClick={() => handleWindAnimationToggle(!showWindAnimation)}
-                                        className={`flex items-center gap-2 px-3 py-2 sm:py-2.5 border rounded-md cursor-pointer 
-                                        ${showWindAnimation ? 'bg-white border-gray-300' : 'bg-gray-100 border-gray-200'}
-                                        hover:border-blue-500 focus:outline-none focus:ring-0`}>
-                                        {showWindAnimation ? (
-                                            <Eye className="w-3 h-3 sm:w-4 sm:h-4 text-green-600" />
-                                        ) : (
-                                            <EyeOff className="w-3 h-3 sm:w-4 sm:h-4 text-gray-400" />
-                                        )}
-                                        <Wind className="w-3 h-3 sm:w-4 sm:h-4 text-blue-500" />
-                                        <span className="text-xs sm:text-sm font-medium text-gray-700">Wind</span>
-                                    </button>
+                                    {capabilities.windOverlay && (
+                                        <button
+                                            onClick={() => handleWindAnimationToggle(!showWindAnimation)}
+                                            className={`flex items-center gap-2 px-3 py-2 sm:py-2.5 border rounded-md cursor-pointer 
+                                            ${showWindAnimation ? 'bg-white border-gray-300' : 'bg-gray-100 border-gray-200'}
+                                            hover:border-blue-500 focus:outline-none focus:ring-0`}>
+                                            {showWindAnimation ? (
+                                                <Eye className="w-3 h-3 sm:w-4 sm:h-4 text-green-600" />
+                                            ) : (
+                                                <EyeOff className="w-3 h-3 sm:w-4 sm:h-4 text-gray-400" />
+                                            )}
+                                            <Wind className="w-3 h-3 sm:w-4 sm:h-4 text-blue-500" />
+                                            <span className="text-xs sm:text-sm font-medium text-gray-700">Wind</span>
+                                        </button>
+                                    )}
                                 </div>
                             )}
                         </div>
 
+                        {capabilities.localFiles && (
+                            <div className="mb-3 sm:mb-4">
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Local File</label>
+                                <label className={`flex items-center gap-2 px-3 py-2 sm:py-2.5 border rounded-md bg-gray-100 border-gray-200 text-gray-700
+                                    ${gribLoading ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:border-blue-500'}`}>
+                                    {gribLoading ? (
+                                        <RotateCcw className="w-3 h-3 sm:w-4 sm:h-4 animate-spin" />
+                                    ) : (
+                                        <Upload className="w-3 h-3 sm:w-4 sm:h-4 text-blue-500" />
+                                    )}
+                                    <span className="text-xs sm:text-sm font-medium truncate">
+                                        {gribLoading ? 'Decoding GRIB2...' : (gribFileName || 'Load GRIB2 file')}
+                                    </span>
+                                    <input type="file" accept=".grib2,.grb2,.grib,.grb"
+                                        disabled={gribLoading}
+                                        onChange={handleGribFileChange}
+                                        className="hidden" />
+                                </label>
+                                {gribError && (
+                                    <div className="text-xs text-red-600 bg-red-50 p-2 rounded mt-2">{gribError}</div>
+                                )}
+                            </div>
+                        )}
+
                         {shouldShowAnimationControls && (
                             <div className="mb-3 sm:mb-4 space-y-3 sm:space-y-4">
                                 <div className="flex items-center gap-3">
@@ -679,6 +733,23 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                                         onChange={(e) => handleSpeedMultiplierChange(parseFloat(e.target.value))}
                                         className="w-full h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 accent-blue-500" />
                                 </div>
+
+                                {dataSource.setTimeInterpolation && (
+                                    <div className="flex items-center justify-between gap-3">
+                                        <span className="text-xs sm:text-sm font-medium text-gray-700">
+                                            Smooth playback
+                                            {timeAxis.interpolate && (
+                                                <span className="font-normal text-gray-500"> · {timeAxis.framesPerStep} frames/step</span>
+                                            )}
+                                        </span>
+                                        <button onClick={handleInterpolationToggle} className="cursor-pointer"
+                                            title="Blend the grids of neighbouring steps into in-between frames">
+                                            {timeAxis.interpolate
+                                                ? <ToggleRight className="w-6 h-6 text-blue-500" />
+                                                : <ToggleLeft className="w-6 h-6 text-gray-400" />}
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                         )}
 
@@ -687,8 +758,8 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                                 <div className="flex flex-row items-start sm:items-center gap-3 mb-3 sm:mb-4">
                                     <div className="flex items-center gap-2">
                                         <button
-                                            onClick={() => handleTimeIndexChange(Math.max(0, getCurrentTimeIndex() - 1))}
-                                            disabled={getCurrentTimeIndex() === 0}
+                                            onClick={() => handleTimeIndexChange(Math.max(0, Math.ceil(timeAxis.frame) - 1))}
+                                            disabled={timeAxis.frame === 0}
                                             className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed cursor-pointer shadow-sm">
                                             <SkipBack className="w-3 h-3 sm:w-4 sm:h-4" />
                                         </button>
@@ -696,18 +767,18 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                                         <button
                                             onClick={handlePlayPause}
                                             className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer shadow-sm">
-                                            {getCurrentIsPlaying() ? <Pause className="w-3 h-3 sm:w-4 sm:h-4" /> : <Play className="w-3 h-3 sm:w-4 sm:h-4" />}
+                                            {timeAxis.isPlaying ? <Pause className="w-3 h-3 sm:w-4 sm:h-4" /> : <Play className="w-3 h-3 sm:w-4 sm:h-4" />}
                                         </button>
 
                                         <button
-                                            onClick={() => handleTimeIndexChange(getCurrentTimeIndex() + 1)}
+                                            onClick={() => handleTimeIndexChange(Math.min(totalTimeIndices, timeAxis.current + 1))}
                                             className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer shadow-sm">
                                             <SkipForward className="w-3 h-3 sm:w-4 sm:h-4" />
                                         </button>
 
                                         <button
                                             onClick={handleReset}
-                                            disabled={getCurrentTimeIndex() === 0}
+                                            disabled={timeAxis.frame === 0}
                                             className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed cursor-pointer shadow-sm">
                                             <RotateCcw className="w-3 h-3 sm:w-4 sm:h-4" />
                                         </button>
@@ -715,10 +786,10 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
 
                                     <div className="flex items-center gap-3 px-4 py-2 bg-blue-50 border border-blue-200 rounded-lg">
                                         <div className="text-sm font-semibold text-blue-700">
-                                            {getCurrentTimestamp() ? formatTimestampDisplay(getCurrentTimestamp()) : 'Loading...'}
+                                            {timeAxis.frameTimestamp ? formatTimestampDisplay(timeAxis.frameTimestamp) : 'Loading...'}
                                         </div>
                                         <div className="text-xs text-blue-500">
-                                            {getCurrentTimeIndex() + 1} / {totalTimeIndices + 1}
+                                            {timeAxis.current + 1} / {totalTimeIndices + 1}
                                         </div>
                                     </div>
                                 </div>
@@ -759,23 +830,21 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                                             type="range"
                                             min={0}
                                             max={totalTimeIndices}
-                                            value={getCurrentTimeIndex()}
+                                            step={1 / timeAxis.framesPerStep}
+                                            value={timeAxis.frame}
                                             onChange={(e) => {
-                                                const newValue = parseInt(e.target.value);
-                                                if (newValue <= maxAvailableTimeIndex) handleTimeIndexChange(newValue);
+                                                const newValue = parseFloat(e.target.value);
+                                                // Steps of some sources can be selected before they arrive - they are fetched first
+                                                if (capabilities.stepsOnDemand || newValue <= maxAvailableTimeIndex) handleTimeIndexChange(newValue);
                                             }}
                                             onMouseMove={(e) => {
                                                 const rect = e.target.getBoundingClientRect();
                                                 const percentage = (e.clientX - rect.left) / rect.width * 100;
-                                                e.target.style.cursor = percentage > loadedPercentage ? 'not-allowed' : 'pointer';
+                                                e.target.style.cursor = percentage > loadedPercentage ? 'progress' : 'pointer';
                                             }}
                                             className="smart-slider w-full h-2 rounded-lg appearance-none cursor-pointer"
                                             style={{
-                                                background: `linear-gradient(to right, 
-                                                    #dee2e6 0%, 
-                                                    #dee2e6 ${loadedPercentage}%, 
-                                                    #ffffff ${loadedPercentage}%, 
-                                                    #ffffff 100%)`,
+                                                background: sliderTrackBackground,
                                                 border: '1px solid #d1d5db'
                                             }}
                                         />
@@ -783,31 +852,32 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
 
                                     <div className="flex justify-between text-xs text-gray-500 mt-1">
                                         <span className="hidden sm:inline">
-                                            {selectedDataSource === 'openmeteo'
-                                                ? (openMeteoData?.hourly?.time?.[0] ? formatTimestampDisplay(new Date(openMeteoData.hourly.time[0])) : 'Start')
-                                                : (timeRangeInfo ? formatTimestampDisplay(timeRangeInfo.startDate) : 'Start')
-                                            }
+                                            {timeAxis.start ? formatTimestampDisplay(timeAxis.start) : 'Start'}
                                         </span>
                                         <span className="sm:hidden text-xs">Start</span>
                                         <span className="text-blue-600 font-medium text-xs">
-                                            {selectedDataSource === 'openmeteo'
-                                                ? `${openMeteoData?.hourly?.time?.length || 0}/${openMeteoData?.hourly?.time?.length || 0} loaded`
-                                                : `${currentTimeIndices.length}/${timeRangeInfo?.totalTimestamps || 0} loaded`
-                                            }
+                                            {`${timeAxis.indices.length}/${timeAxis.count} loaded`}
                                         </span>
                                         <span className="hidden sm:inline">
-                                            {selectedDataSource === 'openmeteo'
-                                                ? (openMeteoData?.hourly?.time ? formatTimestampDisplay(new Date(openMeteoData.hourly.time[openMeteoData.hourly.time.length - 1])) : 'End')
-                                                : (timeRangeInfo ? formatTimestampDisplay(timeRangeInfo.endDate) : 'End')
-                                            }
+                                            {timeAxis.end ? formatTimestampDisplay(timeAxis.end) : 'End'}
                                         </span>
                                         <span className="sm:hidden text-xs">End</span>
                                     </div>
+
+                                    {capabilities.batches && failedBatches.length > 0 && (
+                                        <div className="flex items-center justify-between mt-2 px-2 py-1 bg-red-50 border border-red-200 rounded text-xs text-red-700">
+                                            <span>{failedBatches.length} batch{failedBatches.length > 1 ? 'es' : ''} failed to load</span>
+                                            <button onClick={() => dispatch(retryFailedBatches())}
+                                                className="flex items-center gap-1 font-medium hover:text-red-900 cursor-pointer">
+                                                <RotateCcw className="w-3 h-3" /> Retry
+                                            </button>
+                                        </div>
+                                    )}
                                 </div>
                             </div>
                         )}
 
-                        {selectedDataSource === 'openmeteo' && !shouldShowAnimationControls && polygonPoints.length === 0 && !openMeteoLoading && (
+                        {capabilities.polygonDrawing && !shouldShowAnimationControls && polygonPoints.length === 0 && !openMeteoLoading && (
                             <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
                                 <div className="text-sm text-amber-800">
                                     <div className="font-medium mb-1">Draw a polygon to get started:</div>
@@ -819,30 +889,20 @@ const ControlPanel = ({ viewMode, handleViewModeChange }) => {
                                 </div>
                             </div>
                         )}
-                    </>
-                )}
 
-                {selectedMode === 'other' && (
-                    <div className="mb-3 sm:mb-4 p-3 sm:p-4 bg-gray-50 rounded-lg">
-                        <h3 className="font-medium text-gray-700 mb-2 text-sm sm:text-base">Other Forecast Models</h3>
-                        <div className="space-y-2 text-xs sm:text-sm text-gray-600">
-                            <div className="flex items-center gap-2">
-                                <div className="w-2 h-2 bg-blue-500 rounded-full flex-shrink-0"></div>
-                                <span>Pangu-Weather (Coming Soon)</span>
-                            </div>
-                            <div className="flex items-center gap-2">
-                                <div className="w-2 h-2 bg-green-500 rounded-full flex-shrink-0"></div>
-                                <span>GraphCast (Coming Soon)</span>
-                            </div>
-                            <div className="flex items-center gap-2">
-                                <div className="w-2 h-2 bg-purple-500 rounded-full flex-shrink-0"></div>
-                                <span>Other Models (Coming Soon)</span>
-                            </div>
-                        </div>
-                    </div>
+                        <RasterControls />
+
+                        {capabilities.batches && <RunControls />}
+
+                        {capabilities.batches && <ExpressionLayers />}
+
+                        {capabilities.batches && <CacheInspector />}
+                    </>
                 )}
 
                 {selectedMode === 'realtime' && <ZWSControls />}
+
+                <UnitControls />
             </div>
         </div>
     );
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Sigma, ChevronUp, ChevronDown, Pencil, Trash2, Plus } from 'lucide-react';
+
+import { colorScale } from '../hooks/helper';
+import { isExpressionKey } from '../hooks/expression';
+import { setSelectedVariable, selectSelectedVariable, selectWeatherVariables } from '../redux/slices/weatherSlice';
+import { saveExpressionLayer, removeExpressionLayer, selectExpressionLayers } from '../redux/slices/expressionSlice';
+
+const EMPTY_FORM = { key: null, name: '', expression: '', unit: '', colorScale: 'T2' };
+
+// Custom layers: the user's saved expressions, and the editor to add or change one
+const ExpressionLayers = () => {
+    const dispatch = useDispatch();
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [form, setForm] = useState(null); // EMPTY_FORM or a layer being edited, null when closed
+    const [error, setError] = useState(null);
+
+    const layers = useSelector(selectExpressionLayers);
+    const selectedVariable = useSelector(selectSelectedVariable);
+    const variables = useSelector(selectWeatherVariables);
+
+    // What an expression can read: the run's variables and derived ones, not other expressions or probabilities
+    const readable = Object.keys(variables).filter(key => !isExpressionKey(key) && !variables[key].exceedance);
+
+    const openForm = (layer = EMPTY_FORM) => {
+        setForm({ ...EMPTY_FORM, ...layer });
+        setError(null);
+    };
+
+    const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const result = dispatch(saveExpressionLayer(form));
+        if (result.error) {
+            setError(result.error);
+            return;
+        }
+        setForm(null);
+        setError(null);
+    };
+
+    return (
+        <div className="mb-3 sm:mb-4 border border-gray-200 rounded-lg">
+            <button onClick={() => setIsExpanded(!isExpanded)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-700 cursor-pointer">
+                <span className="flex items-center gap-2">
+                    <Sigma className="w-4 h-4 text-blue-500" />
+                    Custom Layers
+                    {layers.length > 0 && <span className="text-xs font-normal text-gray-500">{layers.length}</span>}
+                </span>
+                {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+
+            {isExpanded && (
+                <div className="px-3 pb-3 space-y-2 text-xs text-gray-600">
+                    {layers.map(layer => (
+                        <div key={layer.key}
+                            className={`flex items-center gap-2 p-1.5 border rounded ${layer.key === selectedVariable ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}>
+                            <button onClick={() => dispatch(setSelectedVariable(layer.key))}
+                                className="flex-1 min-w-0 text-left cursor-pointer" title={layer.expression}>
+                                <div className="font-medium text-gray-700 truncate">
+                                    {layer.name}{layer.unit && <span className="font-normal text-gray-500"> ({layer.unit})</span>}
+                                </div>
+                                <div className="font-mono text-gray-500 truncate">{layer.expression}</div>
+                            </button>
+                            <button onClick={() => openForm(layer)} title="Edit"
+                                className="p-1 text-gray-500 hover:text-blue-600 cursor-pointer">
+                                <Pencil className="w-3 h-3" />
+                            </button>
+                            <button onClick={() => dispatch(removeExpressionLayer(layer.key))} title="Delete"
+                                className="p-1 text-gray-500 hover:text-red-600 cursor-pointer">
+                                <Trash2 className="w-3 h-3" />
+                            </button>
+                        </div>
+                    ))}
+
+                    {form ? (
+                        <form onSubmit={handleSave} className="space-y-1.5">
+                            <input type="text" value={form.name} onChange={updateForm('name')} placeholder="Name"
+                                className="w-full p-1.5 border border-gray-300 rounded text-xs" />
+                            <textarea value={form.expression} onChange={updateForm('expression')} rows={2}
+                                placeholder="e.g. T2 - TSK, RH > 80 && T2 > 30"
+                                className="w-full p-1.5 border border-gray-300 rounded text-xs font-mono" />
+                            <div className="flex gap-1">
+                                <input type="text" value={form.unit} onChange={updateForm('unit')} placeholder="Unit"
+                                    className="w-20 p-1.5 border border-gray-300 rounded text-xs" />
+                                <select value={form.colorScale} onChange={updateForm('colorScale')} title="Colour scale"
+                                    className="flex-1 p-1.5 border border-gray-300 rounded text-xs bg-white cursor-pointer">
+                                    {Object.keys(colorScale).map(scale => <option key={scale} value={scale}>{scale}</option>)}
+                                </select>
+                            </div>
+                            {readable.length > 0 && (
+                                <div className="text-gray-400 break-words">Variables: {readable.join(', ')}</div>
+                            )}
+                            {error && <div className="text-red-600 bg-red-50 p-2 rounded">{error}</div>}
+                            <div className="flex gap-1">
+                                <button type="submit"
+                                    className="flex-1 p-1.5 bg-blue-500 text-white rounded hover:bg-blue-600 cursor-pointer">
+                                    {form.key ? 'Save' : 'Add layer'}
+                                </button>
+                                <button type="button" onClick={() => setForm(null)}
+                                    className="flex-1 p-1.5 border border-gray-300 rounded hover:border-gray-400 cursor-pointer">
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    ) : (
+                        <button onClick={() => openForm()}
+                            className="w-full flex items-center justify-center gap-1 p-1.5 border border-gray-300 rounded hover:border-blue-500 cursor-pointer">
+                            <Plus className="w-3 h-3" />
+                            New layer
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExpressionLayers;
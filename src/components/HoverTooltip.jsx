@@ -1,19 +1,43 @@
 import React from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 
-import { selectWeatherVariables } from '../redux/slices/weatherSlice';
-import { selectHoverData } from '../redux/slices/uiSlice';
+import { getDataSource } from '../dataSources';
+import { unitConverter, variableConverter } from '../hooks/units';
+import { formatTime } from '../hooks/time';
+import { selectHoverData, selectSelectedDataSource } from '../redux/slices/uiSlice';
+import { selectRasterHover, selectRasterLayer } from '../redux/slices/rasterSlice';
+import { selectUnits, selectTimeZone } from '../redux/slices/unitsSlice';
 
-const HoverTooltip = () => {
-    const weatherVariables = useSelector(selectWeatherVariables);
-    const hoverData = useSelector(selectHoverData);
+// The hovered grid cell's values, when `showGridHover` (zoomed in far enough on loaded data), and
+// the raster layer's value under the mouse either way
+const HoverTooltip = ({ showGridHover = true }) => {
+    const gridHover = useSelector(selectHoverData);
+    const hoverData = showGridHover ? gridHover : null;
+    const selectedDataSource = useSelector(selectSelectedDataSource);
 
-    if (!hoverData) return null;
-    const { position, data, center, variable, source, temperature, location } = hoverData;
+    // Overlays may tag hover data with the source it came from; otherwise it's the selected one
+    const dataSource = getDataSource(hoverData?.source || selectedDataSource);
+    const weatherVariables = useSelector(dataSource.selectVariables);
+    const units = useSelector(selectUnits);
+    const validTime = useSelector(dataSource.selectTimeAxis).timestamp;
+    const timeZone = useSelector(selectTimeZone);
 
-    // Check if this is OpenMeteo data or WRF data
-    const isOpenMeteoData = source === 'openmeteo';
-    const dataSource = isOpenMeteoData ? 'OpenMeteo Data' : 'WRF Data (IIT-H)';
+    // Value of the raster (COG) layer under the mouse, shown on its own when no grid cell is hovered
+    const rasterHover = useSelector(selectRasterHover);
+    const rasterLayer = useSelector(selectRasterLayer);
+    const rasterUnits = unitConverter(rasterLayer?.unit, units);
+    const rasterRow = rasterHover && rasterLayer && (
+        <div className="flex justify-between text-xs">
+            <span>{rasterLayer.name}:</span>
+            <span>{rasterUnits.convert(rasterHover.value).toFixed(2)} {rasterUnits.unit}</span>
+        </div>
+    );
+
+    if (!hoverData && !rasterRow) return null;
+    const { position, data = {}, center, variable, temperature, domain } = hoverData || rasterHover;
+    const title = hoverData ? dataSource.tooltipTitle || dataSource.name : 'Raster layer';
+    const temperatureUnits = unitConverter('°C', units); // the hover calculation's temperature
+    const domainLabel = domain ? `d${String(domain).padStart(2, '0')}` : null; // nested domain the values come from
 
     return (
         <div
@@ -22,22 +46,27 @@ const HoverTooltip = () => {
                 left: position.x + 10, top: position.y - 10,
                 transform: position.y < 100 ? 'translateY(0)' : 'translateY(-100%)'
             }}>
-            <div className="text-sm font-semibold mb-2">{dataSource}</div>
+            <div className="text-sm font-semibold mb-2">
+                {title}
+                {domainLabel && <span className="ml-1 text-xs font-normal text-gray-500">· {domainLabel}</span>}
+            </div>
             <div className="text-xs text-gray-600 mb-2">
                 Lat: {center[0].toFixed(4)}, Lng: {center[1].toFixed(4)}
+                {hoverData && validTime && <div>Valid: {formatTime(validTime, timeZone)}</div>}
             </div>
             <div className="space-y-1">
                 {/* Show temperature first if available from hover calculation */}
                 {temperature !== undefined && (
                     <div className="flex justify-between text-xs font-semibold text-blue-600">
                         <span>Temperature:</span>
-                        <span>{temperature}°C</span>
+                        <span>{temperatureUnits.convert(Number(temperature)).toFixed(1)}{temperatureUnits.unit}</span>
                     </div>
                 )}
                 
                 {Object.entries(data).map(([key, value]) => {
                     const varInfo = weatherVariables[key];
-                    if (!varInfo) return null;
+                    if (!varInfo || value === null || value === undefined) return null;
+                    const { unit, convert } = variableConverter(varInfo, units);
 
                     // Skip temperature if we already showed it from hover calculation
                     if (temperature !== undefined && (key === 'temperature_2m' || key === 'T2')) {
@@ -47,10 +76,12 @@ const HoverTooltip = () => {
                     return (
                         <div key={key} className={`flex justify-between text-xs ${key === variable ? 'font-semibold text-blue-600' : ''}`}>
                             <span>{varInfo.name}:</span>
-                            <span>{value.toFixed(2)} {varInfo.unit}</span>
+                            <span>{convert(value).toFixed(2)} {unit}</span>
                         </div>
                     );
                 })}
+
+                {rasterRow}
             </div>
         </div>
     );
@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { WifiOff } from 'lucide-react';
+
+import { useDataSource } from '../dataSources';
+import { formatTime } from '../hooks/time';
+import { selectTimeZone } from '../redux/slices/unitsSlice';
+
+// Shown while the browser is offline, or while the map shows data saved by an earlier
+// session (last cached WRF run / last Open-Meteo response) because the live source failed
+const OfflineBanner = () => {
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const dataSource = useDataSource();
+    const dataTime = useSelector(dataSource.selectOfflineSince);
+    const timeZone = useSelector(selectTimeZone);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    if (isOnline && !dataTime) return null;
+
+    return (
+        <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-[1100] flex items-center gap-2 px-3 py-1.5 rounded-full bg-amber-100 border border-amber-300 text-amber-800 text-xs sm:text-sm shadow-md">
+            <WifiOff className="w-4 h-4 flex-shrink-0" />
+            <span>
+                {isOnline ? 'Data source unreachable' : 'Offline'}
+                {dataTime ? ` – data from ${formatTime(dataTime, timeZone)}` : ' – showing data loaded earlier'}
+            </span>
+        </div>
+    );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Layers, Eye, EyeOff, ChevronUp, ChevronDown, RotateCcw, Plus } from 'lucide-react';
+import { colorScale } from '../hooks/helper';
+import { unitConverter } from '../hooks/units';
+
+import {
+    setRasterShown, setRasterLayer, setRasterBand, addRasterUrl, fetchRasterCatalog, loadRasterView,
+    selectShowRaster, selectRasterLayers, selectRasterLayer, selectRasterCatalogStatus, selectRasterCatalogError,
+    selectRasterBand, selectRasterBands, selectRasterLoading, selectRasterError, selectRasterUrl, selectRasterImage
+} from '../redux/slices/rasterSlice';
+import { selectUnits } from '../redux/slices/unitsSlice';
+
+// Layer picker, band picker and colour range for the COG raster overlay
+const RasterControls = () => {
+    const dispatch = useDispatch();
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [urlInput, setUrlInput] = useState('');
+
+    const show = useSelector(selectShowRaster);
+    const layers = useSelector(selectRasterLayers);
+    const layer = useSelector(selectRasterLayer);
+    const catalogStatus = useSelector(selectRasterCatalogStatus);
+    const catalogError = useSelector(selectRasterCatalogError);
+    const band = useSelector(selectRasterBand);
+    const bands = useSelector(selectRasterBands);
+    const loading = useSelector(selectRasterLoading);
+    const error = useSelector(selectRasterError);
+    const url = useSelector(selectRasterUrl);
+    const image = useSelector(selectRasterImage);
+    const units = useSelector(selectUnits);
+    const { unit, convert } = unitConverter(layer?.unit, units);
+
+    const handleExpand = () => {
+        if (!isExpanded && catalogStatus === 'idle') dispatch(fetchRasterCatalog());
+        setIsExpanded(!isExpanded);
+    };
+
+    const handleAddUrl = (e) => {
+        e.preventDefault();
+        if (!urlInput.trim()) return;
+        dispatch(addRasterUrl(urlInput.trim()));
+        if (!show) dispatch(setRasterShown(true));
+        setUrlInput('');
+    };
+
+    const scale = colorScale[layer?.colorScale] || colorScale.T2;
+    const min = layer?.min ?? image?.min;
+    const max = layer?.max ?? image?.max;
+
+    return (
+        <div className="mb-3 sm:mb-4 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between px-3 py-2">
+                <button onClick={handleExpand}
+                    className="flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer">
+                    <Layers className="w-4 h-4 text-blue-500" />
+                    Raster
+                    {layer && <span className="text-xs font-normal text-gray-500 truncate max-w-32">{layer.name}</span>}
+                    {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </button>
+                <button onClick={() => dispatch(setRasterShown(!show))}
+                    className="p-1 rounded hover:bg-gray-100 cursor-pointer"
+                    title={show ? 'Hide raster layer' : 'Show raster layer'}>
+                    {show ? <Eye className="w-4 h-4 text-green-600" /> : <EyeOff className="w-4 h-4 text-gray-400" />}
+                </button>
+            </div>
+
+            {isExpanded && (
+                <div className="px-3 pb-3 space-y-2 text-xs text-gray-600">
+                    {catalogStatus === 'loading' && <div className="text-gray-400">Loading layers...</div>}
+                    {catalogStatus === 'failed' && (
+                        <div className="flex items-center justify-between text-red-600 bg-red-50 p-2 rounded">
+                            <span>{catalogError}</span>
+                            <button onClick={() => dispatch(fetchRasterCatalog())}
+                                className="flex items-center gap-1 font-medium hover:text-red-800 cursor-pointer">
+                                <RotateCcw className="w-3 h-3" /> Retry
+                            </button>
+                        </div>
+                    )}
+
+                    {layers.length > 0 ? (
+                        <select value={layer?.id || ''} onChange={(e) => dispatch(setRasterLayer(e.target.value))}
+                            className="w-full p-1.5 border border-gray-300 rounded text-xs bg-white cursor-pointer">
+                            {layers.map(l => (
+                                <option key={l.id} value={l.id}>{l.name}{l.times.length > 0 ? ` (${l.times.length} times)` : ''}</option>
+                            ))}
+                        </select>
+                    ) : catalogStatus === 'loaded' && (
+                        <div className="text-gray-400">No layers listed - add a COG URL below</div>
+                    )}
+
+                    {bands.length > 1 && (
+                        <select value={band} onChange={(e) => dispatch(setRasterBand(Number(e.target.value)))}
+                            className="w-full p-1.5 border border-gray-300 rounded text-xs bg-white cursor-pointer">
+                            {bands.map((name, i) => <option key={i} value={i}>{name}</option>)}
+                        </select>
+                    )}
+
+                    <form onSubmit={handleAddUrl} className="flex gap-1">
+                        <input type="text" value={urlInput} onChange={(e) => setUrlInput(e.target.value)}
+                            placeholder="COG URL (.tif)"
+                            className="flex-1 min-w-0 p-1.5 border border-gray-300 rounded text-xs" />
+                        <button type="submit" className="px-2 border border-gray-300 rounded hover:border-blue-500 cursor-pointer" title="Add layer">
+                            <Plus className="w-3 h-3" />
+                        </button>
+                    </form>
+
+                    {show && layer && min != null && max != null && (
+                        <div className="flex items-center gap-1">
+                            <span>{convert(min).toFixed(1)}</span>
+                            <div className="flex-1 h-3 rounded"
+                                style={{ background: `linear-gradient(to right, ${scale.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ')})` }} />
+                            <span>{convert(max).toFixed(1)}{unit && ` ${unit}`}</span>
+                        </div>
+                    )}
+
+                    {show && loading && <div className="text-gray-400">Reading tiles...</div>}
+                    {show && url && image && !loading && (
+                        <div className="text-gray-400 truncate" title={url}>
+                            {url.split('/').pop()} · {image.level === 0 ? 'full resolution' : `overview ${image.level}`}
+                        </div>
+                    )}
+                    {show && image === null && url && !loading && !error && (
+                        <div className="text-gray-400">The layer doesn't cover this view</div>
+                    )}
+                    {show && error && (
+                        <div className="flex items-center justify-between text-red-600 bg-red-50 p-2 rounded">
+                            <span>{error}</span>
+                            <button onClick={() => dispatch(loadRasterView())}
+                                className="flex items-center gap-1 font-medium hover:text-red-800 cursor-pointer">
+                                <RotateCcw className="w-3 h-3" /> Retry
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RasterControls;
@@ -0,0 +1,243 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { GitCompare, X, RotateCcw } from 'lucide-react';
+
+import { buildColorTable, calculateGridCoordinates, getGridValueAt } from '../hooks/helper';
+import { variableConverter } from '../hooks/units';
+import { formatTime } from '../hooks/time';
+import { useDataSource } from '../dataSources';
+import { runComparisonGrids } from '../redux/gridStore';
+import {
+    fetchRunComparison, comparisonShownSet, setComparisonMode, formatRunTime,
+    selectRunComparison, selectRunComparisonVersion
+} from '../redux/slices/runsSlice';
+import { selectUnits, selectTimeZone } from '../redux/slices/unitsSlice';
+import { selectSamplingMethod } from '../redux/slices/dataTableSlice';
+
+// Colours for a grid's cells, one canvas pixel each, north up
+const drawThumbnail = (canvas, values, gridInfo, range, colorScaleKey) => {
+    const [rows, cols] = gridInfo.size;
+    const colors = buildColorTable(range.min, range.max, colorScaleKey);
+    const span = range.max - range.min || 1;
+    const southFirst = calculateGridCoordinates(0, gridInfo).lat < calculateGridCoordinates(rows * cols - 1, gridInfo).lat;
+
+    canvas.width = cols;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(cols, rows);
+
+    for (let i = 0; i < rows * cols; i++) {
+        const value = values(i);
+        if (value === null || Number.isNaN(value)) continue; // missing cells stay transparent
+
+        const row = Math.floor(i / cols);
+        const pixel = ((southFirst ? rows - 1 - row : row) * cols + (i % cols)) * 4;
+        const [r, g, b] = colors[Math.max(0, Math.min(255, Math.round(((value - range.min) / span) * 255)))];
+        imageData.data[pixel] = r;
+        imageData.data[pixel + 1] = g;
+        imageData.data[pixel + 2] = b;
+        imageData.data[pixel + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+};
+
+const RunThumbnail = ({ entry, position, variable, baseline, gridInfo, range, colorScaleKey, version }) => {
+    const canvasRef = useRef(null);
+    const timeZone = useSelector(selectTimeZone);
+
+    useEffect(() => {
+        const grid = runComparisonGrids.getGrid(position, variable);
+        if (!canvasRef.current || !grid || !range) return;
+        const values = baseline ? (i) => grid[i] - baseline[i] : (i) => grid[i];
+        drawThumbnail(canvasRef.current, values, gridInfo, range, colorScaleKey);
+    }, [position, variable, baseline, gridInfo, range, colorScaleKey, version]);
+
+    return (
+        <div className="text-[10px] text-gray-600">
+            <div className="aspect-square bg-gray-100 rounded overflow-hidden flex items-center justify-center">
+                {entry.status === 'loaded' ? (
+                    <canvas ref={canvasRef} className="w-full h-full object-contain [image-rendering:pixelated]" />
+                ) : (
+                    <span className={entry.status === 'failed' ? 'text-red-500 px-1 text-center' : 'text-gray-400'}
+                        title={entry.error || undefined}>
+                        {entry.status === 'loading' ? 'Loading...' : entry.status === 'missing' ? 'No data' : 'Failed'}
+                    </span>
+                )}
+            </div>
+            <div className="mt-0.5 flex justify-between">
+                <span>{formatRunTime(entry.initialTimestamp, timeZone)}</span>
+                <span className="text-gray-400">+{entry.leadHours}h</span>
+            </div>
+        </div>
+    );
+};
+
+// How the forecast for one valid time changed from run to run ("dprog/dt"): a map of the selected
+// variable from each run, as values or as the change from the newest, and the value at a point
+// and over the domain against the run's initialisation time. `point` overrides the clicked cell.
+const RunComparison = ({ point: pointOverride = null }) => {
+    const dispatch = useDispatch();
+
+    const dataSource = useDataSource();
+    const comparison = useSelector(selectRunComparison);
+    const version = useSelector(selectRunComparisonVersion);
+    const gridInfo = useSelector(dataSource.selectGridInfo);
+    const selectedVariable = useSelector(dataSource.selectSelectedVariable);
+    const weatherVariables = useSelector(dataSource.selectVariables);
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const units = useSelector(selectUnits);
+    const timeZone = useSelector(selectTimeZone);
+    const samplingMethod = useSelector(selectSamplingMethod);
+
+    // Entries are replaced whenever the grids behind them change, so the memos below key on them
+    const { show, entries, mode, validTime, loading, error } = comparison;
+    const point = pointOverride || comparison.point;
+    const variable = weatherVariables[selectedVariable] || { name: selectedVariable, unit: '' };
+    const colorScaleKey = variable.colorScale || selectedVariable;
+
+    // Change is measured against the newest run compared
+    const baseline = useMemo(() => {
+        if (mode !== 'change' || entries[0]?.status !== 'loaded') return null;
+        return runComparisonGrids.getGrid(0, selectedVariable);
+    }, [mode, entries, selectedVariable]);
+
+    // One colour range for all the maps, so they can be compared by eye
+    const range = useMemo(() => {
+        const loaded = entries.map((entry, position) => position).filter(position => entries[position].status === 'loaded');
+        if (loaded.length === 0 || (mode === 'change' && !baseline)) return null;
+
+        if (mode === 'change') {
+            let largest = 0;
+            loaded.forEach(position => {
+                const grid = runComparisonGrids.getGrid(position, selectedVariable);
+                if (!grid) return;
+                for (let i = 0; i < grid.length; i++) {
+                    const change = Math.abs(grid[i] - baseline[i]);
+                    if (change > largest) largest = change;
+                }
+            });
+            return { min: -largest, max: largest };
+        }
+
+        const stats = loaded.map(position => runComparisonGrids.getGridStats(position, selectedVariable)).filter(Boolean);
+        if (stats.length === 0) return null;
+        return { min: Math.min(...stats.map(s => s.min)), max: Math.max(...stats.map(s => s.max)) };
+    }, [entries, mode, baseline, selectedVariable]);
+
+    // Oldest run first, so the lines read as the forecast evolving towards the valid time. In the
+    // user's units, so the axis and the tooltip agree.
+    const chartData = useMemo(() => {
+        const { convert } = variableConverter(weatherVariables[selectedVariable], units);
+        return entries
+            .map((entry, position) => {
+                const grid = entry.status === 'loaded' ? runComparisonGrids.getGrid(position, selectedVariable) : null;
+                const stats = grid ? runComparisonGrids.getGridStats(position, selectedVariable) : null;
+                const value = grid && point && gridInfo ? getGridValueAt(point.lat, point.lon, grid, gridInfo, 1, [], samplingMethod) : null;
+                return {
+                    run: formatRunTime(entry.initialTimestamp, timeZone),
+                    lead: `+${entry.leadHours}h`,
+                    point: value === null ? null : parseFloat(convert(value).toFixed(4)),
+                    mean: stats ? parseFloat(convert(stats.mean).toFixed(4)) : null
+                };
+            })
+            .reverse();
+    }, [entries, selectedVariable, weatherVariables, units, point, gridInfo, timeZone, samplingMethod]);
+
+    if (!show || !dataSource.capabilities.batches) return null;
+
+    const outdated = validTime && timeAxis.timestamp && new Date(timeAxis.timestamp).getTime() !== validTime;
+    // Shown in the user's units; the change from the newest run converts as a difference
+    const shown = variableConverter(variable, units);
+    const convertRange = mode === 'change' ? shown.convertDifference : shown.convert;
+    const unit = mode === 'change' ? `Δ ${shown.unit}` : shown.unit;
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-3 w-full xl:w-[360px] shrink-0">
+            <div className="flex items-start justify-between mb-2">
+                <div>
+                    <h4 className="text-sm font-semibold flex items-center gap-1.5">
+                        <GitCompare className="w-4 h-4" />
+                        Run Comparison
+                    </h4>
+                    <div className="text-xs text-gray-500">
+                        {variable.name}{validTime && ` valid ${formatTime(validTime, timeZone)}`}
+                    </div>
+                </div>
+                <button onClick={() => dispatch(comparisonShownSet(false))}
+                    className="p-1 hover:bg-gray-100 rounded-md cursor-pointer" title="Close run comparison">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="flex items-center justify-between mb-2 text-xs">
+                <div className="flex rounded border border-gray-300 overflow-hidden">
+                    {[['values', 'Values'], ['change', 'Change from newest']].map(([value, label]) => (
+                        <button key={value} onClick={() => dispatch(setComparisonMode(value))}
+                            className={`px-2 py-0.5 cursor-pointer ${mode === value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                {(outdated || error) && !loading && (
+                    <button onClick={() => dispatch(fetchRunComparison())}
+                        className="flex items-center gap-1 text-blue-600 hover:text-blue-800 cursor-pointer"
+                        title={outdated ? 'Compare at the time step on screen' : 'Retry'}>
+                        <RotateCcw className="w-3 h-3" /> {outdated ? 'Update' : 'Retry'}
+                    </button>
+                )}
+            </div>
+
+            {error && <div className="text-xs text-red-600 bg-red-50 p-2 rounded mb-2">{error}</div>}
+            {!error && entries.length === 0 && !loading && (
+                <div className="text-xs text-gray-500 py-6 text-center">No runs reach this valid time</div>
+            )}
+
+            {entries.length > 0 && gridInfo && (
+                <div className="grid grid-cols-3 gap-2">
+                    {entries.map((entry, position) => (
+                        <RunThumbnail key={entry.initialTimestamp} entry={entry} position={position}
+                            variable={selectedVariable} baseline={baseline} gridInfo={gridInfo} range={range}
+                            colorScaleKey={mode === 'change' ? 'DIFF' : colorScaleKey} version={version} />
+                    ))}
+                </div>
+            )}
+
+            {range && (
+                <div className="flex items-center gap-1 mt-2 text-[10px] text-gray-600">
+                    <span>{convertRange(range.min).toFixed(1)}</span>
+                    <div className="flex-1 h-2 rounded"
+                        style={{
+                            background: `linear-gradient(to right, ${buildColorTable(range.min, range.max, mode === 'change' ? 'DIFF' : colorScaleKey)
+                                .filter((_, i) => i % 32 === 0 || i === 255).map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ')})`
+                        }} />
+                    <span>{convertRange(range.max).toFixed(1)} {unit}</span>
+                </div>
+            )}
+
+            {entries.some(entry => entry.status === 'loaded') && (
+                <div className="mt-3">
+                    <div className="text-xs text-gray-500 mb-1">
+                        {point ? `${point.lat.toFixed(3)}, ${point.lon.toFixed(3)} and domain mean` : 'Domain mean - click a grid cell for its values'}
+                    </div>
+                    <ResponsiveContainer width="100%" height={160}>
+                        <LineChart data={chartData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+                            <XAxis dataKey="lead" tick={{ fontSize: 10 }} />
+                            <YAxis tick={{ fontSize: 10 }} width={40} domain={['auto', 'auto']} />
+                            <Tooltip formatter={(value) => (value === null ? '–' : `${value.toFixed(2)} ${shown.unit}`)}
+                                labelFormatter={(lead, payload) => `${payload?.[0]?.payload.run || ''} (${lead})`} />
+                            <Legend wrapperStyle={{ fontSize: 10 }} />
+                            {point && (
+                                <Line type="monotone" dataKey="point" stroke="#ef4444" strokeWidth={2} connectNulls name="Point" />
+                            )}
+                            <Line type="monotone" dataKey="mean" stroke="#6b7280" strokeWidth={1.5} strokeDasharray="4 3" connectNulls name="Domain mean" />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RunComparison;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { History, ChevronUp, ChevronDown, RotateCcw, GitCompare } from 'lucide-react';
+
+import { switchRun, selectBatchInfo, selectRequestedRun, selectLoading, selectLocalFile } from '../redux/slices/weatherSlice';
+import {
+    fetchRuns, compareRuns, setComparisonCount, formatRunTime,
+    selectRuns, selectRunsStatus, selectRunsError, selectRunComparison
+} from '../redux/slices/runsSlice';
+import { selectTimeZone } from '../redux/slices/unitsSlice';
+
+const COMPARISON_COUNTS = [2, 3, 4, 5, 6];
+
+// Run browser: which of the backend's model runs is on screen, and the run-to-run comparison
+const RunControls = () => {
+    const dispatch = useDispatch();
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    const batchInfo = useSelector(selectBatchInfo);
+    const requestedRun = useSelector(selectRequestedRun);
+    const loading = useSelector(selectLoading);
+    const localFile = useSelector(selectLocalFile);
+    const runs = useSelector(selectRuns);
+    const status = useSelector(selectRunsStatus);
+    const error = useSelector(selectRunsError);
+    const comparison = useSelector(selectRunComparison);
+    const timeZone = useSelector(selectTimeZone);
+
+    const handleExpand = () => {
+        if (!isExpanded && status === 'idle') dispatch(fetchRuns());
+        setIsExpanded(!isExpanded);
+    };
+
+    // The run on screen stays in the list even when /runs doesn't report it
+    const listed = batchInfo && !runs.some(run => run.initialTimestamp === batchInfo.initialTimestamp)
+        ? [{ initialTimestamp: batchInfo.initialTimestamp }, ...runs]
+        : runs;
+
+    // A dropped wrfout/GRIB2 file is a run of its own
+    if (localFile) return null;
+
+    return (
+        <div className="mb-3 sm:mb-4 border border-gray-200 rounded-lg">
+            <button onClick={handleExpand}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-700 cursor-pointer">
+                <span className="flex items-center gap-2">
+                    <History className="w-4 h-4 text-blue-500" />
+                    Model Run
+                    {batchInfo && (
+                        <span className="text-xs font-normal text-gray-500">
+                            {formatRunTime(batchInfo.initialTimestamp, timeZone)}{!requestedRun && ' (latest)'}
+                        </span>
+                    )}
+                </span>
+                {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+
+            {isExpanded && (
+                <div className="px-3 pb-3 space-y-2 text-xs text-gray-600">
+                    {status === 'loading' && <div className="text-gray-400">Listing runs...</div>}
+                    {status === 'failed' && (
+                        <div className="flex items-center justify-between text-red-600 bg-red-50 p-2 rounded">
+                            <span>{error}</span>
+                            <button onClick={() => dispatch(fetchRuns())}
+                                className="flex items-center gap-1 font-medium hover:text-red-800 cursor-pointer">
+                                <RotateCcw className="w-3 h-3" /> Retry
+                            </button>
+                        </div>
+                    )}
+
+                    <select value={requestedRun || ''} disabled={loading}
+                        onChange={(e) => dispatch(switchRun(e.target.value || null))}
+                        className="w-full p-1.5 border border-gray-300 rounded text-xs bg-white cursor-pointer disabled:cursor-wait">
+                        <option value="">Latest run</option>
+                        {listed.map(run => (
+                            <option key={run.initialTimestamp} value={run.initialTimestamp}>
+                                {formatRunTime(run.initialTimestamp, timeZone)}
+                            </option>
+                        ))}
+                    </select>
+                    {status === 'loaded' && runs.length === 0 && (
+                        <div className="text-gray-400">The backend doesn't list older runs</div>
+                    )}
+
+                    <div className="flex items-center gap-1">
+                        <select value={comparison.count} onChange={(e) => dispatch(setComparisonCount(Number(e.target.value)))}
+                            className="p-1.5 border border-gray-300 rounded text-xs bg-white cursor-pointer"
+                            title="Runs to compare">
+                            {COMPARISON_COUNTS.map(count => <option key={count} value={count}>{count} runs</option>)}
+                        </select>
+                        <button onClick={() => dispatch(compareRuns())} disabled={!batchInfo}
+                            className="flex-1 flex items-center justify-center gap-1 p-1.5 border border-gray-300 rounded hover:border-blue-500 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed">
+                            <GitCompare className="w-3 h-3" />
+                            Compare at this valid time
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RunControls;
@@ -0,0 +1,244 @@
+import React, { useMemo } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { CloudLightning, X } from 'lucide-react';
+
+import { getGridValueAt } from '../hooks/helper';
+import { readSounding, analyzeSounding, dryAdiabat, moistAdiabat } from '../hooks/sounding';
+import { useDataSource, useNests, useLevels, getNestLayers } from '../dataSources';
+import { selectSoundingPoint, clearSoundingPoint } from '../redux/slices/uiSlice';
+import { selectTimeZone } from '../redux/slices/unitsSlice';
+import { selectSamplingMethod } from '../redux/slices/dataTableSlice';
+import { formatTime } from '../hooks/time';
+
+// Plot area (SVG units) and the pressure/temperature range along its bottom edge
+const WIDTH = 260;
+const HEIGHT = 300;
+const MARGIN = { top: 8, right: 40, bottom: 18, left: 30 };
+const P_BOTTOM = 1050;
+const P_TOP = 100;
+const T_LEFT = -40;
+const T_RIGHT = 50;
+
+const ISOBARS = [1000, 850, 700, 500, 400, 300, 250, 200, 150, 100];
+const ISOTHERMS = Array.from({ length: 18 }, (_, i) => -120 + i * 10);
+const DRY_ADIABATS = Array.from({ length: 17 }, (_, i) => 260 + i * 10); // potential temperature, K
+const MOIST_ADIABATS = Array.from({ length: 9 }, (_, i) => i * 4);       // °C at 1000 hPa
+const MIXING_RATIOS = [2, 4, 8, 16];                                      // g/kg, drawn below 600 hPa
+
+const KNOTS_PER_MS = 1.943844;
+
+const y = (pressure) => MARGIN.top + HEIGHT * Math.log(pressure / P_TOP) / Math.log(P_BOTTOM / P_TOP);
+
+// Isotherms lean 45° to the right with height
+const x = (temperature, pressure) =>
+    MARGIN.left + ((temperature - T_LEFT) / (T_RIGHT - T_LEFT)) * WIDTH + (MARGIN.top + HEIGHT - y(pressure));
+
+const polyline = (points) => points.map(([t, p]) => `${x(t, p).toFixed(1)},${y(p).toFixed(1)}`).join(' ');
+
+// Pressures from the bottom of the diagram up to `top`
+const pressureSteps = (top, step = 25) => {
+    const steps = [];
+    for (let p = P_BOTTOM; p > top; p -= step) steps.push(p);
+    return [...steps, top];
+};
+
+// Temperature of saturated air with the given mixing ratio (g/kg) at a pressure
+const mixingRatioTemperature = (gramsPerKg, pressure) => {
+    const r = gramsPerKg / 1000;
+    const e = (r * pressure) / (0.622 + r);
+    const a = Math.log(e / 6.112);
+    return (243.5 * a) / (17.67 - a);
+};
+
+// Wind barb pointing up (towards a northerly's source) with the feathers on its right, as drawn in
+// the northern hemisphere; rotated by the direction the wind blows from
+const barbPath = (knots) => {
+    const length = 20;
+    let rest = Math.round(knots / 5) * 5;
+    let position = -length;
+    const parts = [`M0,0 L0,${-length}`];
+
+    while (rest >= 50) {
+        parts.push(`M0,${position} L8,${position - 2} L0,${position + 4} Z`);
+        position += 6;
+        rest -= 50;
+    }
+    while (rest >= 10) {
+        parts.push(`M0,${position} L8,${position - 3}`);
+        position += 3;
+        rest -= 10;
+    }
+    if (rest >= 5) {
+        const at = position === -length ? position + 3 : position; // a lone half barb sits in from the tip
+        parts.push(`M0,${at} L4,${at - 1.5}`);
+    }
+    return parts.join(' ');
+};
+
+const WindBarb = ({ u, v, cx, cy }) => {
+    const knots = Math.hypot(u, v) * KNOTS_PER_MS;
+    if (knots < 2.5) return <circle cx={cx} cy={cy} r={2.5} fill="none" stroke="#1f2937" strokeWidth={1} />;
+
+    const fromDirection = (Math.atan2(-u, -v) * 180) / Math.PI;
+    return (
+        <path d={barbPath(knots)} transform={`translate(${cx},${cy}) rotate(${fromDirection})`}
+            fill="#1f2937" stroke="#1f2937" strokeWidth={1} />
+    );
+};
+
+const formatIndex = (value, digits = 0) => (value === null || value === undefined ? '–' : value.toFixed(digits));
+
+// Background lines never change, so they're built once
+const backgroundLines = (() => {
+    const dry = DRY_ADIABATS.map(theta =>
+        polyline(pressureSteps(P_TOP).map(p => [dryAdiabat(theta - 273.15, 1000, p), p])));
+
+    const moist = MOIST_ADIABATS.map(t1000 => {
+        let temperature = moistAdiabat(t1000, 1000, P_BOTTOM);
+        let previous = P_BOTTOM;
+        return polyline(pressureSteps(200).map(p => {
+            temperature = moistAdiabat(temperature, previous, p);
+            previous = p;
+            return [temperature, p];
+        }));
+    });
+
+    const mixing = MIXING_RATIOS.map(ratio =>
+        polyline(pressureSteps(600).map(p => [mixingRatioTemperature(ratio, p), p])));
+
+    return { dry, moist, mixing };
+})();
+
+// Skew-T log-P diagram of the model sounding at the clicked grid cell, for the current time step
+const SkewT = () => {
+    const dispatch = useDispatch();
+
+    const dataSource = useDataSource();
+    const point = useSelector(selectSoundingPoint);
+    const [levels] = useLevels();
+    const gridInfo = useSelector(dataSource.selectGridInfo);
+    const gridVersion = useSelector(dataSource.selectGridVersion);
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const timeZone = useSelector(selectTimeZone);
+    const samplingMethod = useSelector(selectSamplingMethod);
+    const nests = useNests();
+    const timeIndex = timeAxis.current;
+
+    const sounding = useMemo(() => {
+        if (!point || !gridInfo || !gridVersion || levels.length === 0) return null;
+
+        const valueAt = (variable) => {
+            const values = dataSource.getGrid(timeIndex, variable);
+            if (!values) return null;
+            const nestLayers = getNestLayers(dataSource, nests, timeIndex, variable);
+            return getGridValueAt(point.lat, point.lon, values, gridInfo, 1, nestLayers, samplingMethod);
+        };
+
+        const rows = readSounding(levels, valueAt);
+        return rows.length >= 2 ? { rows, indices: analyzeSounding(rows) } : null;
+    }, [point, gridInfo, gridVersion, levels, timeIndex, nests, dataSource, samplingMethod]);
+
+    if (!point || levels.length === 0) return null;
+
+    const { rows = [], indices = null } = sounding || {};
+    const temperatureLine = polyline(rows.map(row => [row.temperature, row.pressure]));
+    const dewPointLine = polyline(rows.filter(row => row.dewPoint !== null).map(row => [row.dewPoint, row.pressure]));
+    const parcelLine = indices ? polyline(indices.parcel.map(({ temperature, pressure }) => [temperature, pressure])) : '';
+    const levelMarks = indices ? [['LCL', indices.lcl], ['LFC', indices.lfc], ['EL', indices.el]].filter(([, p]) => p) : [];
+
+    const plotRight = MARGIN.left + WIDTH;
+    const plotBottom = MARGIN.top + HEIGHT;
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-3 w-full xl:w-[360px] shrink-0">
+            <div className="flex items-start justify-between mb-1">
+                <div>
+                    <h4 className="text-sm font-semibold flex items-center gap-1.5">
+                        <CloudLightning className="w-4 h-4" />
+                        Sounding
+                    </h4>
+                    <div className="text-xs text-gray-500">
+                        {point.lat.toFixed(3)}, {point.lon.toFixed(3)}
+                        {timeAxis.timestamp && ` · ${formatTime(timeAxis.timestamp, timeZone)}`}
+                    </div>
+                </div>
+                <button onClick={() => dispatch(clearSoundingPoint())}
+                    className="p-1 hover:bg-gray-100 rounded-md cursor-pointer" title="Close sounding">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            {!sounding ? (
+                <div className="text-xs text-gray-500 py-8 text-center">No upper-air data at this point for this time step</div>
+            ) : (
+                <>
+                    <svg viewBox={`0 0 ${plotRight + MARGIN.right} ${plotBottom + MARGIN.bottom}`} className="w-full">
+                        <defs>
+                            <clipPath id="skewt-plot">
+                                <rect x={MARGIN.left} y={MARGIN.top} width={WIDTH} height={HEIGHT} />
+                            </clipPath>
+                        </defs>
+
+                        <g clipPath="url(#skewt-plot)" fill="none">
+                            {ISOTHERMS.map(t => (
+                                <line key={t} x1={x(t, P_BOTTOM)} y1={y(P_BOTTOM)} x2={x(t, P_TOP)} y2={y(P_TOP)}
+                                    stroke={t === 0 ? '#93c5fd' : '#e5e7eb'} strokeWidth={t === 0 ? 1 : 0.6} />
+                            ))}
+                            {backgroundLines.dry.map((points, i) => (
+                                <polyline key={`dry-${i}`} points={points} stroke="#fcd34d" strokeWidth={0.6} />
+                            ))}
+                            {backgroundLines.moist.map((points, i) => (
+                                <polyline key={`moist-${i}`} points={points} stroke="#86efac" strokeWidth={0.6} strokeDasharray="3 2" />
+                            ))}
+                            {backgroundLines.mixing.map((points, i) => (
+                                <polyline key={`mixing-${i}`} points={points} stroke="#c4b5fd" strokeWidth={0.6} strokeDasharray="1 2" />
+                            ))}
+
+                            {parcelLine && <polyline points={parcelLine} stroke="#374151" strokeWidth={1.2} strokeDasharray="4 3" />}
+                            <polyline points={dewPointLine} stroke="#16a34a" strokeWidth={2} />
+                            <polyline points={temperatureLine} stroke="#dc2626" strokeWidth={2} />
+                        </g>
+
+                        {ISOBARS.map(p => (
+                            <g key={p}>
+                                <line x1={MARGIN.left} y1={y(p)} x2={plotRight} y2={y(p)} stroke="#d1d5db" strokeWidth={0.6} />
+                                <text x={MARGIN.left - 3} y={y(p) + 3} textAnchor="end" fontSize={8} fill="#6b7280">{p}</text>
+                            </g>
+                        ))}
+                        {ISOTHERMS.filter(t => t >= T_LEFT && t <= T_RIGHT).map(t => (
+                            <text key={t} x={x(t, P_BOTTOM)} y={plotBottom + 10} textAnchor="middle" fontSize={8} fill="#6b7280">{t}</text>
+                        ))}
+                        <rect x={MARGIN.left} y={MARGIN.top} width={WIDTH} height={HEIGHT} fill="none" stroke="#9ca3af" strokeWidth={0.8} />
+
+                        {levelMarks.map(([label, p]) => (
+                            <g key={label}>
+                                <line x1={plotRight - 14} y1={y(p)} x2={plotRight} y2={y(p)} stroke="#374151" strokeWidth={1} />
+                                <text x={plotRight - 16} y={y(p) + 3} textAnchor="end" fontSize={7} fill="#374151">{label}</text>
+                            </g>
+                        ))}
+
+                        {rows.filter(row => row.u !== null && row.v !== null).map(row => (
+                            <WindBarb key={row.pressure} u={row.u} v={row.v} cx={plotRight + 20} cy={y(row.pressure)} />
+                        ))}
+                    </svg>
+
+                    <div className="grid grid-cols-3 gap-x-3 gap-y-1 text-xs mt-2">
+                        <div className="flex justify-between"><span className="text-gray-500">CAPE</span><span>{formatIndex(indices?.cape)} J/kg</span></div>
+                        <div className="flex justify-between"><span className="text-gray-500">CIN</span><span>{formatIndex(indices?.cin)} J/kg</span></div>
+                        <div className="flex justify-between"><span className="text-gray-500">LI</span><span>{formatIndex(indices?.liftedIndex, 1)} °C</span></div>
+                        <div className="flex justify-between"><span className="text-gray-500">LCL</span><span>{formatIndex(indices?.lcl)} hPa</span></div>
+                        <div className="flex justify-between"><span className="text-gray-500">LFC</span><span>{formatIndex(indices?.lfc)} hPa</span></div>
+                        <div className="flex justify-between"><span className="text-gray-500">PW</span><span>{formatIndex(indices?.precipitableWater, 1)} mm</span></div>
+                    </div>
+                    {!rows[0]?.surface && (
+                        <div className="text-[10px] text-gray-400 mt-1">
+                            No surface pressure in this run - parcel lifted from {rows[0].pressure} hPa
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SkewT;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Ruler, ChevronUp, ChevronDown } from 'lucide-react';
+
+import { UNIT_QUANTITIES } from '../hooks/units';
+import { TIME_ZONES } from '../hooks/time';
+import { setUnitSystem, setUnit, setTimeZone, selectUnits, selectUnitSystem, selectTimeZone } from '../redux/slices/unitsSlice';
+
+const SYSTEMS = [['metric', 'Metric'], ['imperial', 'Imperial']];
+
+// Units values, and the zone times, are shown in across the map, legend, tooltip, table, charts and exports
+const UnitControls = () => {
+    const dispatch = useDispatch();
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    const units = useSelector(selectUnits);
+    const system = useSelector(selectUnitSystem);
+    const timeZone = useSelector(selectTimeZone);
+
+    return (
+        <div className="mb-3 sm:mb-4 border border-gray-200 rounded-lg">
+            <button onClick={() => setIsExpanded(!isExpanded)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-700 cursor-pointer">
+                <span className="flex items-center gap-2">
+                    <Ruler className="w-4 h-4 text-blue-500" />
+                    Units &amp; Time
+                    <span className="text-xs font-normal text-gray-500 capitalize">{system}, {TIME_ZONES[timeZone].name}</span>
+                </span>
+                {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+
+            {isExpanded && (
+                <div className="px-3 pb-3 space-y-2 text-xs text-gray-600">
+                    <div className="flex rounded border border-gray-300 overflow-hidden">
+                        {SYSTEMS.map(([value, label]) => (
+                            <button key={value} onClick={() => dispatch(setUnitSystem(value))}
+                                className={`flex-1 px-2 py-1 cursor-pointer ${system === value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {Object.entries(UNIT_QUANTITIES).map(([quantity, { name, units: choices }]) => (
+                        <label key={quantity} className="flex items-center justify-between gap-2">
+                            {name}
+                            <select value={units[quantity]} onChange={(e) => dispatch(setUnit(quantity, e.target.value))}
+                                className="w-24 p-1 border border-gray-300 rounded text-xs bg-white cursor-pointer">
+                                {choices.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                        </label>
+                    ))}
+
+                    <label className="flex items-center justify-between gap-2">
+                        Time zone
+                        <select value={timeZone} onChange={(e) => dispatch(setTimeZone(e.target.value))}
+                            className="w-24 p-1 border border-gray-300 rounded text-xs bg-white cursor-pointer">
+                            {Object.entries(TIME_ZONES).map(([key, { name }]) => <option key={key} value={key}>{name}</option>)}
+                        </select>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default UnitControls;
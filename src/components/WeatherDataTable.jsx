@@ -2,18 +2,22 @@ import React, { useState, useMemo } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { Search, Plus, ChevronLeft, ChevronRight, BarChart3, Download, ToggleLeft, ToggleRight, X } from 'lucide-react';
 import Charts from './Charts';
+import SkewT from './SkewT';
+import RunComparison from './RunComparison';
 
 import stationsData from '../data/aws_ghmc.json';
-import { interpolateColor, getGridValueAt, calculateGridCoordinates } from '../hooks/helper';
+import { interpolateColor, getGridValueAt, calculateGridCoordinates, SAMPLING_METHODS } from '../hooks/helper';
+import { variableConverter } from '../hooks/units';
+import { formatTime } from '../hooks/time';
 
-import {
-    selectWeatherData, selectSelectedVariable, selectCurrentTime, selectWeatherVariables, selectCurrentTimeData, selectCurrentStats
-} from '../redux/slices/weatherSlice';
+import { useDataSource, useNests, getNestLayers } from '../dataSources';
 
 import { selectSelectedStationId, setSelectedStationId } from '../redux/slices/uiSlice';
+import { selectUnits, selectTimeZone } from '../redux/slices/unitsSlice';
 
 import {
-    selectselectedPointsForComparison, addPointForComparison, removePointForComparison
+    selectselectedPointsForComparison, addPointForComparison, removePointForComparison,
+    selectSamplingMethod, setSamplingMethod
 } from '../redux/slices/dataTableSlice';
 
 
@@ -44,48 +48,52 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
     const [currentPage, setCurrentPage] = useState(1);
     const [showAWS, setShowAWS] = useState(true); // Toggle between Grid & AWS (default)
 
-    // Redux selectors
-    const weatherData = useSelector(selectWeatherData);
-    const selectedVariable = useSelector(selectSelectedVariable);
-    const currentTime = useSelector(selectCurrentTime);
-    const weatherVariables = useSelector(selectWeatherVariables);
-    const currentTimeData = useSelector(selectCurrentTimeData);
-    const currentStats = useSelector(selectCurrentStats);
+    // Grids of the selected data source
+    const dataSource = useDataSource();
+    const gridInfo = useSelector(dataSource.selectGridInfo);
+    const selectedVariable = useSelector(dataSource.selectSelectedVariable);
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const currentTime = timeAxis.current;
+    const weatherVariables = useSelector(dataSource.selectVariables);
+    const gridVersion = useSelector(dataSource.selectGridVersion);
+    const nests = useNests();
+    const currentStats = useSelector(dataSource.selectStats);
+    const colorScaleKey = weatherVariables[selectedVariable]?.colorScale || selectedVariable;
+    const units = useSelector(selectUnits);
+    const timeZone = useSelector(selectTimeZone);
 
     const selectedStationId = useSelector(selectSelectedStationId);
     const selectedPointsForComparison = useSelector(selectselectedPointsForComparison);
+    const samplingMethod = useSelector(selectSamplingMethod); // how stations read the grids
 
     // Process grid data
     const gridData = useMemo(() => {
-        if (!weatherData || !currentTimeData || !currentTimeData.variables || !currentTimeData.variables[selectedVariable]) { return []; }
-
-        const values = currentTimeData.variables[selectedVariable];
-        const scale = weatherData.metadata?.variable_scales?.[selectedVariable] || 1;
-        const gridInfo = weatherData.grid_info;
+        if (!gridInfo || !gridVersion) return [];
 
-        if (!values || !Array.isArray(values) || !gridInfo) return [];
+        const values = dataSource.getGrid(currentTime, selectedVariable);
+        if (!values) return [];
 
-        return values.map((value, index) => {
+        return Array.from(values, (value, index) => {
             const { lat, lon } = calculateGridCoordinates(index, gridInfo);
             return {
                 id: index, type: 'grid', number: index + 1,
-                lat: lat, lon: lon, value: value / scale, tag: null
+                lat: lat, lon: lon, value: Number.isNaN(value) ? null : value, tag: null
             };
         });
-    }, [weatherData, currentTimeData, selectedVariable]);
+    }, [gridInfo, gridVersion, currentTime, selectedVariable, dataSource]);
 
     // Process AWS data with actual weather data interpolation
     const awsData = useMemo(() => {
-        if (!stationsData || !Array.isArray(stationsData) || !currentTimeData || !weatherData) return [];
+        if (!stationsData || !Array.isArray(stationsData) || !gridInfo || !gridVersion) return [];
 
-        const values = currentTimeData.variables?.[selectedVariable];
-        const scale = weatherData.metadata?.variable_scales?.[selectedVariable] || 1;
-        const gridInfo = weatherData.grid_info;
+        const values = dataSource.getGrid(currentTime, selectedVariable);
+        if (!values) return [];
 
-        if (!values || !gridInfo) return [];
+        // Stations inside a nested domain read the finest one
+        const nestLayers = getNestLayers(dataSource, nests, currentTime, selectedVariable);
 
         return stationsData.map((station) => {
-            const gridValueAt = getGridValueAt(station.lat, station.lon, values, gridInfo, scale);
+            const gridValueAt = getGridValueAt(station.lat, station.lon, values, gridInfo, 1, nestLayers, samplingMethod);
 
             return {
                 id: station.id,
@@ -99,7 +107,7 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                 tag: `AWS-${station.id}`
             };
         });
-    }, [stationsData, currentTimeData, selectedVariable, weatherData]);
+    }, [gridVersion, currentTime, selectedVariable, gridInfo, dataSource, nests, samplingMethod]);
 
     const currentData = showAWS ? awsData : gridData; // based on toggle
 
@@ -131,10 +139,15 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
         };
     };
 
-    const downloadAsExcel = () => {
-        const variable = weatherVariables?.[selectedVariable] || { name: selectedVariable, unit: '' };
+    const variable = weatherVariables?.[selectedVariable] || { name: selectedVariable, unit: '' };
 
-        // Prepare data for export
+    // Values are shown and exported in the user's units; colours still follow the stored values
+    const { unit, convert } = variableConverter(variable, units);
+    const formatValue = (value) => (value != null ? `${convert(Number(value)).toFixed(2)} ${unit}` : 'N/A');
+
+    const downloadAsExcel = () => {
+        // Prepare data for export, each row stamped with the valid time in the chosen zone
+        const validTime = formatTime(timeAxis.timestamp, timeZone, 'iso');
         const exportData = currentData.map(point => {
             if (showAWS) {
                 return {
@@ -143,7 +156,9 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                     'Long': point.lon.toFixed(6),
                     'Location': point.location,
                     'Mandal': point.mandal,
-                    'Value': point.value != null ? `${point.value} ${variable.unit}` : 'N/A'
+                    'Valid Time': validTime,
+                    'Sampling': SAMPLING_METHODS[samplingMethod].name,
+                    'Value': formatValue(point.value)
 
                 };
             } else {
@@ -151,7 +166,8 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                     'Number': point.number,
                     'Lat': point.lat.toFixed(6),
                     'Long': point.lon.toFixed(6),
-                    'Value': point.value != null ? `${point.value} ${variable.unit}` : 'N/A'
+                    'Valid Time': validTime,
+                    'Value': formatValue(point.value)
 
                 };
             }
@@ -176,7 +192,6 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
         document.body.removeChild(link);
     };
 
-    const variable = weatherVariables?.[selectedVariable] || { name: selectedVariable, unit: '' };
     const { tableData, totalItems, totalPages } = getFilteredTableData();
 
     const values = currentData.map(d => d.value);
@@ -203,9 +218,21 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                 <h3 className="text-lg font-semibold flex items-center justify-center sm:justify-start gap-2">
                     <BarChart3 className="w-5 h-5" />
                     <span className="truncate">Data Table - {variable.name}</span>
+                    {timeAxis.timestamp && (
+                        <span className="text-xs font-normal text-gray-500 whitespace-nowrap">{formatTime(timeAxis.timestamp, timeZone)}</span>
+                    )}
                 </h3>
 
                 <div className="flex flex-row items-center justify-center gap-3 xs:gap-4">
+                    {/* How station values are read from the grid; grid rows are the cells themselves */}
+                    {showAWS && (
+                        <select value={samplingMethod} onChange={(e) => dispatch(setSamplingMethod(e.target.value))}
+                            title="Sampling method for station values"
+                            className="p-2 border border-gray-300 rounded-lg text-sm bg-white cursor-pointer">
+                            {Object.entries(SAMPLING_METHODS).map(([key, { name }]) => <option key={key} value={key}>{name}</option>)}
+                        </select>
+                    )}
+
                     {/* Toggle between Grid and AWS */}
                     <div className="flex items-center gap-2 bg-gray-50 px-3 py-2 rounded-lg">
                         <span className={`text-sm font-medium ${!showAWS ? 'text-blue-600' : 'text-gray-500'}`}>
@@ -269,17 +296,17 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                             <div className="flex items-center gap-1.5 px-2 py-1 bg-blue-50 rounded-md border border-blue-200">
                                 <div className="w-1.5 h-1.5 bg-blue-500 rounded-full"></div>
                                 <span className="text-xs font-medium text-blue-700">Min:</span>
-                                <span className="text-xs font-semibold text-blue-800">{minValue} {variable.unit}</span>
+                                <span className="text-xs font-semibold text-blue-800">{formatValue(minValue)}</span>
                             </div>
                             <div className="flex items-center gap-1.5 px-2 py-1 bg-green-50 rounded-md border border-green-200">
                                 <div className="w-1.5 h-1.5 bg-green-500 rounded-full"></div>
                                 <span className="text-xs font-medium text-green-700">Avg:</span>
-                                <span className="text-xs font-semibold text-green-800">{avgValue} {variable.unit}</span>
+                                <span className="text-xs font-semibold text-green-800">{formatValue(avgValue)}</span>
                             </div>
                             <div className="flex items-center gap-1.5 px-2 py-1 bg-red-50 rounded-md border border-red-200">
                                 <div className="w-1.5 h-1.5 bg-red-500 rounded-full"></div>
                                 <span className="text-xs font-medium text-red-700">Max:</span>
-                                <span className="text-xs font-semibold text-red-800">{maxValue} {variable.unit}</span>
+                                <span className="text-xs font-semibold text-red-800">{formatValue(maxValue)}</span>
                             </div>
                         </div>
                     </div>
@@ -379,8 +406,8 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                                             <td className="px-2 sm:px-4 py-2 text-sm">
                                                 <span
                                                     className="inline-block px-1 sm:px-2 py-1 rounded text-white text-xs font-medium whitespace-nowrap"
-                                                    style={{ backgroundColor: interpolateColor(point.value, minValue, maxValue, selectedVariable) }}>
-                                                    {point.value != null ? `${point.value} ${variable.unit}` : 'N/A'}
+                                                    style={{ backgroundColor: interpolateColor(point.value, minValue, maxValue, colorScaleKey) }}>
+                                                    {formatValue(point.value)}
                                                 </span>
                                             </td>
                                             <td className="px-2 sm:px-4 py-2 text-sm">
@@ -397,8 +424,8 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                                             <td className="px-2 sm:px-4 py-2 text-sm">
                                                 <span
                                                     className="inline-block px-1 sm:px-2 py-1 rounded text-white text-xs font-medium whitespace-nowrap"
-                                                    style={{ backgroundColor: interpolateColor(point.value, minValue, maxValue, selectedVariable) }}>
-                                                    {point.value != null ? `${point.value} ${variable.unit}` : 'N/A'}
+                                                    style={{ backgroundColor: interpolateColor(point.value, minValue, maxValue, colorScaleKey) }}>
+                                                    {formatValue(point.value)}
                                                 </span>
                                             </td>
                                             <td className="px-2 sm:px-4 py-2 text-sm">
@@ -455,7 +482,16 @@ const WeatherDataTable = ({ itemsPerPage = 5 }) => {
                 </div>
             )
             }
-            <Charts />
+            <div className="flex flex-col xl:flex-row xl:items-start gap-6">
+                <div className="flex-1 min-w-0">
+                    <Charts />
+                </div>
+                <div className="xl:pt-6 flex flex-col gap-6">
+                    <SkewT />
+                    {/* The selected station is the point charted across runs */}
+                    <RunComparison point={stationsData.find(station => station.id === selectedStationId) || null} />
+                </div>
+            </div>
         </div >
     );
 };
@@ -1,17 +1,16 @@
 import React, { useEffect, useRef, useMemo, useCallback } from 'react';
-import { useSelector, useDispatch } from 'react-redux';
+import { useSelector } from 'react-redux';
 import { useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { interpolateColor } from '../../hooks/helper';
+import { getFrameGrid, getFrameStats } from '../../hooks/interpolation';
+import { isCurvilinear, getCellShapes, getCellCenter, findCellIndex, getGridOutline } from '../../hooks/gridGeometry';
 import 'leaflet/dist/leaflet.css';
 
-import {
-    selectWeatherData, selectSelectedVariable, selectCurrentTime, selectWeatherVariables
-} from '../../redux/slices/weatherSlice';
-
+import { useDataSource, useNests } from '../../dataSources';
 import { selectOpacity } from '../../redux/slices/uiSlice';
 
-const GridOverlay = ({ onHover }) => {
+const GridOverlay = ({ onHover, onCellClick }) => {
     const map = useMap();
     
     // Double buffering refs
@@ -29,77 +28,109 @@ const GridOverlay = ({ onHover }) => {
     const preRenderTimeoutRef = useRef(null);
     const nextFrameDataRef = useRef(null);
 
-    const weatherData = useSelector(selectWeatherData);
-    const selectedVariable = useSelector(selectSelectedVariable);
-    const currentTime = useSelector(selectCurrentTime);
+    // Grids of the selected data source
+    const dataSource = useDataSource();
+    const gridInfo = useSelector(dataSource.selectGridInfo);
+    const selectedVariable = useSelector(dataSource.selectSelectedVariable);
+    const variables = useSelector(dataSource.selectVariables);
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const gridVersion = useSelector(dataSource.selectGridVersion);
+    const nests = useNests();
     const opacity = useSelector(selectOpacity);
 
-    // Helper function to process grid data
-    const processGridData = useCallback((weatherData, timeData, variable) => {
-        const { corner, size, steps } = weatherData.grid_info;
-        const values = timeData.variables[variable];
-        const scale = weatherData.metadata?.variable_scales?.[variable] || 1;
+    const currentTime = timeAxis.current;
+    const timeIndices = timeAxis.indices;
+
+    // The frame drawn: currentTime, or a fractional time between two steps while interpolating
+    const currentFrame = timeAxis.frame;
+    const interpolating = timeAxis.framesPerStep > 1;
+
+    // Variables may borrow the colour scale of a WRF variable (e.g. AI-model t2m uses T2's)
+    const colorScaleKey = variables[selectedVariable]?.colorScale || selectedVariable;
 
-        if (!values || !Array.isArray(values) || values.length === 0) {
+    // Helper function to process grid data (values come pre-scaled from the grid store).
+    // Nested domains are coloured with the outer domain's stats, so colours agree across them.
+    // `frame` may fall between two steps; hover values are then read from the earlier one (time).
+    const processGridData = useCallback((gridInfo, frame, variable, domain) => {
+        const { corner, size, steps } = gridInfo;
+        const values = getFrameGrid(dataSource.getGrid, frame, variable, domain);
+        const stats = getFrameStats(dataSource.getGridStats, frame, variable);
+        const time = Math.floor(frame);
+
+        if (!values || values.length === 0 || !stats) {
             return null;
         }
 
-        const scaledValues = values.map(v => (v || 0) / scale);
-        const minValue = Math.min(...scaledValues);
-        const maxValue = Math.max(...scaledValues);
-
         const gridCells = [];
-        let valueIndex = 0;
-
-        for (let row = 0; row < size[0]; row++) {
-            for (let col = 0; col < size[1]; col++) {
-                if (valueIndex >= values.length) break;
-
-                const lat1 = corner[0] + row * steps[0];
-                const lat2 = corner[0] + (row + 1) * steps[0];
-                const lng1 = corner[1] + col * steps[1];
-                const lng2 = corner[1] + (col + 1) * steps[1];
-
-                const centerLat = (lat1 + lat2) / 2;
-                const centerLng = (lng1 + lng2) / 2;
-
-                const cellData = {};
-                Object.keys(timeData.variables).forEach(variable => {
-                    const varScale = weatherData.metadata?.variable_scales?.[variable] || 1;
-                    const varValue = timeData.variables[variable]?.[valueIndex];
-                    if (varValue !== undefined) {
-                        cellData[variable] = varValue / varScale;
-                    }
-                });
+        const shapes = isCurvilinear(gridInfo) ? getCellShapes(gridInfo) : null;
+        const cellCount = Math.min(values.length, size[0] * size[1]);
+
+        for (let index = 0; index < cellCount; index++) {
+            const value = values[index];
+            if (Number.isNaN(value)) continue; // missing cell, leave it transparent
+
+            const row = Math.floor(index / size[1]);
+            const col = index % size[1];
+
+            // Projected grids are drawn as true quads; bounds is then the quad's bounding box.
+            // Their shapes are computed once per grid, not per frame.
+            if (shapes) {
+                const { corners, bounds, center } = shapes[index];
 
                 gridCells.push({
-                    bounds: [[lat1, lng1], [lat2, lng2]],
-                    center: [centerLat, centerLng],
-                    value: scaledValues[valueIndex],
-                    allData: cellData,
+                    bounds,
+                    corners,
+                    center,
+                    value,
+                    index,
                     row, col
                 });
-
-                valueIndex++;
+                continue;
             }
-        }
-
-        return { cells: gridCells, minValue, maxValue, timeData };
-    }, []);
 
-    // Process grid data with memoization for current frame
-    const processedGridData = useMemo(() => {
-        if (!weatherData?.time_series?.length || !weatherData?.grid_info) {
-            return null;
+            const lat1 = corner[0] + row * steps[0];
+            const lat2 = corner[0] + (row + 1) * steps[0];
+            const lng1 = corner[1] + col * steps[1];
+            const lng2 = corner[1] + (col + 1) * steps[1];
+
+            gridCells.push({
+                bounds: [[lat1, lng1], [lat2, lng2]],
+                center: [(lat1 + lat2) / 2, (lng1 + lng2) / 2],
+                value,
+                index,
+                row, col
+            });
         }
 
-        const timeData = weatherData.time_series.find(t => t.time === currentTime);
-        if (!timeData?.variables?.[selectedVariable]) {
+        return { cells: gridCells, minValue: stats.min, maxValue: stats.max, time };
+    }, [dataSource]);
+
+    // The outer domain plus, coarse to fine, every nest with data at this step
+    const processFrame = useCallback((gridInfo, time, variable) => {
+        const frame = processGridData(gridInfo, time, variable);
+        if (!frame) return null;
+
+        frame.nests = [...nests].reverse().map(nest => {
+            const nestData = processGridData(nest.gridInfo, time, variable, nest.domain);
+            return nestData && {
+                ...nestData,
+                domain: nest.domain,
+                gridInfo: nest.gridInfo,
+                minZoom: nest.minZoom,
+                outline: getGridOutline(nest.gridInfo)
+            };
+        }).filter(Boolean);
+        return frame;
+    }, [processGridData, nests]);
+
+    // Process grid data with memoization for current frame; gridVersion changes whenever the store does
+    const processedGridData = useMemo(() => {
+        if (!gridInfo || !gridVersion) {
             return null;
         }
 
-        return processGridData(weatherData, timeData, selectedVariable);
-    }, [weatherData, selectedVariable, currentTime, processGridData]);
+        return processFrame(gridInfo, currentFrame, selectedVariable);
+    }, [gridInfo, gridVersion, selectedVariable, currentFrame, processFrame]);
 
     // Create canvas with grid data
     const createCanvas = useCallback((gridData, targetCanvas = null) => {
@@ -141,44 +172,78 @@ const GridOverlay = ({ onHover }) => {
             dataBounds.west > mapBounds.getEast()
         );
 
-        if (boundsIntersect) {
-            // Render grid cells
-            cells.forEach(cell => {
-                const [[lat1, lng1], [lat2, lng2]] = cell.bounds;
+        // Render grid cells
+        const drawCells = (layerCells) => layerCells.forEach(cell => {
+            const [[lat1, lng1], [lat2, lng2]] = cell.bounds;
 
-                const cellInBounds = !(
-                    Math.max(lat1, lat2) < mapBounds.getSouth() ||
-                    Math.min(lat1, lat2) > mapBounds.getNorth() ||
-                    Math.max(lng1, lng2) < mapBounds.getWest() ||
-                    Math.min(lng1, lng2) > mapBounds.getEast()
-                );
-
-                if (cellInBounds) {
-                    const topLeft = map.latLngToContainerPoint([lat1, lng1]);
-                    const bottomRight = map.latLngToContainerPoint([lat2, lng2]);
-
-                    const width = Math.abs(bottomRight.x - topLeft.x);
-                    const height = Math.abs(bottomRight.y - topLeft.y);
-
-                    if (width > 0.1 && height > 0.1) {
-                        ctx.fillStyle = interpolateColor(cell.value, minValue, maxValue, selectedVariable);
-                        ctx.globalAlpha = opacity;
-                        ctx.fillRect(
-                            Math.min(topLeft.x, bottomRight.x),
-                            Math.min(topLeft.y, bottomRight.y),
-                            width, height
-                        );
-                        renderedCells++;
-                    }
+            const cellInBounds = !(
+                Math.max(lat1, lat2) < mapBounds.getSouth() ||
+                Math.min(lat1, lat2) > mapBounds.getNorth() ||
+                Math.max(lng1, lng2) < mapBounds.getWest() ||
+                Math.min(lng1, lng2) > mapBounds.getEast()
+            );
+
+            if (cellInBounds && cell.corners) {
+                const points = cell.corners.map(corner => map.latLngToContainerPoint(corner));
+                ctx.fillStyle = interpolateColor(cell.value, minValue, maxValue, colorScaleKey);
+                ctx.globalAlpha = opacity;
+                ctx.beginPath();
+                points.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.closePath();
+                ctx.fill();
+                renderedCells++;
+            } else if (cellInBounds) {
+                const topLeft = map.latLngToContainerPoint([lat1, lng1]);
+                const bottomRight = map.latLngToContainerPoint([lat2, lng2]);
+
+                const width = Math.abs(bottomRight.x - topLeft.x);
+                const height = Math.abs(bottomRight.y - topLeft.y);
+
+                if (width > 0.1 && height > 0.1) {
+                    ctx.fillStyle = interpolateColor(cell.value, minValue, maxValue, colorScaleKey);
+                    ctx.globalAlpha = opacity;
+                    ctx.fillRect(
+                        Math.min(topLeft.x, bottomRight.x),
+                        Math.min(topLeft.y, bottomRight.y),
+                        width, height
+                    );
+                    renderedCells++;
                 }
+            }
+        });
+
+        // Cut a nest's footprint out of the layers under it
+        const clipOut = (outline) => {
+            ctx.beginPath();
+            ctx.rect(0, 0, size.x, size.y);
+            outline.forEach((point, i) => {
+                const { x, y } = map.latLngToContainerPoint(point);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+            ctx.clip('evenodd');
+        };
+
+        if (boundsIntersect) {
+            // Nests are drawn over the outer domain once zoomed in far enough (minZoom), each
+            // layer clipped so it doesn't show through the finer ones above it
+            const zoom = map.getZoom();
+            const layers = [gridData, ...(gridData.nests || []).filter(nest => zoom >= nest.minZoom)];
+
+            layers.forEach((layer, i) => {
+                ctx.save();
+                layers.slice(i + 1).forEach(finer => clipOut(finer.outline));
+                drawCells(layer.cells);
+                ctx.restore();
             });
         }
 
         return { canvas, imageUrl: canvas.toDataURL(), renderedCells, dataBounds };
-    }, [map, selectedVariable, opacity]);
+    }, [map, colorScaleKey, opacity]);
 
-    // Smooth transition between overlays
-    const transitionToNewOverlay = useCallback((newImageUrl, mapBounds) => {
+    // Smooth transition between overlays. Interpolated frames are close enough to swap outright.
+    const transitionToNewOverlay = useCallback((newImageUrl, mapBounds, duration = 150) => {
         if (isTransitioningRef.current || !map) return;
         
         isTransitioningRef.current = true;
@@ -194,12 +259,11 @@ const GridOverlay = ({ onHover }) => {
 
         // Smooth fade transition
         let startTime = null;
-        const duration = 150; // 150ms transition
 
         const animate = (timestamp) => {
             if (!startTime) startTime = timestamp;
             const elapsed = timestamp - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
 
             // Fade in new overlay
             newOverlay.setOpacity(progress);
@@ -226,17 +290,16 @@ const GridOverlay = ({ onHover }) => {
         requestAnimationFrame(animate);
     }, [map]);
 
-    // Pre-render next frame
+    // Pre-render next frame (interpolated frames are blended as they come)
     const preRenderNextFrame = useCallback(() => {
-        if (!weatherData?.time_series?.length || isUpdatingRef.current) return;
+        if (!timeIndices.length || !gridInfo || isUpdatingRef.current || interpolating) return;
 
         // Find next time step
-        const currentIndex = weatherData.time_series.findIndex(t => t.time === currentTime);
-        const nextIndex = (currentIndex + 1) % weatherData.time_series.length;
-        const nextTimeData = weatherData.time_series[nextIndex];
+        const currentIndex = timeIndices.indexOf(currentTime);
+        const nextTime = timeIndices[(currentIndex + 1) % timeIndices.length];
 
-        if (nextTimeData && nextTimeData.variables?.[selectedVariable]) {
-            const nextGridData = processGridData(weatherData, nextTimeData, selectedVariable);
+        if (nextTime !== undefined) {
+            const nextGridData = processFrame(gridInfo, nextTime, selectedVariable);
             if (nextGridData) {
                 nextFrameDataRef.current = nextGridData;
                 
@@ -248,7 +311,7 @@ const GridOverlay = ({ onHover }) => {
                 }
             }
         }
-    }, [weatherData, currentTime, selectedVariable, processGridData, createCanvas]);
+    }, [gridInfo, timeIndices, currentTime, selectedVariable, processFrame, createCanvas, interpolating]);
 
     // Update current frame
     const updateCurrentFrame = useCallback(() => {
@@ -273,7 +336,7 @@ const GridOverlay = ({ onHover }) => {
                     currentOverlayRef.current = overlay;
                 } else {
                     // Smooth transition
-                    transitionToNewOverlay(result.imageUrl, mapBounds);
+                    transitionToNewOverlay(result.imageUrl, mapBounds, interpolating ? 0 : 150);
                 }
                 
                 gridDataRef.current = processedGridData;
@@ -291,7 +354,7 @@ const GridOverlay = ({ onHover }) => {
         } finally {
             isUpdatingRef.current = false;
         }
-    }, [processedGridData, map, createCanvas, transitionToNewOverlay, preRenderNextFrame]);
+    }, [processedGridData, map, createCanvas, transitionToNewOverlay, preRenderNextFrame, interpolating]);
 
     // Handle data changes with requestAnimationFrame
     useEffect(() => {
@@ -313,6 +376,13 @@ const GridOverlay = ({ onHover }) => {
         };
     }, [processedGridData, updateCurrentFrame, map]);
 
+    // Dim the last frame while the selected step is still loading, so it doesn't pass for current data
+    useEffect(() => {
+        if (!processedGridData && currentOverlayRef.current && !isTransitioningRef.current) {
+            currentOverlayRef.current.setOpacity(0.35);
+        }
+    }, [processedGridData]);
+
     // Handle map events
     useEffect(() => {
         if (!map) return;
@@ -330,47 +400,75 @@ const GridOverlay = ({ onHover }) => {
             }
         };
 
-        // Mouse move handler for hover
-        const handleMouseMove = (e) => {
-            if (!gridDataRef.current || !map || map.getZoom() < 10) return;
-
-            const latlng = e.latlng;
-            const { cells } = gridDataRef.current;
-
-            const hoveredCell = cells.find(cell => {
+        // Bounding boxes of quads overlap, so projected grids look the cell up instead.
+        // The finest nest covering the point answers before the outer domain.
+        const findCellAt = (latlng) => findNestCell(latlng) ||
+            (isCurvilinear(gridInfo) ? findHoveredQuad(latlng) : gridDataRef.current.cells.find(cell => {
                 const [[lat1, lng1], [lat2, lng2]] = cell.bounds;
                 return latlng.lat >= Math.min(lat1, lat2) &&
                     latlng.lat <= Math.max(lat1, lat2) &&
                     latlng.lng >= Math.min(lng1, lng2) &&
                     latlng.lng <= Math.max(lng1, lng2);
-            });
+            }));
+
+        // Mouse move handler for hover
+        const handleMouseMove = (e) => {
+            if (!gridDataRef.current || !map || map.getZoom() < dataSource.capabilities.hoverMinZoom) return;
+
+            const { time } = gridDataRef.current;
+            const hoveredCell = findCellAt(e.latlng);
 
             if (hoveredCell && onHover) {
                 onHover({
                     position: e.containerPoint,
-                    data: hoveredCell.allData,
+                    data: dataSource.getCellValues(time, hoveredCell.index, hoveredCell.domain),
                     center: hoveredCell.center,
-                    variable: selectedVariable
+                    variable: selectedVariable,
+                    domain: hoveredCell.domain ?? null
                 });
             }
         };
 
+        const findNestCell = (latlng) => {
+            for (const nest of [...(gridDataRef.current.nests || [])].reverse()) {
+                const index = findCellIndex(nest.gridInfo, latlng.lat, latlng.lng);
+                if (index < 0) continue;
+                const { lat, lon } = getCellCenter(nest.gridInfo, index);
+                return { index, center: [lat, lon], domain: nest.domain };
+            }
+            return null;
+        };
+
+        const findHoveredQuad = (latlng) => {
+            const index = findCellIndex(gridInfo, latlng.lat, latlng.lng);
+            return index < 0 ? null : gridDataRef.current.cells.find(cell => cell.index === index);
+        };
+
         const handleMouseOut = () => {
             if (onHover) onHover(null);
         };
 
+        // Clicks pick a cell at any zoom
+        const handleClick = (e) => {
+            if (!gridDataRef.current || !onCellClick) return;
+            const cell = findCellAt(e.latlng);
+            if (cell) onCellClick({ index: cell.index, center: cell.center, domain: cell.domain ?? null });
+        };
+
         map.on('moveend', handleMapChange);
         map.on('zoomend', handleMapChange);
         map.on('mousemove', handleMouseMove);
         map.on('mouseout', handleMouseOut);
+        map.on('click', handleClick);
 
         return () => {
             map.off('moveend', handleMapChange);
             map.off('zoomend', handleMapChange);
             map.off('mousemove', handleMouseMove);
             map.off('mouseout', handleMouseOut);
+            map.off('click', handleClick);
         };
-    }, [map, updateCurrentFrame, processedGridData, selectedVariable, onHover]);
+    }, [map, updateCurrentFrame, processedGridData, selectedVariable, onHover, onCellClick, dataSource, gridInfo]);
 
     // Cleanup
     useEffect(() => {
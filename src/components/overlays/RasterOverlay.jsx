@@ -0,0 +1,127 @@
+import React, { useEffect, useRef, useMemo } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { buildColorTable } from '../../hooks/helper';
+
+import { useDataSource } from '../../dataSources';
+import { selectOpacity } from '../../redux/slices/uiSlice';
+import { getRasterImage, getRasterValueAt } from '../../redux/rasterStore';
+import {
+    setRasterView, setRasterTime, setRasterHover, selectRasterLayer, selectRasterImage, selectRasterImageVersion
+} from '../../redux/slices/rasterSlice';
+
+// COG raster layer: reports the map view so the matching overview is read, and draws the pixels
+// that come back with the colorScale of the layer. Follows the selected source's time step.
+const RasterOverlay = () => {
+    const map = useMap();
+    const dispatch = useDispatch();
+    const overlayRef = useRef(null);
+
+    const layer = useSelector(selectRasterLayer);
+    const image = useSelector(selectRasterImage);
+    const imageVersion = useSelector(selectRasterImageVersion);
+    const opacity = useSelector(selectOpacity);
+
+    const dataSource = useDataSource();
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const time = timeAxis.timestamp ? new Date(timeAxis.timestamp).toISOString() : null;
+
+    useEffect(() => {
+        dispatch(setRasterTime(time));
+    }, [dispatch, time]);
+
+    // Report the view on every move; the overview is picked from its width in pixels
+    useEffect(() => {
+        const reportView = () => {
+            const bounds = map.getBounds();
+            dispatch(setRasterView({
+                bounds: { south: bounds.getSouth(), north: bounds.getNorth(), west: bounds.getWest(), east: bounds.getEast() },
+                width: map.getSize().x
+            }));
+        };
+
+        reportView();
+        map.on('moveend', reportView);
+        return () => map.off('moveend', reportView);
+    }, [map, dispatch]);
+
+    // Layer min/max win over the range of the pixels on screen
+    const range = useMemo(() => {
+        if (!image || image.min === null) return null;
+        return { min: layer?.min ?? image.min, max: layer?.max ?? image.max };
+    }, [image, layer]);
+
+    // Draw the image into a canvas and swap it in; imageVersion changes whenever the pixels do
+    useEffect(() => {
+        const pixels = getRasterImage();
+        if (!imageVersion || !pixels || !range) {
+            if (overlayRef.current) {
+                map.removeLayer(overlayRef.current);
+                overlayRef.current = null;
+            }
+            return;
+        }
+
+        const { values, width, height, bounds } = pixels;
+        const colors = buildColorTable(range.min, range.max, layer?.colorScale);
+        const span = range.max - range.min || 1;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (Number.isNaN(value)) continue; // nodata stays transparent
+
+            const [r, g, b] = colors[Math.max(0, Math.min(255, Math.round(((value - range.min) / span) * 255)))];
+            imageData.data[i * 4] = r;
+            imageData.data[i * 4 + 1] = g;
+            imageData.data[i * 4 + 2] = b;
+            imageData.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        const overlay = L.imageOverlay(canvas.toDataURL(), [[bounds.south, bounds.west], [bounds.north, bounds.east]], {
+            opacity, interactive: false, pane: 'overlayPane'
+        });
+        overlay.addTo(map);
+        if (overlayRef.current) map.removeLayer(overlayRef.current);
+        overlayRef.current = overlay;
+    }, [map, imageVersion, range, layer, opacity]);
+
+    // Hover value of the pixel under the mouse
+    useEffect(() => {
+        const handleMouseMove = (e) => {
+            const value = getRasterValueAt(e.latlng.lat, e.latlng.lng);
+            dispatch(setRasterHover(value === null ? null : {
+                position: { x: e.containerPoint.x, y: e.containerPoint.y },
+                center: [e.latlng.lat, e.latlng.lng],
+                value
+            }));
+        };
+        const handleMouseOut = () => dispatch(setRasterHover(null));
+
+        map.on('mousemove', handleMouseMove);
+        map.on('mouseout', handleMouseOut);
+        return () => {
+            map.off('mousemove', handleMouseMove);
+            map.off('mouseout', handleMouseOut);
+        };
+    }, [map, dispatch]);
+
+    // Cleanup
+    useEffect(() => {
+        return () => {
+            if (overlayRef.current) map.removeLayer(overlayRef.current);
+            dispatch(setRasterHover(null));
+        };
+    }, [map, dispatch]);
+
+    return null;
+};
+
+export default RasterOverlay;
@@ -5,12 +5,17 @@ import { CircleMarker, Popup } from 'react-leaflet';
 import { MapPin, Radio } from 'lucide-react';
 import stationsData from '../../data/aws_ghmc.json';
 import { interpolateColor, getGridValueAt } from '../../hooks/helper';
+import { variableConverter } from '../../hooks/units';
 
 import {
-    selectWeatherData, selectSelectedVariable, selectCurrentTime, selectWeatherVariables, selectCurrentStats
+    selectWeatherData, selectSelectedVariable, selectCurrentTime, selectWeatherVariables, selectCurrentStats, selectGridVersion,
+    selectNests
 } from '../../redux/slices/weatherSlice';
+import { getGrid, getNestGrids } from '../../redux/gridStore';
 
 import { selectSelectedStationId, selectShowStations, setSelectedStationId } from '../../redux/slices/uiSlice'
+import { selectUnits } from '../../redux/slices/unitsSlice';
+import { selectSamplingMethod } from '../../redux/slices/dataTableSlice';
 
 const StationsOverlay = () => {
     const map = useMap();
@@ -23,33 +28,33 @@ const StationsOverlay = () => {
     const currentTime = useSelector(selectCurrentTime);
     const weatherVariables = useSelector(selectWeatherVariables);
     const currentStats = useSelector(selectCurrentStats);
+    const gridVersion = useSelector(selectGridVersion);
+    const nests = useSelector(selectNests);
+    const samplingMethod = useSelector(selectSamplingMethod);
+    const units = useSelector(selectUnits);
+    const { unit, convert } = variableConverter(weatherVariables[selectedVariable], units);
 
     const selectedStationId = useSelector(selectSelectedStationId);
     const showStations = useSelector(selectShowStations);
 
     // Process station data with weather values
     const processedStations = useMemo(() => {
-        if (!weatherData || !stationsData || !weatherData.grid_info) return [];
+        if (!weatherData || !stationsData || !weatherData.grid_info || !gridVersion) return [];
 
-        return stationsData.map(station => {
-            let weatherValue = null;
-
-            if (weatherData.time_series && weatherData.time_series.length > 0) {
-                const timeData = weatherData.time_series.find(t => t.time === currentTime);
-                if (timeData && timeData.variables && timeData.variables[selectedVariable]) {
+        const values = getGrid(currentTime, selectedVariable);
+        const nestLayers = nests.map(nest => ({
+            gridInfo: nest.gridInfo, values: getNestGrids(nest.domain).getGrid(currentTime, selectedVariable)
+        }));
 
-                    // Convert station coordinates to grid indices
-                    const scale = weatherData.metadata?.variable_scales?.[selectedVariable] || 1;
-                    weatherValue = getGridValueAt(
-                        station.lat, station.lon,
-                        timeData.variables[selectedVariable],
-                        weatherData.grid_info, scale);
-                }
-            }
+        return stationsData.map(station => {
+            // Convert station coordinates to grid indices (grid store values are already scaled)
+            const weatherValue = values
+                ? getGridValueAt(station.lat, station.lon, values, weatherData.grid_info, 1, nestLayers, samplingMethod)
+                : null;
 
             return { ...station, weatherValue };
         });
-    }, [weatherData, selectedVariable, currentTime]);
+    }, [weatherData, gridVersion, selectedVariable, currentTime, nests, samplingMethod]);
 
     // Virtualized markers based on zoom and bounds
     useEffect(() => {
@@ -122,7 +127,7 @@ const StationsOverlay = () => {
                             <p><span className="font-semibold">Coordinates:</span> {station.lat.toFixed(4)}, {station.lon.toFixed(4)}</p>
                             {station.weatherValue !== null && (
                                 <p className="text-sm font-medium text-blue-600 pt-1">
-                                    <span className="font-semibold">{selectedVariable}:</span> {station.weatherValue} {weatherVariables[selectedVariable].unit}
+                                    <span className="font-semibold">{selectedVariable}:</span> {convert(station.weatherValue).toFixed(2)} {unit}
                                 </p>
                             )}
                         </div>
@@ -4,8 +4,13 @@ import { useSelector } from 'react-redux';
 import L from 'leaflet';
 import 'leaflet-velocity';
 
-import { selectWeatherData, selectCurrentTime, selectCurrentTimeData } from '../../redux/slices/weatherSlice';
+import { selectWeatherData, selectCurrentFrame, selectGridVersion, selectSelectedLevel } from '../../redux/slices/weatherSlice';
+import { getGrid } from '../../redux/gridStore';
+import { getFrameGrid } from '../../hooks/interpolation';
+import { isCurvilinear, getRegularCover } from '../../hooks/gridGeometry';
 import { selectShowWindAnimation, selectOpacity } from '../../redux/slices/uiSlice';
+import { selectUnits } from '../../redux/slices/unitsSlice';
+import { velocitySpeedUnit } from '../../hooks/units';
 
 const WindOverlay = ({
   maxVelocity = 30, velocityScale = 0.01,
@@ -16,13 +21,16 @@ const WindOverlay = ({
 
   // Get current weather data from Redux
   const weatherData = useSelector(selectWeatherData);
-  const currentTime = useSelector(selectCurrentTime);
-  const currentTimeData = useSelector(selectCurrentTimeData);
+  const currentFrame = useSelector(selectCurrentFrame); // between two steps while interpolating
+  const gridVersion = useSelector(selectGridVersion);
+  const level = useSelector(selectSelectedLevel);
   const showWindAnimation = useSelector(selectShowWindAnimation);
   const opacity = useSelector(selectOpacity);
+  const units = useSelector(selectUnits);
+  const speedUnit = velocitySpeedUnit(units); // the grids stay in m/s, the readout follows the user
 
   // Convert U10/V10 to velocity format
-  const convertToVelocityFormat = useCallback((u10Array, v10Array, gridInfo, scale) => {
+  const convertToVelocityFormat = useCallback((u10Array, v10Array, gridInfo) => {
     if (!u10Array || !v10Array || !gridInfo) return null;
 
     const { corner, size, steps } = gridInfo;
@@ -34,10 +42,10 @@ const WindOverlay = ({
     const uData = new Array(totalPoints);
     const vData = new Array(totalPoints);
 
-    // Direct conversion from scaled U10/V10 components
+    // Grid store values are already in m/s; missing cells become calm
     for (let i = 0; i < totalPoints; i++) {
-      uData[i] = (u10Array[i] || 0) / scale;
-      vData[i] = (v10Array[i] || 0) / scale;
+      uData[i] = u10Array[i] || 0;
+      vData[i] = v10Array[i] || 0;
     }
 
     // Return velocity data structure
@@ -67,17 +75,31 @@ const WindOverlay = ({
 
   // Memoize velocity data
   const velocityData = useMemo(() => {
-    if (!weatherData?.grid_info || !currentTimeData?.variables?.U10 || !currentTimeData?.variables?.V10) return null;
+    // 10 m winds at the surface, the pressure-level winds when a level is selected. Between steps
+    // the components are blended, not speed and direction (which would wrap around north).
+    const u10Data = getFrameGrid(getGrid, currentFrame, level === null ? 'U10' : `U_PL.${level}`);
+    const v10Data = getFrameGrid(getGrid, currentFrame, level === null ? 'V10' : `V_PL.${level}`);
+    if (!weatherData?.grid_info || !gridVersion || !u10Data || !v10Data) return null;
+
+    // leaflet-velocity needs a regular lat/lon grid: sample projected grids onto one
+    const gridInfo = weatherData.grid_info;
+    if (isCurvilinear(gridInfo)) {
+      const cover = getRegularCover(gridInfo);
+      const sample = (values) => Float32Array.from(cover.sources, index => (index < 0 ? NaN : values[index]));
+      return convertToVelocityFormat(sample(u10Data), sample(v10Data), cover);
+    }
+
+    return convertToVelocityFormat(u10Data, v10Data, gridInfo);
+  }, [weatherData?.grid_info, gridVersion, currentFrame, level, convertToVelocityFormat]);
 
-    const u10Data = currentTimeData.variables.U10;
-    const v10Data = currentTimeData.variables.V10;
+  // Later frames swap the data of the layer on the map; a new layer waits before drawing anything
+  const velocityDataRef = useRef(velocityData);
+  velocityDataRef.current = velocityData;
+  const hasVelocityData = velocityData !== null;
 
-    return convertToVelocityFormat(
-      u10Data, v10Data,
-      weatherData.grid_info,
-      weatherData.metadata?.variable_scales?.U10 || 100
-    );
-  }, [weatherData?.grid_info, weatherData?.metadata?.variable_scales?.U10, currentTimeData?.variables?.U10, currentTimeData?.variables?.V10, convertToVelocityFormat]);
+  useEffect(() => {
+    if (velocityLayerRef.current && velocityData) velocityLayerRef.current.setData(velocityData);
+  }, [velocityData]);
 
   // Update layer when data changes
   useEffect(() => {
@@ -90,7 +112,7 @@ const WindOverlay = ({
     }
 
     // Add new layer if conditions are met
-    if (showWindAnimation && velocityData) {
+    if (showWindAnimation && hasVelocityData) {
       try {
         const velocityOptions = {
           displayValues: true,
@@ -101,9 +123,9 @@ const WindOverlay = ({
             angleConvention: 'bearingCCW',
             displayPosition: 'bottomleft',
             displayEmptyString: 'No wind data',
-            speedUnit: 'm/s'
+            speedUnit
           },
-          data: velocityData,
+          data: velocityDataRef.current,
           maxVelocity, velocityScale,
           particleMultiplier, particleAge,
           frameRate, lineWidth,
@@ -144,7 +166,7 @@ const WindOverlay = ({
         velocityLayerRef.current = null;
       }
     };
-  }, [map, velocityData, showWindAnimation, opacity, maxVelocity, velocityScale, particleMultiplier, particleAge, frameRate, lineWidth]);
+  }, [map, hasVelocityData, showWindAnimation, opacity, speedUnit, maxVelocity, velocityScale, particleMultiplier, particleAge, frameRate, lineWidth]);
 
   return null;
 };
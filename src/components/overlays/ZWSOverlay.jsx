@@ -8,6 +8,9 @@ import {
     selectSelectedCities, selectShowZWS, selectSelectedZomatoStationId, setSelectedZomatoStationId,
     selectVisibleCityStations, selectHiddenCities
 } from '../../redux/slices/zomatoSlice';
+import { selectUnits, selectTimeZone } from '../../redux/slices/unitsSlice';
+import { unitConverter } from '../../hooks/units';
+import { formatTime } from '../../hooks/time';
 
 const ZWSOverlay = () => {
     const map = useMap();
@@ -20,6 +23,8 @@ const ZWSOverlay = () => {
     const showZWS = useSelector(selectShowZWS);
     const selectedStationId = useSelector(selectSelectedZomatoStationId);
     const cityStations = useSelector(selectVisibleCityStations);
+    const units = useSelector(selectUnits);
+    const timeZone = useSelector(selectTimeZone);
 
     // Memoized function to calculate visible markers based on map bounds and zoom
     const calculateVisibleMarkers = useCallback((stations, mapInstance) => {
@@ -106,8 +111,10 @@ const ZWSOverlay = () => {
         dispatch(setSelectedZomatoStationId(newSelectedId));
     }, [selectedStationId, dispatch]);
 
-    // Render data row component
-    const DataRow = ({ icon: Icon, label, value, unit, color = "text-gray-700" }) => {
+    // Render data row component; `unit` is the one the station reports in, shown in the user's units
+    const DataRow = ({ icon: Icon, label, value, unit: reportedUnit, color = "text-gray-700" }) => {
+        const { unit, convert } = unitConverter(reportedUnit, units);
+
         if (value === null || value === undefined) {
             return (
                 <div className="flex items-center gap-2">
@@ -126,7 +133,7 @@ const ZWSOverlay = () => {
                 <div>
                     <p className="text-xs text-gray-500">{label}</p>
                     <p className={`font-semibold text-sm ${color}`}>
-                        {typeof value === 'number' ? value.toFixed(1) : value}{unit}
+                        {typeof value === 'number' ? convert(value).toFixed(1) : value}{unit}
                     </p>
                 </div>
             </div>
@@ -184,7 +191,7 @@ const ZWSOverlay = () => {
                                         <h5 className="font-semibold text-xs text-gray-700">Live Data</h5>
                                         {weather && weather.timestamp && (
                                             <span className="text-xs text-gray-500">
-                                                {new Date(weather.timestamp).toLocaleTimeString()}
+                                                {formatTime(new Date(weather.timestamp), timeZone, 'time')}
                                             </span>
                                         )}
                                     </div>
@@ -0,0 +1,89 @@
+import { createSelector } from '@reduxjs/toolkit';
+import { getGridValueAt } from '../hooks/helper';
+import { parseUtcTime } from '../hooks/time';
+import { aiModelGrids } from '../redux/gridStore';
+
+import {
+  loadAiModel, setAiVariable, setAiTimeIndex, setAiViewport, advanceAiTime, setAiIsPlaying, setAiAnimationSpeed,
+  selectAiManifest, selectAiVariables, selectAiSelectedVariable, selectAiLoadedTimes, selectAiCurrentTimeIndex,
+  selectAiIsPlaying, selectAiAnimationSpeed, selectAiCurrentStats, selectAiGridInfo, selectAiGridVersion
+} from '../redux/slices/aiModelSlice';
+import { selectSamplingMethod } from '../redux/slices/dataTableSlice';
+
+const HOUR = 60 * 60 * 1000;
+
+// Global 0.25° fields from AI weather models, 6-hourly, cropped to the map view
+const selectTimeAxis = createSelector(
+  [selectAiManifest, selectAiLoadedTimes, selectAiCurrentTimeIndex, selectAiIsPlaying, selectAiAnimationSpeed],
+  (manifest, indices, current, isPlaying, animationSpeed) => {
+    const start = manifest ? parseUtcTime(manifest.initTime) : null;
+    const stepTime = (index) => (start ? new Date(start.getTime() + index * manifest.stepHours * HOUR) : null);
+    const count = manifest?.totalSteps || 0;
+
+    return {
+      indices,
+      count,
+      current,
+      timestamp: stepTime(current),
+      frame: current,
+      frameTimestamp: stepTime(current),
+      framesPerStep: 1,
+      interpolate: false,
+      start,
+      end: stepTime(count - 1),
+      timeOf: stepTime,
+      loaded: count > 0 ? indices.length / count : 0,
+      isPlaying,
+      animationSpeed,
+      ready: manifest !== null,
+      hasData: indices.length > 0
+    };
+  }
+);
+
+const aiModelsSource = {
+  id: 'ai',
+  name: 'AI Models',
+  icon: '🤖',
+  tooltipTitle: 'AI Model Forecast',
+  mode: 'other',
+  capabilities: {
+    gridOverlay: true,
+    windOverlay: false,
+    stations: false,
+    dataTable: true,
+    localFiles: false,
+    batches: false,
+    stepsOnDemand: true,
+    polygonDrawing: false,
+    hoverMinZoom: 0
+  },
+
+  load: loadAiModel,
+
+  selectVariables: selectAiVariables,
+  selectSelectedVariable: selectAiSelectedVariable,
+  selectTimeAxis,
+  selectStats: selectAiCurrentStats,
+  selectOfflineSince: () => null,
+
+  selectGridInfo: selectAiGridInfo,
+  selectGridVersion: selectAiGridVersion,
+  getGrid: aiModelGrids.getGrid,
+  getGridStats: aiModelGrids.getGridStats,
+  getCellValues: aiModelGrids.getCellValues,
+  getPointValue: (state, variable, timeIndex, lat, lon) => {
+    const values = aiModelGrids.getGrid(timeIndex, variable);
+    const gridInfo = selectAiGridInfo(state);
+    return values && gridInfo ? getGridValueAt(lat, lon, values, gridInfo, 1, [], selectSamplingMethod(state)) : null;
+  },
+
+  setVariable: setAiVariable,
+  setViewport: setAiViewport,
+  setTimeIndex: setAiTimeIndex,
+  advanceTime: advanceAiTime,
+  setIsPlaying: setAiIsPlaying,
+  setAnimationSpeed: setAiAnimationSpeed
+};
+
+export default aiModelsSource;
@@ -0,0 +1,106 @@
+import { useSelector } from 'react-redux';
+import { selectSelectedDataSource } from '../redux/slices/uiSlice';
+import wrfSource from './wrf';
+import openMeteoSource from './openMeteo';
+import aiModelsSource from './aiModels';
+
+// Registry of forecast data sources shown behind the ControlPanel source toggle.
+// Components look the selected source up here instead of branching on its id.
+//
+// An adapter is a plain object:
+//   id, name, icon, tooltipTitle
+//   mode             'forecast' (cycled by the Forecast toggle, the default) or 'other' (Other Forecasts)
+//   capabilities     { gridOverlay, windOverlay, stations, dataTable, localFiles, batches, stepsOnDemand,
+//                      polygonDrawing, hoverMinZoom } - which UI applies to the source
+//   load()           action creator (thunk) that (re)loads the source's data
+//   selectVariables(state)        -> { [key]: { name, unit, tooltipOnly?, difference? } }, unit being
+//                                    the unit of the values (converted for display, hooks/units.jsx)
+//   selectSelectedVariable(state) -> key of the mapped variable
+//   selectTimeAxis(state)         -> memoized { indices, count, current, timestamp, start, end, timeOf(index),
+//                                    frame, frameTimestamp, framesPerStep, interpolate, loaded (0-1),
+//                                    isPlaying, animationSpeed, ready, hasData }; times are Dates in UTC,
+//                                    shown in the user's zone (hooks/time.jsx). frame is the fractional
+//                                    time index drawn when playback interpolates (hooks/interpolation.jsx),
+//                                    framesPerStep frames to a step; otherwise frame is current.
+//   selectStats(state)            -> { min, max } for the Legend, or null
+//   selectOfflineSince(state)     -> when the data on screen was saved, if it is an offline fallback
+//   getPointValue(state, variable, timeIndex, lat, lon) -> number or null
+//   setTimeIndex(i), advanceTime(), setIsPlaying(bool), setAnimationSpeed(ms) - action creators; with
+//                    interpolation on, setTimeIndex takes a fractional frame and advanceTime moves a frame
+//   setTimeInterpolation(bool) - optional, for sources that can play back between their steps
+//   setVariable(key) - optional, for sources with more than one mapped variable
+//   selectLevels(state) -> pressure levels in hPa, selectSelectedLevel(state) -> one of them or null
+//                          for the surface, setLevel(level) - optional, for sources with upper-air fields
+//   setViewport({ bounds, zoom }) - optional, told about every map move (e.g. to crop to the view)
+//
+// Sources with a grid overlay or data table also read from a grid store (gridStore.jsx):
+//   selectGridInfo(state)    -> grid_info of the grids, or null
+//   selectGridVersion(state) -> counter that changes whenever the grids do
+//   getGrid(timeIndex, variable), getGridStats(timeIndex, variable), getCellValues(timeIndex, index)
+//   getMemberGrids(timeIndex, variable) - optional, the ensemble members' grids or null
+//
+// Sources with nested domains add selectNests(state) -> [{ domain, gridInfo, minZoom }], finest
+// first, and take the domain as an extra argument of getGrid and getCellValues.
+
+const REQUIRED_KEYS = [
+  'id', 'name', 'capabilities', 'load', 'selectVariables', 'selectSelectedVariable', 'selectTimeAxis',
+  'selectStats', 'selectOfflineSince', 'getPointValue',
+  'setTimeIndex', 'advanceTime', 'setIsPlaying', 'setAnimationSpeed'
+];
+
+const GRID_KEYS = ['selectGridInfo', 'selectGridVersion', 'getGrid', 'getGridStats', 'getCellValues'];
+
+const sources = new Map();
+
+export const registerDataSource = (adapter) => {
+  const { gridOverlay, dataTable } = adapter.capabilities || {};
+  const required = gridOverlay || dataTable ? [...REQUIRED_KEYS, ...GRID_KEYS] : REQUIRED_KEYS;
+  const missing = required.filter(key => adapter[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Data source "${adapter.id}" is missing: ${missing.join(', ')}`);
+  }
+  sources.set(adapter.id, adapter);
+};
+
+// Every source, or only those of one mode
+export const listDataSources = (mode) =>
+  [...sources.values()].filter(source => !mode || (source.mode || 'forecast') === mode);
+
+// Unknown ids fall back to the first registered source
+export const getDataSource = (id) => sources.get(id) || sources.values().next().value;
+
+// The source after `id` among those of the same mode, wrapping around (for the toggle button)
+export const getNextDataSource = (id) => {
+  const all = listDataSources(getDataSource(id).mode || 'forecast');
+  return all[(all.findIndex(source => source.id === id) + 1) % all.length];
+};
+
+// Adapter of the source currently selected in the UI
+export const useDataSource = () => getDataSource(useSelector(selectSelectedDataSource));
+
+const NO_NESTS = [];
+const selectNoNests = () => NO_NESTS;
+
+// Nested domains of the selected source, finest first (empty for sources without any)
+export const useNests = () => useSelector(useDataSource().selectNests || selectNoNests);
+
+// The nests' grids of one variable and step, in the form getGridValueAt takes them
+export const getNestLayers = (dataSource, nests, timeIndex, variable) =>
+  nests.map(nest => ({ gridInfo: nest.gridInfo, values: dataSource.getGrid(timeIndex, variable, nest.domain) }));
+
+const NO_LEVELS = [];
+const selectNoLevels = () => NO_LEVELS;
+const selectSurface = () => null;
+
+// Pressure levels of the selected source and the one shown (empty and null for surface-only sources)
+export const useLevels = () => {
+  const dataSource = useDataSource();
+  return [
+    useSelector(dataSource.selectLevels || selectNoLevels),
+    useSelector(dataSource.selectSelectedLevel || selectSurface)
+  ];
+};
+
+registerDataSource(wrfSource);
+registerDataSource(openMeteoSource);
+registerDataSource(aiModelsSource);
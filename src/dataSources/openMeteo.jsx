@@ -0,0 +1,123 @@
+import { createSelector } from '@reduxjs/toolkit';
+import { parseUtcTime } from '../hooks/time';
+
+import {
+  fetchOpenMeteoData, setOpenMeteoCurrentTimeIndex, advanceOpenMeteoTime, setOpenMeteoIsPlaying,
+  setOpenMeteoAnimationSpeed, selectOpenMeteoData, selectOpenMeteoCurrentTimeIndex, selectOpenMeteoTimeIndices,
+  selectOpenMeteoCurrentTimestamp, selectOpenMeteoIsPlaying, selectOpenMeteoAnimationSpeed,
+  selectHasValidData, selectOpenMeteoOfflineSince
+} from '../redux/slices/openMeteoSlice';
+
+// Hourly Open-Meteo forecast for the centre of a user-drawn polygon.
+// Only temperature is mapped; the other variables show up in the hover tooltip.
+const VARIABLES = {
+  temperature_2m: { name: 'Temperature', unit: '°C' },
+  relative_humidity_2m: { name: 'Relative Humidity', unit: '%', tooltipOnly: true },
+  precipitation: { name: 'Precipitation', unit: 'mm', tooltipOnly: true },
+  pressure_msl: { name: 'Sea Level Pressure', unit: 'hPa', tooltipOnly: true },
+  wind_speed_10m: { name: 'Wind Speed', unit: 'km/h', tooltipOnly: true },
+  wind_direction_10m: { name: 'Wind Direction', unit: '°', tooltipOnly: true }
+};
+
+const MAPPED_VARIABLE = 'temperature_2m';
+
+// Units as the response reports them (hourly_units), which the display converts from
+const selectVariables = createSelector([selectOpenMeteoData], (weatherData) => {
+  const reported = weatherData?.hourly_units || {};
+  return Object.fromEntries(Object.entries(VARIABLES).map(([key, info]) => [
+    key, reported[key] ? { ...info, unit: reported[key] } : info
+  ]));
+});
+
+
+const selectTimeAxis = createSelector(
+  [selectOpenMeteoData, selectOpenMeteoTimeIndices, selectOpenMeteoCurrentTimeIndex, selectOpenMeteoCurrentTimestamp,
+    selectOpenMeteoIsPlaying, selectOpenMeteoAnimationSpeed, selectHasValidData],
+  (weatherData, indices, current, timestamp, isPlaying, animationSpeed, hasValidData) => {
+    // Hourly times come without an offset, in the zone the response names (GMT as requested)
+    const times = weatherData?.hourly?.time || [];
+    const toDate = (time) => parseUtcTime(time, weatherData?.utc_offset_seconds || 0);
+    const currentTime = toDate(timestamp);
+    return {
+      indices,
+      count: times.length,
+      current,
+      timestamp: currentTime,
+      frame: current,
+      frameTimestamp: currentTime,
+      framesPerStep: 1,
+      interpolate: false,
+      start: toDate(times[0]),
+      end: toDate(times[times.length - 1]),
+      timeOf: (index) => toDate(times[index]),
+      loaded: 1,
+      isPlaying,
+      animationSpeed,
+      ready: Boolean(hasValidData),
+      hasData: Boolean(hasValidData)
+    };
+  }
+);
+
+// Min/max of the temperature field PolygonOverlay paints: the point forecast plus the same
+// deterministic spatial variation, sampled at 50 points
+const selectStats = createSelector(
+  [selectOpenMeteoData, selectOpenMeteoCurrentTimeIndex],
+  (weatherData, timeIndex) => {
+    const baseTemp = weatherData?.hourly?.temperature_2m?.[timeIndex];
+    if (baseTemp === undefined || baseTemp === null) return null;
+
+    const temperatures = [];
+    for (let i = 0; i < 50; i++) {
+      const sampleLat = i * 0.01;
+      const sampleLng = i * 0.01;
+
+      const variation1 = Math.sin((sampleLat * 100) + (timeIndex * 0.5)) * 2;
+      const variation2 = Math.cos((sampleLng * 80) + (timeIndex * 0.7)) * 1.5;
+      const variation3 = Math.sin((sampleLat + sampleLng) * 60 + (timeIndex * 0.3)) * 1;
+
+      temperatures.push(baseTemp + variation1 + variation2 + variation3);
+    }
+
+    return {
+      min: Math.min(...temperatures).toFixed(1),
+      max: Math.max(...temperatures).toFixed(1)
+    };
+  }
+);
+
+const openMeteoSource = {
+  id: 'openmeteo',
+  name: 'OpenMeteo',
+  icon: '🌐',
+  tooltipTitle: 'OpenMeteo Data',
+  capabilities: {
+    gridOverlay: false,
+    windOverlay: false,
+    stations: false,
+    dataTable: false,
+    localFiles: false,
+    batches: false,
+    stepsOnDemand: false,
+    polygonDrawing: true,
+    hoverMinZoom: 0
+  },
+
+  load: () => (dispatch, getState) => dispatch(fetchOpenMeteoData(getState().openMeteo.polygonPoints)),
+
+  selectVariables,
+  selectSelectedVariable: () => MAPPED_VARIABLE,
+  selectTimeAxis,
+  selectStats,
+  selectOfflineSince: selectOpenMeteoOfflineSince,
+
+  // A single point forecast - there is no grid, and every point of the polygon shares the value
+  getPointValue: (state, variable, timeIndex) => state.openMeteo.weatherData?.hourly?.[variable]?.[timeIndex] ?? null,
+
+  setTimeIndex: setOpenMeteoCurrentTimeIndex,
+  advanceTime: advanceOpenMeteoTime,
+  setIsPlaying: setOpenMeteoIsPlaying,
+  setAnimationSpeed: setOpenMeteoAnimationSpeed
+};
+
+export default openMeteoSource;
@@ -0,0 +1,97 @@
+import { createSelector } from '@reduxjs/toolkit';
+import { getGridValueAt } from '../hooks/helper';
+import { frameTime } from '../hooks/interpolation';
+import { getGrid, getGridStats, getCellValues, getMemberGrids, getNestGrids } from '../redux/gridStore';
+
+import {
+  fetchInitialWeatherData, setSelectedVariable, setSelectedLevel, setCurrentTimeIndex, advanceTime, setAnimationSpeed,
+  setTimeInterpolation, selectWeatherVariables, selectSelectedVariable, selectTimeIndices, selectTimeRangeInfo,
+  selectBatchInfo, selectCurrentTimeIndex, selectCurrentTimestamp, selectCurrentFrame, selectFramesPerStep,
+  selectTimeInterpolation, selectAnimationSpeed, selectCurrentStats, selectOfflineData, selectGridVersion,
+  selectNests, selectLevels, selectSelectedLevel, timeOfStep
+} from '../redux/slices/weatherSlice';
+import { setIsPlaying, selectIsPlaying } from '../redux/slices/uiSlice';
+import { selectSamplingMethod } from '../redux/slices/dataTableSlice';
+
+// WRF runs served by the backend in /data/NNN batches, or loaded from a local wrfout/GRIB2 file
+const selectTimeAxis = createSelector(
+  [selectTimeIndices, selectTimeRangeInfo, selectBatchInfo, selectCurrentTimeIndex, selectCurrentTimestamp,
+    selectCurrentFrame, selectFramesPerStep, selectTimeInterpolation, selectIsPlaying, selectAnimationSpeed],
+  (indices, rangeInfo, batchInfo, current, timestamp, frame, framesPerStep, interpolate, isPlaying, animationSpeed) => ({
+    indices,
+    count: rangeInfo ? rangeInfo.totalTimestamps : (indices.length > 0 ? indices[indices.length - 1] + 1 : 0),
+    current,
+    timestamp,
+    frame,
+    frameTimestamp: frameTime((index) => timeOfStep(batchInfo, index), frame),
+    framesPerStep,
+    interpolate,
+    start: rangeInfo?.startDate || null,
+    end: rangeInfo?.endDate || null,
+    timeOf: (index) => timeOfStep(batchInfo, index),
+    loaded: batchInfo ? batchInfo.loadedBatches.length / batchInfo.totalBatches : 0,
+    isPlaying,
+    animationSpeed,
+    ready: batchInfo !== null,
+    hasData: indices.length > 0
+  })
+);
+
+const selectGridInfo = (state) => state.weather.weatherData?.grid_info ?? null;
+
+const wrfSource = {
+  id: 'wrf',
+  name: 'WRF Model',
+  icon: '🌡️',
+  tooltipTitle: 'WRF Data (IIT-H)',
+  capabilities: {
+    gridOverlay: true,
+    windOverlay: true,
+    stations: true,
+    dataTable: true,
+    localFiles: true,
+    batches: true,
+    stepsOnDemand: true,
+    polygonDrawing: false,
+    hoverMinZoom: 10
+  },
+
+  load: fetchInitialWeatherData,
+
+  selectVariables: selectWeatherVariables,
+  selectSelectedVariable,
+  selectLevels,
+  selectSelectedLevel,
+  selectTimeAxis,
+  selectStats: selectCurrentStats,
+  selectOfflineSince: (state) => selectOfflineData(state)?.cachedAt ?? null,
+
+  selectGridInfo,
+  selectGridVersion,
+  selectNests,
+  getGrid: (timeIndex, variable, domain) =>
+    (domain ? getNestGrids(domain).getGrid(timeIndex, variable) : getGrid(timeIndex, variable)),
+  getGridStats,
+  getCellValues: (timeIndex, index, domain) =>
+    (domain ? getNestGrids(domain).getCellValues(timeIndex, index) : getCellValues(timeIndex, index)),
+  getMemberGrids: (timeIndex, variable, domain) =>
+    (domain ? getNestGrids(domain).getMemberGrids(timeIndex, variable) : getMemberGrids(timeIndex, variable)),
+  getPointValue: (state, variable, timeIndex, lat, lon) => {
+    const values = getGrid(timeIndex, variable);
+    const gridInfo = selectGridInfo(state);
+    const nests = selectNests(state).map(nest => ({
+      gridInfo: nest.gridInfo, values: getNestGrids(nest.domain).getGrid(timeIndex, variable)
+    }));
+    return values && gridInfo ? getGridValueAt(lat, lon, values, gridInfo, 1, nests, selectSamplingMethod(state)) : null;
+  },
+
+  setVariable: setSelectedVariable,
+  setLevel: setSelectedLevel,
+  setTimeIndex: setCurrentTimeIndex,
+  advanceTime,
+  setTimeInterpolation,
+  setIsPlaying,
+  setAnimationSpeed
+};
+
+export default wrfSource;
@@ -0,0 +1,77 @@
+// Variables computed cell by cell from the ones a run carries. The registry is shared by the
+// worker that computes the grids (workers/derivedWorker) and the variable lists, which offer a
+// derived variable whenever the run has all of its inputs.
+
+const MAGNUS = { a: 17.625, b: 243.04 }; // Magnus coefficients over water (Alduchov & Eskridge)
+
+// Saturation vapour pressure (hPa) at a temperature in °C
+const saturationVapourPressure = (celsius) => 6.1094 * Math.exp((MAGNUS.a * celsius) / (MAGNUS.b + celsius));
+
+const windSpeed = (u, v) => Math.hypot(u, v);
+
+// Direction the wind blows from, in degrees clockwise from north
+const windDirection = (u, v) => {
+    if (u === 0 && v === 0) return NaN;
+    return (180 + (Math.atan2(u, v) * 180) / Math.PI) % 360;
+};
+
+const dewPoint = (celsius, rh) => {
+    if (rh <= 0) return NaN;
+    const gamma = Math.log(Math.min(rh, 100) / 100) + (MAGNUS.a * celsius) / (MAGNUS.b + celsius);
+    return (MAGNUS.b * gamma) / (MAGNUS.a - gamma);
+};
+
+// NWS heat index: Steadman's simple formula in mild weather, the Rothfusz regression with its
+// low- and high-humidity adjustments above 80 °F
+const heatIndex = (celsius, rh) => {
+    const t = (celsius * 9) / 5 + 32;
+    let index = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+    if ((index + t) / 2 >= 80) {
+        index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+            - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+            + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+        if (rh < 13 && t >= 80 && t <= 112) index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+        if (rh > 85 && t >= 80 && t <= 87) index += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+
+    return ((index - 32) * 5) / 9;
+};
+
+// Steadman's apparent temperature as used by the Australian Bureau of Meteorology (shade, 10 m wind)
+const apparentTemperature = (celsius, rh, u, v) => {
+    const vapourPressure = (rh / 100) * saturationVapourPressure(celsius);
+    return celsius + 0.33 * vapourPressure - 0.7 * Math.hypot(u, v) - 4;
+};
+
+export const DERIVED_VARIABLES = {
+    WSPD10: { name: 'Wind Speed', unit: 'm/s', colorScale: 'S_PL', inputs: ['U10', 'V10'], compute: windSpeed },
+    WDIR10: { name: 'Wind Direction', unit: '°', colorScale: 'WDIR', inputs: ['U10', 'V10'], compute: windDirection },
+    TD2: { name: 'Dew Point', unit: '°C', colorScale: 'T2', inputs: ['T2', 'RH'], compute: dewPoint },
+    HEAT_INDEX: { name: 'Heat Index', unit: '°C', colorScale: 'T2', inputs: ['T2', 'RH'], compute: heatIndex },
+    APPARENT_T: {
+        name: 'Apparent Temperature', unit: '°C', colorScale: 'T2', inputs: ['T2', 'RH', 'U10', 'V10'], compute: apparentTemperature
+    },
+};
+
+// Derived variables whose inputs are all among the given variable keys
+export const derivableFrom = (variables) => Object.keys(DERIVED_VARIABLES)
+    .filter(key => DERIVED_VARIABLES[key].inputs.every(input => variables.includes(input)));
+
+// One derived grid from its input grids (in the order of `inputs`); missing inputs give missing cells
+export const computeDerivedGrid = (key, inputGrids) => {
+    const { compute } = DERIVED_VARIABLES[key];
+    const grid = new Float32Array(inputGrids[0].length);
+    const values = new Array(inputGrids.length);
+
+    for (let i = 0; i < grid.length; i++) {
+        let missing = false;
+        for (let j = 0; j < inputGrids.length; j++) {
+            values[j] = inputGrids[j][i];
+            if (Number.isNaN(values[j])) missing = true;
+        }
+        grid[i] = missing ? NaN : compute(...values);
+    }
+
+    return grid;
+};
@@ -0,0 +1,93 @@
+// Ensemble products computed from member grids (Float32Arrays of one variable and time step,
+// NaN for missing cells). A run with members gets, for each variable they carry:
+//
+//   'T2.mean', 'T2.std', 'T2.min', 'T2.max'  - for every step with members
+//   'T2.prob'                                - % of members above a threshold, for the layer on screen
+//   'TOTAL_RAIN.prob24'                      - % of members whose last 24 h of rain exceed one
+//
+// Thresholds are user settings (weatherSlice exceedanceThresholds), hence the products on demand.
+// Both are computed in the derived-variable worker (weatherSlice computeEnsembleGrids).
+
+export const ENSEMBLE_STATISTICS = ['mean', 'std', 'min', 'max'];
+
+// Probability products: the variable they are computed from, and the accumulation window for
+// fields accumulated since the start of the run (0 for instantaneous fields)
+export const EXCEEDANCE_PRODUCTS = {
+    'T2.prob': { variable: 'T2', windowHours: 0 },
+    'TOTAL_RAIN.prob24': { variable: 'TOTAL_RAIN', windowHours: 24 },
+};
+
+export const DEFAULT_THRESHOLDS = { T2: 35, TOTAL_RAIN: 25 };
+
+// Variable whose members a key is drawn from: the variable itself, or its mean/min/max
+export const memberVariableOf = (key) => {
+    const match = /^(.+)\.(mean|min|max)$/.exec(key || '');
+    return match ? match[1] : key;
+};
+
+// Cell-by-cell mean, standard deviation, min and max over the members, skipping missing values
+export const memberStatistics = (members) => {
+    const length = members[0].length;
+    const mean = new Float32Array(length);
+    const std = new Float32Array(length);
+    const min = new Float32Array(length);
+    const max = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        let count = 0;
+        let sum = 0;
+        let sumSquares = 0;
+        let low = Infinity;
+        let high = -Infinity;
+        for (const member of members) {
+            const value = member[i];
+            if (Number.isNaN(value)) continue;
+            count++;
+            sum += value;
+            sumSquares += value * value;
+            if (value < low) low = value;
+            if (value > high) high = value;
+        }
+
+        if (count === 0) {
+            mean[i] = std[i] = min[i] = max[i] = NaN;
+            continue;
+        }
+        mean[i] = sum / count;
+        std[i] = Math.sqrt(Math.max(0, sumSquares / count - mean[i] * mean[i]));
+        min[i] = low;
+        max[i] = high;
+    }
+
+    return { mean, std, min, max };
+};
+
+// % of members above threshold in each cell. With `earlier` (the members at the start of an
+// accumulation window, same order) the members' differences are compared instead.
+export const exceedanceProbability = (members, threshold, earlier = null) => {
+    const length = members[0].length;
+    const probability = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        let count = 0;
+        let above = 0;
+        members.forEach((member, m) => {
+            const value = earlier ? member[i] - earlier[m][i] : member[i];
+            if (Number.isNaN(value)) return;
+            count++;
+            if (value > threshold) above++;
+        });
+        probability[i] = count > 0 ? (100 * above) / count : NaN;
+    }
+
+    return probability;
+};
+
+// Value below which the given fraction of the (sorted) values lie, linearly interpolated
+export const quantile = (sorted, fraction) => {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.min(sorted.length - 1, lower + 1);
+    return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+};
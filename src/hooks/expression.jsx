@@ -0,0 +1,180 @@
+// Expressions over the grid variables for user-defined layers, e.g. "T2 - TSK" or
+// "RH > 80 && T2 > 30". Parsed by hand into a tree of closures - never eval'd - so an expression
+// can only read the variables it names and call the functions below.
+//
+//   numbers, variable keys (T2, U10, T_PL.850, ...), ( ), ? :
+//   + - * / % ^ (power), unary - and !, < <= > >= == !=, && ||
+//   abs sqrt exp log log10 round floor ceil min max pow hypot
+//
+// Comparisons and logic give 1 or 0. A cell is missing when any variable it reads is.
+
+export const EXPRESSION_KEY_PREFIX = 'EXPR_';
+
+export const isExpressionKey = (key) => typeof key === 'string' && key.startsWith(EXPRESSION_KEY_PREFIX);
+
+const FUNCTIONS = {
+    abs: [1, Math.abs], sqrt: [1, Math.sqrt], exp: [1, Math.exp], log: [1, Math.log], log10: [1, Math.log10],
+    round: [1, Math.round], floor: [1, Math.floor], ceil: [1, Math.ceil],
+    min: [2, Math.min], max: [2, Math.max], pow: [2, Math.pow], hypot: [2, Math.hypot]
+};
+
+const BINARY_OPERATORS = {
+    '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b,
+    '<': (a, b) => Number(a < b), '<=': (a, b) => Number(a <= b), '>': (a, b) => Number(a > b),
+    '>=': (a, b) => Number(a >= b), '==': (a, b) => Number(a === b), '!=': (a, b) => Number(a !== b),
+    '&&': (a, b) => Number(Boolean(a) && Boolean(b)), '||': (a, b) => Number(Boolean(a) || Boolean(b))
+};
+
+// Loosest binding first; each level is left-associative
+const PRECEDENCE = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+const TOKEN_PATTERN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*(?:\.\w+)*)|(<=|>=|==|!=|&&|\|\||[-+*/%^<>!?:(),]))/y;
+
+const tokenize = (source) => {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+        if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(source);
+        if (!match) {
+            const position = start + source.slice(start).search(/\S/);
+            throw new Error(`Unexpected "${source[position]}" at position ${position + 1}`);
+        }
+
+        const [text, number, name, operator] = match;
+        const position = start + text.search(/\S/);
+        if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number), position });
+        else if (name !== undefined) tokens.push({ type: 'name', value: name, position });
+        else tokens.push({ type: 'operator', value: operator, position });
+    }
+
+    return tokens;
+};
+
+// Parse an expression into { evaluate(values), variables }: the variable keys it reads, in order
+// of first use, and a function of their values (in that order) for one cell. Throws on errors.
+export const parseExpression = (source) => {
+    const tokens = tokenize(source);
+    const variables = [];
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of expression');
+    const accept = (value) => {
+        if (peek()?.type === 'operator' && peek().value === value) {
+            index++;
+            return true;
+        }
+        return false;
+    };
+    const expect = (value) => {
+        if (!accept(value)) throw new Error(`Expected "${value}" but found ${describe(peek())}`);
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        if (!token) throw new Error('Expression ends too early');
+
+        if (token.type === 'number') {
+            const { value } = token;
+            return () => value;
+        }
+
+        if (token.type === 'name') {
+            if (accept('(')) {
+                const fn = FUNCTIONS[token.value];
+                if (!fn) throw new Error(`Unknown function "${token.value}"`);
+                const [arity, apply] = fn;
+                const args = [parseTernary()];
+                while (accept(',')) args.push(parseTernary());
+                expect(')');
+                if (args.length !== arity) throw new Error(`${token.value}() takes ${arity} argument${arity > 1 ? 's' : ''}`);
+                return arity === 1 ? (values) => apply(args[0](values)) : (values) => apply(args[0](values), args[1](values));
+            }
+
+            if (!variables.includes(token.value)) variables.push(token.value);
+            const position = variables.indexOf(token.value);
+            return (values) => values[position];
+        }
+
+        if (token.value === '(') {
+            const inner = parseTernary();
+            expect(')');
+            return inner;
+        }
+
+        throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    // Power binds tighter than unary minus on its left (-2^2 is -4) and is right-associative
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (!accept('^')) return base;
+        const exponent = parseUnary();
+        return (values) => Math.pow(base(values), exponent(values));
+    };
+
+    const parseUnary = () => {
+        if (accept('-')) {
+            const operand = parseUnary();
+            return (values) => -operand(values);
+        }
+        if (accept('+')) return parseUnary();
+        if (accept('!')) {
+            const operand = parseUnary();
+            return (values) => Number(!operand(values));
+        }
+        return parsePower();
+    };
+
+    const parseBinary = (level) => {
+        if (level === PRECEDENCE.length) return parseUnary();
+
+        let left = parseBinary(level + 1);
+        for (;;) {
+            const operator = PRECEDENCE[level].find(candidate => peek()?.type === 'operator' && peek().value === candidate);
+            if (!operator) return left;
+            index++;
+            const right = parseBinary(level + 1);
+            const apply = BINARY_OPERATORS[operator];
+            const lhs = left;
+            left = (values) => apply(lhs(values), right(values));
+        }
+    };
+
+    const parseTernary = () => {
+        const condition = parseBinary(0);
+        if (!accept('?')) return condition;
+        const whenTrue = parseTernary();
+        expect(':');
+        const whenFalse = parseTernary();
+        return (values) => (condition(values) ? whenTrue(values) : whenFalse(values));
+    };
+
+    if (tokens.length === 0) throw new Error('Expression is empty');
+    const evaluate = parseTernary();
+    if (index < tokens.length) throw new Error(`Unexpected ${describe(tokens[index])}`);
+
+    return { evaluate, variables };
+};
+
+// One grid from a parsed expression and the grids of its variables (in the order of `variables`).
+// Cells where an input is missing, or the result isn't a finite number, are missing.
+export const evaluateExpressionGrid = ({ evaluate }, inputGrids) => {
+    const grid = new Float32Array(inputGrids[0]?.length || 0);
+    const values = new Array(inputGrids.length);
+
+    for (let i = 0; i < grid.length; i++) {
+        let missing = false;
+        for (let j = 0; j < inputGrids.length; j++) {
+            values[j] = inputGrids[j][i];
+            if (Number.isNaN(values[j])) missing = true;
+        }
+        const value = missing ? NaN : evaluate(values);
+        grid[i] = Number.isFinite(value) ? value : NaN;
+    }
+
+    return grid;
+};
@@ -0,0 +1,347 @@
+// Cell geometry of WRF grids, including ones that are not regular in lat/lon. grid_info may
+// carry, next to the regular corner/size/steps approximation:
+//
+//   projection: { type: 'lambert', truelat1, truelat2, stand_lon, dx, dy, earth_radius? }
+//       corner is then the centre of cell 0 and rows/columns step dy/dx metres in the plane
+//   lats, lons: 2-D coordinates of the cell centres (row-major, size[0] * size[1] values)
+//   coordinates: key of such lats/lons kept in the grid store, which is what Redux holds
+//
+// Lookups are cached per grid_info object, so they are only built once per loaded run.
+
+import { getGridCoordinates } from '../redux/gridStore';
+
+const EARTH_RADIUS = 6370000; // WRF's sphere
+const DEG = Math.PI / 180;
+
+const cache = new WeakMap();
+
+export const isCurvilinear = (gridInfo) =>
+    Boolean(gridInfo && (gridInfo.projection || gridInfo.coordinates || (gridInfo.lats && gridInfo.lons)));
+
+// Lambert conformal conic on a sphere (Snyder, Map Projections p. 104-107)
+const lambertConformal = ({ truelat1, truelat2 = truelat1, stand_lon, earth_radius = EARTH_RADIUS }) => {
+    const phi1 = truelat1 * DEG;
+    const phi2 = truelat2 * DEG;
+    const tanHalf = (phi) => Math.tan(Math.PI / 4 + phi / 2);
+
+    const n = Math.abs(truelat1 - truelat2) < 1e-6
+        ? Math.sin(phi1)
+        : Math.log(Math.cos(phi1) / Math.cos(phi2)) / Math.log(tanHalf(phi2) / tanHalf(phi1));
+    const scale = earth_radius * Math.cos(phi1) * Math.pow(tanHalf(phi1), n) / n;
+
+    const forward = (lat, lon) => {
+        const rho = scale / Math.pow(tanHalf(lat * DEG), n);
+        const theta = n * (((lon - stand_lon + 540) % 360) - 180) * DEG;
+        return [rho * Math.sin(theta), -rho * Math.cos(theta)];
+    };
+
+    const inverse = (x, y) => {
+        const sign = Math.sign(n);
+        const rho = sign * Math.hypot(x, y);
+        const theta = Math.atan2(sign * x, -sign * y);
+        const lat = (2 * Math.atan(Math.pow(scale / rho, 1 / n)) - Math.PI / 2) / DEG;
+        return [lat, stand_lon + theta / n / DEG];
+    };
+
+    return { forward, inverse };
+};
+
+// Projected grid: cell centres sit on an even dx/dy lattice starting at corner
+const projectedGeometry = (gridInfo) => {
+    const { projection, corner, size } = gridInfo;
+    if (projection.type !== 'lambert') throw new Error(`Unsupported grid projection: ${projection.type}`);
+
+    const { forward, inverse } = lambertConformal(projection);
+    const [rows, cols] = size;
+    const [x0, y0] = forward(corner[0], corner[1]);
+    const { dx, dy } = projection;
+
+    const pointAt = (row, col) => inverse(x0 + col * dx, y0 + row * dy);
+
+    return {
+        center: (row, col) => pointAt(row, col),
+        corner: (row, col) => pointAt(row, col), // fractional row/col
+        locate: (lat, lon) => {
+            const [x, y] = forward(lat, lon);
+            const row = Math.round((y - y0) / dy);
+            const col = Math.round((x - x0) / dx);
+            if (!(row >= 0 && row < rows && col >= 0 && col < cols)) return -1; // also catches NaN near the pole
+            return row * cols + col;
+        },
+        position: (lat, lon) => {
+            const [x, y] = forward(lat, lon);
+            return [(y - y0) / dy, (x - x0) / dx];
+        }
+    };
+};
+
+// Regular grid: corner is the south-west (or first) edge of cell 0, as in getGridValueAt
+const regularGeometry = (gridInfo) => {
+    const { corner, size, steps } = gridInfo;
+    const [rows, cols] = size;
+    const pointAt = (row, col) => [corner[0] + (row + 0.5) * steps[0], corner[1] + (col + 0.5) * steps[1]];
+
+    return {
+        center: pointAt,
+        corner: pointAt,
+        locate: (lat, lon) => {
+            const row = Math.floor((lat - corner[0]) / steps[0]);
+            const col = Math.floor((lon - corner[1]) / steps[1]);
+            if (!(row >= 0 && row < rows && col >= 0 && col < cols)) return -1;
+            return row * cols + col;
+        },
+        position: (lat, lon) => [(lat - corner[0]) / steps[0] - 0.5, (lon - corner[1]) / steps[1] - 0.5]
+    };
+};
+
+// Is (lat, lon) inside the quad a-b-c-d (corners in order)? Same-side test on every edge.
+const insideQuad = (lat, lon, quad) => {
+    let sign = 0;
+    for (let i = 0; i < 4; i++) {
+        const [lat1, lon1] = quad[i];
+        const [lat2, lon2] = quad[(i + 1) % 4];
+        const cross = (lon2 - lon1) * (lat - lat1) - (lat2 - lat1) * (lon - lon1);
+        if (cross === 0) continue;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return false;
+    }
+    return true;
+};
+
+// Grid given by 2-D centre coordinates: corners are averaged from the four surrounding centres
+// (extrapolated along the edges), and points are found with a bucket index of the centres.
+// Domains crossing the antimeridian are not handled.
+const coordinateGeometry = (gridInfo) => {
+    const { lats, lons } = gridInfo.coordinates ? getGridCoordinates(gridInfo.coordinates) : gridInfo;
+    const { size } = gridInfo;
+    const [rows, cols] = size;
+
+    // Centre coordinate, extrapolated linearly for rows/columns just outside the grid
+    const extended = (values, row, col) => {
+        const r = Math.max(0, Math.min(rows - 1, row));
+        const c = Math.max(0, Math.min(cols - 1, col));
+        let value = values[r * cols + c];
+        if (row !== r && rows > 1) {
+            const inner = r === 0 ? 1 : rows - 2;
+            value += (values[r * cols + c] - values[inner * cols + c]) * Math.abs(row - r);
+        }
+        if (col !== c && cols > 1) {
+            const inner = c === 0 ? 1 : cols - 2;
+            value += (values[r * cols + c] - values[r * cols + inner]) * Math.abs(col - c);
+        }
+        return value;
+    };
+
+    const corner = (row, col) => {
+        // row/col are half-integers: average the centres around the corner
+        const r0 = Math.floor(row), c0 = Math.floor(col);
+        let lat = 0, lon = 0;
+        for (const [r, c] of [[r0, c0], [r0 + 1, c0], [r0, c0 + 1], [r0 + 1, c0 + 1]]) {
+            lat += extended(lats, r, c) / 4;
+            lon += extended(lons, r, c) / 4;
+        }
+        return [lat, lon];
+    };
+
+    const quad = (row, col) => [
+        corner(row - 0.5, col - 0.5), corner(row - 0.5, col + 0.5),
+        corner(row + 0.5, col + 0.5), corner(row + 0.5, col - 0.5)
+    ];
+
+    // Buckets of about four centres each
+    let south = Infinity, north = -Infinity, west = Infinity, east = -Infinity;
+    for (let i = 0; i < rows * cols; i++) {
+        south = Math.min(south, lats[i]); north = Math.max(north, lats[i]);
+        west = Math.min(west, lons[i]); east = Math.max(east, lons[i]);
+    }
+    const bucketRows = Math.max(1, Math.round(rows / 2));
+    const bucketCols = Math.max(1, Math.round(cols / 2));
+    const bucketOf = (lat, lon) => [
+        Math.max(0, Math.min(bucketRows - 1, Math.floor((lat - south) / (north - south || 1) * bucketRows))),
+        Math.max(0, Math.min(bucketCols - 1, Math.floor((lon - west) / (east - west || 1) * bucketCols)))
+    ];
+
+    const bucketStart = new Int32Array(bucketRows * bucketCols + 1);
+    const cellBucket = new Int32Array(rows * cols);
+    for (let i = 0; i < rows * cols; i++) {
+        const [br, bc] = bucketOf(lats[i], lons[i]);
+        cellBucket[i] = br * bucketCols + bc;
+        bucketStart[cellBucket[i] + 1]++;
+    }
+    for (let b = 0; b < bucketRows * bucketCols; b++) bucketStart[b + 1] += bucketStart[b];
+    const bucketCells = new Int32Array(rows * cols);
+    const fill = bucketStart.slice(0, -1);
+    for (let i = 0; i < rows * cols; i++) bucketCells[fill[cellBucket[i]]++] = i;
+
+    // Nearest centre, searching rings of buckets until one has cells
+    const nearest = (lat, lon) => {
+        const [br, bc] = bucketOf(lat, lon);
+        const lonScale = Math.cos(lat * DEG);
+        let best = -1, bestDistance = Infinity, hitRing = -1;
+
+        for (let ring = 0; ring < Math.max(bucketRows, bucketCols); ring++) {
+            for (let r = br - ring; r <= br + ring; r++) {
+                for (let c = bc - ring; c <= bc + ring; c++) {
+                    if (r < 0 || r >= bucketRows || c < 0 || c >= bucketCols) continue;
+                    if (Math.max(Math.abs(r - br), Math.abs(c - bc)) !== ring) continue;
+
+                    const bucket = r * bucketCols + c;
+                    for (let k = bucketStart[bucket]; k < bucketStart[bucket + 1]; k++) {
+                        const i = bucketCells[k];
+                        const distance = (lats[i] - lat) ** 2 + ((lons[i] - lon) * lonScale) ** 2;
+                        if (distance < bestDistance) {
+                            best = i;
+                            bestDistance = distance;
+                        }
+                    }
+                }
+            }
+            // One more ring after the first hit, as a closer centre may sit in the next bucket
+            if (best >= 0 && hitRing < 0) hitRing = ring;
+            else if (hitRing >= 0) break;
+        }
+        return best;
+    };
+
+    // Fractional row/col of a point in its cell, from the centres around it taken as locally linear
+    const position = (lat, lon, index) => {
+        const row = Math.floor(index / cols), col = index % cols;
+        const at = (r, c) => [lats[r * cols + c], lons[r * cols + c]];
+        const [up, down] = [Math.min(rows - 1, row + 1), Math.max(0, row - 1)];
+        const [right, left] = [Math.min(cols - 1, col + 1), Math.max(0, col - 1)];
+
+        const [latUp, lonUp] = at(up, col), [latDown, lonDown] = at(down, col);
+        const [latRight, lonRight] = at(row, right), [latLeft, lonLeft] = at(row, left);
+        const latPerRow = up > down ? (latUp - latDown) / (up - down) : 0;
+        const lonPerRow = up > down ? (lonUp - lonDown) / (up - down) : 0;
+        const latPerCol = right > left ? (latRight - latLeft) / (right - left) : 0;
+        const lonPerCol = right > left ? (lonRight - lonLeft) / (right - left) : 0;
+
+        const det = latPerRow * lonPerCol - latPerCol * lonPerRow;
+        if (Math.abs(det) < 1e-12) return [row, col];
+        const [dLat, dLon] = [lat - lats[index], lon - lons[index]];
+        return [row + (dLat * lonPerCol - latPerCol * dLon) / det, col + (latPerRow * dLon - dLat * lonPerRow) / det];
+    };
+
+    return {
+        center: (row, col) => [lats[row * cols + col], lons[row * cols + col]],
+        corner,
+        position,
+        locate: (lat, lon) => {
+            if (lat < south - (north - south) || lat > north + (north - south)) return -1;
+            const start = nearest(lat, lon);
+            if (start < 0) return -1;
+
+            // The point is usually in the nearest centre's cell, else in a neighbour
+            const row0 = Math.floor(start / cols), col0 = start % cols;
+            for (const [dr, dc] of [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+                const row = row0 + dr, col = col0 + dc;
+                if (row < 0 || row >= rows || col < 0 || col >= cols) continue;
+                if (insideQuad(lat, lon, quad(row, col))) return row * cols + col;
+            }
+            return -1;
+        }
+    };
+};
+
+const geometryOf = (gridInfo) => {
+    if (!cache.has(gridInfo)) {
+        const geometry = gridInfo.projection ? projectedGeometry(gridInfo)
+            : isCurvilinear(gridInfo) ? coordinateGeometry(gridInfo) : regularGeometry(gridInfo);
+        cache.set(gridInfo, geometry);
+    }
+    return cache.get(gridInfo);
+};
+
+// Centre of a cell by linear index
+export const getCellCenter = (gridInfo, index) => {
+    const cols = gridInfo.size[1];
+    const [lat, lon] = geometryOf(gridInfo).center(Math.floor(index / cols), index % cols);
+    return { lat, lon };
+};
+
+// The four corners of a cell, [[lat, lon] x 4] going around the cell
+export const getCellCorners = (gridInfo, index) => {
+    const cols = gridInfo.size[1];
+    const row = Math.floor(index / cols), col = index % cols;
+    const { corner } = geometryOf(gridInfo);
+    return [
+        corner(row - 0.5, col - 0.5), corner(row - 0.5, col + 0.5),
+        corner(row + 0.5, col + 0.5), corner(row + 0.5, col - 0.5)
+    ];
+};
+
+// { corners, bounds, center } of every cell by linear index, for drawing: corners as from
+// getCellCorners, bounds their [[south, west], [north, east]] box. Built once per grid_info,
+// as projected corners cost four inverse projections a cell.
+export const getCellShapes = (gridInfo) => {
+    const geometry = geometryOf(gridInfo);
+    if (geometry.shapes) return geometry.shapes;
+
+    const [rows, cols] = gridInfo.size;
+    geometry.shapes = Array.from({ length: rows * cols }, (_, index) => {
+        const corners = getCellCorners(gridInfo, index);
+        let south = Infinity, north = -Infinity, west = Infinity, east = -Infinity;
+        corners.forEach(([lat, lon]) => {
+            south = Math.min(south, lat); north = Math.max(north, lat);
+            west = Math.min(west, lon); east = Math.max(east, lon);
+        });
+        return { corners, bounds: [[south, west], [north, east]], center: geometry.center(Math.floor(index / cols), index % cols) };
+    });
+    return geometry.shapes;
+};
+
+// Linear index of the cell containing a point, or -1 outside the grid
+export const findCellIndex = (gridInfo, lat, lon) => geometryOf(gridInfo).locate(lat, lon);
+
+// Fractional [row, col] of a point, cell centres being at whole numbers, or null outside the grid
+export const findCellPosition = (gridInfo, lat, lon) => {
+    const geometry = geometryOf(gridInfo);
+    const index = geometry.locate(lat, lon);
+    return index < 0 ? null : geometry.position(lat, lon, index);
+};
+
+// Boundary of the whole grid as [lat, lon] points going around it (e.g. to clip out a nest)
+export const getGridOutline = (gridInfo) => {
+    const geometry = geometryOf(gridInfo);
+    if (geometry.outline) return geometry.outline;
+
+    const [rows, cols] = gridInfo.size;
+    const top = rows - 0.5, right = cols - 0.5;
+    const outline = [];
+    for (let col = -0.5; col < right; col++) outline.push(geometry.corner(-0.5, col));
+    for (let row = -0.5; row < top; row++) outline.push(geometry.corner(row, right));
+    for (let col = right; col > -0.5; col--) outline.push(geometry.corner(top, col));
+    for (let row = top; row > -0.5; row--) outline.push(geometry.corner(row, -0.5));
+
+    geometry.outline = outline;
+    return outline;
+};
+
+// Regular lat/lon lattice over the grid's extent with, for each point, the index of the cell
+// it falls in (-1 outside). For consumers that need a regular grid, like the wind particles.
+// Laid out like regular WRF grids: corner is the south-west point and steps are positive.
+export const getRegularCover = (gridInfo) => {
+    const geometry = geometryOf(gridInfo);
+    if (geometry.cover) return geometry.cover;
+
+    const [rows, cols] = gridInfo.size;
+    let south = Infinity, north = -Infinity, west = Infinity, east = -Infinity;
+    for (let index = 0; index < rows * cols; index++) {
+        const [lat, lon] = geometry.center(Math.floor(index / cols), index % cols);
+        south = Math.min(south, lat); north = Math.max(north, lat);
+        west = Math.min(west, lon); east = Math.max(east, lon);
+    }
+
+    const latStep = rows > 1 ? (north - south) / (rows - 1) : 0;
+    const lonStep = cols > 1 ? (east - west) / (cols - 1) : 0;
+    const sources = new Int32Array(rows * cols);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            sources[row * cols + col] = geometry.locate(south + row * latStep, west + col * lonStep);
+        }
+    }
+
+    geometry.cover = { corner: [south, west], size: [rows, cols], steps: [latStep, lonStep], sources };
+    return geometry.cover;
+};
@@ -1,3 +1,5 @@
+import { isCurvilinear, getCellCenter, findCellIndex, findCellPosition } from './gridGeometry';
+
 export const colorScale = {
     T2: [ // Temperature (°C): blue to red
         [0, 0, 255], [0, 128, 255], [0, 255, 255], [128, 255, 0],
@@ -19,6 +21,30 @@ export const colorScale = {
         [0, 0, 255], [0, 128, 255], [0, 255, 255], [128, 255, 0],
         [255, 255, 0], [255, 128, 0], [255, 0, 0]
     ],
+    GHT_PL: [ // Geopotential Height (m): purple (troughs) to yellow (ridges)
+        [68, 1, 84], [59, 82, 139], [33, 145, 140],
+        [94, 201, 98], [253, 231, 37]
+    ],
+    S_PL: [ // Wind Speed aloft (m/s): calm blue to jet-stream red
+        [50, 136, 189], [102, 194, 165], [230, 245, 152],
+        [253, 174, 97], [213, 62, 79], [158, 1, 66]
+    ],
+    DIFF: [ // Change between model runs, or any signed field: blue (lower) through white to red (higher)
+        [33, 102, 172], [103, 169, 207], [209, 229, 240], [247, 247, 247],
+        [253, 219, 199], [239, 138, 98], [178, 24, 43]
+    ],
+    WDIR: [ // Wind direction (° from north): cyclic, so north reads the same at 0° and 360°
+        [94, 60, 153], [33, 102, 172], [67, 162, 202], [102, 189, 99],
+        [254, 224, 139], [244, 109, 67], [215, 48, 39], [94, 60, 153]
+    ],
+    SPREAD: [ // Ensemble spread (standard deviation): pale yellow (members agree) to dark purple
+        [255, 255, 204], [199, 233, 180], [127, 205, 187],
+        [65, 182, 196], [44, 127, 184], [37, 52, 148], [63, 0, 125]
+    ],
+    PROB: [ // Exceedance probability (%): white through green and yellow to red
+        [255, 255, 255], [199, 233, 192], [116, 196, 118],
+        [254, 224, 139], [253, 141, 60], [215, 48, 31], [127, 0, 0]
+    ],
     // PBLH: [ // Boundary Layer Height (m): yellow to purple
     //     [255, 255, 0], [255, 200, 0], [255, 150, 0],
     //     [255, 100, 100], [200, 50, 150], [150, 0, 200]
@@ -43,6 +69,8 @@ const variableRanges = {
     'RH': { min: 0, max: 100 },
     'TOTAL_RAIN': { min: 0, max: 50 },
     'SST': { min: 0, max: 35 },
+    'PROB': { min: 0, max: 100 },
+    'WDIR': { min: 0, max: 360 },
     // 'PBLH': { min: 0, max: 3000 },
     // 'ALBEDO': { min: 0, max: 1 },
     // 'EMISS': { min: 0.8, max: 1.0 },
@@ -54,9 +82,11 @@ export const interpolateColor = (value, min, max, variableType) => {
     if (variableType === undefined || variableType === null || value === undefined || value === null) {
         return "rgb(128, 128, 128)"; // Neutral gray
     }
-    const colorArray = colorScale[variableType];
-    const minVal = (min !== undefined && min !== null) ? min : variableRanges[variableType].min;
-    const maxVal = (max !== undefined && max !== null) ? max : variableRanges[variableType].max;
+    // Variables without a scale of their own (e.g. from a model manifest) are drawn like temperature
+    const colorArray = colorScale[variableType] || colorScale.T2;
+    const range = variableRanges[variableType] || variableRanges.T2;
+    const minVal = (min !== undefined && min !== null) ? min : range.min;
+    const maxVal = (max !== undefined && max !== null) ? max : range.max;
 
     // Handle case where minVal === maxVal
     if (minVal === maxVal) {
@@ -77,9 +107,15 @@ export const interpolateColor = (value, min, max, variableType) => {
     return `rgb(${r}, ${g}, ${b})`;
 };
 
+// 256 colours across min..max, so pixels are coloured with a lookup instead of a string per pixel
+export const buildColorTable = (min, max, colorScaleKey) => Array.from({ length: 256 }, (_, i) => {
+    const rgb = interpolateColor(min + (i / 255) * (max - min), min, max, colorScaleKey);
+    return rgb.match(/\d+/g).map(Number);
+});
 
 
 export const calculateGridCoordinates = (index, gridInfo) => {
+    if (isCurvilinear(gridInfo)) return getCellCenter(gridInfo, index);
     if (!gridInfo || !gridInfo.corner || !gridInfo.size || !gridInfo.steps) {
         return { lat: 0, lon: 0 };
     }
@@ -99,22 +135,59 @@ export const calculateGridCoordinates = (index, gridInfo) => {
     return { lat, lon };
 };
 
-export const getGridValueAt = (lat, lon, values, gridInfo, scale = 1) => {
-    const { corner, size, steps } = gridInfo;
-    const [cornerLat, cornerLon] = corner;
-    const [rows, cols] = size;
-    const [latStep, lonStep] = steps;
+// How a point takes its value from the cells around it
+export const SAMPLING_METHODS = {
+    nearest: { name: 'Nearest cell' },
+    bilinear: { name: 'Bilinear' },
+    idw4: { name: 'Inverse distance, 4 cells' },
+    idw9: { name: 'Inverse distance, 9 cells' },
+};
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value);
 
-    // Calculate the row and column using floor (to find the containing cell)
-    const row = Math.floor((lat - cornerLat) / latStep);
-    const col = Math.floor((lon - cornerLon) / lonStep);
+// Value at a point of one grid, or null outside it. 'nearest' is the containing cell; the others
+// weigh the surrounding cells by the point's position among their centres (distances in cells),
+// skipping missing ones.
+const sampleGrid = (lat, lon, values, gridInfo, method) => {
+    const index = findCellIndex(gridInfo, lat, lon);
+    if (index < 0 || index >= values.length) return null;
+    if (!SAMPLING_METHODS[method] || method === 'nearest') return isMissing(values[index]) ? null : values[index];
 
-    // Return null if outside the grid
-    if (row < 0 || row >= rows || col < 0 || col >= cols) return null;
+    const [rows, cols] = gridInfo.size;
+    const [row, col] = findCellPosition(gridInfo, lat, lon);
+    const [firstRow, firstCol] = method === 'idw9'
+        ? [Math.floor(index / cols) - 1, (index % cols) - 1]
+        : [Math.floor(row), Math.floor(col)];
+    const span = method === 'idw9' ? 3 : 2;
+
+    let total = 0, weights = 0;
+    for (let r = firstRow; r < firstRow + span; r++) {
+        for (let c = firstCol; c < firstCol + span; c++) {
+            const value = r >= 0 && r < rows && c >= 0 && c < cols ? values[r * cols + c] : null;
+            if (isMissing(value)) continue;
+
+            const distance2 = (row - r) ** 2 + (col - c) ** 2;
+            if (method !== 'bilinear' && distance2 < 1e-12) return value;
+            const weight = method === 'bilinear'
+                ? Math.max(0, 1 - Math.abs(row - r)) * Math.max(0, 1 - Math.abs(col - c))
+                : 1 / distance2;
+            total += weight * value;
+            weights += weight;
+        }
+    }
+    return weights > 0 ? total / weights : null;
+};
 
-    // Convert to linear index
-    const index = row * cols + col;
+// nests: [{ values, gridInfo }] of nested domains, finest first. The finest one covering the
+// point answers, even with a missing value there (e.g. SST over land in the nest).
+// method: a SAMPLING_METHODS key, the containing cell by default.
+export const getGridValueAt = (lat, lon, values, gridInfo, scale = 1, nests = [], method = 'nearest') => {
+    for (const nest of nests) {
+        if (!nest.values || findCellIndex(nest.gridInfo, lat, lon) < 0) continue;
+        const value = sampleGrid(lat, lon, nest.values, nest.gridInfo, method);
+        return value === null ? null : value / scale;
+    }
 
-    // Return scaled value, or null if index exceeds bounds (just in case)
-    return index < values.length ? values[index] / scale : null;
+    const value = sampleGrid(lat, lon, values, gridInfo, method);
+    return value === null ? null : value / scale;
 };
\ No newline at end of file
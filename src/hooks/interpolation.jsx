@@ -0,0 +1,52 @@
+// Temporal interpolation: frames between two output steps, for smooth playback. A frame is a
+// fractional time index (2.5 is halfway from step 2 to step 3) and its grids are the two steps'
+// grids blended linearly. Values of a frame are only drawn - stats, tables and exports keep to
+// whole steps.
+
+// [step, fraction] of a frame, e.g. 2.5 -> [2, 0.5]
+export const splitFrame = (frame) => {
+    const step = Math.floor(frame);
+    return [step, frame - step];
+};
+
+// (1 - fraction) * a + fraction * b, cell by cell; a cell missing in either grid stays missing
+export const blendGrids = (a, b, fraction) => {
+    const blended = new Float32Array(a.length);
+    for (let i = 0; i < a.length; i++) {
+        blended[i] = a[i] + (b[i] - a[i]) * fraction;
+    }
+    return blended;
+};
+
+// Grid of a variable at a frame, from a getGrid(timeIndex, variable, domain) of a data source or
+// grid store. Whole steps, and frames whose next step hasn't arrived yet, are the step's own grid.
+export const getFrameGrid = (getGrid, frame, variable, domain) => {
+    const [step, fraction] = splitFrame(frame);
+    const grid = getGrid(step, variable, domain);
+    if (fraction === 0 || !grid) return grid;
+
+    const next = getGrid(step + 1, variable, domain);
+    return next && next.length === grid.length ? blendGrids(grid, next, fraction) : grid;
+};
+
+// Min/max of a frame, blended like its grid so colours don't jump at whole steps
+export const getFrameStats = (getGridStats, frame, variable) => {
+    const [step, fraction] = splitFrame(frame);
+    const stats = getGridStats(step, variable);
+    const next = fraction > 0 && stats ? getGridStats(step + 1, variable) : null;
+    if (!next) return stats;
+
+    return {
+        ...stats,
+        min: stats.min + (next.min - stats.min) * fraction,
+        max: stats.max + (next.max - stats.max) * fraction
+    };
+};
+
+// Valid time of a frame, between its step's and the next one's
+export const frameTime = (timeOf, frame) => {
+    const [step, fraction] = splitFrame(frame);
+    const time = timeOf(step);
+    const next = fraction > 0 && time ? timeOf(step + 1) : null;
+    return next ? new Date(time.getTime() + (next.getTime() - time.getTime()) * fraction) : time;
+};
@@ -0,0 +1,212 @@
+// Thermodynamics of a model sounding for the Skew-T panel: dew point, the ascent of a parcel
+// lifted from the lowest level, and the stability indices that follow from it.
+// Temperatures are in °C and pressures in hPa throughout.
+
+const KELVIN = 273.15;
+const RD = 287.04;      // gas constant of dry air, J/(kg K)
+const CP = 1005.7;      // specific heat of dry air at constant pressure, J/(kg K)
+const LV = 2.501e6;     // latent heat of vaporisation, J/kg
+const EPSILON = 0.622;  // ratio of the gas constants of dry air and water vapour
+const GRAVITY = 9.80665;
+const KAPPA = RD / CP;
+
+const PARCEL_STEP = 5; // hPa between samples of the parcel's ascent
+
+// Saturation vapour pressure over water (Bolton 1980), hPa
+export const saturationVapourPressure = (tempC) => 6.112 * Math.exp((17.67 * tempC) / (tempC + 243.5));
+
+// Dew point from temperature and relative humidity (%), null without humidity
+export const dewPoint = (tempC, rh) => {
+    if (tempC === null || !(rh > 0)) return null;
+    const x = Math.log((Math.min(rh, 100) / 100) * saturationVapourPressure(tempC) / 6.112);
+    return (243.5 * x) / (17.67 - x);
+};
+
+// Mixing ratio (kg/kg) of air whose dew point, or temperature if saturated, is tempC
+export const saturationMixingRatio = (tempC, pressure) => {
+    const e = saturationVapourPressure(tempC);
+    return (EPSILON * e) / (pressure - e);
+};
+
+const virtualTemperature = (tempC, mixingRatio) =>
+    (tempC + KELVIN) * (1 + mixingRatio / EPSILON) / (1 + mixingRatio) - KELVIN;
+
+// Temperature at toPressure of air brought there dry-adiabatically from (tempC, pressure)
+export const dryAdiabat = (tempC, pressure, toPressure) =>
+    (tempC + KELVIN) * Math.pow(toPressure / pressure, KAPPA) - KELVIN;
+
+// Lifting condensation level of a parcel (Bolton 1980, eq. 15)
+export const liftingCondensationLevel = (tempC, dewPointC, pressure) => {
+    const t = tempC + KELVIN;
+    const td = dewPointC + KELVIN;
+    const tl = 1 / (1 / (td - 56) + Math.log(t / td) / 800) + 56;
+    return { pressure: pressure * Math.pow(tl / t, 1 / KAPPA), temperature: tl - KELVIN };
+};
+
+// dT/dp (K/hPa) of saturated air rising pseudo-adiabatically
+const moistLapseRate = (tempC, pressure) => {
+    const t = tempC + KELVIN;
+    const rs = saturationMixingRatio(tempC, pressure);
+    return (RD * t + LV * rs) / (pressure * (CP + (LV * LV * rs * EPSILON) / (RD * t * t)));
+};
+
+// Temperature at toPressure of saturated air lifted (or lowered) from (tempC, pressure), by RK4
+export const moistAdiabat = (tempC, pressure, toPressure) => {
+    const steps = Math.max(1, Math.ceil(Math.abs(toPressure - pressure) / PARCEL_STEP));
+    const h = (toPressure - pressure) / steps;
+    let t = tempC;
+    let p = pressure;
+
+    for (let i = 0; i < steps; i++) {
+        const k1 = moistLapseRate(t, p);
+        const k2 = moistLapseRate(t + (h * k1) / 2, p + h / 2);
+        const k3 = moistLapseRate(t + (h * k2) / 2, p + h / 2);
+        const k4 = moistLapseRate(t + h * k3, p + h);
+        t += (h * (k1 + 2 * k2 + 2 * k3 + k4)) / 6;
+        p += h;
+    }
+    return t;
+};
+
+// Sounding at one point, from the surface up. valueAt(key) gives the point value of a grid
+// ('T_PL.850', 'T2', ...) or null. The surface row needs PSFC; levels below it are left out.
+export const readSounding = (levels, valueAt) => {
+    const surfacePressure = valueAt('PSFC');
+    const rows = levels
+        .filter(level => surfacePressure === null || level < surfacePressure)
+        .map(level => {
+            const temperature = valueAt(`T_PL.${level}`);
+            return {
+                pressure: level,
+                temperature,
+                dewPoint: dewPoint(temperature, valueAt(`RH_PL.${level}`)),
+                u: valueAt(`U_PL.${level}`),
+                v: valueAt(`V_PL.${level}`),
+                height: valueAt(`GHT_PL.${level}`)
+            };
+        });
+
+    const t2 = valueAt('T2');
+    if (surfacePressure !== null && t2 !== null) {
+        rows.push({
+            pressure: surfacePressure, temperature: t2, dewPoint: dewPoint(t2, valueAt('RH')),
+            u: valueAt('U10'), v: valueAt('V10'), height: null, surface: true
+        });
+    }
+
+    return rows.filter(row => row.temperature !== null).sort((a, b) => b.pressure - a.pressure);
+};
+
+// Value of a sounding column at a pressure, linear in ln p (null outside the sounding)
+const interpolate = (rows, pressure, key) => {
+    for (let i = 0; i < rows.length - 1; i++) {
+        const [lower, upper] = [rows[i], rows[i + 1]];
+        if (pressure > lower.pressure || pressure < upper.pressure) continue;
+        if (lower[key] === null || upper[key] === null) return null;
+        const f = Math.log(lower.pressure / pressure) / Math.log(lower.pressure / upper.pressure);
+        return lower[key] + f * (upper[key] - lower[key]);
+    }
+    return null;
+};
+
+// Pressure between two samples where the buoyancy crosses zero, linear in ln p
+const crossing = (a, b) => {
+    const f = a.buoyancy / (a.buoyancy - b.buoyancy);
+    return Math.exp(Math.log(a.pressure) + f * (Math.log(b.pressure) - Math.log(a.pressure)));
+};
+
+// Ascent of a parcel from the lowest row with CAPE and CIN (J/kg, from virtual temperatures),
+// LCL, LFC and EL (hPa, null where the parcel has none), precipitable water (mm) and the
+// lifted index at 500 hPa (°C). Null when the lowest row has no dew point.
+export const analyzeSounding = (rows) => {
+    if (rows.length < 2 || rows[0].dewPoint === null) return null;
+
+    const base = rows[0];
+    const top = rows[rows.length - 1].pressure;
+    const lcl = liftingCondensationLevel(base.temperature, base.dewPoint, base.pressure);
+    const baseMixingRatio = saturationMixingRatio(base.dewPoint, base.pressure);
+
+    // Dry adiabat up to the LCL, then the moist adiabat from it
+    const pressures = [];
+    for (let p = base.pressure; p > top; p -= PARCEL_STEP) pressures.push(p);
+    pressures.push(top);
+    if (lcl.pressure < base.pressure && lcl.pressure > top) pressures.push(lcl.pressure);
+    pressures.sort((a, b) => b - a);
+
+    const parcel = [];
+    let saturated = null;
+    pressures.forEach(pressure => {
+        let temperature;
+        if (pressure > lcl.pressure) {
+            temperature = dryAdiabat(base.temperature, base.pressure, pressure);
+        } else {
+            temperature = saturated
+                ? moistAdiabat(saturated.temperature, saturated.pressure, pressure)
+                : moistAdiabat(lcl.temperature, Math.min(lcl.pressure, base.pressure), pressure);
+            saturated = { temperature, pressure };
+        }
+
+        const parcelMixingRatio = pressure > lcl.pressure ? baseMixingRatio : saturationMixingRatio(temperature, pressure);
+        const environment = interpolate(rows, pressure, 'temperature');
+        const environmentDewPoint = interpolate(rows, pressure, 'dewPoint');
+        const environmentMixingRatio = environmentDewPoint === null ? 0 : saturationMixingRatio(environmentDewPoint, pressure);
+        parcel.push({
+            pressure, temperature,
+            buoyancy: virtualTemperature(temperature, parcelMixingRatio) - virtualTemperature(environment, environmentMixingRatio)
+        });
+    });
+
+    // LFC: where the parcel, at or above its LCL, first turns warmer than its surroundings.
+    // EL: where it turns cooler again for the last time.
+    const lfcIndex = parcel.findIndex(sample => sample.pressure <= lcl.pressure && sample.buoyancy > 0);
+    let lfc = null;
+    let el = null;
+    let elIndex = parcel.length - 1;
+    if (lfcIndex >= 0) {
+        const previous = parcel[lfcIndex - 1];
+        lfc = previous && previous.pressure <= lcl.pressure ? crossing(previous, parcel[lfcIndex]) : parcel[lfcIndex].pressure;
+        for (let i = parcel.length - 1; i > lfcIndex; i--) {
+            if (parcel[i - 1].buoyancy > 0 && parcel[i].buoyancy <= 0) {
+                el = crossing(parcel[i - 1], parcel[i]);
+                elIndex = i;
+                break;
+            }
+        }
+    }
+
+    // Trapezoids of Rd * buoyancy * d(ln p): positive area between LFC and EL, negative below the LFC
+    let cape = 0;
+    let cin = 0;
+    for (let i = 0; lfcIndex >= 0 && i < parcel.length - 1; i++) {
+        const [a, b] = [parcel[i], parcel[i + 1]];
+        const energy = (RD * (a.buoyancy + b.buoyancy) / 2) * Math.log(a.pressure / b.pressure);
+        if (i >= lfcIndex - 1 && i < elIndex && energy > 0) cape += energy;
+        if (i < lfcIndex && energy < 0) cin += energy;
+    }
+
+    // Precipitable water: the column's specific humidity integrated over pressure (kg/m² = mm)
+    let precipitableWater = 0;
+    const humid = rows.filter(row => row.dewPoint !== null);
+    for (let i = 0; i < humid.length - 1; i++) {
+        const [a, b] = [humid[i], humid[i + 1]];
+        const q = (row) => {
+            const r = saturationMixingRatio(row.dewPoint, row.pressure);
+            return r / (1 + r);
+        };
+        precipitableWater += (((q(a) + q(b)) / 2) * (a.pressure - b.pressure) * 100) / GRAVITY;
+    }
+
+    // Lifted index: environment minus parcel temperature at 500 hPa
+    const environment500 = interpolate(rows, 500, 'temperature');
+    const parcel500 = interpolate(parcel, 500, 'temperature');
+    const liftedIndex = environment500 !== null && parcel500 !== null ? environment500 - parcel500 : null;
+
+    return {
+        parcel: parcel.map(({ pressure, temperature }) => ({ pressure, temperature })),
+        lcl: lcl.pressure < base.pressure ? lcl.pressure : base.pressure,
+        lfc, el,
+        cape, cin,
+        precipitableWater,
+        liftedIndex
+    };
+};
@@ -0,0 +1,73 @@
+// Times are handled as Dates, i.e. instants, all the way from parsing to display; a time zone
+// only comes in when one is shown or exported, in the zone the user picked (unitsSlice timeZone).
+
+export const TIME_ZONES = {
+    UTC: { name: 'UTC', zone: 'UTC' },
+    IST: { name: 'IST', zone: 'Asia/Kolkata' },
+    local: { name: 'Browser', zone: undefined },
+};
+
+// A time string from an API. ISO strings without an offset ('2025-07-01T00:00', as Open-Meteo
+// sends them) are in UTC, shifted by `offsetSeconds` when the API says they're in another zone.
+export const parseUtcTime = (value, offsetSeconds = 0) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date || typeof value === 'number') return new Date(value);
+
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+    const time = hasZone ? Date.parse(value) : Date.parse(`${value.replace(' ', 'T')}Z`) - offsetSeconds * 1000;
+    return Number.isNaN(time) ? null : new Date(time);
+};
+
+const FORMATS = {
+    datetime: { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+    date: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+    time: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+};
+const PARTS = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' };
+
+const formatters = new Map(); // `${zone}|${format}` -> Intl.DateTimeFormat
+
+const formatterFor = (timeZone, format) => {
+    const key = `${timeZone}|${format}`;
+    if (!formatters.has(key)) {
+        const options = format === 'parts' ? PARTS : format === 'zoneName' ? { timeZoneName: 'short' } : FORMATS[format];
+        formatters.set(key, new Intl.DateTimeFormat('en-US', { ...options, timeZone: TIME_ZONES[timeZone]?.zone }));
+    }
+    return formatters.get(key);
+};
+
+const toDate = (time) => {
+    const date = time instanceof Date ? time : parseUtcTime(time);
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Minutes the zone is ahead of UTC at that time
+const zoneOffset = (date, timeZone) => {
+    const parts = Object.fromEntries(formatterFor(timeZone, 'parts').formatToParts(date).map(({ type, value }) => [type, value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - (date.getTime() - date.getMilliseconds())) / 60000);
+};
+
+const zoneLabel = (date, timeZone) => (timeZone === 'local'
+    ? formatterFor(timeZone, 'zoneName').formatToParts(date).find(part => part.type === 'timeZoneName')?.value || ''
+    : TIME_ZONES[timeZone]?.name || 'UTC');
+
+// A time for display in the chosen zone, labelled with it: 'Jul 1, 05:30 IST'. Formats are
+// 'datetime', 'date' (with the year), 'time', 'tick' (a datetime without the zone, for chart
+// axes) and 'iso' for exports ('2025-07-01T05:30:00+05:30').
+export const formatTime = (time, timeZone = 'UTC', format = 'datetime') => {
+    const date = toDate(time);
+    if (!date) return '';
+    const zone = TIME_ZONES[timeZone] ? timeZone : 'UTC';
+
+    if (format === 'iso') {
+        const offset = zoneOffset(date, zone);
+        const shifted = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        const sign = offset < 0 ? '-' : '+';
+        const pad = (value) => String(Math.floor(value)).padStart(2, '0');
+        return offset === 0 ? `${shifted}Z` : `${shifted}${sign}${pad(Math.abs(offset) / 60)}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    if (format === 'tick') return formatterFor(zone, 'datetime').format(date);
+    return `${formatterFor(zone, format).format(date)} ${zoneLabel(date, zone)}`;
+};
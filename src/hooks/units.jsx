@@ -0,0 +1,75 @@
+// Display units. Grids, stats and API values stay in the units their source reports (°C, mm,
+// m/s, km/h, hPa, ...); values are converted on their way to the screen or an export, to the
+// unit the user picked for their quantity (redux/slices/unitsSlice).
+
+// Each unit as a linear function of its quantity's base unit: value = base * scale + offset
+const UNITS = {
+    '°C': { quantity: 'temperature', scale: 1, offset: 0 },
+    '°F': { quantity: 'temperature', scale: 9 / 5, offset: 32 },
+    K: { quantity: 'temperature', scale: 1, offset: 273.15 },
+    mm: { quantity: 'precipitation', scale: 1, offset: 0 },
+    in: { quantity: 'precipitation', scale: 1 / 25.4, offset: 0 },
+    'm/s': { quantity: 'speed', scale: 1, offset: 0 },
+    'km/h': { quantity: 'speed', scale: 3.6, offset: 0 },
+    kt: { quantity: 'speed', scale: 3600 / 1852, offset: 0 },
+    mph: { quantity: 'speed', scale: 3600 / 1609.344, offset: 0 },
+    hPa: { quantity: 'pressure', scale: 1, offset: 0 },
+    inHg: { quantity: 'pressure', scale: 1 / 33.8639, offset: 0 },
+};
+
+export const UNIT_QUANTITIES = {
+    temperature: { name: 'Temperature', units: ['°C', '°F', 'K'] },
+    precipitation: { name: 'Precipitation', units: ['mm', 'in'] },
+    speed: { name: 'Wind speed', units: ['m/s', 'km/h', 'kt', 'mph'] },
+    pressure: { name: 'Pressure', units: ['hPa', 'inHg'] },
+};
+
+export const UNIT_SYSTEMS = {
+    metric: { temperature: '°C', precipitation: 'mm', speed: 'm/s', pressure: 'hPa' },
+    imperial: { temperature: '°F', precipitation: 'in', speed: 'mph', pressure: 'inHg' },
+};
+
+// 'metric' or 'imperial' when the preferences are exactly one of them, 'custom' otherwise
+export const unitSystemOf = (preferences) => Object.keys(UNIT_SYSTEMS).find(system =>
+    Object.entries(UNIT_SYSTEMS[system]).every(([quantity, unit]) => preferences[quantity] === unit)) || 'custom';
+
+const identity = (value) => value;
+const IDENTITY = { convert: identity, convertDifference: identity, invert: identity };
+
+// Converter from values in `unit` to the preferred unit of its quantity:
+//   unit                 - the unit to label converted values with
+//   convert(value)       - a value (non-numbers are passed through)
+//   convertDifference(d) - a difference or spread, which temperature offsets don't apply to
+//   invert(value)        - back from the preferred unit, e.g. for a threshold typed by the user
+// Units of no known quantity (%, °, m, ...) are left as they are; rates ('mm/h') convert like their unit.
+export const unitConverter = (unit, preferences) => {
+    const rate = /^(.+)(\/h)$/.exec(unit || '');
+    const [baseUnit, suffix] = UNITS[unit] || !rate ? [unit, ''] : [rate[1], rate[2]];
+    const from = UNITS[baseUnit];
+    const toUnit = from && preferences?.[from.quantity];
+    const to = UNITS[toUnit];
+    if (!from || !to || toUnit === baseUnit) return { unit: unit || '', ...IDENTITY };
+
+    const scale = to.scale / from.scale;
+    const offset = to.offset - from.offset * scale;
+    const numeric = (fn) => (value) => (typeof value === 'number' ? fn(value) : value);
+
+    return {
+        unit: `${toUnit}${suffix}`,
+        convert: numeric(value => value * scale + offset),
+        convertDifference: numeric(value => value * scale),
+        invert: numeric(value => (value - offset) / scale)
+    };
+};
+
+// Converter for a variable of a data source's catalogue ({ unit, difference? }); ensemble
+// spreads and other differences are converted as such
+export const variableConverter = (info, preferences) => {
+    const converter = unitConverter(info?.unit, preferences);
+    return info?.difference ? { ...converter, convert: converter.convertDifference } : converter;
+};
+
+// leaflet-velocity's names for the wind speed units it can display
+const VELOCITY_SPEED_UNITS = { 'm/s': 'm/s', 'km/h': 'k/h', kt: 'kt', mph: 'mph' };
+
+export const velocitySpeedUnit = (preferences) => VELOCITY_SPEED_UNITS[preferences?.speed] || 'm/s';
@@ -13,3 +13,12 @@ createRoot(document.getElementById('root')).render(
     </Provider>
   </StrictMode>,
 )
+
+// Offline support (app shell, basemap tiles, last Open-Meteo response) - production builds only,
+// since the dev server's modules aren't precached
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch(error => console.error('❌ Service worker registration failed:', error))
+  })
+}
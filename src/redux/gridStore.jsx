@@ -0,0 +1,310 @@
+// Raw model grids live here as Float32Arrays instead of in the Redux tree, where Immer would
+// proxy, freeze and copy millions of numbers on every batch merge. Values are stored already
+// divided by their variable scale, with NaN for missing cells. Redux keeps only the loaded
+// time indices and a version counter (weather.gridVersion) that changes whenever this store does,
+// so selectors and memos that read from here should depend on it.
+//
+// Each data source with grids gets its own store from createGridStore(); weatherGrids and the
+// named exports below are the WRF run's (backend batches or a local file), getNestGrids(domain)
+// its nested domains' and aiModelGrids the AI models'.
+//
+// Ensemble runs also keep their members' grids, with the products of hooks/ensemble next to them
+// once the derived-variable worker has computed them (weatherSlice computeEnsembleGrids).
+//
+// Curvilinear grids' 2-D cell-centre coordinates (grid_info lats/lons) are kept here too, as
+// Float32Arrays; the grid_info that goes to Redux names them by key instead (see keepCoordinates).
+
+import { ENSEMBLE_STATISTICS, EXCEEDANCE_PRODUCTS, DEFAULT_THRESHOLDS } from '../hooks/ensemble';
+
+// Batches without variable_scales for the wind components have always been treated as scale 100
+const scaleFor = (variable, variableScales) =>
+  variableScales?.[variable] || (variable === 'U10' || variable === 'V10' ? 100 : 1);
+
+const toFloat32 = (values, scale) => {
+  const grid = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    grid[i] = value === null || value === undefined ? NaN : value / scale;
+  }
+  return grid;
+};
+
+// [key, grid] pairs of one step's variables. Nested variables (e.g. WIND: { speed, direction })
+// become 'WIND.speed' / 'WIND.direction'.
+const flattenGrids = (values, variableScales) => {
+  const flat = [];
+  Object.entries(values || {}).forEach(([name, value]) => {
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+      flat.push([name, toFloat32(value, scaleFor(name, variableScales))]);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, inner]) => {
+        if (!Array.isArray(inner) && !ArrayBuffer.isView(inner)) return;
+        flat.push([`${name}.${key}`, toFloat32(inner, scaleFor(name, variableScales))]);
+      });
+    }
+  });
+  return flat;
+};
+
+// Exceedance thresholds ({ T2: 35, ... }) and the run's output interval in hours, shared by every
+// store. Changing them bumps the version, which drops the probability grids computed so far.
+const exceedance = { thresholds: { ...DEFAULT_THRESHOLDS }, stepHours: null, version: 0 };
+
+export const setExceedanceSettings = ({ thresholds = exceedance.thresholds, stepHours = exceedance.stepHours }) => {
+  if (thresholds === exceedance.thresholds && stepHours === exceedance.stepHours) return;
+  Object.assign(exceedance, { thresholds, stepHours, version: exceedance.version + 1 });
+};
+
+// Key -> { lats, lons } of every store's current curvilinear grid, read by hooks/gridGeometry
+const gridCoordinates = new Map();
+let nextStoreId = 1;
+
+export const getGridCoordinates = (key) => gridCoordinates.get(key) || null;
+
+const asFloat32 = (values) => (values instanceof Float32Array ? values : Float32Array.from(values));
+
+export const createGridStore = () => {
+  const coordinatesKey = `grid-${nextStoreId++}`;
+  let hasCoordinates = false; // registered since the last clearGrids
+  const grids = new Map();      // timeIndex -> Map(variable -> Float32Array)
+  const members = new Map();    // timeIndex -> Map(variable -> Float32Array per ensemble member)
+  const statsCache = new Map(); // `${timeIndex}|${variable}` -> { min, max, mean, count }
+  const probabilityGrids = new Map(); // `${timeIndex}|${product}` -> Float32Array, see setProbabilityGrid
+  let exceedanceVersion = exceedance.version;
+
+  const dropProbabilityGrids = () => {
+    probabilityGrids.clear();
+    [...statsCache.keys()].filter(key => EXCEEDANCE_PRODUCTS[key.split('|')[1]]).forEach(key => statsCache.delete(key));
+    exceedanceVersion = exceedance.version;
+  };
+
+  // Coordinates stay registered until the next run's replace them, as components may still
+  // hold the old grid_info for a render
+  const clearGrids = () => {
+    grids.clear();
+    members.clear();
+    statsCache.clear();
+    probabilityGrids.clear();
+    hasCoordinates = false;
+  };
+
+  // grid_info with its lats/lons moved into the store, leaving { coordinates: key }. Every batch
+  // of a run may repeat them; they're only converted for the first one after clearGrids.
+  const keepCoordinates = (gridInfo) => {
+    if (!gridInfo?.lats || !gridInfo?.lons) return gridInfo;
+    const { lats, lons, ...rest } = gridInfo;
+    if (!hasCoordinates) {
+      gridCoordinates.set(coordinatesKey, { lats: asFloat32(lats), lons: asFloat32(lons) });
+      hasCoordinates = true;
+    }
+    return { ...rest, coordinates: coordinatesKey };
+  };
+
+  const dropStats = (timeIndex) =>
+    [...statsCache.keys()].filter(key => key.startsWith(`${timeIndex}|`)).forEach(key => statsCache.delete(key));
+
+  // Move a batch's time_series into the store. Returns the time indices and variables added.
+  // A step may carry ensemble members, one variables object each: { time, variables, members: [{ T2 }, ...] }.
+  // The variables returned already list their products ('T2.mean', ..., 'T2.prob'), which stay
+  // missing until setEnsembleStatistics / setProbabilityGrid store them.
+  const ingestTimeSeries = (timeSeries, variableScales) => {
+    const timeIndices = [];
+    const variables = new Set();
+    let membersChanged = false;
+
+    timeSeries.forEach(({ time, variables: values, members: memberValues }) => {
+      const timeGrids = grids.get(time) || new Map();
+      const ownKeys = new Set();
+      flattenGrids(values, variableScales).forEach(([key, grid]) => {
+        timeGrids.set(key, grid);
+        ownKeys.add(key);
+        variables.add(key);
+      });
+
+      if (Array.isArray(memberValues) && memberValues.length > 0) {
+        const timeMembers = new Map();
+        memberValues.forEach(member => flattenGrids(member, variableScales).forEach(([key, grid]) => {
+          timeMembers.set(key, [...(timeMembers.get(key) || []), grid]);
+        }));
+
+        // Statistics of members this step had before are stale now
+        timeMembers.forEach((memberGrids, key) => {
+          ENSEMBLE_STATISTICS.forEach(statistic => {
+            timeGrids.delete(`${key}.${statistic}`);
+            variables.add(`${key}.${statistic}`);
+          });
+          if (!ownKeys.has(key)) {
+            timeGrids.delete(key);
+            variables.add(key);
+          }
+        });
+        members.set(time, timeMembers);
+        membersChanged = true;
+        Object.entries(EXCEEDANCE_PRODUCTS)
+          .filter(([, { variable }]) => timeMembers.has(variable))
+          .forEach(([key]) => variables.add(key));
+      }
+
+      grids.set(time, timeGrids);
+      dropStats(time);
+      timeIndices.push(time);
+    });
+
+    // Accumulation windows reach across steps, so new members can change any probability
+    if (membersChanged) dropProbabilityGrids();
+    return { timeIndices, variables: [...variables] };
+  };
+
+  // Member variables of one step whose statistics haven't been stored yet
+  const getPendingStatistics = (timeIndex) => [...(members.get(timeIndex)?.keys() || [])]
+    .filter(variable => !grids.get(timeIndex)?.has(`${variable}.mean`));
+
+  // Keep one variable's memberStatistics() at one step; the mean stands in for the variable when
+  // the step doesn't carry it itself
+  const setEnsembleStatistics = (timeIndex, variable, statistics) => {
+    const timeGrids = grids.get(timeIndex);
+    if (!timeGrids) return;
+    ENSEMBLE_STATISTICS.forEach(statistic => timeGrids.set(`${variable}.${statistic}`, statistics[statistic]));
+    if (!timeGrids.has(variable)) timeGrids.set(variable, statistics.mean);
+    dropStats(timeIndex);
+  };
+
+  // What exceedanceProbability() needs for an EXCEEDANCE_PRODUCTS key at one step:
+  // { members, threshold, earlier, version }. Null without members, or when an accumulation
+  // window starts before the run or isn't loaded yet.
+  const getProbabilityInputs = (timeIndex, key) => {
+    const product = EXCEEDANCE_PRODUCTS[key];
+    const threshold = product ? exceedance.thresholds[product.variable] : undefined;
+    if (threshold === undefined) return null;
+
+    const current = members.get(timeIndex)?.get(product.variable);
+    if (!current) return null;
+
+    let earlier = null;
+    if (product.windowHours) {
+      const steps = exceedance.stepHours ? Math.round(product.windowHours / exceedance.stepHours) : 0;
+      earlier = steps > 0 ? members.get(timeIndex - steps)?.get(product.variable) : null;
+      if (!earlier || earlier.length !== current.length) return null;
+    }
+
+    return { members: current, threshold, earlier, version: exceedance.version };
+  };
+
+  // Keep a probability grid computed from getProbabilityInputs(). Returns false, storing nothing,
+  // when the thresholds or the step interval changed in the meantime.
+  const setProbabilityGrid = (timeIndex, key, grid, version) => {
+    if (version !== exceedance.version) return false;
+    if (exceedanceVersion !== exceedance.version) dropProbabilityGrids();
+    probabilityGrids.set(`${timeIndex}|${key}`, grid);
+    statsCache.delete(`${timeIndex}|${key}`);
+    return true;
+  };
+
+  // % of members over the threshold of an EXCEEDANCE_PRODUCTS key, or null until it's computed
+  const getProbabilityGrid = (timeIndex, key) => {
+    if (!EXCEEDANCE_PRODUCTS[key]) return null;
+    if (exceedanceVersion !== exceedance.version) dropProbabilityGrids();
+    return probabilityGrids.get(`${timeIndex}|${key}`) || null;
+  };
+
+  // Grid of one variable at one time step, or null. A nested variable name (WIND) resolves to its speed.
+  const getGrid = (timeIndex, variable) => {
+    const timeGrids = grids.get(timeIndex);
+    if (!timeGrids) return null;
+    return timeGrids.get(variable) || timeGrids.get(`${variable}.speed`) || getProbabilityGrid(timeIndex, variable);
+  };
+
+  // Forget one variable at every time step, e.g. a layer whose definition changed
+  const dropVariable = (variable) => {
+    grids.forEach(timeGrids => timeGrids.delete(variable));
+    [...statsCache.keys()].filter(key => key.endsWith(`|${variable}`)).forEach(key => statsCache.delete(key));
+  };
+
+  // The ensemble members' grids of one variable at one time step, or null for a deterministic run
+  const getMemberGrids = (timeIndex, variable) => members.get(timeIndex)?.get(variable) || null;
+
+  const hasGrid = (timeIndex, variable) => getGrid(timeIndex, variable) !== null;
+
+  const getGridVariables = (timeIndex) => [...(grids.get(timeIndex)?.keys() || [])];
+
+  // Single cell value, null when missing
+  const getValue = (timeIndex, variable, index) => {
+    const grid = getGrid(timeIndex, variable);
+    if (!grid || index < 0 || index >= grid.length || Number.isNaN(grid[index])) return null;
+    return grid[index];
+  };
+
+  // Every variable at one cell, e.g. for hover tooltips
+  const getCellValues = (timeIndex, index) => {
+    const cell = {};
+    grids.get(timeIndex)?.forEach((grid, variable) => {
+      if (index < grid.length && !Number.isNaN(grid[index])) cell[variable] = grid[index];
+    });
+    return cell;
+  };
+
+  // Value of one cell across the given time steps (null where missing or not loaded)
+  const getPointSeries = (variable, index, timeIndices) =>
+    timeIndices.map(timeIndex => getValue(timeIndex, variable, index));
+
+  // Min/max/mean over a grid, skipping missing cells. A plain loop - spreading a large
+  // domain into Math.min(...) overflows the call stack.
+  const getGridStats = (timeIndex, variable) => {
+    if (exceedanceVersion !== exceedance.version) dropProbabilityGrids();
+    const key = `${timeIndex}|${variable}`;
+    if (statsCache.has(key)) return statsCache.get(key);
+
+    const grid = getGrid(timeIndex, variable);
+    if (!grid) return null;
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < grid.length; i++) {
+      const value = grid[i];
+      if (Number.isNaN(value)) continue;
+      if (value < min) min = value;
+      if (value > max) max = value;
+      sum += value;
+      count++;
+    }
+
+    const stats = count > 0 ? { min, max, mean: sum / count, count } : null;
+    statsCache.set(key, stats);
+    return stats;
+  };
+
+  return {
+    clearGrids, ingestTimeSeries, keepCoordinates, dropVariable, getGrid, getMemberGrids, hasGrid, getGridVariables,
+    getValue, getCellValues, getPointSeries, getGridStats, getPendingStatistics, setEnsembleStatistics,
+    getProbabilityInputs, setProbabilityGrid
+  };
+};
+
+export const weatherGrids = createGridStore();
+
+export const {
+  clearGrids, ingestTimeSeries, getGrid, getMemberGrids, hasGrid, getGridVariables, getValue, getCellValues,
+  getPointSeries, getGridStats
+} = weatherGrids;
+
+// Nested WRF domains (d02, d03, ...) of the run above, one store per domain number. The stores
+// outlive runs (clearNestGrids only empties them), so each domain's coordinates keep one key.
+const nestStores = new Map();
+
+export const getNestGrids = (domain) => {
+  if (!nestStores.has(domain)) nestStores.set(domain, createGridStore());
+  return nestStores.get(domain);
+};
+
+export const clearNestGrids = () => {
+  nestStores.forEach(store => store.clearGrids());
+};
+
+// Viewport crops of the AI-model fields (aiModelSlice), one variable at a time
+export const aiModelGrids = createGridStore();
+
+// One time step from each of the runs in the run-to-run comparison (runsSlice), keyed by the
+// run's position in the comparison instead of a time index
+export const runComparisonGrids = createGridStore();
@@ -0,0 +1,30 @@
+import { latToMercatorY } from '../workers/geotiff';
+
+// Pixels of the raster (COG) layer on screen, kept outside Redux for the same reason as the
+// grid store. rasterSlice bumps raster.imageVersion whenever the image here changes.
+// Rows are evenly spaced in Web Mercator, so they line up with an L.imageOverlay of bounds.
+let image = null; // { values, width, height, bounds: { south, north, west, east }, min, max }
+
+export const setRasterImage = (next) => {
+  image = next;
+};
+
+export const getRasterImage = () => image;
+
+export const clearRasterImage = () => {
+  image = null;
+};
+
+// Value of the pixel under a point, or null outside the image / on nodata
+export const getRasterValueAt = (lat, lng) => {
+  if (!image) return null;
+  const { values, width, height, bounds } = image;
+
+  const col = Math.floor((lng - bounds.west) / (bounds.east - bounds.west) * width);
+  const top = latToMercatorY(bounds.north);
+  const row = Math.floor((top - latToMercatorY(lat)) / (top - latToMercatorY(bounds.south)) * height);
+  if (row < 0 || row >= height || col < 0 || col >= width) return null;
+
+  const value = values[row * width + col];
+  return Number.isNaN(value) ? null : value;
+};
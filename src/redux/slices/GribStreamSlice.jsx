@@ -0,0 +1,119 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { loadLocalWeatherData } from './weatherSlice';
+
+// Decode a GRIB2 buffer in a dedicated worker and resolve with the weatherSlice-shaped dataset
+const decodeInWorker = (buffer, fileName) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../../workers/gribWorker.jsx', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (e) => {
+    const { type, data, error } = e.data;
+    worker.terminate();
+    if (type === 'DECODE_SUCCESS') resolve(data);
+    else reject(new Error(error));
+  };
+
+  worker.onerror = (e) => {
+    worker.terminate();
+    reject(new Error(e.message || 'GRIB2 worker crashed'));
+  };
+
+  // Transfer the buffer instead of copying it - GRIB files can be hundreds of MB
+  worker.postMessage({ type: 'DECODE_GRIB', buffer, fileName }, [buffer]);
+});
+
+// Load a GRIB2 file (File/Blob from an input, or a URL string) into the map
+const loadGribFile = createAsyncThunk(
+  'gribStream/loadGribFile',
+  async (source, { dispatch, rejectWithValue }) => {
+    try {
+      let buffer, fileName;
+
+      if (typeof source === 'string') {
+        console.log(`🌐 Fetching GRIB2 file from ${source}...`);
+        const response = await fetch(source);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        buffer = await response.arrayBuffer();
+        fileName = source.split('/').pop();
+      } else {
+        buffer = await source.arrayBuffer();
+        fileName = source.name || 'upload.grib2';
+      }
+
+      const { inventory, ...weatherData } = await decodeInWorker(buffer, fileName);
+
+      // Hand the decoded run to the weather slice so every WRF overlay can use it
+      dispatch(loadLocalWeatherData(weatherData));
+
+      return {
+        fileName,
+        inventory,
+        gridInfo: weatherData.grid_info,
+        variables: Object.keys(weatherData.metadata.variable_scales),
+        totalTimestamps: weatherData.metadata.total_timestamps,
+        loadedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('❌ Error loading GRIB2 file:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const initialState = {
+  fileName: null,
+  inventory: [], // one entry per GRIB2 message, including unsupported ones
+  gridInfo: null,
+  variables: [],
+  totalTimestamps: 0,
+  loadedAt: null,
+  loading: false,
+  error: null,
+};
+
+const gribStreamSlice = createSlice({
+  name: 'gribStream',
+  initialState,
+  reducers: {
+    clearGribError: (state) => {
+      state.error = null;
+    },
+
+    clearGribFile: () => initialState,
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadGribFile.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+
+      .addCase(loadGribFile.fulfilled, (state, action) => {
+        Object.assign(state, action.payload);
+        state.loading = false;
+        console.log(`✅ GRIB2 file ${action.payload.fileName} loaded: ${action.payload.variables.join(', ')}`);
+      })
+
+      .addCase(loadGribFile.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload || 'Failed to decode GRIB2 file';
+      });
+  }
+});
+
+// Export actions
+export const { clearGribError, clearGribFile } = gribStreamSlice.actions;
+
+// Export thunks
+export { loadGribFile };
+
+// Selectors
+export const selectGribFileName = (state) => state.gribStream.fileName;
+export const selectGribInventory = (state) => state.gribStream.inventory;
+export const selectGribVariables = (state) => state.gribStream.variables;
+export const selectGribLoading = (state) => state.gribStream.loading;
+export const selectGribError = (state) => state.gribStream.error;
+
+export default gribStreamSlice.reducer;
@@ -0,0 +1,416 @@
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import { aiModelGrids } from '../gridStore';
+import { planCrop } from '../../workers/globalGrid';
+
+// AI weather models (Pangu-Weather, GraphCast, ...) served as static files from a local
+// directory or a backend endpoint, VITE_AI_MODELS_URL (default: ai-models/ next to the app):
+//
+//   <model>/manifest.json      { init_time, step_hours, total_steps, grid, variables }
+//   <model>/NNN/<variable>     one global field per step and variable, JSON or MessagePack
+//                              (a plain array, { values }, or a typed { dtype, data } payload)
+//
+// grid gives the point positions of the field ({ corner, size, steps }, rows may run north to
+// south) and defaults to the 0.25° global grid. variables maps names to optional
+// { name, unit, scale, offset, colorScale }. Fields are cropped to the map view in a worker.
+//
+// A manifest with "zarr": "<path>" reads the steps from a Zarr v2 store under the model directory
+// instead: variables are array names in the store, and total_steps and grid may be left out
+// (they come from the time dimension and the latitude/longitude coordinates).
+export const AI_MODELS = [
+  { id: 'pangu', name: 'Pangu-Weather', color: 'bg-blue-500' },
+  { id: 'graphcast', name: 'GraphCast', color: 'bg-green-500' }
+];
+
+const aiModelsUrl = (import.meta.env.VITE_AI_MODELS_URL || `${import.meta.env.BASE_URL}ai-models`).replace(/\/$/, '');
+
+const DEFAULT_GRID = { corner: [90, 0], size: [721, 1440], steps: [-0.25, 0.25] };
+
+// Names and colour scales for the variables these models usually write
+const KNOWN_VARIABLES = {
+  t2m: { name: 'Temperature (2m)', unit: '°C', colorScale: 'T2' },
+  t850: { name: 'Temperature (850 hPa)', unit: '°C', colorScale: 'T2' },
+  msl: { name: 'Sea Level Pressure', unit: 'hPa', colorScale: 'GHT_PL' }, // lows to highs, like troughs to ridges
+  u10: { name: 'U Wind (10m)', unit: 'm/s', colorScale: 'DIFF' }, // signed, so a diverging scale
+  v10: { name: 'V Wind (10m)', unit: 'm/s', colorScale: 'DIFF' },
+  tp: { name: 'Precipitation', unit: 'mm', colorScale: 'TOTAL_RAIN' },
+  z500: { name: 'Geopotential Height (500 hPa)', unit: 'm', colorScale: 'GHT_PL' }
+};
+
+// Cropped grids are capped around this many cells; zoomed-out views are thinned to fit
+const MAX_CROP_CELLS = 60000;
+
+// The crop reaches this fraction of the view beyond each edge, so small pans don't re-crop
+const CROP_PADDING = 0.25;
+
+// Fetch URLs are resolved here because relative URLs inside a worker resolve against the worker script
+const fieldUrl = (model, timeIndex, variable) =>
+  new URL(`${aiModelsUrl}/${model}/${String(timeIndex).padStart(3, '0')}/${variable}`, window.location.href).href;
+
+const zarrStoreUrl = (model, path) =>
+  new URL(`${aiModelsUrl}/${model}/${path}`, window.location.href).href.replace(/\/$/, '');
+
+const normalizeManifest = (manifest) => {
+  const variables = Array.isArray(manifest.variables)
+    ? Object.fromEntries(manifest.variables.map(name => [name, {}]))
+    : manifest.variables || {};
+
+  if (!manifest.init_time || (!manifest.total_steps && !manifest.zarr) || Object.keys(variables).length === 0) {
+    throw new Error('Manifest needs init_time, total_steps and variables');
+  }
+
+  return {
+    initTime: manifest.init_time,
+    stepHours: manifest.step_hours || 6,
+    totalSteps: manifest.total_steps,
+    grid: manifest.grid || DEFAULT_GRID,
+    zarr: manifest.zarr || null,
+    variables: Object.fromEntries(Object.entries(variables).map(([key, info]) => [
+      key, { ...(KNOWN_VARIABLES[key] || { name: key, unit: '' }), ...info }
+    ]))
+  };
+};
+
+// One long-lived worker; it keeps recent full-resolution fields for re-cropping
+let fieldWorker = null;
+let nextJobId = 1;
+const pendingFields = new Map(); // jobId -> { resolve, reject }
+
+const runFieldJob = (type, message) => new Promise((resolve, reject) => {
+  if (!fieldWorker) {
+    fieldWorker = new Worker(new URL('../../workers/aiFieldWorker.jsx', import.meta.url), { type: 'module' });
+
+    fieldWorker.onmessage = (e) => {
+      const { type, jobId, values, store, error } = e.data;
+      const job = pendingFields.get(jobId);
+      if (!job) return;
+
+      pendingFields.delete(jobId);
+      if (type === 'FIELD_ERROR') job.reject(new Error(error));
+      else job.resolve(type === 'ZARR_OPENED' ? store : values);
+    };
+
+    fieldWorker.onerror = (e) => {
+      pendingFields.forEach(job => job.reject(new Error(e.message || 'AI field worker crashed')));
+      pendingFields.clear();
+      fieldWorker.terminate();
+      fieldWorker = null;
+    };
+  }
+
+  const jobId = nextJobId++;
+  pendingFields.set(jobId, { resolve, reject });
+  fieldWorker.postMessage({ type, jobId, ...message });
+});
+
+// Fetch a model's manifest
+const fetchAiManifest = createAsyncThunk(
+  'aiModels/fetchAiManifest',
+  async (model, { rejectWithValue }) => {
+    try {
+      console.log(`🔄 Fetching ${model} manifest...`);
+      const response = await fetch(`${aiModelsUrl}/${model}/manifest.json`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const manifest = normalizeManifest(await response.json());
+      if (!manifest.zarr) return manifest;
+
+      const store = await runFieldJob('OPEN_ZARR', {
+        storeUrl: zarrStoreUrl(model, manifest.zarr), variables: Object.keys(manifest.variables)
+      });
+      return {
+        ...manifest,
+        totalSteps: manifest.totalSteps ? Math.min(manifest.totalSteps, store.totalSteps) : store.totalSteps,
+        grid: store.grid || manifest.grid
+      };
+    } catch (error) {
+      console.error(`❌ Error loading ${model} manifest:`, error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Fetch one step of the selected variable, cropped to the current crop
+const fetchAiStep = createAsyncThunk(
+  'aiModels/fetchAiStep',
+  async (timeIndex, { getState, rejectWithValue }) => {
+    const { selectedModel, selectedVariable, manifest, crop, generation } = getState().aiModels;
+    const { scale, offset } = manifest.variables[selectedVariable];
+
+    try {
+      const job = { scale, offset, sourceGrid: manifest.grid, cropGrid: crop.gridInfo };
+      const values = manifest.zarr
+        ? await runFieldJob('LOAD_ZARR_FIELD', {
+          ...job, storeUrl: zarrStoreUrl(selectedModel, manifest.zarr), variable: selectedVariable, timeIndex
+        })
+        : await runFieldJob('LOAD_FIELD', { ...job, url: fieldUrl(selectedModel, timeIndex, selectedVariable) });
+
+      // Model, variable or crop changed while this step was on its way
+      if (getState().aiModels.generation !== generation) return { timeIndex, generation };
+
+      aiModelGrids.ingestTimeSeries([{ time: timeIndex, variables: { [selectedVariable]: values } }]);
+      return { timeIndex, generation, loaded: true };
+    } catch (error) {
+      return rejectWithValue({ timeIndex, generation, error: error.message });
+    }
+  },
+  {
+    condition: (timeIndex, { getState }) => {
+      const { manifest, crop, selectedVariable, loadedTimes, stepStatus } = getState().aiModels;
+      return Boolean(manifest && crop && manifest.variables[selectedVariable]) &&
+        timeIndex >= 0 && timeIndex < manifest.totalSteps &&
+        !loadedTimes.includes(timeIndex) && stepStatus[timeIndex] !== 'loading';
+    }
+  }
+);
+
+// Load the step under the slider first, then the rest of the run one step at a time - each is a
+// full global field download, or the chunks under the crop for Zarr stores. Stops as soon as
+// the model, variable or crop changes.
+const fetchAiSteps = () => async (dispatch, getState) => {
+  const { manifest, crop, generation, currentTimeIndex } = getState().aiModels;
+  if (!manifest || !crop) return;
+
+  for (let i = 0; i < manifest.totalSteps; i++) {
+    if (getState().aiModels.generation !== generation) return;
+    await dispatch(fetchAiStep((currentTimeIndex + i) % manifest.totalSteps));
+  }
+};
+
+// (Re)crop to the last reported map view if it's no longer covered by the current crop
+const updateAiCrop = () => (dispatch, getState) => {
+  const { manifest, viewport, crop } = getState().aiModels;
+  if (!manifest || !viewport) return;
+
+  const { bounds, zoom } = viewport;
+  const covered = crop && crop.zoom === zoom &&
+    bounds.south >= crop.bounds.south && bounds.north <= crop.bounds.north &&
+    bounds.west >= crop.bounds.west && bounds.east <= crop.bounds.east;
+  if (covered) return;
+
+  const latPadding = (bounds.north - bounds.south) * CROP_PADDING;
+  const lonPadding = (bounds.east - bounds.west) * CROP_PADDING;
+  const padded = {
+    south: Math.max(-90, bounds.south - latPadding),
+    north: Math.min(90, bounds.north + latPadding),
+    west: bounds.west - lonPadding,
+    east: bounds.east + lonPadding
+  };
+
+  aiModelGrids.clearGrids();
+  dispatch(aiCropChanged({ bounds: padded, zoom, gridInfo: planCrop(manifest.grid, padded, MAX_CROP_CELLS) }));
+  dispatch(fetchAiSteps());
+};
+
+// Load the selected model's manifest (once) and start fetching the steps on screen
+const loadAiModel = () => async (dispatch, getState) => {
+  const { selectedModel, manifest, loading } = getState().aiModels;
+  if (loading || manifest) return;
+
+  const result = await dispatch(fetchAiManifest(selectedModel));
+  if (fetchAiManifest.fulfilled.match(result)) {
+    aiModelGrids.clearGrids();
+    dispatch(updateAiCrop());
+  }
+};
+
+const setAiModel = (model) => (dispatch, getState) => {
+  if (getState().aiModels.selectedModel === model) return;
+  aiModelGrids.clearGrids();
+  dispatch(aiModelSelected(model));
+  dispatch(loadAiModel());
+};
+
+const setAiVariable = (variable) => (dispatch, getState) => {
+  if (getState().aiModels.selectedVariable === variable) return;
+  aiModelGrids.clearGrids();
+  dispatch(aiVariableSelected(variable));
+  dispatch(fetchAiSteps());
+};
+
+const setAiTimeIndex = (timeIndex) => (dispatch) => {
+  dispatch(aiTimeIndexSet(timeIndex));
+  dispatch(fetchAiStep(timeIndex));
+};
+
+// Map view reported by CustomMap: { bounds: { south, north, west, east }, zoom }
+const setAiViewport = (viewport) => (dispatch) => {
+  dispatch(aiViewportSet(viewport));
+  dispatch(updateAiCrop());
+};
+
+// Everything loaded for the previous model, variable or crop is dropped
+const resetSteps = (state) => {
+  state.generation += 1;
+  state.loadedTimes = [];
+  state.stepStatus = {};
+  state.gridVersion += 1;
+};
+
+const initialState = {
+  selectedModel: AI_MODELS[0].id,
+  manifest: null,
+  loading: false,
+  error: null,
+
+  selectedVariable: null,
+  currentTimeIndex: 0,
+  isPlaying: false,
+  animationSpeed: 1000,
+
+  viewport: null, // last reported map view
+  crop: null,     // { bounds, zoom, gridInfo } - the area the fields are cropped to
+
+  generation: 0,  // bumped whenever the model, variable or crop changes
+  loadedTimes: [],
+  stepStatus: {}, // timeIndex -> 'loading' | 'failed'
+  gridVersion: 0
+};
+
+const aiModelSlice = createSlice({
+  name: 'aiModels',
+  initialState,
+  reducers: {
+    aiModelSelected: (state, action) => {
+      state.selectedModel = action.payload;
+      state.manifest = null;
+      state.loading = false;
+      state.error = null;
+      state.crop = null;
+      state.isPlaying = false;
+      resetSteps(state);
+    },
+
+    aiVariableSelected: (state, action) => {
+      state.selectedVariable = action.payload;
+      resetSteps(state);
+    },
+
+    aiViewportSet: (state, action) => {
+      state.viewport = action.payload;
+    },
+
+    aiCropChanged: (state, action) => {
+      state.crop = action.payload.gridInfo ? action.payload : null;
+      resetSteps(state);
+    },
+
+    aiTimeIndexSet: (state, action) => {
+      state.currentTimeIndex = action.payload;
+    },
+
+    // Playback moves through the steps already loaded; the rest are still downloading
+    advanceAiTime: (state) => {
+      if (state.loadedTimes.length === 0) return;
+      state.currentTimeIndex = state.loadedTimes.find(time => time > state.currentTimeIndex) ?? state.loadedTimes[0];
+    },
+
+    setAiIsPlaying: (state, action) => {
+      state.isPlaying = action.payload;
+    },
+
+    setAiAnimationSpeed: (state, action) => {
+      state.animationSpeed = action.payload;
+    }
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchAiManifest.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+
+      .addCase(fetchAiManifest.fulfilled, (state, action) => {
+        const model = action.meta.arg;
+        const manifest = action.payload;
+        if (model !== state.selectedModel) return; // another model was picked meanwhile
+
+        state.loading = false;
+        state.manifest = manifest;
+        state.crop = null;
+        if (!manifest.variables[state.selectedVariable]) {
+          state.selectedVariable = Object.keys(manifest.variables)[0];
+        }
+        state.currentTimeIndex = Math.min(state.currentTimeIndex, manifest.totalSteps - 1);
+        resetSteps(state);
+        console.log(`✅ ${model} manifest loaded: ${manifest.totalSteps} steps, ${Object.keys(manifest.variables).join(', ')}`);
+      })
+
+      .addCase(fetchAiManifest.rejected, (state, action) => {
+        if (action.meta.arg !== state.selectedModel) return;
+        state.loading = false;
+        state.error = action.payload || 'Failed to load model manifest';
+      })
+
+      .addCase(fetchAiStep.pending, (state, action) => {
+        state.stepStatus[action.meta.arg] = 'loading';
+      })
+
+      .addCase(fetchAiStep.fulfilled, (state, action) => {
+        const { timeIndex, generation, loaded } = action.payload;
+        if (generation !== state.generation) return;
+
+        delete state.stepStatus[timeIndex];
+        if (loaded) {
+          state.loadedTimes = [...state.loadedTimes, timeIndex].sort((a, b) => a - b);
+          state.gridVersion += 1;
+        }
+      })
+
+      .addCase(fetchAiStep.rejected, (state, action) => {
+        if (!action.payload || action.payload.generation !== state.generation) return;
+        state.stepStatus[action.payload.timeIndex] = 'failed';
+        console.error(`❌ AI model step ${action.payload.timeIndex} failed: ${action.payload.error}`);
+      });
+  }
+});
+
+// Export actions
+export const {
+  aiModelSelected, aiVariableSelected, aiViewportSet, aiCropChanged, aiTimeIndexSet,
+  advanceAiTime, setAiIsPlaying, setAiAnimationSpeed
+} = aiModelSlice.actions;
+
+// Export thunks
+export { fetchAiManifest, fetchAiStep, fetchAiSteps, loadAiModel, setAiModel, setAiVariable, setAiTimeIndex, setAiViewport };
+
+// Selectors
+export const selectAiSelectedModel = (state) => state.aiModels.selectedModel;
+export const selectAiManifest = (state) => state.aiModels.manifest;
+export const selectAiLoading = (state) => state.aiModels.loading;
+export const selectAiError = (state) => state.aiModels.error;
+export const selectAiSelectedVariable = (state) => state.aiModels.selectedVariable;
+export const selectAiCurrentTimeIndex = (state) => state.aiModels.currentTimeIndex;
+export const selectAiIsPlaying = (state) => state.aiModels.isPlaying;
+export const selectAiAnimationSpeed = (state) => state.aiModels.animationSpeed;
+export const selectAiLoadedTimes = (state) => state.aiModels.loadedTimes;
+export const selectAiGridVersion = (state) => state.aiModels.gridVersion;
+export const selectAiGridInfo = (state) => state.aiModels.crop?.gridInfo ?? null;
+
+const NO_VARIABLES = {};
+export const selectAiVariables = (state) => state.aiModels.manifest?.variables ?? NO_VARIABLES;
+
+// Steps of the selected variable that failed to load for the current crop
+export const selectAiFailedSteps = createSelector(
+  [(state) => state.aiModels.stepStatus],
+  (stepStatus) => Object.keys(stepStatus).filter(time => stepStatus[time] === 'failed').map(Number)
+);
+
+// Memoized min/max/avg of the step on screen, over the cropped area
+export const selectAiCurrentStats = createSelector(
+  [selectAiGridVersion, selectAiCurrentTimeIndex, selectAiSelectedVariable],
+  (gridVersion, currentTimeIndex, selectedVariable) => {
+    const stats = aiModelGrids.getGridStats(currentTimeIndex, selectedVariable);
+    if (!stats) return null;
+
+    return {
+      min: stats.min.toFixed(2),
+      max: stats.max.toFixed(2),
+      avg: stats.mean.toFixed(2)
+    };
+  }
+);
+
+export default aiModelSlice.reducer;
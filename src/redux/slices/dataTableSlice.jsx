@@ -1,9 +1,13 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { SAMPLING_METHODS } from '../../hooks/helper';
 
 const initialState = {
   // Station comparison
   selectedPointsForComparison: [], maxComparison: 5,
 
+  // How station and other point values are read from the grids (a SAMPLING_METHODS key)
+  samplingMethod: 'nearest',
+
   // Table settings
   tableSettings: {
     itemsPerPage: 10,
@@ -54,6 +58,11 @@ const dataTableSlice = createSlice({
       state.selectedPointsForComparison = stations;
     },
 
+    // ===== POINT SAMPLING ACTIONS =====
+    setSamplingMethod: (state, action) => {
+      if (SAMPLING_METHODS[action.payload]) state.samplingMethod = action.payload;
+    },
+
     // ===== TABLE SETTINGS ACTIONS =====
     setTableSettings: (state, action) => {
       state.tableSettings = { ...state.tableSettings, ...action.payload };
@@ -139,6 +148,9 @@ export const {
   // Point comparison
   addPointForComparison, removePointForComparison, clearPointsForComparison, setselectedPointsForComparison,
 
+  // Point sampling
+  setSamplingMethod,
+
   // Table settings  
   setTableSettings, setItemsPerPage, setSortBy, toggleSortOrder, setShowGridData, setShowStationData,
 
@@ -157,6 +169,7 @@ export const {
 // Basic selectors
 export const selectselectedPointsForComparison = (state) => state.dataTable.selectedPointsForComparison;
 export const selectmaxComparison = (state) => state.dataTable.maxComparison;
+export const selectSamplingMethod = (state) => state.dataTable.samplingMethod;
 export const selectTableSettings = (state) => state.dataTable.tableSettings;
 export const selectSearchTerm = (state) => state.dataTable.searchTerm;
 export const selectCurrentPage = (state) => state.dataTable.currentPage;
@@ -0,0 +1,172 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { weatherGrids, getNestGrids } from '../gridStore';
+import { DERIVED_VARIABLES } from '../../hooks/derived';
+import { EXPRESSION_KEY_PREFIX, isExpressionKey, parseExpression } from '../../hooks/expression';
+import { computeGridInWorker, derivedGridsComputed, setSelectedVariable } from './weatherSlice';
+
+// User-defined layers: an expression over the run's variables (hooks/expression), saved with a
+// name, unit and colour scale under a key of its own (EXPR_1, EXPR_2, ...) that can be selected
+// like any other variable. Layers are kept in localStorage; their grids are computed in the
+// derived-variable worker for every loaded step of the run on screen, the step shown first.
+
+const STORAGE_KEY = 'expressionLayers';
+
+const readStoredLayers = () => {
+  try {
+    const layers = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(layers) ? layers.filter(layer => isExpressionKey(layer?.key) && layer.expression) : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeStoredLayers = (layers) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layers));
+  } catch (error) {
+    console.warn('⚠️ Could not save expression layers:', error);
+  }
+};
+
+// The WRF run's grid store and its nests', each with the steps it has loaded
+const gridStores = (weather) => [
+  { domain: 1, grids: weatherGrids, loadedTimes: weather.loadedTimes },
+  ...Object.values(weather.nests).filter(nest => nest.gridInfo)
+    .map(nest => ({ domain: nest.domain, grids: getNestGrids(nest.domain), loadedTimes: nest.loadedTimes }))
+];
+
+const dropLayerGrids = (key, weather) => gridStores(weather).forEach(({ grids }) => grids.dropVariable(key));
+
+// A variable an expression reads is in the store, or is a derived variable whose inputs are
+const canRead = (grids, timeIndex, variable) => grids.hasGrid(timeIndex, variable) ||
+  Boolean(DERIVED_VARIABLES[variable]?.inputs.every(input => grids.hasGrid(timeIndex, input)));
+
+// Check and save a layer (a new one without `key`). Resolves to { key } or { error } for the editor.
+const saveExpressionLayer = ({ key = null, name, unit = '', colorScale = 'T2', expression }) => (dispatch, getState) => {
+  const { weather, expressions } = getState();
+
+  let parsed;
+  try {
+    parsed = parseExpression(expression);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (!name.trim()) return { error: 'Give the layer a name' };
+  if (parsed.variables.length === 0) return { error: 'The expression must use at least one variable' };
+
+  // Checked against the step on screen, when there is one
+  const available = weatherGrids.getGridVariables(weather.currentTimeIndex);
+  if (available.length > 0) {
+    const unknown = parsed.variables.filter(variable =>
+      isExpressionKey(variable) || !canRead(weatherGrids, weather.currentTimeIndex, variable));
+    if (unknown.length > 0) return { error: `Unknown variable${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}` };
+  }
+
+  const layerKey = key || `${EXPRESSION_KEY_PREFIX}${1 + Math.max(0,
+    ...expressions.layers.map(layer => Number(layer.key.slice(EXPRESSION_KEY_PREFIX.length)) || 0))}`;
+  const layer = {
+    key: layerKey, name: name.trim(), unit: unit.trim(), colorScale, expression: expression.trim(), variables: parsed.variables
+  };
+
+  if (key) dropLayerGrids(key, weather);
+  dispatch(expressionLayerSaved(layer));
+  writeStoredLayers(getState().expressions.layers);
+  dispatch(setSelectedVariable(layerKey));
+  dispatch(derivedGridsComputed()); // redraws, and has the grids computed
+  return { key: layerKey };
+};
+
+const removeExpressionLayer = (key) => (dispatch, getState) => {
+  const { weather } = getState();
+  dropLayerGrids(key, weather);
+  dispatch(expressionLayerRemoved(key));
+  writeStoredLayers(getState().expressions.layers);
+  if (weather.selectedVariable === key) dispatch(setSelectedVariable('T2'));
+  dispatch(derivedGridsComputed());
+};
+
+const layersInFlight = new Set(); // `${domain}|${timeIndex}|${key}` of grids being computed
+
+// Compute the grids of every layer at every loaded step that doesn't have them yet, the step on
+// screen first. Derived variables an expression reads are computed on the way. Like
+// computeDerivedGrids, safe to dispatch whenever the grids change.
+const computeExpressionGrids = () => async (dispatch, getState) => {
+  const { expressions: { layers }, weather } = getState();
+  if (layers.length === 0) return;
+
+  const stores = gridStores(weather);
+  const order = [weather.currentTimeIndex, ...weather.loadedTimes.filter(time => time !== weather.currentTimeIndex)];
+  const jobs = order.flatMap(timeIndex => stores.flatMap(({ domain, grids, loadedTimes }) => (loadedTimes.includes(timeIndex)
+    ? layers.map(layer => ({ grids, timeIndex, layer, id: `${domain}|${timeIndex}|${layer.key}` }))
+    : [])))
+    .filter(({ grids, timeIndex, layer, id }) => !layersInFlight.has(id) && !grids.hasGrid(timeIndex, layer.key) &&
+      layer.variables.every(variable => canRead(grids, timeIndex, variable)));
+  if (jobs.length === 0) return;
+
+  jobs.forEach(({ id }) => layersInFlight.add(id));
+  let computed = 0;
+
+  for (const [position, { grids, timeIndex, layer, id }] of jobs.entries()) {
+    // Saving a layer replaces its object, so the one a job started from tells whether the job
+    // is still current: an edited or removed layer's grids are never stored, even under a key
+    // that has been saved again meanwhile
+    const isCurrent = () => getState().expressions.layers.includes(layer);
+    try {
+      if (!isCurrent()) continue;
+
+      for (const variable of layer.variables.filter(variable => !grids.hasGrid(timeIndex, variable))) {
+        await computeGridInWorker(grids, timeIndex, variable, DERIVED_VARIABLES[variable].inputs, { type: 'COMPUTE_DERIVED' });
+      }
+      if (!isCurrent() || !layer.variables.every(variable => grids.hasGrid(timeIndex, variable))) continue;
+
+      const saved = await computeGridInWorker(grids, timeIndex, layer.key, layer.variables, {
+        type: 'COMPUTE_EXPRESSION', expression: layer.expression
+      }, isCurrent);
+      if (saved) computed++;
+    } catch (error) {
+      console.error(`❌ Error computing ${layer.name} at step ${timeIndex}:`, error);
+    } finally {
+      layersInFlight.delete(id);
+    }
+
+    // The step on screen shows up as soon as its layers are in, the other steps all at once
+    if (computed > 0 && timeIndex === weather.currentTimeIndex && jobs[position + 1]?.timeIndex !== timeIndex) {
+      dispatch(derivedGridsComputed());
+      computed = 0;
+    }
+  }
+
+  if (computed > 0) dispatch(derivedGridsComputed());
+};
+
+const initialState = {
+  layers: readStoredLayers() // { key, name, unit, colorScale, expression, variables }
+};
+
+const expressionSlice = createSlice({
+  name: 'expressions',
+  initialState,
+  reducers: {
+    expressionLayerSaved: (state, action) => {
+      const index = state.layers.findIndex(layer => layer.key === action.payload.key);
+      if (index >= 0) state.layers[index] = action.payload;
+      else state.layers.push(action.payload);
+    },
+
+    expressionLayerRemoved: (state, action) => {
+      state.layers = state.layers.filter(layer => layer.key !== action.payload);
+    }
+  }
+});
+
+// Export actions
+export const { expressionLayerSaved, expressionLayerRemoved } = expressionSlice.actions;
+
+// Export thunks
+export { saveExpressionLayer, removeExpressionLayer, computeExpressionGrids };
+
+// Selectors
+export const selectExpressionLayers = (state) => state.expressions.layers;
+
+export default expressionSlice.reducer;
@@ -81,7 +81,8 @@ const fetchOpenMeteoData = createAsyncThunk(
                 `longitude=${center.lng.toFixed(6)}&` +
                 `start_date=${formatDate(startDate)}&` +
                 `end_date=${formatDate(endDate)}&` +
-                `hourly=temperature_2m,relative_humidity_2m,precipitation,pressure_msl,wind_speed_10m,wind_direction_10m`;
+                `hourly=temperature_2m,relative_humidity_2m,precipitation,pressure_msl,wind_speed_10m,wind_direction_10m&` +
+                `timezone=GMT`;
 
             console.log('📡 Fetching OpenMeteo data from:', apiUrl);
 
@@ -92,13 +93,18 @@ const fetchOpenMeteoData = createAsyncThunk(
             }
 
             const data = await response.json();
+
+            // Set by the service worker when it answers with the last saved response while offline
+            const offlineFetchedAt = response.headers.get('X-SW-Fetched-At');
+            if (offlineFetchedAt) console.warn('📦 Offline, showing the last Open-Meteo response from', offlineFetchedAt);
             
             // Process and enhance the data
             const processedData = {
                 ...data,
                 polygon: polygonPoints,
                 center: center,
-                fetchedAt: new Date().toISOString(),
+                fetchedAt: offlineFetchedAt || new Date().toISOString(),
+                offline: Boolean(offlineFetchedAt),
                 area: calculatePolygonArea(polygonPoints)
             };
 
@@ -337,6 +343,8 @@ export const selectOpenMeteoIsPlaying = (state) => state.openMeteo?.isPlaying ||
 export const selectOpenMeteoOpacity = (state) => state.openMeteo?.opacity || 0.5;
 export const selectShowPolygon = (state) => state.openMeteo?.showPolygon || true;
 export const selectShouldFetchData = (state) => state.openMeteo?.shouldFetchData || false;
+export const selectOpenMeteoOfflineSince = (state) =>
+    state.openMeteo?.weatherData?.offline ? state.openMeteo.fetchedAt : null;
 
 // Memoized selectors
 export const selectPolygonArea = createSelector(
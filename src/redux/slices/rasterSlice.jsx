@@ -0,0 +1,305 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { setRasterImage, clearRasterImage } from '../rasterStore';
+
+// Raster overlays from Cloud-Optimized GeoTIFFs (rainfall accumulations, DEMs, satellite
+// products). Layers are listed in VITE_RASTERS_URL/layers.json (default: rasters/ next to the app):
+//
+//   { "layers": [{ "id", "name", "unit", "colorScale", "min", "max",
+//                  "url": "dem.tif"                                       - a single file, or
+//                  "times": [{ "time": "2025-07-01T00:00:00Z", "url": "rain/20250701.tif" }] }] }
+//
+// URLs are relative to layers.json. Layers with times follow the time slider: the file shown is
+// the latest one at or before the selected step. colorScale names a scale from hooks/helper;
+// without min/max the colours stretch over the pixels on screen. Any COG URL can also be added
+// from the control panel. The server must answer HTTP range requests.
+
+const rastersUrl = (import.meta.env.VITE_RASTERS_URL || `${import.meta.env.BASE_URL}rasters`).replace(/\/$/, '');
+
+const normalizeLayer = (layer, baseUrl) => {
+  const resolve = (url) => new URL(url, baseUrl).href;
+  return {
+    id: layer.id || layer.url || layer.name,
+    name: layer.name || layer.id,
+    unit: layer.unit || '',
+    colorScale: layer.colorScale || 'T2',
+    min: layer.min ?? null,
+    max: layer.max ?? null,
+    url: layer.url ? resolve(layer.url) : null,
+    times: (layer.times || [])
+      .map(({ time, url }) => ({ time: new Date(time).toISOString(), url: resolve(url) }))
+      .sort((a, b) => a.time.localeCompare(b.time))
+  };
+};
+
+// File of a layer for a time (ISO string): the latest at or before it, else the first
+const resolveLayerUrl = (layer, time) => {
+  if (!layer) return null;
+  if (layer.times.length === 0) return layer.url;
+  if (!time) return layer.times[0].url;
+
+  const earlier = layer.times.filter(entry => entry.time <= time);
+  return (earlier.length > 0 ? earlier[earlier.length - 1] : layer.times[0]).url;
+};
+
+// One long-lived worker keeps the opened files (IFDs and decoded tiles) between views
+let cogWorker = null;
+let nextJobId = 1;
+const pendingViews = new Map(); // jobId -> { resolve, reject }
+
+const readViewInWorker = (message) => new Promise((resolve, reject) => {
+  if (!cogWorker) {
+    cogWorker = new Worker(new URL('../../workers/cogWorker.jsx', import.meta.url), { type: 'module' });
+
+    cogWorker.onmessage = (e) => {
+      const { type, jobId, view, bands, error } = e.data;
+      const job = pendingViews.get(jobId);
+      if (!job) return;
+
+      pendingViews.delete(jobId);
+      if (type === 'COG_SUCCESS') job.resolve({ view, bands });
+      else job.reject(new Error(error));
+    };
+
+    cogWorker.onerror = (e) => {
+      pendingViews.forEach(job => job.reject(new Error(e.message || 'COG worker crashed')));
+      pendingViews.clear();
+      cogWorker.terminate();
+      cogWorker = null;
+    };
+  }
+
+  const jobId = nextJobId++;
+  pendingViews.set(jobId, { resolve, reject });
+  cogWorker.postMessage({ type: 'READ_COG_VIEW', jobId, ...message });
+});
+
+// Fetch the list of raster layers
+const fetchRasterCatalog = createAsyncThunk(
+  'raster/fetchRasterCatalog',
+  async (_, { rejectWithValue }) => {
+    try {
+      const catalogUrl = new URL(`${rastersUrl}/layers.json`, window.location.href).href;
+      const response = await fetch(catalogUrl);
+      if (response.status === 404) return []; // no catalog, layers can still be added by URL
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const { layers = [] } = await response.json();
+      return layers.map(layer => normalizeLayer(layer, catalogUrl));
+    } catch (error) {
+      console.error('❌ Error loading raster layers:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Read the selected layer/band under the last reported map view. Only the latest request is
+// kept; views that arrive after the map has moved on are dropped.
+const loadRasterView = createAsyncThunk(
+  'raster/loadRasterView',
+  async (_, { getState, requestId, rejectWithValue }) => {
+    const { layers, selectedLayerId, band, view, time } = getState().raster;
+    const layer = layers.find(l => l.id === selectedLayerId);
+    const url = resolveLayerUrl(layer, time);
+
+    try {
+      const result = await readViewInWorker({ url, band, bounds: view.bounds, screenWidth: view.width });
+      if (getState().raster.latestRequestId !== requestId) return null;
+
+      if (result.view) setRasterImage(result.view);
+      else clearRasterImage();
+
+      const { bounds, level, min, max, width, height } = result.view || {};
+      return {
+        url,
+        bands: result.bands,
+        image: result.view ? { bounds, level, min, max, width, height } : null
+      };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { show, layers, selectedLayerId, view } = getState().raster;
+      return show && view !== null && layers.some(l => l.id === selectedLayerId);
+    }
+  }
+);
+
+const setRasterShown = (show) => (dispatch, getState) => {
+  dispatch(rasterShownSet(show));
+  if (!show) return;
+  if (getState().raster.catalogStatus === 'idle') dispatch(fetchRasterCatalog()).then(() => dispatch(loadRasterView()));
+  else dispatch(loadRasterView());
+};
+
+const setRasterLayer = (layerId) => (dispatch) => {
+  dispatch(rasterLayerSelected(layerId));
+  dispatch(loadRasterView());
+};
+
+// Add a COG by URL (e.g. from a local static file server) and show it
+const addRasterUrl = (url) => (dispatch) => {
+  const absolute = new URL(url, window.location.href).href;
+  const name = decodeURIComponent(absolute.split('/').pop().split('?')[0]) || absolute;
+  dispatch(rasterLayerAdded(normalizeLayer({ id: absolute, name, url: absolute }, absolute)));
+  dispatch(setRasterLayer(absolute));
+};
+
+const setRasterBand = (band) => (dispatch) => {
+  dispatch(rasterBandSelected(band));
+  dispatch(loadRasterView());
+};
+
+// Map view reported by RasterOverlay: { bounds: { south, north, west, east }, width } (width in px)
+const setRasterView = (view) => (dispatch) => {
+  dispatch(rasterViewSet(view));
+  dispatch(loadRasterView());
+};
+
+// Time step on the slider (ISO string); the view is only reloaded when it selects another file
+const setRasterTime = (time) => (dispatch, getState) => {
+  const { layers, selectedLayerId, time: previous } = getState().raster;
+  const layer = layers.find(l => l.id === selectedLayerId);
+  dispatch(rasterTimeSet(time));
+  if (resolveLayerUrl(layer, previous) !== resolveLayerUrl(layer, time)) dispatch(loadRasterView());
+};
+
+const initialState = {
+  show: false,
+  layers: [],
+  catalogStatus: 'idle', // 'idle' | 'loading' | 'loaded' | 'failed'
+  catalogError: null,
+
+  selectedLayerId: null,
+  band: 0,
+  bands: [],          // band names of the file on screen
+  view: null,         // last reported map view
+  time: null,         // selected time step, ISO string
+
+  latestRequestId: null,
+  loading: false,
+  error: null,
+  url: null,          // file on screen
+  image: null,        // { bounds, level, min, max, width, height } - pixels are in rasterStore
+  imageVersion: 0,
+
+  hover: null         // { position, center, value } under the mouse
+};
+
+const rasterSlice = createSlice({
+  name: 'raster',
+  initialState,
+  reducers: {
+    rasterShownSet: (state, action) => {
+      state.show = action.payload;
+      if (!action.payload) state.hover = null;
+    },
+
+    rasterLayerSelected: (state, action) => {
+      state.selectedLayerId = action.payload;
+      state.band = 0;
+      state.error = null;
+    },
+
+    rasterLayerAdded: (state, action) => {
+      if (!state.layers.some(layer => layer.id === action.payload.id)) state.layers.push(action.payload);
+    },
+
+    rasterBandSelected: (state, action) => {
+      state.band = action.payload;
+    },
+
+    rasterViewSet: (state, action) => {
+      state.view = action.payload;
+    },
+
+    rasterTimeSet: (state, action) => {
+      state.time = action.payload;
+    },
+
+    setRasterHover: (state, action) => {
+      state.hover = action.payload;
+    }
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchRasterCatalog.pending, (state) => {
+        state.catalogStatus = 'loading';
+        state.catalogError = null;
+      })
+
+      .addCase(fetchRasterCatalog.fulfilled, (state, action) => {
+        state.catalogStatus = 'loaded';
+        // Layers added by URL in the meantime stay after the catalog's
+        const added = state.layers.filter(layer => !action.payload.some(l => l.id === layer.id));
+        state.layers = [...action.payload, ...added];
+        if (!state.layers.some(layer => layer.id === state.selectedLayerId)) {
+          state.selectedLayerId = state.layers[0]?.id ?? null;
+        }
+        console.log(`✅ ${action.payload.length} raster layers listed`);
+      })
+
+      .addCase(fetchRasterCatalog.rejected, (state, action) => {
+        state.catalogStatus = 'failed';
+        state.catalogError = action.payload || 'Failed to load raster layers';
+      })
+
+      .addCase(loadRasterView.pending, (state, action) => {
+        state.latestRequestId = action.meta.requestId;
+        state.loading = true;
+      })
+
+      .addCase(loadRasterView.fulfilled, (state, action) => {
+        if (action.meta.requestId !== state.latestRequestId || !action.payload) return;
+        const { url, bands, image } = action.payload;
+
+        state.loading = false;
+        state.error = null;
+        state.url = url;
+        state.bands = bands;
+        state.image = image;
+        state.imageVersion += 1;
+      })
+
+      .addCase(loadRasterView.rejected, (state, action) => {
+        if (action.meta.requestId !== state.latestRequestId) return;
+        state.loading = false;
+        state.error = action.payload || 'Failed to read raster';
+        console.error(`❌ Raster view failed: ${state.error}`);
+      });
+  }
+});
+
+// Export actions
+export const {
+  rasterShownSet, rasterLayerSelected, rasterLayerAdded, rasterBandSelected, rasterViewSet, rasterTimeSet,
+  setRasterHover
+} = rasterSlice.actions;
+
+// Export thunks
+export {
+  fetchRasterCatalog, loadRasterView, setRasterShown, setRasterLayer, addRasterUrl, setRasterBand,
+  setRasterView, setRasterTime
+};
+
+// Selectors
+export const selectShowRaster = (state) => state.raster.show;
+export const selectRasterLayers = (state) => state.raster.layers;
+export const selectRasterCatalogStatus = (state) => state.raster.catalogStatus;
+export const selectRasterCatalogError = (state) => state.raster.catalogError;
+export const selectRasterBand = (state) => state.raster.band;
+export const selectRasterBands = (state) => state.raster.bands;
+export const selectRasterLoading = (state) => state.raster.loading;
+export const selectRasterError = (state) => state.raster.error;
+export const selectRasterUrl = (state) => state.raster.url;
+export const selectRasterImage = (state) => state.raster.image;
+export const selectRasterImageVersion = (state) => state.raster.imageVersion;
+export const selectRasterHover = (state) => state.raster.hover;
+export const selectRasterLayer = (state) =>
+  state.raster.layers.find(layer => layer.id === state.raster.selectedLayerId) ?? null;
+
+export default rasterSlice.reducer;
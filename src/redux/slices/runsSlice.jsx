@@ -0,0 +1,296 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { runComparisonGrids } from '../gridStore';
+import {
+  getRunId, parseTimestamp, timeOfStep, stepNearestTime, readCachedBatch, fetchBatchInWorker, computeEnsembleStatistics,
+  selectCurrentTimestamp
+} from './weatherSlice';
+import { formatTime } from '../../hooks/time';
+
+// Model runs the backend keeps, for the run browser, and the run-to-run ("dprog/dt") comparison:
+// the forecasts the last N runs made for one valid time. The backend lists its runs at
+//
+//   GET {VITE_BACKEND_URL}/runs -> { "runs": [{ "initial_timestamp": "2025-07-01_00:00:00",
+//                                               "final_timestamp": "2025-07-04_00:00:00",
+//                                               "total_timestamps": 73 }, ...] }
+//
+// (a bare array, or bare initial timestamps, also do) and serves an older run's batches at
+// /data/NNN?run=<initial_timestamp>. Without /runs (404) only the latest run is offered.
+// Runs are taken to share the grid, output interval and batch size of the run on screen.
+
+const backendUrl = import.meta.env.VITE_BACKEND_URL;
+
+const HOUR = 60 * 60 * 1000;
+
+// '2025-07-01_00:00:00' (UTC) -> 'Jul 1, 2025, 05:30 IST' in the zone times are shown in
+export const formatRunTime = (initialTimestamp, timeZone = 'UTC') => formatTime(parseTimestamp(initialTimestamp), timeZone, 'date');
+
+const normalizeRun = (run) => {
+  const { initial_timestamp, final_timestamp = null, total_timestamps = null } = typeof run === 'string'
+    ? { initial_timestamp: run } : run;
+  return { initialTimestamp: initial_timestamp, finalTimestamp: final_timestamp, totalTimestamps: total_timestamps };
+};
+
+// Time index of a valid time (Date) in a run, or null when the run doesn't reach it. An estimate
+// from even spacing, to pick the batch to load - stepOfValidTime has the final say.
+const timeIndexInRun = (run, validTime, fallbackStep) => {
+  const start = parseTimestamp(run.initialTimestamp).getTime();
+  const step = run.finalTimestamp && run.totalTimestamps > 1
+    ? (parseTimestamp(run.finalTimestamp).getTime() - start) / (run.totalTimestamps - 1)
+    : fallbackStep;
+  const timeIndex = Math.round((validTime.getTime() - start) / step);
+  if (timeIndex < 0 || (run.totalTimestamps && timeIndex >= run.totalTimestamps)) return null;
+  return timeIndex;
+};
+
+// Step of a run whose valid time is exactly validTime (Date), from a batch's metadata: its listed
+// step times, else the run's steps spaced evenly. Null when no step falls on it.
+const stepOfValidTime = (metadata = {}, run, validTime) => {
+  const totalTimestamps = metadata.total_timestamps || run.totalTimestamps;
+  const steps = {
+    totalTimestamps,
+    initialTimestamp: metadata.initial_timestamp || run.initialTimestamp,
+    finalTimestamp: metadata.final_timestamp || run.finalTimestamp,
+    timestamps: metadata.timestamps?.length === totalTimestamps ? metadata.timestamps : null
+  };
+  if (!steps.timestamps && !(steps.finalTimestamp && totalTimestamps)) return null;
+
+  const timeIndex = stepNearestTime(steps, validTime.getTime());
+  return timeIndex !== null && timeOfStep(steps, timeIndex).getTime() === validTime.getTime() ? timeIndex : null;
+};
+
+const fetchRuns = createAsyncThunk(
+  'runs/fetchRuns',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await fetch(`${backendUrl}/runs`);
+      if (response.status === 404) return []; // the backend only serves its latest run
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const body = await response.json();
+      const runs = (Array.isArray(body) ? body : body.runs || []).map(normalizeRun);
+      return runs
+        .filter(run => run.initialTimestamp)
+        .sort((a, b) => (a.initialTimestamp < b.initialTimestamp ? 1 : -1));
+    } catch (error) {
+      console.error('❌ Error listing model runs:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// The step at the selected valid time from each of the last `count` runs that reach it, newest
+// first, into runComparisonGrids (one entry per run, in order). Batches come from the cache
+// when a run was browsed before; the rest are fetched one run at a time.
+const fetchRunComparison = createAsyncThunk(
+  'runs/fetchRunComparison',
+  async (_, { getState, dispatch, requestId, rejectWithValue }) => {
+    const state = getState();
+    const validTime = selectCurrentTimestamp(state);
+    const { batchInfo, weatherData } = state.weather;
+    const { runs, comparison } = state.runs;
+    const isLatest = () => getState().runs.comparison.requestId === requestId;
+
+    try {
+      const start = parseTimestamp(batchInfo.initialTimestamp).getTime();
+      const step = (parseTimestamp(batchInfo.finalTimestamp).getTime() - start) / Math.max(1, batchInfo.totalTimestamps - 1);
+      const variableScales = weatherData.metadata?.variable_scales;
+
+      // The run on screen is always a candidate, even when /runs isn't there to list it
+      const known = runs.some(run => run.initialTimestamp === batchInfo.initialTimestamp)
+        ? runs
+        : [...runs, { initialTimestamp: batchInfo.initialTimestamp, finalTimestamp: batchInfo.finalTimestamp, totalTimestamps: batchInfo.totalTimestamps }]
+          .sort((a, b) => (a.initialTimestamp < b.initialTimestamp ? 1 : -1));
+
+      const candidates = known
+        .map(run => ({ run, timeIndex: timeIndexInRun(run, validTime, step) }))
+        .filter(({ timeIndex }) => timeIndex !== null)
+        .slice(0, comparison.count);
+      const entries = candidates
+        .map(({ run, timeIndex }) => ({
+          initialTimestamp: run.initialTimestamp,
+          timeIndex,
+          leadHours: Math.round((validTime.getTime() - parseTimestamp(run.initialTimestamp).getTime()) / HOUR),
+          status: 'loading',
+          error: null
+        }));
+
+      runComparisonGrids.clearGrids();
+      dispatch(comparisonStarted({ requestId, validTime: validTime.getTime(), entries }));
+
+      for (const [position, entry] of entries.entries()) {
+        const { run } = candidates[position];
+        const runId = getRunId({ initial_timestamp: entry.initialTimestamp, domain: weatherData.metadata?.domain });
+        const batchOf = (timeIndex) => Math.floor(timeIndex / batchInfo.batchSize) + 1;
+        const loadBatch = async (batchNumber) => {
+          const cached = await readCachedBatch(runId, batchNumber);
+          if (cached) return cached;
+          console.log(`🌐 Fetching batch ${batchNumber} of run ${entry.initialTimestamp} for the run comparison...`);
+          return (await fetchBatchInWorker(batchNumber, { run: entry.initialTimestamp })).data;
+        };
+
+        try {
+          // The estimate picks the batch; its step times then say which step (and so which
+          // batch) really is the valid time, as output steps needn't be evenly spaced
+          let batchNumber = batchOf(entry.timeIndex);
+          let data = await loadBatch(batchNumber);
+          if (!isLatest()) return null;
+
+          const timeIndex = stepOfValidTime(data.metadata, run, validTime);
+          if (timeIndex !== null && batchOf(timeIndex) !== batchNumber) {
+            batchNumber = batchOf(timeIndex);
+            data = await loadBatch(batchNumber);
+            if (!isLatest()) return null;
+          }
+
+          const validStep = timeIndex === null ? null : (data.time_series || []).find(({ time }) => time === timeIndex);
+          if (!validStep) {
+            dispatch(comparisonEntryUpdated({ requestId, position, status: 'missing' }));
+            continue;
+          }
+          runComparisonGrids.ingestTimeSeries([{ time: position, variables: validStep.variables, members: validStep.members }],
+            data.metadata?.variable_scales || variableScales);
+          await computeEnsembleStatistics(runComparisonGrids, position);
+          if (!isLatest()) return null;
+          dispatch(comparisonEntryUpdated({ requestId, position, status: 'loaded' }));
+        } catch (error) {
+          if (!isLatest()) return null;
+          console.error(`❌ Error loading run ${entry.initialTimestamp} for the run comparison:`, error);
+          dispatch(comparisonEntryUpdated({ requestId, position, status: 'failed', error: error.message }));
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('❌ Error comparing runs:', error);
+      return rejectWithValue(error.message);
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { batchInfo, weatherData, localFile } = getState().weather;
+      return Boolean(batchInfo && weatherData && !localFile);
+    }
+  }
+);
+
+// Open the comparison for the valid time on screen, listing the runs first if that hasn't happened
+const compareRuns = () => async (dispatch, getState) => {
+  dispatch(comparisonShownSet(true));
+  if (getState().runs.status === 'idle') await dispatch(fetchRuns());
+  return dispatch(fetchRunComparison());
+};
+
+const setComparisonCount = (count) => (dispatch, getState) => {
+  dispatch(comparisonCountSet(count));
+  if (getState().runs.comparison.show) dispatch(fetchRunComparison());
+};
+
+const initialState = {
+  runs: [],           // { initialTimestamp, finalTimestamp, totalTimestamps }, newest first
+  status: 'idle',     // 'idle' | 'loading' | 'loaded' | 'failed'
+  error: null,
+
+  comparison: {
+    show: false,
+    count: 4,         // runs to compare
+    mode: 'values',   // 'values' | 'change' (difference from the newest run compared)
+    point: null,      // { lat, lon } of the clicked cell, for the point chart
+    validTime: null,  // ms
+    requestId: null,
+    loading: false,
+    error: null,
+    entries: []       // { initialTimestamp, timeIndex, leadHours, status, error } - grids are in runComparisonGrids
+  },
+  comparisonVersion: 0
+};
+
+const runsSlice = createSlice({
+  name: 'runs',
+  initialState,
+  reducers: {
+    comparisonShownSet: (state, action) => {
+      state.comparison.show = action.payload;
+    },
+
+    comparisonCountSet: (state, action) => {
+      state.comparison.count = action.payload;
+    },
+
+    setComparisonMode: (state, action) => {
+      state.comparison.mode = action.payload;
+    },
+
+    setComparisonPoint: (state, action) => {
+      state.comparison.point = action.payload;
+    },
+
+    comparisonStarted: (state, action) => {
+      const { requestId, validTime, entries } = action.payload;
+      if (requestId !== state.comparison.requestId) return;
+      state.comparison.validTime = validTime;
+      state.comparison.entries = entries;
+      state.comparisonVersion += 1;
+    },
+
+    comparisonEntryUpdated: (state, action) => {
+      const { requestId, position, status, error = null } = action.payload;
+      if (requestId !== state.comparison.requestId) return;
+      Object.assign(state.comparison.entries[position], { status, error });
+      state.comparisonVersion += 1;
+    }
+  },
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchRuns.pending, (state) => {
+        state.status = 'loading';
+        state.error = null;
+      })
+
+      .addCase(fetchRuns.fulfilled, (state, action) => {
+        state.status = 'loaded';
+        state.runs = action.payload;
+        console.log(`✅ ${action.payload.length} model runs listed`);
+      })
+
+      .addCase(fetchRuns.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload || 'Failed to list model runs';
+      })
+
+      .addCase(fetchRunComparison.pending, (state, action) => {
+        state.comparison.requestId = action.meta.requestId;
+        state.comparison.loading = true;
+        state.comparison.error = null;
+      })
+
+      .addCase(fetchRunComparison.fulfilled, (state, action) => {
+        if (action.meta.requestId === state.comparison.requestId) state.comparison.loading = false;
+      })
+
+      .addCase(fetchRunComparison.rejected, (state, action) => {
+        if (action.meta.requestId !== state.comparison.requestId) return;
+        state.comparison.loading = false;
+        state.comparison.error = action.payload || 'Failed to compare runs';
+      });
+  }
+});
+
+// Export actions
+export const {
+  comparisonShownSet, comparisonCountSet, setComparisonMode, setComparisonPoint, comparisonStarted, comparisonEntryUpdated
+} = runsSlice.actions;
+
+// Export thunks
+export { fetchRuns, fetchRunComparison, compareRuns, setComparisonCount };
+
+// Selectors
+export const selectRuns = (state) => state.runs.runs;
+export const selectRunsStatus = (state) => state.runs.status;
+export const selectRunsError = (state) => state.runs.error;
+export const selectRunComparison = (state) => state.runs.comparison;
+export const selectRunComparisonVersion = (state) => state.runs.comparisonVersion;
+
+export default runsSlice.reducer;
@@ -6,6 +6,7 @@ const initialState = {
 
   // Interaction state
   hoverData: null,
+  soundingPoint: null, // { lat, lon } of the grid cell clicked for a Skew-T sounding
 
   // Map controls (if needed) 17.4065, 78.4772
   mapCenter: [17.4065, 78], mapZoom: 9,
@@ -36,6 +37,8 @@ const uiSlice = createSlice({
     // ===== INTERACTION STATE =====
     setHoverData: (state, action) => { state.hoverData = action.payload },
     clearHoverData: (state, action) => { state.hoverData = null },
+    setSoundingPoint: (state, action) => { state.soundingPoint = action.payload },
+    clearSoundingPoint: (state) => { state.soundingPoint = null },
 
     // ===== MAP CONTROLS =====
     setMapCenter: (state, action) => { state.mapCenter = action.payload },
@@ -112,7 +115,7 @@ export const {
   setIsPlaying, setOpacity, setShowWindAnimation, setReset,
 
   // Interaction
-  setHoverData, clearHoverData, updateHoverData,
+  setHoverData, clearHoverData, updateHoverData, setSoundingPoint, clearSoundingPoint,
 
   // Map
   setMapCenter, setMapZoom, updateMapView,
@@ -137,6 +140,7 @@ export const selectIsPlaying = (state) => state.ui.isPlaying;
 export const selectOpacity = (state) => state.ui.opacity;
 export const selectShowWindAnimation = (state) => state.ui.showWindAnimation;
 export const selectHoverData = (state) => state.ui.hoverData;
+export const selectSoundingPoint = (state) => state.ui.soundingPoint;
 export const selectMapCenter = (state) => state.ui.mapCenter;
 export const selectMapZoom = (state) => state.ui.mapZoom;
 export const selectIsControlPanelExpanded = (state) => state.ui.isControlPanelExpanded;
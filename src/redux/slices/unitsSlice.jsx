@@ -0,0 +1,88 @@
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { UNIT_QUANTITIES, UNIT_SYSTEMS, unitSystemOf } from '../../hooks/units';
+import { TIME_ZONES } from '../../hooks/time';
+
+// The unit each quantity is shown in (hooks/units) and the zone times are shown in (hooks/time),
+// kept in localStorage across visits
+const STORAGE_KEY = 'unitPreferences';
+const TIME_ZONE_STORAGE_KEY = 'displayTimeZone';
+
+const readStoredUnits = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.entries(UNIT_SYSTEMS.metric).map(([quantity, unit]) => [
+      quantity, UNIT_QUANTITIES[quantity].units.includes(stored?.[quantity]) ? stored[quantity] : unit
+    ]));
+  } catch {
+    return { ...UNIT_SYSTEMS.metric };
+  }
+};
+
+const readStoredTimeZone = () => {
+  try {
+    const timeZone = localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+    return TIME_ZONES[timeZone] ? timeZone : 'local';
+  } catch {
+    return 'local';
+  }
+};
+
+const saveUnits = (units) => (dispatch, getState) => {
+  dispatch(unitsSet(units));
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(getState().units.preferences));
+  } catch (error) {
+    console.warn('⚠️ Could not save unit preferences:', error);
+  }
+};
+
+// Switch every quantity to the metric or imperial units
+const setUnitSystem = (system) => saveUnits(UNIT_SYSTEMS[system]);
+
+// Pick the unit of one quantity, making the system custom unless it matches one
+const setUnit = (quantity, unit) => saveUnits({ [quantity]: unit });
+
+// Show times in UTC, IST or the browser's zone
+const setTimeZone = (timeZone) => (dispatch) => {
+  if (!TIME_ZONES[timeZone]) return;
+  dispatch(timeZoneSet(timeZone));
+  try {
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, timeZone);
+  } catch (error) {
+    console.warn('⚠️ Could not save the time zone:', error);
+  }
+};
+
+const initialState = {
+  preferences: readStoredUnits(), // { temperature, precipitation, speed, pressure }
+  timeZone: readStoredTimeZone() // a TIME_ZONES key
+};
+
+const unitsSlice = createSlice({
+  name: 'units',
+  initialState,
+  reducers: {
+    // Dispatched by the setUnitSystem/setUnit thunks, which also store the preferences
+    unitsSet: (state, action) => {
+      Object.entries(action.payload).forEach(([quantity, unit]) => {
+        if (UNIT_QUANTITIES[quantity]?.units.includes(unit)) state.preferences[quantity] = unit;
+      });
+    },
+
+    // Dispatched by the setTimeZone thunk
+    timeZoneSet: (state, action) => { state.timeZone = action.payload; }
+  }
+});
+
+// Export actions
+export const { unitsSet, timeZoneSet } = unitsSlice.actions;
+
+// Export thunks
+export { setUnitSystem, setUnit, setTimeZone };
+
+// Selectors
+export const selectUnits = (state) => state.units.preferences;
+export const selectUnitSystem = createSelector([selectUnits], unitSystemOf);
+export const selectTimeZone = (state) => state.units.timeZone;
+
+export default unitsSlice.reducer;
@@ -1,11 +1,43 @@
 import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+  weatherGrids, clearGrids, ingestTimeSeries, getGridStats, getNestGrids, clearNestGrids, setExceedanceSettings
+} from '../gridStore';
+import { EXCEEDANCE_PRODUCTS, DEFAULT_THRESHOLDS } from '../../hooks/ensemble';
+import { DERIVED_VARIABLES, derivableFrom } from '../../hooks/derived';
+import { isExpressionKey } from '../../hooks/expression';
+import { unitConverter } from '../../hooks/units';
+import { selectUnits } from './unitsSlice';
+import { selectExpressionLayers } from './expressionSlice';
 
 // IndexedDB utilities for better caching (supports 50MB+ data)
 const DB_NAME = 'WeatherDataCache';
-const DB_VERSION = 1;
+const DB_VERSION = 3; // v2: entries keyed by [runId, batchNumber]; v3: separate bookkeeping store
 const STORE_NAME = 'weatherBatches';
-const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
-const backendUrl = import.meta.env.VITE_BACKEND_URL;
+const META_STORE_NAME = 'batchMeta'; // size, age and last access of each cached batch
+const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // Safety net for runs that are never superseded
+const CACHE_MAX_BYTES = (Number(import.meta.env.VITE_CACHE_MAX_MB) || 500) * 1024 * 1024;
+const STORAGE_HEADROOM = 0.8; // Keep the origin's storage usage below 80% of the browser quota
+
+// A model run is identified by its initialisation time and WRF domain, e.g. '2025-07-01_00:00:00_d01'
+export const getRunId = (metadata) => {
+  const domain = String(metadata.domain ?? 1).replace(/^d/, '').padStart(2, '0');
+  return `${metadata.initial_timestamp}_d${domain}`;
+};
+
+// Serialised size of a batch in bytes, only for batches cached by v2 that never recorded one.
+// New batches are cached with the size of their response body, measured by the batch worker.
+const estimateSize = (data) => JSON.stringify(data).length;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
 
 class IndexedDBCache {
   constructor() {
@@ -17,182 +49,520 @@ class IndexedDBCache {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
       
       request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('⏳ Cache upgrade waiting for other tabs to close');
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer schema in another tab upgrade instead of being blocked by us
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
         resolve();
       };
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
+
+        // v1 keyed batches by number alone and never recorded which run they came from,
+        // so its entries can't be attributed to a run - start the store over
+        if (event.oldVersion < 2 && db.objectStoreNames.contains(STORE_NAME)) {
+          db.deleteObjectStore(STORE_NAME);
+          console.log('🧹 Dropped v1 batch cache (entries had no run identifier)');
+        }
+
         if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: 'batchNumber' });
-          store.createIndex('timestamp', 'timestamp', { unique: false });
+          db.createObjectStore(STORE_NAME, { keyPath: ['runId', 'batchNumber'] });
+        }
+
+        // v3 keeps bookkeeping in its own store, so LRU updates never rewrite whole batches
+        if (!db.objectStoreNames.contains(META_STORE_NAME)) {
+          const meta = db.createObjectStore(META_STORE_NAME, { keyPath: ['runId', 'batchNumber'] });
+          meta.createIndex('runId', 'runId', { unique: false });
+          meta.createIndex('initialTimestamp', 'initialTimestamp', { unique: false });
+          meta.createIndex('timestamp', 'timestamp', { unique: false });
+
+          const store = transaction.objectStore(STORE_NAME);
+          ['timestamp', 'runId', 'initialTimestamp'].forEach(name => {
+            if (store.indexNames.contains(name)) store.deleteIndex(name);
+          });
+
+          // Backfill bookkeeping for batches cached by v2
+          store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const { runId, batchNumber, initialTimestamp, data, timestamp } = cursor.value;
+            meta.put({ runId, batchNumber, initialTimestamp, size: estimateSize(data), timestamp, lastAccessed: timestamp, hits: 0 });
+            cursor.continue();
+          };
         }
       };
     });
   }
 
-  async get(batchNumber) {
+  async get(runId, batchNumber) {
     if (!this.db) await this.init();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readonly');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.get(batchNumber);
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const result = request.result;
-        if (result) {
-          const now = Date.now();
-          if (now - result.timestamp < CACHE_DURATION) {
-            console.log(`📦 Using cached data for batch ${batchNumber}`);
-            resolve(result.data);
-          } else {
-            // Cache expired, remove it
-            this.delete(batchNumber);
-            console.log(`⏰ Cache expired for batch ${batchNumber}`);
-            resolve(null);
-          }
-        } else {
-          resolve(null);
-        }
-      };
-    });
+    const transaction = this.db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+    const result = await requestResult(transaction.objectStore(STORE_NAME).get([runId, batchNumber]));
+    if (!result) return null;
+
+    // Record the hit for the LRU quota and the cache inspector
+    const metaStore = transaction.objectStore(META_STORE_NAME);
+    const meta = await requestResult(metaStore.get([runId, batchNumber]));
+    if (meta) metaStore.put({ ...meta, lastAccessed: Date.now(), hits: meta.hits + 1 });
+
+    console.log(`📦 Using cached data for run ${runId} batch ${batchNumber}`);
+    return result.data;
   }
 
-  async set(batchNumber, data) {
+  // size: bytes of the batch's decoded response body (see fetchBatchInWorker)
+  async set(runId, batchNumber, data, initialTimestamp, size) {
     if (!this.db) await this.init();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      
-      const cacheEntry = {
-        batchNumber,
-        data,
-        timestamp: Date.now()
-      };
-
-      const request = store.put(cacheEntry);
+    const now = Date.now();
+    const transaction = this.db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const sizeEstimate = JSON.stringify(data).length / (1024 * 1024);
-        console.log(`✅ Cached batch ${batchNumber} (≈${sizeEstimate.toFixed(2)}MB) in IndexedDB`);
-        resolve();
-      };
+    transaction.objectStore(STORE_NAME).put({ runId, batchNumber, data });
+    transaction.objectStore(META_STORE_NAME).put({
+      runId, batchNumber, initialTimestamp, size, timestamp: now, lastAccessed: now, hits: 0
     });
+
+    await transactionDone(transaction);
+    console.log(`✅ Cached run ${runId} batch ${batchNumber} (≈${(size / (1024 * 1024)).toFixed(2)}MB) in IndexedDB`);
+    return size;
   }
 
-  async delete(batchNumber) {
+  // Delete a list of [runId, batchNumber] keys from both stores
+  async deleteKeys(keys) {
     if (!this.db) await this.init();
+    if (keys.length === 0) return;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.delete(batchNumber);
-
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
+    const transaction = this.db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+    keys.forEach(key => {
+      transaction.objectStore(STORE_NAME).delete(key);
+      transaction.objectStore(META_STORE_NAME).delete(key);
     });
+    await transactionDone(transaction);
+  }
+
+  async delete(runId, batchNumber) {
+    return this.deleteKeys([[runId, batchNumber]]);
+  }
+
+  async deleteRun(runId) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([META_STORE_NAME], 'readonly');
+    const keys = await requestResult(transaction.objectStore(META_STORE_NAME).index('runId').getAllKeys(runId));
+    await this.deleteKeys(keys);
+    console.log(`🗑️ Deleted ${keys.length} cached batches of run ${runId}`);
+    return keys.length;
   }
 
   async clear() {
     if (!this.db) await this.init();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.clear();
+    const transaction = this.db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    transaction.objectStore(META_STORE_NAME).clear();
+    await transactionDone(transaction);
+    console.log('🗑️ IndexedDB cache cleared');
+  }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        console.log('🗑️ IndexedDB cache cleared');
-        resolve();
-      };
-    });
+  // Bookkeeping for every cached batch (small - never includes the batch data)
+  async entries() {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([META_STORE_NAME], 'readonly');
+    return requestResult(transaction.objectStore(META_STORE_NAME).getAll());
   }
 
   async cleanExpired() {
     if (!this.db) await this.init();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const index = store.index('timestamp');
-      const now = Date.now();
-      let deletedCount = 0;
-
-      const request = index.openCursor();
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          if (now - cursor.value.timestamp >= CACHE_DURATION) {
-            cursor.delete();
-            deletedCount++;
-          }
-          cursor.continue();
-        } else {
-          console.log(`🧹 Cleaned ${deletedCount} expired cache entries`);
-          resolve(deletedCount);
-        }
-      };
-      request.onerror = () => reject(request.error);
-    });
+    const transaction = this.db.transaction([META_STORE_NAME], 'readonly');
+    const index = transaction.objectStore(META_STORE_NAME).index('timestamp');
+    const keys = await requestResult(index.getAllKeys(IDBKeyRange.upperBound(Date.now() - CACHE_DURATION)));
+
+    await this.deleteKeys(keys);
+    if (keys.length > 0) console.log(`🧹 Cleaned ${keys.length} expired cache entries`);
+    return keys.length;
+  }
+
+  // Drop every batch of runs initialised before the given run
+  async purgeOlderRuns(initialTimestamp) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([META_STORE_NAME], 'readonly');
+    const index = transaction.objectStore(META_STORE_NAME).index('initialTimestamp');
+    const keys = await requestResult(index.getAllKeys(IDBKeyRange.upperBound(initialTimestamp, true)));
+    const purgedRuns = [...new Set(keys.map(([runId]) => runId))];
+
+    await this.deleteKeys(keys);
+    if (purgedRuns.length > 0) console.log(`🗑️ Purged cached runs superseded by ${initialTimestamp}:`, purgedRuns);
+    return purgedRuns;
+  }
+
+  // Batch of the most recently initialised run in the cache (used when the backend is unreachable),
+  // or of the run with the given initial timestamp
+  async getLatestRunBatch(batchNumber, initialTimestamp = null) {
+    const latest = (await this.entries())
+      .filter(entry => entry.batchNumber === batchNumber)
+      .filter(entry => !initialTimestamp || entry.initialTimestamp === initialTimestamp)
+      .sort((a, b) => (a.initialTimestamp < b.initialTimestamp ? 1 : -1))[0];
+
+    if (!latest) return null;
+    const data = await this.get(latest.runId, batchNumber);
+    return data ? { data, cachedAt: latest.timestamp } : null;
+  }
+
+  // Evict least recently used batches until the cache fits both our own cap and the
+  // browser's storage quota. Batches of the run initialised at protectInitialTimestamp (the run
+  // on screen, every domain of it) go last.
+  async enforceQuota(protectInitialTimestamp) {
+    const entries = await this.entries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let budget = CACHE_MAX_BYTES;
+
+    if (navigator.storage?.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      if (quota) budget = Math.min(budget, total + quota * STORAGE_HEADROOM - usage);
+    }
+    if (total <= budget) return [];
+
+    const isProtected = (entry) => entry.initialTimestamp === protectInitialTimestamp;
+    const candidates = [...entries].sort((a, b) =>
+      isProtected(a) - isProtected(b) || a.lastAccessed - b.lastAccessed
+    );
+
+    const evicted = [];
+    for (const entry of candidates) {
+      if (total <= budget) break;
+      evicted.push([entry.runId, entry.batchNumber]);
+      total -= entry.size;
+    }
+
+    await this.deleteKeys(evicted);
+    console.log(`🧹 Evicted ${evicted.length} least recently used batches to stay within the cache quota`);
+    return evicted;
   }
 }
 
 const cache = new IndexedDBCache();
 
-// Helper to parse timestamp strings from API
-const parseTimestamp = (timestampStr) => {
-  const [datePart, timePart] = timestampStr.split('_');
+// Cache lookup for the batch scheduler (null on miss)
+export const readCachedBatch = (runId, batchNumber) => cache.get(runId, batchNumber);
+
+// Batches fetched outside the scheduler's pool (batch 1, nests, run comparisons) are decoded by
+// one long-lived batch worker of their own, so no batch is ever parsed on the main thread
+let batchWorker = null;
+let nextBatchJobId = 1;
+const pendingBatches = new Map(); // jobId -> { resolve, reject }
+
+// Fetch and decode a /data/NNN batch in that worker into { data, size }; options as for
+// workers/batchFormat fetchBatch
+export const fetchBatchInWorker = (batchNumber, { domain, run } = {}) => new Promise((resolve, reject) => {
+  if (!batchWorker) {
+    batchWorker = new Worker(new URL('../../workers/batchWorker.jsx', import.meta.url), { type: 'module' });
+
+    batchWorker.onmessage = (e) => {
+      const { type, jobId, data, size, error, status } = e.data;
+      const job = pendingBatches.get(jobId);
+      if (!job) return;
+
+      pendingBatches.delete(jobId);
+      if (type === 'FETCH_SUCCESS') {
+        job.resolve({ data, size });
+        return;
+      }
+      const failure = new Error(error || 'Batch request cancelled');
+      failure.status = status;
+      job.reject(failure);
+    };
+
+    batchWorker.onerror = (e) => {
+      pendingBatches.forEach(job => job.reject(new Error(e.message || 'Batch worker crashed')));
+      pendingBatches.clear();
+      batchWorker.terminate();
+      batchWorker = null;
+    };
+  }
+
+  const jobId = nextBatchJobId++;
+  pendingBatches.set(jobId, { resolve, reject });
+  batchWorker.postMessage({ type: 'FETCH_BATCH', jobId, batchNumber, domain, run });
+});
+
+// Move a batch's grids into the grid store; what goes to Redux is the batch without its time_series.
+// A run's first batch also tells the store its output interval, which 24 h rain probabilities need.
+const ingestBatch = (data, variableScales) => {
+  const { time_series, ...rest } = data;
+  const { initial_timestamp, final_timestamp, total_timestamps } = data.metadata || {};
+  if (initial_timestamp && final_timestamp && total_timestamps > 1) {
+    const span = parseTimestamp(final_timestamp).getTime() - parseTimestamp(initial_timestamp).getTime();
+    setExceedanceSettings({ stepHours: span / (total_timestamps - 1) / (60 * 60 * 1000) });
+  }
+  const { timeIndices, variables } = ingestTimeSeries(time_series || [], variableScales);
+  return { ...rest, grid_info: weatherGrids.keepCoordinates(rest.grid_info), timeIndices, variables };
+};
+
+// Batches carrying metadata from a different run than the one on screen must never be merged
+const assertSameRun = (data, runId, batchNumber) => {
+  if (runId && data.metadata?.initial_timestamp && getRunId(data.metadata) !== runId) {
+    const error = new Error(`Batch ${batchNumber} belongs to run ${getRunId(data.metadata)}, expected ${runId}`);
+    error.runChanged = true;
+    throw error;
+  }
+};
+
+// Parse a WRF timestamp ('2025-07-01_00:00:00', or with a T or space) from the API or a file.
+// WRF times are UTC, whatever the browser's zone.
+export const parseTimestamp = (timestampStr) => {
+  const [datePart, timePart = '00:00:00'] = timestampStr.split(/[_T ]/);
   const [year, month, day] = datePart.split('-');
-  const [hour, minute, second] = timePart.split(':');
-  
-  return new Date(
+  const [hour = 0, minute = 0, second = 0] = timePart.split(':');
+
+  return new Date(Date.UTC(
     parseInt(year),
     parseInt(month) - 1, // Month is 0-indexed
     parseInt(day),
     parseInt(hour),
     parseInt(minute),
     parseInt(second)
-  );
+  ));
+};
+
+// Valid time of a step of the run. Files list every step's time (metadata.timestamps); without
+// them the steps are spaced evenly between the first and last, to the whole second.
+export const timeOfStep = (batchInfo, timeIndex) => {
+  if (!batchInfo) return null;
+  const { timestamps, totalTimestamps, initialTimestamp, finalTimestamp } = batchInfo;
+  if (timestamps?.[timeIndex]) return parseTimestamp(timestamps[timeIndex]);
+
+  const start = parseTimestamp(initialTimestamp).getTime();
+  if (totalTimestamps < 2) return new Date(start);
+  const step = Math.round((parseTimestamp(finalTimestamp).getTime() - start) / (totalTimestamps - 1) / 1000) * 1000;
+  return new Date(start + timeIndex * step);
+};
+
+// The run's step nearest a valid time (ms), by the steps' own times as they needn't be evenly
+// spaced; null when the run doesn't reach that time
+export const stepNearestTime = (batchInfo, time) => {
+  if (!batchInfo || !(batchInfo.totalTimestamps > 0)) return null;
+  const last = batchInfo.totalTimestamps - 1;
+  if (time < timeOfStep(batchInfo, 0).getTime() || time > timeOfStep(batchInfo, last).getTime()) return null;
+
+  let timeIndex = 0;
+  for (let index = 1; index <= last; index++) {
+    const distance = Math.abs(timeOfStep(batchInfo, index).getTime() - time);
+    if (distance < Math.abs(timeOfStep(batchInfo, timeIndex).getTime() - time)) timeIndex = index;
+  }
+  return timeIndex;
+};
+
+// Frames per output step when playback interpolates between steps: one every 10 minutes or so
+const FRAME_MINUTES = 10;
+const MAX_FRAMES_PER_STEP = 36;
+
+const framesPerStep = (batchInfo, interpolateTime) => {
+  if (!interpolateTime || !batchInfo || batchInfo.totalTimestamps < 2) return 1;
+  const stepMinutes = (timeOfStep(batchInfo, 1) - timeOfStep(batchInfo, 0)) / 60000;
+  return Math.min(MAX_FRAMES_PER_STEP, Math.max(1, Math.round(stepMinutes / FRAME_MINUTES)));
+};
+
+// Build batch bookkeeping from a batch-1 style metadata block
+const createBatchInfo = (metadata) => ({
+  runId: getRunId(metadata),
+  currentBatch: 1,
+  totalBatches: metadata.batch_info.total_batches,
+  batchSize: metadata.batch_info.batch_size,
+  loadedBatches: [1],
+  totalTimestamps: metadata.total_timestamps,
+  initialTimestamp: metadata.initial_timestamp,
+  finalTimestamp: metadata.final_timestamp,
+  timestamps: metadata.timestamps?.length === metadata.total_timestamps ? metadata.timestamps : null
+});
+
+// Record a batch's time steps as loaded (its grids are already in the grid store)
+const mergeLoadedBatch = (state, batchNumber, timeIndices, variables = []) => {
+  recordGridKeys(state, variables);
+  const loaded = new Set(state.loadedTimes);
+  timeIndices.forEach(time => loaded.add(time));
+  state.loadedTimes = [...loaded].sort((a, b) => a - b);
+  state.gridVersion += 1;
+
+  if (!state.batchInfo.loadedBatches.includes(batchNumber)) {
+    state.batchInfo.loadedBatches.push(batchNumber);
+    state.batchInfo.loadedBatches.sort((a, b) => a - b);
+  }
+};
+
+// Upper-air fields come with one grid per pressure level, e.g. T_PL: { 850: [...], 500: [...] }, and are
+// stored as 'T_PL.850' (the names of WRF's pressure-level diagnostics all end in _PL). A variable
+// key without a level suffix is a surface field.
+const levelOf = (key) => {
+  const match = /^(\w+_PL)\.(\d+)$/.exec(key || '');
+  return match ? Number(match[2]) : null;
 };
 
+// Surface field -> the same quantity aloft, kept selected when switching between levels
+const LEVEL_EQUIVALENTS = { T2: 'T_PL', RH: 'RH_PL' };
+
+// Ensemble runs carry members; their statistics are stored as 'T2.mean', 'T2.std', ...
+const ensembleBaseOf = (key) => {
+  const match = /^(.+)\.mean$/.exec(key || '');
+  return match ? match[1] : null;
+};
+
+// Remember which level grids, ensemble and derived variables the run has, for the variable lists
+const recordGridKeys = (state, variables) => {
+  const added = variables.filter(key => levelOf(key) !== null && !state.levelGrids.includes(key));
+  if (added.length > 0) state.levelGrids = [...state.levelGrids, ...added];
+
+  const ensembles = variables.map(ensembleBaseOf).filter(base => base && !state.ensembleGrids.includes(base));
+  if (ensembles.length > 0) state.ensembleGrids = [...state.ensembleGrids, ...ensembles];
+
+  const derived = derivableFrom(variables).filter(key => !state.derivedVariables.includes(key));
+  if (derived.length > 0) state.derivedVariables = [...state.derivedVariables, ...derived];
+};
+
+// Keep the selected variable pointing at something the new dataset actually has. Derived
+// variables it has the inputs of and expression layers (computed for any run) stay selected.
+const ensureSelectedVariable = (state, available) => {
+  if (available.length === 0 || available.includes(state.selectedVariable)) return;
+  if (derivableFrom(available).includes(state.selectedVariable) || isExpressionKey(state.selectedVariable)) return;
+  const fallback = available.find(key => state.weatherVariables[key]);
+  if (fallback) state.selectedVariable = fallback;
+};
+
+// Nested domains (d02, d03, ...). Batch 1 of the outer domain lists them in metadata.nests, as
+// domain numbers or { domain, dx, min_zoom }. Their batches come from /data/NNN?domain=dNN with the
+// outer domain's batch numbering. A wrfout of a nest dropped onto its parent run is added as well.
+const domainNumber = (domain) => Number(String(domain ?? 1).replace(/^d/, ''));
+
+const METERS_PER_PIXEL_AT_ZOOM_0 = 156543.03;
+const NEST_MIN_CELL_PIXELS = 4; // a nest is drawn once its cells are this wide on screen
+
+// Grid spacing in metres: from the metadata, the projection, or the regular steps
+const gridSpacing = (gridInfo, dx) => {
+  if (dx) return dx;
+  if (gridInfo?.projection) return gridInfo.projection.dx;
+  if (!gridInfo?.steps) return null;
+  return Math.abs(gridInfo.steps[1]) * 111320 * Math.cos(gridInfo.corner[0] * Math.PI / 180);
+};
+
+const nestMinZoom = (gridInfo, dx) => {
+  const spacing = gridSpacing(gridInfo, dx);
+  if (!spacing) return 0;
+  const metersPerPixel = METERS_PER_PIXEL_AT_ZOOM_0 * Math.cos(gridInfo.corner[0] * Math.PI / 180);
+  return Math.max(0, Math.ceil(Math.log2(NEST_MIN_CELL_PIXELS * metersPerPixel / spacing)));
+};
+
+const createNest = (entry) => {
+  const { domain, dx = null, min_zoom = null } = typeof entry === 'object' ? entry : { domain: entry };
+  return {
+    domain: domainNumber(domain), gridInfo: null, dx, declaredMinZoom: min_zoom, minZoom: null,
+    variableScales: null, local: false, loadedTimes: [], loadedBatches: [], failedBatches: []
+  };
+};
+
+const declaredNests = (metadata) => Object.fromEntries(
+  (metadata?.nests || []).map(createNest).map(nest => [nest.domain, nest])
+);
+
+// Record a nest batch whose grids are already in the nest's grid store
+const mergeNestBatch = (state, { domain, batchNumber, gridInfo, metadata, timeIndices }) => {
+  if (!state.nests[domain]) state.nests[domain] = createNest(domain);
+  const nest = state.nests[domain];
+
+  if (gridInfo) nest.gridInfo = gridInfo;
+  if (metadata?.dx) nest.dx = metadata.dx;
+  if (metadata?.variable_scales) nest.variableScales = metadata.variable_scales;
+  if (nest.gridInfo) nest.minZoom = nest.declaredMinZoom ?? nestMinZoom(nest.gridInfo, nest.dx);
+
+  nest.loadedTimes = [...new Set([...nest.loadedTimes, ...timeIndices])].sort((a, b) => a - b);
+  if (!nest.loadedBatches.includes(batchNumber)) nest.loadedBatches.push(batchNumber);
+  nest.failedBatches = nest.failedBatches.filter(b => b !== batchNumber);
+  state.gridVersion += 1;
+};
+
+// Batch number holding a time index - batches are consecutive runs of batchSize steps
+export const getBatchForTimeIndex = (timeIndex, batchInfo) =>
+  Math.min(batchInfo.totalBatches, Math.floor(timeIndex / batchInfo.batchSize) + 1);
+
 // Async thunk for fetching a specific batch of weather data
 const fetchWeatherBatch = createAsyncThunk(
   'weather/fetchWeatherBatch',
-  async (batchNumber, { rejectWithValue }) => {
+  async (batchNumber, { getState, dispatch, rejectWithValue }) => {
     try {
       // Clean expired cache entries periodically
       await cache.cleanExpired();
 
+      // An older run picked in the run browser, null for the backend's latest
+      const run = getState().weather.requestedRun;
+
+      // Batch 1 identifies the run, so it always comes from the API - the cached copy
+      // could belong to a run the backend has since replaced. It is only used offline.
+      if (batchNumber === 1) {
+        let data, size;
+        try {
+          console.log(`🌐 Fetching batch 1 ${run ? `of run ${run} ` : ''}from API...`);
+          ({ data, size } = await fetchBatchInWorker(1, { run }));
+        } catch (error) {
+          const latest = (run && await cache.getLatestRunBatch(1, run)) || await cache.getLatestRunBatch(1);
+          if (!latest) throw error;
+          console.warn('📦 Backend unreachable, falling back to the last cached run:', error.message);
+          clearGrids();
+          clearNestGrids();
+          return {
+            ...ingestBatch(latest.data, latest.data.metadata.variable_scales),
+            batchNumber, fromCache: true, offlineSince: latest.cachedAt
+          };
+        }
+
+        if (run && data.metadata.initial_timestamp !== run) {
+          console.warn(`⚠️ Asked for run ${run}, the backend served ${data.metadata.initial_timestamp}`);
+        }
+
+        // Runs older than the latest are only superseded while the latest is what's on screen
+        const runId = getRunId(data.metadata);
+        await cache.set(runId, 1, data, data.metadata.initial_timestamp, size);
+        if (!run) await cache.purgeOlderRuns(data.metadata.initial_timestamp);
+        await cache.enforceQuota(data.metadata.initial_timestamp);
+        dispatch(refreshCacheStats());
+        clearGrids();
+        clearNestGrids();
+        return { ...ingestBatch(data, data.metadata.variable_scales), batchNumber, fromCache: false };
+      }
+
+      const runId = getState().weather.batchInfo?.runId;
+      const variableScales = getState().weather.weatherData?.metadata?.variable_scales;
+
       // Check cache first
-      const cachedData = await cache.get(batchNumber);
+      const cachedData = runId ? await cache.get(runId, batchNumber) : null;
       if (cachedData) {
-        return { ...cachedData, batchNumber, fromCache: true };
+        return { ...ingestBatch(cachedData, variableScales), batchNumber, fromCache: true };
       }
 
       // Fetch from API if not in cache
       console.log(`🌐 Fetching batch ${batchNumber} from API...`);
-      const paddedBatchNumber = String(batchNumber).padStart(3, '0');
-      const response = await fetch(`${backendUrl}/data/${paddedBatchNumber}`);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const { data, size } = await fetchBatchInWorker(batchNumber, { run });
+      assertSameRun(data, runId, batchNumber);
 
       // Cache the fetched data
-      await cache.set(batchNumber, data);
+      if (runId) {
+        const { initialTimestamp } = getState().weather.batchInfo;
+        await cache.set(runId, batchNumber, data, initialTimestamp, size);
+        await cache.enforceQuota(initialTimestamp);
+        dispatch(refreshCacheStats());
+      }
 
       console.log(`📥 Fetched batch ${batchNumber} from API`);
-      return { ...data, batchNumber, fromCache: false };
+      return { ...ingestBatch(data, variableScales), batchNumber, fromCache: false };
     } catch (error) {
       console.error(`❌ Error fetching batch ${batchNumber}:`, error);
+      if (error.runChanged) dispatch(fetchInitialWeatherData());
       return rejectWithValue(error.message);
     }
   }
@@ -201,14 +571,179 @@ const fetchWeatherBatch = createAsyncThunk(
 // Web Worker batch fetching action for manual dispatch
 const fetchWeatherBatchFromWorker = createAsyncThunk(
   'weather/fetchWeatherBatchFromWorker',
-  async ({ batchNumber, data }, { rejectWithValue }) => {
+  async ({ batchNumber, data, size }, { getState, dispatch, rejectWithValue }) => {
     try {
+      const { runId, initialTimestamp } = getState().weather.batchInfo || {};
+
+      // The backend may have switched to a newer run while the remaining batches were in flight
+      assertSameRun(data, runId, batchNumber);
+      const batch = ingestBatch(data, getState().weather.weatherData?.metadata?.variable_scales);
+
       // Cache the data received from worker
-      await cache.set(batchNumber, data);
+      if (runId) {
+        await cache.set(runId, batchNumber, data, initialTimestamp, size);
+        await cache.enforceQuota(initialTimestamp);
+        dispatch(refreshCacheStats());
+      }
       console.log(`📥 Cached batch ${batchNumber} from Web Worker`);
-      return { ...data, batchNumber, fromCache: false };
+      return { ...batch, batchNumber, fromCache: false };
     } catch (error) {
       console.error(`❌ Error caching batch ${batchNumber} from worker:`, error);
+      if (error.runChanged) {
+        console.log('🔄 A newer model run is available - reloading');
+        dispatch(fetchInitialWeatherData());
+      }
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// One batch of a nested domain, from the cache or the backend, into the nest's grid store
+const fetchNestBatch = createAsyncThunk(
+  'weather/fetchNestBatch',
+  async ({ domain, batchNumber }, { getState, dispatch, rejectWithValue }) => {
+    const { batchInfo, weatherData, nests, requestedRun } = getState().weather;
+    const runId = getRunId({ initial_timestamp: batchInfo.initialTimestamp, domain });
+
+    try {
+      let data = await cache.get(runId, batchNumber);
+      const fromCache = data !== null;
+
+      if (!data) {
+        console.log(`🌐 Fetching batch ${batchNumber} of d${String(domain).padStart(2, '0')} from API...`);
+        let size;
+        ({ data, size } = await fetchBatchInWorker(batchNumber, { domain, run: requestedRun }));
+        const initialTimestamp = data.metadata?.initial_timestamp;
+        if (initialTimestamp && initialTimestamp !== batchInfo.initialTimestamp) {
+          throw new Error(`Nest batch ${batchNumber} belongs to run ${initialTimestamp}, expected ${batchInfo.initialTimestamp}`);
+        }
+        await cache.set(runId, batchNumber, data, batchInfo.initialTimestamp, size);
+        await cache.enforceQuota(batchInfo.initialTimestamp);
+        dispatch(refreshCacheStats());
+      }
+
+      // The outer run may have been replaced while this batch was on its way
+      if (getState().weather.batchInfo?.runId !== batchInfo.runId) return null;
+
+      const variableScales = data.metadata?.variable_scales || nests[domain]?.variableScales ||
+        weatherData.metadata?.variable_scales;
+      const nestGrids = getNestGrids(domain);
+      const { timeIndices } = nestGrids.ingestTimeSeries(data.time_series || [], variableScales);
+      return {
+        domain, batchNumber, gridInfo: nestGrids.keepCoordinates(data.grid_info) || null, metadata: data.metadata || null,
+        timeIndices, fromCache
+      };
+    } catch (error) {
+      console.error(`❌ Error fetching batch ${batchNumber} of domain ${domain}:`, error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Next nest batch to load: batch 1 first (it carries the nest's grid_info), then the batch of the
+// selected step, then the rest of the outer domain's loaded batches
+const nextNestBatch = ({ batchInfo, nests, currentTimeIndex }) => {
+  if (!batchInfo) return null;
+  const order = [...new Set([1, getBatchForTimeIndex(currentTimeIndex, batchInfo), ...batchInfo.loadedBatches])]
+    .filter(batchNumber => batchInfo.loadedBatches.includes(batchNumber));
+
+  for (const nest of Object.values(nests)) {
+    if (nest.local) continue;
+    for (const batchNumber of order) {
+      if (batchNumber !== 1 && !nest.gridInfo) break;
+      if (!nest.loadedBatches.includes(batchNumber) && !nest.failedBatches.includes(batchNumber)) {
+        return { domain: nest.domain, batchNumber };
+      }
+    }
+  }
+  return null;
+};
+
+// Bring the nests level with the outer domain, one request at a time - they are small next to it
+let syncingNests = false;
+
+const syncNestBatches = () => async (dispatch, getState) => {
+  if (syncingNests) return;
+  syncingNests = true;
+  try {
+    let next;
+    while ((next = nextNestBatch(getState().weather))) {
+      await dispatch(fetchNestBatch(next));
+    }
+  } finally {
+    syncingNests = false;
+  }
+};
+
+// Read per-run sizes and hit counts from the cache bookkeeping plus the browser's storage estimate
+const refreshCacheStats = createAsyncThunk(
+  'weather/refreshCacheStats',
+  async (_, { rejectWithValue }) => {
+    try {
+      const entries = await cache.entries();
+      const runs = {};
+
+      entries.forEach(entry => {
+        if (!runs[entry.runId]) {
+          runs[entry.runId] = { runId: entry.runId, initialTimestamp: entry.initialTimestamp, batches: 0, size: 0, hits: 0, lastAccessed: 0 };
+        }
+        const run = runs[entry.runId];
+        run.batches += 1;
+        run.size += entry.size;
+        run.hits += entry.hits;
+        run.lastAccessed = Math.max(run.lastAccessed, entry.lastAccessed);
+      });
+
+      const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+
+      return {
+        runs: Object.values(runs).sort((a, b) => (a.initialTimestamp < b.initialTimestamp ? 1 : -1)),
+        totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+        usage: estimate.usage ?? null,
+        quota: estimate.quota ?? null
+      };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const clearCache = createAsyncThunk(
+  'weather/clearCache',
+  async (_, { dispatch, rejectWithValue }) => {
+    try {
+      await cache.clear();
+      dispatch(refreshCacheStats());
+    } catch (error) {
+      console.warn('Error clearing IndexedDB cache:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Delete every cached batch of one model run
+const evictCacheRun = createAsyncThunk(
+  'weather/evictCacheRun',
+  async (runId, { dispatch, rejectWithValue }) => {
+    try {
+      const deleted = await cache.deleteRun(runId);
+      dispatch(refreshCacheStats());
+      return { runId, deleted };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Apply the LRU quota now (it also runs after every batch is cached)
+const enforceCacheQuota = createAsyncThunk(
+  'weather/enforceCacheQuota',
+  async (_, { getState, dispatch, rejectWithValue }) => {
+    try {
+      const evicted = await cache.enforceQuota(getState().weather.batchInfo?.initialTimestamp);
+      dispatch(refreshCacheStats());
+      return evicted;
+    } catch (error) {
       return rejectWithValue(error.message);
     }
   }
@@ -226,6 +761,43 @@ const fetchInitialWeatherData = createAsyncThunk(
   }
 );
 
+// Parse a dropped wrfout_d0X NetCDF file in a worker and load it as the current run
+const loadWrfoutFile = createAsyncThunk(
+  'weather/loadWrfoutFile',
+  async (file, { dispatch, rejectWithValue }) => {
+    try {
+      const data = await new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('../../workers/netcdfWorker.jsx', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (e) => {
+          const { type, data, error, done, total } = e.data;
+          if (type === 'READ_PROGRESS') {
+            dispatch(setLocalFileProgress(done / total));
+            return;
+          }
+          worker.terminate();
+          if (type === 'READ_SUCCESS') resolve(data);
+          else reject(new Error(error));
+        };
+
+        worker.onerror = (e) => {
+          worker.terminate();
+          reject(new Error(e.message || 'NetCDF worker crashed'));
+        };
+
+        // File objects are cloned by reference; the worker reads only the byte ranges it needs
+        worker.postMessage({ type: 'READ_WRFOUT', file });
+      });
+
+      dispatch(loadLocalWeatherData(data));
+      return { fileName: file.name, totalTimestamps: data.metadata.total_timestamps };
+    } catch (error) {
+      console.error(`❌ Error reading ${file.name}:`, error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 // Initial state
 const initialState = {
   weatherData: null,
@@ -235,12 +807,35 @@ const initialState = {
   currentTimeIndex: 0,
   animationSpeed: 1000,
 
+  // Playback between output steps: with interpolateTime on, advanceTime moves one frame at a time
+  // and currentSubStep counts the frames since currentTimeIndex (see selectCurrentFrame)
+  interpolateTime: false,
+  currentSubStep: 0,
+
+  // Time steps whose grids are in the grid store, and a counter bumped whenever the store changes
+  loadedTimes: [],
+  gridVersion: 0,
+
   // Batch management
   batchInfo: null,
   fetchingBatches: [],
+  batchStatus: {}, // { [batchNumber]: { status: 'queued' | 'fetching' | 'failed' | 'cached' | 'loaded', attempts, error } }
 
   // Cache info
-  cacheStats: { hits: 0, misses: 0, totalSize: 0 },
+  cacheStats: { hits: 0, misses: 0, totalSize: 0, runs: [], usage: null, quota: null },
+
+  // Locally loaded file (wrfout NetCDF) - null when data comes from the backend
+  localFile: null,
+
+  // When the backend was unreachable and the last cached run is shown: { cachedAt } (ms), else null
+  offlineData: null,
+
+  // Initial timestamp of the run picked in the run browser; null follows the backend's latest
+  requestedRun: null,
+
+  // Nested domains of the run: { [domain]: { domain, gridInfo, dx, minZoom, loadedTimes, loadedBatches, ... } }.
+  // Their grids are in getNestGrids(domain).
+  nests: {},
 
   // Available weather variables with their display info
   weatherVariables: {
@@ -249,7 +844,27 @@ const initialState = {
     TOTAL_RAIN: { name: 'Precipitation', unit: 'mm' },
     SST: { name: 'Sea Surface Temp', unit: '°C' },
     TSK: { name: 'Surface Temperature', unit: '°C' },
-  }
+  },
+
+  // Upper-air variables, shown in place of the surface ones when a pressure level is selected
+  levelVariables: {
+    T_PL: { name: 'Temperature', unit: '°C', colorScale: 'T2' },
+    RH_PL: { name: 'Humidity', unit: '%', colorScale: 'RH' },
+    GHT_PL: { name: 'Geopotential Height', unit: 'm', colorScale: 'GHT_PL' },
+    S_PL: { name: 'Wind Speed', unit: 'm/s', colorScale: 'S_PL' },
+  },
+
+  // Level grid keys ('T_PL.850', 'U_PL.850', ...) the run has
+  levelGrids: [],
+
+  // Variables the run has ensemble members of ('T2', 'TOTAL_RAIN', ...), and the thresholds of
+  // their exceedance probability layers
+  ensembleGrids: [],
+  exceedanceThresholds: { ...DEFAULT_THRESHOLDS },
+
+  // Derived variables (hooks/derived) the run has the inputs of. Their grids are computed on
+  // demand by computeDerivedGrids.
+  derivedVariables: []
 };
 
 const weatherSlice = createSlice({
@@ -260,80 +875,150 @@ const weatherSlice = createSlice({
       state.selectedVariable = action.payload;
     },
 
+    // Move to another pressure level (null for the surface), keeping the quantity where the level has it
+    setSelectedLevel: (state, action) => {
+      const level = action.payload;
+      const [base] = state.selectedVariable.split('.');
+
+      if (level === null) {
+        if (levelOf(state.selectedVariable) === null) return;
+        state.selectedVariable = Object.keys(LEVEL_EQUIVALENTS).find(key => LEVEL_EQUIVALENTS[key] === base) || 'T2';
+        return;
+      }
+
+      const available = Object.keys(state.levelVariables)
+        .map(key => `${key}.${level}`)
+        .filter(key => state.levelGrids.includes(key));
+      const wanted = `${LEVEL_EQUIVALENTS[base] || base}.${level}`;
+      state.selectedVariable = available.includes(wanted) ? wanted : available[0] ?? state.selectedVariable;
+    },
+
+    // Whole steps, or a fractional frame (2.5) when interpolating, rounded to the nearest frame
     setCurrentTimeIndex: (state, action) => {
-      state.currentTimeIndex = action.payload;
+      const step = Math.floor(action.payload);
+      const frames = framesPerStep(state.batchInfo, state.interpolateTime);
+      const subStep = Math.round((action.payload - step) * frames);
+      state.currentTimeIndex = subStep === frames ? step + 1 : step;
+      state.currentSubStep = subStep === frames ? 0 : subStep;
+    },
+
+    setTimeInterpolation: (state, action) => {
+      state.interpolateTime = action.payload;
+      state.currentSubStep = 0;
+    },
+
+    runRequested: (state, action) => {
+      state.requestedRun = action.payload;
+    },
+
+    // Dispatched by the computeDerivedGrids thunk once new grids are in the grid store
+    derivedGridsComputed: (state) => {
+      state.gridVersion += 1;
+    },
+
+    // Dispatched by the setExceedanceThreshold thunk once the grid store has the new threshold
+    exceedanceThresholdSet: (state, action) => {
+      const { variable, value } = action.payload;
+      state.exceedanceThresholds[variable] = value;
+      state.gridVersion += 1;
     },
 
     setAnimationSpeed: (state, action) => {
       state.animationSpeed = action.payload;
     },
 
-    // FIXED: Action to advance to next time step (for animation)
+    // FIXED: Action to advance to next time step (for animation), or the next frame when interpolating
     advanceTime: (state) => {
       // Get total possible time steps from metadata
       const totalSteps = state.batchInfo ? state.batchInfo.totalTimestamps - 1 : 100;
-      
-      if (state.currentTimeIndex < totalSteps) {
+      const frames = framesPerStep(state.batchInfo, state.interpolateTime);
+
+      if (state.currentTimeIndex < totalSteps && state.currentSubStep + 1 < frames) {
+        state.currentSubStep += 1;
+      } else if (state.currentTimeIndex < totalSteps) {
         state.currentTimeIndex = state.currentTimeIndex + 1;
+        state.currentSubStep = 0;
       } else {
         // Loop back to beginning
         state.currentTimeIndex = 0;
+        state.currentSubStep = 0;
       }
     },
 
     // Reset to first time step
     resetTime: (state) => {
       state.currentTimeIndex = 0;
+      state.currentSubStep = 0;
     },
 
     clearError: (state) => {
       state.error = null;
     },
 
-    // Clear all weather data (for mode changes)
-    clearWeatherData: (state) => {
+    // Clear all weather data (for mode changes) - dispatched by the clearWeatherData thunk
+    weatherDataCleared: (state) => {
       state.weatherData = null;
+      state.loadedTimes = [];
+      state.gridVersion += 1;
       state.batchInfo = null;
       state.fetchingBatches = [];
+      state.batchStatus = {};
       state.currentTimeIndex = 0;
+      state.currentSubStep = 0;
       state.error = null;
+      state.localFile = null;
+      state.offlineData = null;
+      state.nests = {};
+      state.levelGrids = [];
+      state.ensembleGrids = [];
+      state.derivedVariables = [];
     },
 
-    // Cache management actions
-    clearCache: (state) => {
-      cache.clear().then(() => {
-        state.cacheStats = { hits: 0, misses: 0, totalSize: 0 };
-        console.log('IndexedDB cache cleared successfully');
-      }).catch(error => {
-        console.warn('Error clearing IndexedDB cache:', error);
-      });
+    // Replace the current run with a locally decoded dataset (GRIB2 / NetCDF files).
+    // Dispatched by the loadLocalWeatherData thunk once the grids are in the grid store.
+    localWeatherDataLoaded: (state, action) => {
+      const { timeIndices, variables: available, ...data } = action.payload;
+      state.weatherData = data;
+      state.loadedTimes = [...timeIndices].sort((a, b) => a - b);
+      state.gridVersion += 1;
+      state.batchInfo = createBatchInfo(data.metadata);
+      state.fetchingBatches = [];
+      state.batchStatus = {};
+      state.currentTimeIndex = 0;
+      state.currentSubStep = 0;
+      state.loading = false;
+      state.error = null;
+      state.offlineData = null;
+      state.nests = {};
+      state.levelGrids = [];
+      state.ensembleGrids = [];
+      state.derivedVariables = [];
+      recordGridKeys(state, available);
+
+      // Local files often carry only a subset of variables
+      ensureSelectedVariable(state, available);
+    },
+
+    // A nest's wrfout dropped onto its parent run - dispatched by the loadLocalWeatherData thunk
+    localNestLoaded: (state, action) => {
+      mergeNestBatch(state, action.payload);
+      state.nests[action.payload.domain].local = true;
     },
 
-    // FIXED: Direct action for cached data (no async, no pending state)
-    loadCachedBatch: (state, action) => {
-      const { batchNumber, data } = action.payload;
+    setLocalFileProgress: (state, action) => {
+      if (state.localFile) state.localFile.progress = action.payload;
+    },
+
+    // Direct action for cached data (no async, no pending state) - dispatched by the loadCachedBatch thunk
+    cachedBatchLoaded: (state, action) => {
+      const { batchNumber, timeIndices, variables } = action.payload;
       
       // Update cache stats
       state.cacheStats.hits += 1;
+      state.batchStatus[batchNumber] = { status: 'cached', attempts: 0, error: null };
 
       // Merge with existing data (same logic as regular fetch)
-      if (state.weatherData && state.batchInfo) {
-        const existingTimeSeries = state.weatherData.time_series;
-        const newTimeSeries = data.time_series;
-
-        const existingTimeIndices = new Set(existingTimeSeries.map(t => t.time));
-        const uniqueNewTimeSeries = newTimeSeries.filter(t => !existingTimeIndices.has(t.time));
-
-        const combinedTimeSeries = [...existingTimeSeries, ...uniqueNewTimeSeries]
-          .sort((a, b) => a.time - b.time);
-
-        state.weatherData.time_series = combinedTimeSeries;
-
-        if (!state.batchInfo.loadedBatches.includes(batchNumber)) {
-          state.batchInfo.loadedBatches.push(batchNumber);
-          state.batchInfo.loadedBatches.sort((a, b) => a - b);
-        }
-      }
+      if (state.weatherData && state.batchInfo) mergeLoadedBatch(state, batchNumber, timeIndices, variables);
 
       console.log(`✅ Batch ${batchNumber} loaded instantly from cache. Total loaded batches:`, state.batchInfo?.loadedBatches);
     },
@@ -349,6 +1034,35 @@ const weatherSlice = createSlice({
     removeFetchingBatch: (state, action) => {
       const batchNumber = action.payload;
       state.fetchingBatches = state.fetchingBatches.filter(b => b !== batchNumber);
+    },
+
+    // Status updates reported by the BatchScheduler; fetchingBatches is kept in sync for existing consumers
+    setBatchStatus: (state, action) => {
+      const { batchNumber, status, attempts = 0, error = null } = action.payload;
+      state.batchStatus[batchNumber] = { status, attempts, error };
+
+      state.fetchingBatches = state.fetchingBatches.filter(b => b !== batchNumber);
+      if (status === 'fetching') state.fetchingBatches.push(batchNumber);
+    },
+
+    // Forget pending statuses (e.g. after the scheduler was cancelled); loaded batches keep theirs
+    resetBatchStatus: (state, action) => {
+      const batchNumbers = action.payload || Object.keys(state.batchStatus).map(Number);
+      batchNumbers.forEach(batchNumber => {
+        const entry = state.batchStatus[batchNumber];
+        if (entry && entry.status !== 'cached' && entry.status !== 'loaded') delete state.batchStatus[batchNumber];
+      });
+      state.fetchingBatches = state.fetchingBatches.filter(b => !batchNumbers.includes(b));
+    },
+
+    // Clearing failed entries lets App enqueue those batches again
+    retryFailedBatches: (state) => {
+      Object.entries(state.batchStatus).forEach(([batchNumber, entry]) => {
+        if (entry.status === 'failed') delete state.batchStatus[batchNumber];
+      });
+      Object.values(state.nests).forEach(nest => {
+        nest.failedBatches = [];
+      });
     }
   },
 
@@ -367,7 +1081,7 @@ const weatherSlice = createSlice({
 
       // Handle fetchWeatherBatch fulfilled
       .addCase(fetchWeatherBatch.fulfilled, (state, action) => {
-        const { batchNumber, fromCache, ...data } = action.payload;
+        const { batchNumber, fromCache, offlineSince, timeIndices, variables, ...data } = action.payload;
 
         // Update cache stats
         if (fromCache) state.cacheStats.hits += 1;
@@ -380,42 +1094,27 @@ const weatherSlice = createSlice({
           // First batch - initialize everything
           state.loading = false;
           state.weatherData = data;
-          state.batchInfo = {
-            currentBatch: 1,
-            totalBatches: data.metadata.batch_info.total_batches,
-            batchSize: data.metadata.batch_info.batch_size,
-            loadedBatches: [1],
-            totalTimestamps: data.metadata.total_timestamps,
-            initialTimestamp: data.metadata.initial_timestamp,
-            finalTimestamp: data.metadata.final_timestamp
-          };
+          state.loadedTimes = [...timeIndices].sort((a, b) => a - b);
+          state.gridVersion += 1;
+          state.batchInfo = createBatchInfo(data.metadata);
+          state.batchStatus = {};
+          state.offlineData = offlineSince ? { cachedAt: offlineSince } : null;
+          state.nests = declaredNests(data.metadata);
+          state.levelGrids = [];
+          state.ensembleGrids = [];
+          state.derivedVariables = [];
+          recordGridKeys(state, variables);
+          ensureSelectedVariable(state, variables);
 
           // Set initial time to first available time step (index 0)
           state.currentTimeIndex = 0;
+          state.currentSubStep = 0;
         } else {
           // Subsequent batches - merge with existing data
-          if (state.weatherData && state.batchInfo) {
-            // Merge time series data
-            const existingTimeSeries = state.weatherData.time_series;
-            const newTimeSeries = data.time_series;
-
-            // Combine time series, ensuring proper ordering and no duplicates
-            const existingTimeIndices = new Set(existingTimeSeries.map(t => t.time));
-            const uniqueNewTimeSeries = newTimeSeries.filter(t => !existingTimeIndices.has(t.time));
-
-            const combinedTimeSeries = [...existingTimeSeries, ...uniqueNewTimeSeries]
-              .sort((a, b) => a.time - b.time);
-
-            state.weatherData.time_series = combinedTimeSeries;
-
-            // Update batch info
-            if (!state.batchInfo.loadedBatches.includes(batchNumber)) {
-              state.batchInfo.loadedBatches.push(batchNumber);
-              state.batchInfo.loadedBatches.sort((a, b) => a - b);
-            }
-          }
+          if (state.weatherData && state.batchInfo) mergeLoadedBatch(state, batchNumber, timeIndices, variables);
         }
 
+        state.batchStatus[batchNumber] = { status: fromCache ? 'cached' : 'loaded', attempts: 0, error: null };
         state.error = null;
         const cacheStatus = fromCache ? '(from cache)' : '(from API)';
         console.log(`✅ Batch ${batchNumber} loaded successfully ${cacheStatus}. Total loaded batches:`, state.batchInfo?.loadedBatches);
@@ -446,32 +1145,17 @@ const weatherSlice = createSlice({
       })
 
       .addCase(fetchWeatherBatchFromWorker.fulfilled, (state, action) => {
-        const { batchNumber, fromCache, ...data } = action.payload;
+        const { batchNumber, timeIndices, variables } = action.payload;
 
         // Update cache stats
         state.cacheStats.misses += 1; // Worker results are always fresh
 
         // Remove from fetching batches
         state.fetchingBatches = state.fetchingBatches.filter(b => b !== batchNumber);
+        state.batchStatus[batchNumber] = { status: 'loaded', attempts: state.batchStatus[batchNumber]?.attempts || 1, error: null };
 
         // Merge with existing data (same logic as regular fetch)
-        if (state.weatherData && state.batchInfo) {
-          const existingTimeSeries = state.weatherData.time_series;
-          const newTimeSeries = data.time_series;
-
-          const existingTimeIndices = new Set(existingTimeSeries.map(t => t.time));
-          const uniqueNewTimeSeries = newTimeSeries.filter(t => !existingTimeIndices.has(t.time));
-
-          const combinedTimeSeries = [...existingTimeSeries, ...uniqueNewTimeSeries]
-            .sort((a, b) => a.time - b.time);
-
-          state.weatherData.time_series = combinedTimeSeries;
-
-          if (!state.batchInfo.loadedBatches.includes(batchNumber)) {
-            state.batchInfo.loadedBatches.push(batchNumber);
-            state.batchInfo.loadedBatches.sort((a, b) => a - b);
-          }
-        }
+        if (state.weatherData && state.batchInfo) mergeLoadedBatch(state, batchNumber, timeIndices, variables);
 
         console.log(`✅ Batch ${batchNumber} loaded successfully from Web Worker. Total loaded batches:`, state.batchInfo?.loadedBatches);
       })
@@ -479,9 +1163,49 @@ const weatherSlice = createSlice({
       .addCase(fetchWeatherBatchFromWorker.rejected, (state, action) => {
         const batchNumber = action.meta.arg.batchNumber;
         state.fetchingBatches = state.fetchingBatches.filter(b => b !== batchNumber);
+        state.batchStatus[batchNumber] = { status: 'failed', attempts: state.batchStatus[batchNumber]?.attempts || 1, error: action.payload };
         console.error(`❌ Failed to load batch ${batchNumber} from Web Worker:`, action.payload);
       })
 
+      // Nested domains
+      .addCase(fetchNestBatch.fulfilled, (state, action) => {
+        if (!action.payload || !state.nests[action.payload.domain]) return;
+        mergeNestBatch(state, action.payload);
+        console.log(`✅ Batch ${action.payload.batchNumber} of domain ${action.payload.domain} loaded`);
+      })
+
+      .addCase(fetchNestBatch.rejected, (state, action) => {
+        const { domain, batchNumber } = action.meta.arg;
+        const nest = state.nests[domain];
+        if (nest && !nest.failedBatches.includes(batchNumber)) nest.failedBatches.push(batchNumber);
+      })
+
+      // Handle loadWrfoutFile (the data itself arrives through loadLocalWeatherData)
+      .addCase(loadWrfoutFile.pending, (state, action) => {
+        state.localFile = { name: action.meta.arg.name, progress: 0, loading: true };
+        state.error = null;
+      })
+
+      .addCase(loadWrfoutFile.fulfilled, (state, action) => {
+        state.localFile = { name: action.payload.fileName, progress: 1, loading: false };
+        console.log(`✅ Loaded ${action.payload.totalTimestamps} time steps from ${action.payload.fileName}`);
+      })
+
+      .addCase(loadWrfoutFile.rejected, (state, action) => {
+        state.localFile = null;
+        state.error = action.payload || 'Failed to read wrfout file';
+      })
+
+      // Cache management
+      .addCase(refreshCacheStats.fulfilled, (state, action) => {
+        state.cacheStats = { ...state.cacheStats, ...action.payload };
+      })
+
+      .addCase(clearCache.fulfilled, (state) => {
+        state.cacheStats = { ...state.cacheStats, hits: 0, misses: 0, totalSize: 0, runs: [] };
+        console.log('IndexedDB cache cleared successfully');
+      })
+
       // Handle fetchInitialWeatherData
       .addCase(fetchInitialWeatherData.pending, (state) => {
         state.loading = true;
@@ -499,17 +1223,251 @@ const weatherSlice = createSlice({
   }
 });
 
-// Export actions - FIXED: Added loadCachedBatch export
+// Export actions
 export const {
-  setSelectedVariable, setCurrentTimeIndex, setAnimationSpeed, advanceTime, resetTime,
-  clearError, clearWeatherData, clearCache, loadCachedBatch, addFetchingBatch, removeFetchingBatch
+  setSelectedVariable, setSelectedLevel, setCurrentTimeIndex, setTimeInterpolation, setAnimationSpeed, advanceTime, resetTime,
+  clearError, weatherDataCleared, localWeatherDataLoaded, localNestLoaded, setLocalFileProgress, cachedBatchLoaded, addFetchingBatch, removeFetchingBatch,
+  setBatchStatus, resetBatchStatus, retryFailedBatches, runRequested, exceedanceThresholdSet,
+  derivedGridsComputed
 } = weatherSlice.actions;
 
+// These update the grid store first, then tell Redux (reducers must stay free of side effects)
+export const clearWeatherData = () => (dispatch) => {
+  clearGrids();
+  clearNestGrids();
+  dispatch(weatherDataCleared());
+};
+
+// Probability layers are computed from the members on demand, so a new threshold only drops them
+export const setExceedanceThreshold = (variable, value) => (dispatch, getState) => {
+  if (!Number.isFinite(value)) return;
+  setExceedanceSettings({ thresholds: { ...getState().weather.exceedanceThresholds, [variable]: value } });
+  dispatch(exceedanceThresholdSet({ variable, value }));
+};
+
+// One long-lived worker computes the derived grids, expression layers and ensemble products
+let derivedWorker = null;
+let nextDerivedJobId = 1;
+const pendingDerived = new Map(); // jobId -> { resolve, reject }
+const derivedInFlight = new Set(); // `${domain}|${timeIndex}|${key}` of grids being computed
+
+const runDerivedJob = (message) => new Promise((resolve, reject) => {
+  if (!derivedWorker) {
+    derivedWorker = new Worker(new URL('../../workers/derivedWorker.jsx', import.meta.url), { type: 'module' });
+
+    derivedWorker.onmessage = (e) => {
+      const { type, jobId, values, error } = e.data;
+      const job = pendingDerived.get(jobId);
+      if (!job) return;
+
+      pendingDerived.delete(jobId);
+      if (type === 'DERIVED_ERROR') job.reject(new Error(error));
+      else job.resolve(values);
+    };
+
+    derivedWorker.onerror = (e) => {
+      pendingDerived.forEach(job => job.reject(new Error(e.message || 'Derived variable worker crashed')));
+      pendingDerived.clear();
+      derivedWorker.terminate();
+      derivedWorker = null;
+    };
+  }
+
+  const jobId = nextDerivedJobId++;
+  pendingDerived.set(jobId, { resolve, reject });
+  derivedWorker.postMessage({ jobId, ...message });
+});
+
+// Compute a grid from others at one step in that worker and keep it in the given store.
+// Resolves false, storing nothing, when the inputs were replaced (new run, reloaded step) while
+// it was busy, or when isCurrent() says the job itself was superseded.
+export const computeGridInWorker = async (grids, timeIndex, key, inputKeys, message, isCurrent = () => true) => {
+  const inputs = inputKeys.map(input => grids.getGrid(timeIndex, input));
+  const values = await runDerivedJob({ ...message, key, inputs });
+  if (!isCurrent() || inputs.some((grid, i) => grids.getGrid(timeIndex, inputKeys[i]) !== grid)) return false;
+
+  grids.ingestTimeSeries([{ time: timeIndex, variables: { [key]: values } }], { [key]: 1 });
+  return true;
+};
+
+// Compute the derived grids the screen needs and keep them in the grid store next to their
+// inputs: every derived variable at the step on screen (the hover tooltip lists them all),
+// then the selected one at every loaded step for the charts. Nests get theirs the same way.
+// Safe to dispatch whenever the grids or the selection change - grids already there or on
+// their way are skipped.
+const computeDerivedGrids = () => async (dispatch, getState) => {
+  const { derivedVariables, currentTimeIndex, selectedVariable, loadedTimes, nests } = getState().weather;
+  if (derivedVariables.length === 0) return;
+
+  const stores = [
+    { domain: 1, grids: weatherGrids, loadedTimes },
+    ...Object.values(nests).filter(nest => nest.gridInfo)
+      .map(nest => ({ domain: nest.domain, grids: getNestGrids(nest.domain), loadedTimes: nest.loadedTimes }))
+  ];
+
+  const plan = (timeIndices, keys) => stores.flatMap(({ domain, grids, loadedTimes: times }) => timeIndices
+    .filter(timeIndex => times.includes(timeIndex))
+    .flatMap(timeIndex => keys.map(key => ({ domain, grids, timeIndex, key, id: `${domain}|${timeIndex}|${key}` }))))
+    .filter(({ grids, timeIndex, key, id }) => !derivedInFlight.has(id) && !grids.hasGrid(timeIndex, key) &&
+      DERIVED_VARIABLES[key].inputs.every(input => grids.hasGrid(timeIndex, input)));
+
+  const compute = async (jobs) => {
+    jobs.forEach(({ id }) => derivedInFlight.add(id));
+    let computed = 0;
+
+    for (const { grids, timeIndex, key, id } of jobs) {
+      try {
+        if (await computeGridInWorker(grids, timeIndex, key, DERIVED_VARIABLES[key].inputs, { type: 'COMPUTE_DERIVED' })) {
+          computed++;
+        }
+      } catch (error) {
+        console.error(`❌ Error computing ${key} at step ${timeIndex}:`, error);
+      } finally {
+        derivedInFlight.delete(id);
+      }
+    }
+
+    if (computed > 0) dispatch(derivedGridsComputed());
+  };
+
+  await compute(plan([currentTimeIndex], derivedVariables));
+  if (DERIVED_VARIABLES[selectedVariable]) {
+    await compute(plan(getState().weather.loadedTimes, [selectedVariable]));
+  }
+};
+
+// Compute the mean, std, min and max of each member variable at one step in that worker and
+// keep them in the given store. Statistics of members replaced in the meantime are dropped.
+export const computeEnsembleStatistics = async (grids, timeIndex) => {
+  let computed = 0;
+  for (const variable of grids.getPendingStatistics(timeIndex)) {
+    const members = grids.getMemberGrids(timeIndex, variable);
+    const statistics = await runDerivedJob({ type: 'COMPUTE_ENSEMBLE', key: variable, members });
+    if (grids.getMemberGrids(timeIndex, variable) !== members) continue;
+
+    grids.setEnsembleStatistics(timeIndex, variable, statistics);
+    computed++;
+  }
+  return computed;
+};
+
+// Same for one probability product (EXCEEDANCE_PRODUCTS). Resolves false, storing nothing, when
+// its inputs aren't there or changed while the worker was busy.
+const computeProbabilityInWorker = async (grids, timeIndex, key) => {
+  const inputs = grids.getProbabilityInputs(timeIndex, key);
+  if (!inputs) return false;
+
+  const { members, threshold, earlier, version } = inputs;
+  const values = await runDerivedJob({ type: 'COMPUTE_EXCEEDANCE', key, members, threshold, earlier });
+  if (grids.getMemberGrids(timeIndex, EXCEEDANCE_PRODUCTS[key].variable) !== members) return false;
+  return grids.setProbabilityGrid(timeIndex, key, values, version);
+};
+
+// Ensemble products the screen needs, like computeDerivedGrids: the member statistics of the
+// step on screen and then of every loaded step, and the probability layer on screen at each of
+// them. Nests get theirs the same way. Safe to dispatch whenever the grids, the selection or the
+// thresholds change.
+const computeEnsembleGrids = () => async (dispatch, getState) => {
+  const { ensembleGrids, currentTimeIndex, selectedVariable, loadedTimes, nests } = getState().weather;
+  if (ensembleGrids.length === 0) return;
+
+  const stores = [
+    { domain: 1, grids: weatherGrids, loadedTimes },
+    ...Object.values(nests).filter(nest => nest.gridInfo)
+      .map(nest => ({ domain: nest.domain, grids: getNestGrids(nest.domain), loadedTimes: nest.loadedTimes }))
+  ];
+  const timeIndices = [currentTimeIndex, ...loadedTimes.filter(timeIndex => timeIndex !== currentTimeIndex)];
+  const probability = EXCEEDANCE_PRODUCTS[selectedVariable] ? selectedVariable : null;
+  let computed = 0;
+
+  for (const timeIndex of timeIndices) {
+    for (const { domain, grids, loadedTimes: times } of stores) {
+      if (!times.includes(timeIndex)) continue;
+
+      const jobs = [
+        { id: `${domain}|${timeIndex}|members`, pending: grids.getPendingStatistics(timeIndex).length > 0,
+          run: () => computeEnsembleStatistics(grids, timeIndex) },
+        { id: `${domain}|${timeIndex}|${probability}`, pending: probability && !grids.hasGrid(timeIndex, probability),
+          run: () => computeProbabilityInWorker(grids, timeIndex, probability) }
+      ].filter(({ id, pending }) => pending && !derivedInFlight.has(id));
+
+      for (const { id, run } of jobs) {
+        derivedInFlight.add(id);
+        try {
+          if (await run()) computed++;
+        } catch (error) {
+          console.error(`❌ Error computing ensemble products at step ${timeIndex}:`, error);
+        } finally {
+          derivedInFlight.delete(id);
+        }
+      }
+    }
+
+    // Show the step on screen as soon as it's ready
+    if (computed > 0 && timeIndex === currentTimeIndex) {
+      dispatch(derivedGridsComputed());
+      computed = 0;
+    }
+  }
+
+  if (computed > 0) dispatch(derivedGridsComputed());
+};
+
+// A file of an inner domain of the run on screen (same initialisation) is added as its nest;
+// anything else replaces the run
+export const loadLocalWeatherData = (data) => (dispatch, getState) => {
+  const { weatherData } = getState().weather;
+  const domain = domainNumber(data.metadata.domain);
+
+  if (weatherData && data.metadata.initial_timestamp === weatherData.metadata?.initial_timestamp &&
+    domain > domainNumber(weatherData.metadata.domain)) {
+    const nestGrids = getNestGrids(domain);
+    nestGrids.clearGrids();
+    const { timeIndices } = nestGrids.ingestTimeSeries(data.time_series || [], data.metadata.variable_scales);
+    dispatch(localNestLoaded({
+      domain, batchNumber: 1, gridInfo: nestGrids.keepCoordinates(data.grid_info), metadata: data.metadata, timeIndices
+    }));
+    return;
+  }
+
+  clearGrids();
+  clearNestGrids();
+  dispatch(localWeatherDataLoaded(ingestBatch(data, data.metadata.variable_scales)));
+};
+
+// Load another run (its initial timestamp, or null for the latest) and stay at the valid time on
+// screen when the new run covers it
+export const switchRun = (initialTimestamp) => async (dispatch, getState) => {
+  const validTime = selectCurrentTimestamp(getState());
+  dispatch(runRequested(initialTimestamp));
+
+  try {
+    await dispatch(fetchInitialWeatherData()).unwrap();
+  } catch {
+    return;
+  }
+
+  const { batchInfo } = getState().weather;
+  if (!validTime || !batchInfo || batchInfo.totalTimestamps < 2) return;
+  const timeIndex = stepNearestTime(batchInfo, validTime.getTime());
+  if (timeIndex !== null) dispatch(setCurrentTimeIndex(timeIndex));
+};
+
+export const loadCachedBatch = ({ batchNumber, data }) => (dispatch, getState) => {
+  const { weatherData } = getState().weather;
+  if (!weatherData) return; // run was cleared while the cache was read
+  dispatch(cachedBatchLoaded({ batchNumber, ...ingestBatch(data, weatherData.metadata?.variable_scales) }));
+};
+
 // Backward compatibility actions (for existing components)
 export const setCurrentTime = setCurrentTimeIndex; // Alias for setCurrentTimeIndex
 
 // Export thunks
-export { fetchWeatherBatch, fetchInitialWeatherData, fetchWeatherBatchFromWorker };
+export {
+  fetchWeatherBatch, fetchInitialWeatherData, fetchWeatherBatchFromWorker, loadWrfoutFile,
+  refreshCacheStats, clearCache, evictCacheRun, enforceCacheQuota, fetchNestBatch, syncNestBatches,
+  computeDerivedGrids, computeEnsembleGrids
+};
 
 // Selectors
 export const selectWeatherData = (state) => state.weather.weatherData;
@@ -518,18 +1476,90 @@ export const selectError = (state) => state.weather.error;
 export const selectSelectedVariable = (state) => state.weather.selectedVariable;
 export const selectCurrentTimeIndex = (state) => state.weather.currentTimeIndex;
 export const selectAnimationSpeed = (state) => state.weather.animationSpeed;
-export const selectWeatherVariables = (state) => state.weather.weatherVariables;
 export const selectBatchInfo = (state) => state.weather.batchInfo;
 export const selectFetchingBatches = (state) => state.weather.fetchingBatches;
+export const selectBatchStatus = (state) => state.weather.batchStatus;
 export const selectCacheStats = (state) => state.weather.cacheStats;
+export const selectLocalFile = (state) => state.weather.localFile;
+export const selectOfflineData = (state) => state.weather.offlineData;
+export const selectRequestedRun = (state) => state.weather.requestedRun;
+export const selectExceedanceThresholds = (state) => state.weather.exceedanceThresholds;
 
-// Memoized selector for available time indices
-export const selectTimeIndices = createSelector(
-  [(state) => state.weather.weatherData],
-  (weatherData) => {
-    if (!weatherData || !weatherData.time_series) return [];
-    return weatherData.time_series.map(t => t.time);
-  }
+export const selectGridVersion = (state) => state.weather.gridVersion;
+
+// Time indices currently held in the grid store
+export const selectTimeIndices = (state) => state.weather.loadedTimes;
+
+// Pressure level (hPa) of the selected variable, null at the surface
+export const selectSelectedLevel = (state) => levelOf(state.weather.selectedVariable);
+
+// Pressure levels the run has, from the surface up
+export const selectLevels = createSelector(
+  [(state) => state.weather.levelGrids],
+  (levelGrids) => [...new Set(levelGrids.map(levelOf))].sort((a, b) => b - a)
+);
+
+// Derived layers of the surface variables the run has members of, grouped apart in the variable lists
+const ensembleVariables = (surfaceVariables, ensembleGrids, thresholds, units) => {
+  const derived = {};
+  ensembleGrids.filter(base => surfaceVariables[base]).forEach(base => {
+    const info = surfaceVariables[base];
+    const colorScale = info.colorScale || base;
+    derived[`${base}.mean`] = { ...info, name: `${info.name} (ens. mean)`, colorScale, group: 'Ensemble' };
+    derived[`${base}.std`] = { ...info, name: `${info.name} (ens. spread)`, colorScale: 'SPREAD', group: 'Ensemble', difference: true };
+    derived[`${base}.min`] = { ...info, name: `${info.name} (ens. min)`, colorScale, group: 'Ensemble' };
+    derived[`${base}.max`] = { ...info, name: `${info.name} (ens. max)`, colorScale, group: 'Ensemble' };
+  });
+
+  Object.entries(EXCEEDANCE_PRODUCTS)
+    .filter(([, { variable }]) => ensembleGrids.includes(variable) && surfaceVariables[variable])
+    .forEach(([key, { variable, windowHours }]) => {
+      const { name, unit } = surfaceVariables[variable];
+      const window = windowHours ? `${windowHours}h ` : '';
+      const shown = unitConverter(unit, units); // the threshold in the units on screen
+      derived[key] = {
+        name: `P(${window}${name} > ${parseFloat(shown.convert(thresholds[variable]).toFixed(1))} ${shown.unit})`,
+        unit: '%', colorScale: 'PROB', group: 'Ensemble',
+        exceedance: { variable, threshold: thresholds[variable], unit }
+      };
+    });
+
+  return derived;
+};
+
+// Variables of the selected level: the surface ones with any derived, ensemble and expression
+// layers, or the upper-air fields the run has at that level
+export const selectWeatherVariables = createSelector(
+  [(state) => state.weather.weatherVariables, (state) => state.weather.levelVariables,
+    (state) => state.weather.levelGrids, selectSelectedLevel, (state) => state.weather.ensembleGrids,
+    selectExceedanceThresholds, (state) => state.weather.derivedVariables,
+    // expressionSlice imports this slice, so its selector is only looked up once the modules have loaded
+    (state) => selectExpressionLayers(state), selectUnits],
+  (surfaceVariables, levelVariables, levelGrids, level, ensembleGrids, thresholds, derivedVariables, expressionLayers, units) => (level === null
+    ? {
+      ...surfaceVariables,
+      ...Object.fromEntries(derivedVariables.map(key => {
+        const { name, unit, colorScale } = DERIVED_VARIABLES[key];
+        return [key, { name, unit, colorScale, group: 'Derived' }];
+      })),
+      ...ensembleVariables(surfaceVariables, ensembleGrids, thresholds, units),
+      ...Object.fromEntries(expressionLayers.map(({ key, name, unit, colorScale, expression }) => [
+        key, { name, unit, colorScale, expression, group: 'Custom' }
+      ]))
+    }
+    : Object.fromEntries(
+      Object.entries(levelVariables)
+        .filter(([key]) => levelGrids.includes(`${key}.${level}`))
+        .map(([key, info]) => [`${key}.${level}`, { ...info, name: `${info.name} ${level} hPa`, level }])
+    ))
+);
+
+// Nested domains that have a grid, finest first
+export const selectNests = createSelector(
+  [(state) => state.weather.nests],
+  (nests) => Object.values(nests)
+    .filter(nest => nest.gridInfo)
+    .sort((a, b) => (gridSpacing(a.gridInfo, a.dx) ?? 0) - (gridSpacing(b.gridInfo, b.dx) ?? 0) || b.domain - a.domain)
 );
 
 // Backward compatibility selectors (for existing components)
@@ -537,60 +1567,33 @@ export const selectCurrentTime = (state) => state.weather.currentTimeIndex; // M
 export const selectTimeSteps = selectTimeIndices; // Alias for selectTimeIndices
 
 // Complex selectors
-// Memoized selector for current time data
-export const selectCurrentTimeData = createSelector(
-  [
-    (state) => state.weather.weatherData,
-    (state) => state.weather.currentTimeIndex
-  ],
-  (weatherData, currentTimeIndex) => {
-    if (!weatherData || !weatherData.time_series) return null;
-    return weatherData.time_series.find(t => t.time === currentTimeIndex);
-  }
-);
-
-// Memoized selector for current stats to prevent unnecessary rerenders
+// Memoized selector for current stats; gridVersion invalidates it when the grid store changes
 export const selectCurrentStats = createSelector(
   [
-    (state) => state.weather.weatherData,
+    (state) => state.weather.gridVersion,
     (state) => state.weather.currentTimeIndex,
     (state) => state.weather.selectedVariable
   ],
-  (weatherData, currentTimeIndex, selectedVariable) => {
-    if (!weatherData || !weatherData.time_series) return null;
-
-    const timeData = weatherData.time_series.find(t => t.time === currentTimeIndex);
-    if (!timeData || !timeData.variables[selectedVariable]) return null;
-
-    const values = timeData.variables[selectedVariable];
-    const scale = weatherData.metadata.variable_scales[selectedVariable] || 1;
-
-    // Handle wind data with speed and direction
-    let scaledValues;
-    if (selectedVariable === 'WIND' && typeof values === 'object' && values.speed) {
-      scaledValues = values.speed.map(v => v / scale);
-    } else if (Array.isArray(values)) {
-      scaledValues = values.map(v => v / scale);
-    } else {
-      return null;
-    }
+  (gridVersion, currentTimeIndex, selectedVariable) => {
+    const stats = getGridStats(currentTimeIndex, selectedVariable);
+    if (!stats) return null;
 
     return {
-      min: Math.min(...scaledValues).toFixed(2),
-      max: Math.max(...scaledValues).toFixed(2),
-      avg: (scaledValues.reduce((a, b) => a + b, 0) / scaledValues.length).toFixed(2)
+      min: stats.min.toFixed(2),
+      max: stats.max.toFixed(2),
+      avg: stats.mean.toFixed(2)
     };
   }
 );
 
 // Memoized selector for time range info with actual timestamps
 export const selectTimeRangeInfo = createSelector(
-  [(state) => state.weather.batchInfo, (state) => state.weather.weatherData],
-  (batchInfo, weatherData) => {
+  [(state) => state.weather.batchInfo, (state) => state.weather.weatherData, (state) => state.weather.loadedTimes],
+  (batchInfo, weatherData, loadedTimes) => {
     if (!batchInfo || !weatherData) return null;
 
     const { totalTimestamps, initialTimestamp, finalTimestamp } = batchInfo;
-    const availableIndices = weatherData.time_series.map(t => t.time);
+    const availableIndices = loadedTimes;
     
     // Parse the timestamp strings
     const startDate = parseTimestamp(initialTimestamp);
@@ -614,20 +1617,21 @@ export const selectCurrentTimestamp = createSelector(
     (state) => state.weather.batchInfo,
     (state) => state.weather.currentTimeIndex
   ],
-  (batchInfo, currentTimeIndex) => {
-    if (!batchInfo) return null;
-    
-    const { totalTimestamps, initialTimestamp, finalTimestamp } = batchInfo;
-    const startDate = parseTimestamp(initialTimestamp);
-    const endDate = parseTimestamp(finalTimestamp);
-    
-    const totalDuration = endDate.getTime() - startDate.getTime();
-    const stepDuration = totalDuration / (totalTimestamps - 1);
-    
-    return new Date(startDate.getTime() + (currentTimeIndex * stepDuration));
-  }
+  timeOfStep
+);
+
+export const selectTimeInterpolation = (state) => state.weather.interpolateTime;
+
+// Frames per output step: 1 unless playback interpolates between steps
+export const selectFramesPerStep = createSelector(
+  [(state) => state.weather.batchInfo, selectTimeInterpolation],
+  framesPerStep
 );
 
+// Fractional time index of the frame on screen (hooks/interpolation), currentTimeIndex between frames
+export const selectCurrentFrame = (state) =>
+  state.weather.currentTimeIndex + state.weather.currentSubStep / selectFramesPerStep(state);
+
 // Memoized selector to get batch loading progress
 export const selectBatchProgress = createSelector(
   [
@@ -646,4 +1650,35 @@ export const selectBatchProgress = createSelector(
   }
 );
 
+// Memoized selector for the loading state of the step under the time slider
+export const selectCurrentStepStatus = createSelector(
+  [
+    (state) => state.weather.batchInfo,
+    (state) => state.weather.currentTimeIndex,
+    (state) => state.weather.batchStatus,
+    selectTimeIndices
+  ],
+  (batchInfo, currentTimeIndex, batchStatus, timeIndices) => {
+    if (!batchInfo) return null;
+
+    const batchNumber = getBatchForTimeIndex(currentTimeIndex, batchInfo);
+    return {
+      timeIndex: currentTimeIndex,
+      batchNumber,
+      loaded: timeIndices.includes(currentTimeIndex),
+      status: batchStatus[batchNumber]?.status || null,
+      attempts: batchStatus[batchNumber]?.attempts || 0
+    };
+  }
+);
+
+// Memoized selector for batches that gave up after their retries
+export const selectFailedBatches = createSelector(
+  [(state) => state.weather.batchStatus],
+  (batchStatus) => Object.entries(batchStatus)
+    .filter(([, entry]) => entry.status === 'failed')
+    .map(([batchNumber]) => Number(batchNumber))
+    .sort((a, b) => a - b)
+);
+
 export default weatherSlice.reducer;
\ No newline at end of file
@@ -5,6 +5,12 @@ import uiReducer from './slices/uiSlice';
 import dataTableReducer from './slices/dataTableSlice'
 import zomatoReducer from './slices/zomatoSlice';
 import openMeteoReducer from './slices/openMeteoSlice';
+import gribStreamReducer from './slices/GribStreamSlice';
+import aiModelReducer from './slices/aiModelSlice';
+import rasterReducer from './slices/rasterSlice';
+import runsReducer from './slices/runsSlice';
+import expressionReducer from './slices/expressionSlice';
+import unitsReducer from './slices/unitsSlice';
 
 export const store = configureStore({
   reducer: {
@@ -13,6 +19,12 @@ export const store = configureStore({
     dataTable: dataTableReducer,
     zomato: zomatoReducer,
     openMeteo: openMeteoReducer,
+    gribStream: gribStreamReducer,
+    aiModels: aiModelReducer,
+    raster: rasterReducer,
+    runs: runsReducer,
+    expressions: expressionReducer,
+    units: unitsReducer,
   },
 
   //   // Enable Redux DevTools in development
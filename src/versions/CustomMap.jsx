@@ -1,8 +1,11 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { MapContainer, TileLayer, ZoomControl, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
 
 import HoverTooltip from '../components/HoverTooltip';
 import GridOverlay from '../components/overlays/GridOverlay';
@@ -10,31 +13,38 @@ import StationsOverlay from '../components/overlays/StationsOverlay';
 import WindOverlay from '../components/overlays/WindOverlay';
 import ZWSOverlay from '../components/overlays/ZWSOverlay';
 import PolygonOverlay from '../components/overlays/PolygonOverlay';
+import RasterOverlay from '../components/overlays/RasterOverlay';
 import Legend from '../components/Legend';
+import SkewT from '../components/SkewT';
+import RunComparison from '../components/RunComparison';
+import { useDataSource, useLevels, listDataSources } from '../dataSources';
 
 import {
-    advanceTime, selectWeatherData, selectSelectedVariable, selectWeatherVariables,
-    selectTimeSteps, selectBatchInfo, selectFetchingBatches
+    selectWeatherData,
+    selectTimeSteps, loadWrfoutFile, selectLocalFile,
+    selectCurrentStepStatus, retryFailedBatches
 } from '../redux/slices/weatherSlice';
 
 import {
-    setIsPlaying, setHoverData, clearHoverData, selectIsPlaying,
+    setHoverData, clearHoverData, setSoundingPoint,
     selectHoverData, selectMapCenter, selectMapZoom, selectShowGrid,
-    setMapZoom, selectSelectedDataSource, selectOpacity
+    setMapZoom, selectOpacity, setSelectedDataSource, setShowGrid
 } from '../redux/slices/uiSlice';
+import { setComparisonPoint } from '../redux/slices/runsSlice';
+
+import { loadGribFile, selectGribLoading } from '../redux/slices/GribStreamSlice';
+import { selectShowRaster, selectRasterHover } from '../redux/slices/rasterSlice';
 
 import {
-    selectDrawingMode, selectPolygonPoints, selectOpenMeteoData,
-    selectHasValidData as selectOpenMeteoHasValidData, selectOpenMeteoIsPlaying,
-    selectOpenMeteoCurrentTimeIndex
+    selectDrawingMode, selectPolygonPoints, selectOpenMeteoData, selectOpenMeteoCurrentTimeIndex
 } from '../redux/slices/openMeteoSlice';
 
-// Fix for default markers in React Leaflet
+// Fix for default markers in React Leaflet - bundled so they're precached with the app
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-    iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-    iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-    shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+    iconRetinaUrl: markerIcon2x,
+    iconUrl: markerIcon,
+    shadowUrl: markerShadow,
 });
 
 // Map view options
@@ -120,6 +130,9 @@ const ViewSelector = ({ currentView, onViewChange }) => {
     );
 };
 
+const GRIB_EXTENSIONS = ['.grib2', '.grb2', '.grib', '.grb'];
+const isGribFile = (file) => GRIB_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+
 // Component to track zoom level and manage hover tooltip visibility
 const ZoomTracker = ({ onZoomChange }) => {
     useMapEvents({
@@ -131,141 +144,152 @@ const ZoomTracker = ({ onZoomChange }) => {
     return null;
 };
 
+// Reports the visible area on every move, for sources that crop their data to it
+const ViewportTracker = ({ onViewportChange }) => {
+    const map = useMapEvents({
+        moveend: () => onViewportChange(map)
+    });
+
+    useEffect(() => {
+        onViewportChange(map);
+    }, [map, onViewportChange]);
+
+    return null;
+};
+
 const CustomMap = () => { // Remove selectedDataSource prop - get from Redux
     const dispatch = useDispatch();
     const [currentMapView, setCurrentMapView] = useState('street');
 
-    // Animation refs for smooth timing
-    const animationFrameRef = useRef(null);
-    const lastFrameTimeRef = useRef(0);
-    const frameIntervalRef = useRef(1000); // 1 second default
-
     // Weather state from Redux
     const weatherData = useSelector(selectWeatherData);
     const timeSteps = useSelector(selectTimeSteps);
-    const fetchingBatches = useSelector(selectFetchingBatches);
+    const currentStep = useSelector(selectCurrentStepStatus);
+
+    // Selected data source and its time axis
+    const dataSource = useDataSource();
+    const { capabilities } = dataSource;
+    const timeAxis = useSelector(dataSource.selectTimeAxis);
+    const isPlaying = timeAxis.isPlaying;
+    const [levels] = useLevels();
 
     // UI state from Redux
-    const isPlaying = useSelector(selectIsPlaying);
     const hoverData = useSelector(selectHoverData);
     const mapCenter = useSelector(selectMapCenter);
     const mapZoom = useSelector(selectMapZoom);
     const showGrids = useSelector(selectShowGrid);
-    const selectedDataSource = useSelector(selectSelectedDataSource);
     const opacity = useSelector(selectOpacity); // Add opacity from Redux // Get from Redux
+    const showRaster = useSelector(selectShowRaster);
+    const rasterHover = useSelector(selectRasterHover);
 
     // OpenMeteo state from Redux
     const drawingMode = useSelector(selectDrawingMode);
     const polygonPoints = useSelector(selectPolygonPoints);
     const openMeteoData = useSelector(selectOpenMeteoData);
-    const openMeteoHasValidData = useSelector(selectOpenMeteoHasValidData);
-    const openMeteoIsPlaying = useSelector(selectOpenMeteoIsPlaying);
     const openMeteoCurrentTimeIndex = useSelector(selectOpenMeteoCurrentTimeIndex);
 
+    // Local file drag-and-drop state
+    const localFile = useSelector(selectLocalFile);
+    const gribLoading = useSelector(selectGribLoading);
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+
     const handleZoomChange = useCallback((zoom) => {
         dispatch(setMapZoom(zoom));
-        // Clear hover data when zoomed out beyond level 10
-        if (zoom < 10 && hoverData) dispatch(clearHoverData());
-    }, [dispatch, hoverData]);
+        // Clear hover data when zoomed out beyond the source's hover level
+        if (zoom < capabilities.hoverMinZoom && hoverData) dispatch(clearHoverData());
+    }, [dispatch, hoverData, capabilities.hoverMinZoom]);
 
-    const handleViewChange = useCallback((view) => {
-        setCurrentMapView(view.id);
-    }, []);
+    const handleViewportChange = useCallback((map) => {
+        if (!dataSource.setViewport) return;
 
-    // Animation loop for WRF data only
-    const animationLoop = useCallback((currentTime) => {
-        if (!isPlaying || selectedDataSource !== 'wrf' || (!weatherData || timeSteps.length === 0)) {
-            animationFrameRef.current = null;
-            return;
-        }
+        const bounds = map.getBounds();
+        dispatch(dataSource.setViewport({
+            bounds: { south: bounds.getSouth(), north: bounds.getNorth(), west: bounds.getWest(), east: bounds.getEast() },
+            zoom: map.getZoom()
+        }));
+    }, [dispatch, dataSource]);
 
-        // Check if enough time has passed for next frame
-        if (currentTime - lastFrameTimeRef.current >= frameIntervalRef.current) {
-            // Advance to next time step
-            dispatch(advanceTime());
-            lastFrameTimeRef.current = currentTime;
-        }
+    // Grid cells are hovered once zoomed in to the source's hover level on loaded data
+    const showGridHover = mapZoom >= capabilities.hoverMinZoom && timeAxis.hasData;
 
-        // Continue animation loop
-        animationFrameRef.current = requestAnimationFrame(animationLoop);
-    }, [isPlaying, weatherData, timeSteps.length, dispatch, selectedDataSource]);
+    // The step under the slider whose batch hasn't arrived yet (ControlPanel's playback holds on it)
+    const isCurrentStepPending = capabilities.batches && Boolean(currentStep) && !currentStep.loaded;
 
-    // Start/stop animation with requestAnimationFrame for WRF
-    useEffect(() => {
-        if (isPlaying && selectedDataSource === 'wrf' && weatherData && timeSteps.length > 0) {
-            // Reset timing
-            lastFrameTimeRef.current = performance.now();
-
-            // Start animation loop
-            if (!animationFrameRef.current) {
-                animationFrameRef.current = requestAnimationFrame(animationLoop);
-            }
-        } else {
-            // Stop animation
-            if (animationFrameRef.current) {
-                cancelAnimationFrame(animationFrameRef.current);
-                animationFrameRef.current = null;
-            }
-        }
-
-        // Cleanup on unmount or when dependencies change
-        return () => {
-            if (animationFrameRef.current) {
-                cancelAnimationFrame(animationFrameRef.current);
-                animationFrameRef.current = null;
-            }
-        };
-    }, [isPlaying, weatherData, timeSteps.length, animationLoop, selectedDataSource]);
+    const handleViewChange = useCallback((view) => {
+        setCurrentMapView(view.id);
+    }, []);
 
     // Stop animation when data is not available for WRF
     useEffect(() => {
-        if (isPlaying && selectedDataSource === 'wrf' && (!weatherData || timeSteps.length === 0)) {
-            dispatch(setIsPlaying(false));
-        }
-    }, [weatherData, timeSteps.length, isPlaying, dispatch, selectedDataSource]);
-
-    // Dynamic frame rate based on data availability and performance
-    useEffect(() => {
-        // Adjust frame interval based on conditions
-        if (fetchingBatches.length > 0) {
-            // Slower when loading data
-            frameIntervalRef.current = 1500;
-        } else if (timeSteps.length > 50) {
-            // Faster for longer sequences
-            frameIntervalRef.current = 800;
-        } else {
-            // Default speed
-            frameIntervalRef.current = 1000;
+        if (isPlaying && capabilities.batches && (!weatherData || timeSteps.length === 0)) {
+            dispatch(dataSource.setIsPlaying(false));
         }
-    }, [fetchingBatches.length, timeSteps.length]);
+    }, [weatherData, timeSteps.length, isPlaying, dispatch, dataSource, capabilities.batches]);
 
     // Handle hover events - Modified to respect zoom level and map boundaries
     const handleHover = useCallback((hoverInfo) => {
-        // Only set hover data if zoom level is 10 or higher
-        if (mapZoom >= 10) {
+        // Only set hover data once zoomed in to the source's hover level
+        if (mapZoom >= capabilities.hoverMinZoom) {
             if (hoverInfo) dispatch(setHoverData(hoverInfo));
             else dispatch(clearHoverData());
         } else {
             // Clear hover data if zoomed out
             dispatch(clearHoverData());
         }
-    }, [dispatch, mapZoom]);
+    }, [dispatch, mapZoom, capabilities.hoverMinZoom]);
+
+    // Clicking a cell opens its sounding, for runs with upper-air fields, and picks the point
+    // charted in the run comparison
+    const handleCellClick = useCallback(({ center }) => {
+        const point = { lat: center[0], lon: center[1] };
+        if (levels.length > 0) dispatch(setSoundingPoint(point));
+        dispatch(setComparisonPoint(point));
+    }, [dispatch, levels.length]);
 
     const handleMapMouseLeave = useCallback(() => {
         dispatch(clearHoverData());
     }, [dispatch]);
 
+    // Drag-and-drop of wrfout NetCDF / GRIB2 files straight onto the map
+    const handleDragOver = useCallback((e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        setIsDraggingFile(true);
+    }, []);
+
+    const handleDragLeave = useCallback((e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false);
+    }, []);
+
+    const handleDrop = useCallback((e) => {
+        e.preventDefault();
+        setIsDraggingFile(false);
+
+        const file = e.dataTransfer.files?.[0];
+        if (!file) return;
+
+        // Files are decoded into the grid store, so they open in the source that reads local files
+        const fileSource = listDataSources().find(source => source.capabilities.localFiles);
+        dispatch(dataSource.setIsPlaying(false));
+        dispatch(setSelectedDataSource(fileSource.id));
+        dispatch(setShowGrid(true));
+        dispatch(isGribFile(file) ? loadGribFile(file) : loadWrfoutFile(file));
+    }, [dispatch, dataSource]);
+
+    const isReadingFile = localFile?.loading || gribLoading;
+
     // Get current view configuration
     const currentViewConfig = MAP_VIEWS.find(view => view.id === currentMapView) || MAP_VIEWS[0];
 
     // Determine which overlays to show based on data source
-    const shouldShowGridOverlay = selectedDataSource === 'wrf' && weatherData && showGrids;
+    const shouldShowGridOverlay = capabilities.gridOverlay && showGrids;
     const shouldShowPolygonOverlay = polygonPoints.length > 0; // Show if polygon exists, regardless of data source
-    const shouldShowStandardOverlays = selectedDataSource === 'wrf';
 
     return (
         <div className="relative h-screen w-full">
-            <div className="relative h-full w-full" onMouseLeave={handleMapMouseLeave}>
+            <div className="relative h-full w-full" onMouseLeave={handleMapMouseLeave}
+                onDragOver={handleDragOver} onDragLeave={handleDragLeave} onDrop={handleDrop}>
                 <MapContainer
                     center={mapCenter}
                     zoom={mapZoom}
@@ -283,27 +307,29 @@ const CustomMap = () => { // Remove selectedDataSource prop - get from Redux
                     <TileLayer
                         key={currentMapView} // Force re-render when view changes
                         url={currentViewConfig.url}
-                        attribution={currentViewConfig.attribution} />
+                        attribution={currentViewConfig.attribution}
+                        crossOrigin="anonymous" // CORS tiles can be cached by the service worker (opaque ones can't)
+                    />
 
                     <ZoomTracker onZoomChange={handleZoomChange} />
+                    <ViewportTracker onViewportChange={handleViewportChange} />
+
+                    {/* COG raster layer, drawn under the model grid */}
+                    {showRaster && <RasterOverlay />}
 
                     {/* Standard WRF Overlays */}
                     {shouldShowGridOverlay && (
-                        <GridOverlay onHover={handleHover} className='z-20' />
+                        <GridOverlay onHover={handleHover} onCellClick={handleCellClick} className='z-20' />
                     )}
 
-                    {shouldShowStandardOverlays && (
-                        <>
-                            <WindOverlay />
-                            <StationsOverlay />
-                        </>
-                    )}
+                    {capabilities.windOverlay && <WindOverlay />}
+                    {capabilities.stations && <StationsOverlay />}
 
-                    {/* Polygon Overlay - Only render when in OpenMeteo mode */}
-                    {selectedDataSource === 'openmeteo' && (
+                    {/* Polygon Overlay - Only render for sources drawn as a polygon (OpenMeteo) */}
+                    {capabilities.polygonDrawing && (
                         <PolygonOverlay 
                             onHover={handleHover} 
-                            selectedDataSource={selectedDataSource}
+                            selectedDataSource={dataSource.id}
                             currentTimeIndex={openMeteoCurrentTimeIndex}
                             weatherData={openMeteoData}
                             opacity={opacity}
@@ -314,17 +340,59 @@ const CustomMap = () => { // Remove selectedDataSource prop - get from Redux
                     <ZWSOverlay />
                 </MapContainer>
 
+                {/* Drop target / file reading indicator */}
+                {(isDraggingFile || isReadingFile) && (
+                    <div className="absolute inset-0 z-30 flex items-center justify-center bg-blue-600/10 border-4 border-dashed border-blue-400 pointer-events-none">
+                        <div className="bg-white rounded-lg shadow-lg px-6 py-4 text-center">
+                            <div className="text-sm font-semibold text-gray-800">
+                                {isReadingFile ? 'Reading file...' : 'Drop a wrfout NetCDF or GRIB2 file'}
+                            </div>
+                            {localFile?.loading && (
+                                <div className="text-xs text-gray-500 mt-1">
+                                    {localFile.name} - {Math.round(localFile.progress * 100)}%
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {/* Placeholder for a time step whose batch is still on its way */}
+                {isCurrentStepPending && weatherData && !isReadingFile && (
+                    <div className="absolute top-4 left-1/2 -translate-x-1/2 z-30 flex items-center gap-2 bg-white/90 rounded-lg shadow px-4 py-2 text-sm text-gray-700">
+                        {currentStep.status === 'failed' ? (
+                            <>
+                                <span>Time step {currentStep.timeIndex + 1} failed to load</span>
+                                <button onClick={() => dispatch(retryFailedBatches())}
+                                    className="font-medium text-blue-600 hover:text-blue-800 cursor-pointer">Retry</button>
+                            </>
+                        ) : (
+                            <>
+                                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+                                <span>
+                                    Loading time step {currentStep.timeIndex + 1}
+                                    {currentStep.attempts > 1 ? ` (attempt ${currentStep.attempts})` : '...'}
+                                </span>
+                            </>
+                        )}
+                    </div>
+                )}
+
                 {/* View Selector positioned below zoom controls */}
                 <ViewSelector
                     currentView={currentMapView}
                     onViewChange={handleViewChange}
                 />
 
-                {/* Show hover tooltip based on conditions */}
-                {((mapZoom >= 10 && selectedDataSource === 'wrf') ||
-                    (selectedDataSource === 'openmeteo' && openMeteoHasValidData)) && (
-                        <HoverTooltip />
-                    )}
+                {/* Grid cell values once zoomed in on loaded data; raster values whenever there are any */}
+                {(showGridHover || rasterHover) && (
+                    <HoverTooltip showGridHover={showGridHover} />
+                )}
+
+                {/* Sounding of the clicked cell and the run comparison, below the map view selector */}
+                <div className="absolute top-36 right-2.5 bottom-2.5 z-30 w-[360px] max-w-[calc(100%-1.25rem)] flex flex-col gap-2 overflow-y-auto pointer-events-none [&>*]:pointer-events-auto">
+                    <SkewT />
+                    <RunComparison />
+                </div>
             </div>
 
             <Legend />
@@ -0,0 +1,162 @@
+import { BATCH_ACCEPT_HEADER, decodeBatchResponse, expandVariable } from './batchFormat';
+import { cropField, cropIndices, fieldToFloat32 } from './globalGrid';
+import { openZarrStore, openZarrArray, readZarrSelection, readZarrArray } from './zarr';
+
+// Full-resolution fields fetched recently, least recently used first. A 0.25° global field is
+// ~4 MB as Float32, and keeping a few around lets panning re-crop without downloading again.
+const MAX_FIELDS = 12;
+const fields = new Map(); // url -> Float32Array
+
+const getField = async (url, scale, offset) => {
+  if (fields.has(url)) {
+    const field = fields.get(url);
+    fields.delete(url);
+    fields.set(url, field);
+    return field;
+  }
+
+  const response = await fetch(url, { headers: { Accept: BATCH_ACCEPT_HEADER } });
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+  const field = fieldToFloat32(expandVariable(await decodeBatchResponse(response)), scale, offset);
+
+  fields.set(url, field);
+  if (fields.size > MAX_FIELDS) fields.delete(fields.keys().next().value);
+  return field;
+};
+
+// Zarr stores and arrays opened so far; failed opens are forgotten so a retry refetches them
+const zarrStores = new Map(); // store URL -> { store: Promise, arrays: Map(path -> Promise) }
+
+const forgetOnFailure = (promise, map, key) => promise.catch((error) => {
+  map.delete(key);
+  throw error;
+});
+
+const getZarrArray = (storeUrl, path) => {
+  if (!zarrStores.has(storeUrl)) {
+    zarrStores.set(storeUrl, { store: forgetOnFailure(openZarrStore(storeUrl), zarrStores, storeUrl), arrays: new Map() });
+  }
+  const { store, arrays } = zarrStores.get(storeUrl);
+  if (!arrays.has(path)) {
+    arrays.set(path, forgetOnFailure(store.then(opened => openZarrArray(opened, path)), arrays, path));
+  }
+  return arrays.get(path);
+};
+
+// Which dimensions of a field array are time, latitude and longitude. xarray names them in
+// _ARRAY_DIMENSIONS; without it the layout is taken to be [time, ..., lat, lon].
+const fieldAxes = (array) => {
+  const ndim = array.shape.length;
+  if (!array.dimensions) {
+    return { time: ndim >= 3 ? 0 : -1, lat: ndim - 2, lon: ndim - 1, names: null };
+  }
+
+  const names = array.dimensions;
+  const lat = names.findIndex(name => /^(lat|latitude)$/i.test(name));
+  const lon = names.findIndex(name => /^(lon|longitude)$/i.test(name));
+  if (lat < 0 || lon < 0) throw new Error(`No latitude/longitude dimensions in ${names.join(', ')}`);
+
+  return { time: names.findIndex(name => /time|step/i.test(name)), lat, lon, names };
+};
+
+// Regular grid ({ corner, size, steps } of point positions) from 1-D coordinate values
+const regularGrid = (lats, lons) => {
+  const isRegular = (values) => values.every((value, i) =>
+    i === 0 || Math.abs(value - values[i - 1] - (values[1] - values[0])) < Math.abs(values[1] - values[0]) * 0.01);
+  if (lats.length < 2 || lons.length < 2 || !isRegular(lats) || !isRegular(lons)) {
+    throw new Error('Zarr field is not on a regular lat/lon grid');
+  }
+
+  return { corner: [lats[0], lons[0]], size: [lats.length, lons.length], steps: [lats[1] - lats[0], lons[1] - lons[0]] };
+};
+
+// Grid and number of steps of a Zarr store, taken from the first variable
+const describeZarrStore = async (storeUrl, variables) => {
+  const arrays = await Promise.all(variables.map(variable => getZarrArray(storeUrl, variable)));
+  const axes = fieldAxes(arrays[0]);
+
+  let grid = null;
+  if (axes.names) {
+    const [latArray, lonArray] = await Promise.all([axes.names[axes.lat], axes.names[axes.lon]]
+      .map(name => getZarrArray(storeUrl, name).catch(() => null)));
+    if (latArray && lonArray) grid = regularGrid(await readZarrArray(latArray), await readZarrArray(lonArray));
+  }
+
+  return { grid, totalSteps: axes.time >= 0 ? arrays[0].shape[axes.time] : 1 };
+};
+
+// Read only the chunks under a crop: one step, the crop's rows and columns, index 0 of any other dimension
+const readZarrCrop = async ({ storeUrl, variable, timeIndex, scale, offset, sourceGrid, cropGrid }) => {
+  const array = await getZarrArray(storeUrl, variable);
+  const axes = fieldAxes(array);
+
+  if (array.shape[axes.lat] !== sourceGrid.size[0] || array.shape[axes.lon] !== sourceGrid.size[1]) {
+    throw new Error(`${variable} is ${array.shape[axes.lat]} x ${array.shape[axes.lon]}, grid is ${sourceGrid.size.join(' x ')}`);
+  }
+
+  const { rowIndices, colIndices } = cropIndices(sourceGrid, cropGrid);
+  const selection = array.shape.map((_, d) => {
+    if (d === axes.lat) return rowIndices;
+    if (d === axes.lon) return colIndices;
+    return [d === axes.time ? timeIndex : 0];
+  });
+
+  let values = await readZarrSelection(array, selection);
+
+  // Stored lon-major: transpose to the row (lat) major layout of grid_info
+  if (axes.lon < axes.lat) {
+    const transposed = new Float32Array(values.length);
+    rowIndices.forEach((_, row) => colIndices.forEach((_, col) => {
+      transposed[row * colIndices.length + col] = values[col * rowIndices.length + row];
+    }));
+    values = transposed;
+  }
+
+  return fieldToFloat32(values, scale, offset);
+};
+
+// Fetches one AI-model field (a variable at a step), decodes it and crops it to the map view,
+// so the main thread only ever sees the few thousand cells on screen. Fields come either as
+// one file per step (LOAD_FIELD) or from a Zarr store, where only the chunks under the crop
+// are fetched (LOAD_ZARR_FIELD).
+self.onmessage = async (e) => {
+  const { type, jobId, url, scale, offset, sourceGrid, cropGrid } = e.data;
+
+  if (type === 'LOAD_FIELD') {
+    try {
+      const field = await getField(url, scale, offset);
+
+      const expected = sourceGrid.size[0] * sourceGrid.size[1];
+      if (field.length < expected) {
+        throw new Error(`Field has ${field.length} values, expected ${expected}`);
+      }
+
+      const values = cropField(field, sourceGrid, cropGrid);
+      self.postMessage({ type: 'FIELD_SUCCESS', jobId, values }, [values.buffer]);
+    } catch (error) {
+      console.error(`❌ Worker error for ${url}:`, error);
+      self.postMessage({ type: 'FIELD_ERROR', jobId, error: error.message });
+    }
+  }
+
+  if (type === 'LOAD_ZARR_FIELD') {
+    try {
+      const values = await readZarrCrop(e.data);
+      self.postMessage({ type: 'FIELD_SUCCESS', jobId, values }, [values.buffer]);
+    } catch (error) {
+      console.error(`❌ Worker error for ${e.data.variable} in ${e.data.storeUrl}:`, error);
+      self.postMessage({ type: 'FIELD_ERROR', jobId, error: error.message });
+    }
+  }
+
+  if (type === 'OPEN_ZARR') {
+    try {
+      const store = await describeZarrStore(e.data.storeUrl, e.data.variables);
+      self.postMessage({ type: 'ZARR_OPENED', jobId, store });
+    } catch (error) {
+      console.error(`❌ Worker error opening ${e.data.storeUrl}:`, error);
+      self.postMessage({ type: 'FIELD_ERROR', jobId, error: error.message });
+    }
+  }
+};
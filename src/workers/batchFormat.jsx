@@ -0,0 +1,150 @@
+import { decode } from '@msgpack/msgpack';
+import { inflate } from 'pako';
+
+// Batches can be served as plain JSON or as (optionally gzipped) MessagePack.
+// The backend picks the format from the Accept header we send.
+export const BATCH_ACCEPT_HEADER = 'application/x-msgpack, application/msgpack;q=0.9, application/json;q=0.8';
+
+const MSGPACK_CONTENT_TYPES = ['application/x-msgpack', 'application/msgpack', 'application/vnd.msgpack'];
+
+// dtype names used by the backend for binary value payloads
+const TYPED_ARRAYS = {
+  int8: Int8Array, uint8: Uint8Array,
+  int16: Int16Array, uint16: Uint16Array,
+  int32: Int32Array, uint32: Uint32Array,
+  float32: Float32Array, float64: Float64Array,
+};
+
+// gzip streams always start with 0x1f 0x8b
+const isGzipped = (bytes) => bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+const isTypedPayload = (value) =>
+  value !== null && typeof value === 'object' && typeof value.dtype === 'string' && value.data instanceof Uint8Array;
+
+// Turn a { dtype, data } payload into a typed array of its own. The bin slice handed
+// back by msgpack points into the whole response buffer at an arbitrary offset,
+// so it is copied first to get an aligned buffer that can also be transferred.
+const expandTypedPayload = ({ dtype, data }) => {
+  const TypedArray = TYPED_ARRAYS[dtype];
+  if (!TypedArray) throw new Error(`Unsupported batch dtype: ${dtype}`);
+
+  const aligned = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  return new TypedArray(aligned);
+};
+
+// Variables are either plain arrays, typed payloads, or objects of those (e.g. WIND: { speed, direction })
+export const expandVariable = (value) => {
+  if (isTypedPayload(value)) return expandTypedPayload(value);
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, expandVariable(inner)]));
+  }
+  return value;
+};
+
+const expandVariables = (variables) =>
+  Object.fromEntries(Object.entries(variables || {}).map(([name, value]) => [name, expandVariable(value)]));
+
+// Normalise a decoded MessagePack batch into the same shape as the JSON batches. Ensemble batches
+// carry a variables object per member next to each step's own.
+export const expandBatchValues = (batch) => {
+  if (!batch?.time_series) return batch;
+
+  return {
+    ...batch,
+    time_series: batch.time_series.map(timeData => ({
+      ...timeData,
+      variables: expandVariables(timeData.variables),
+      ...(Array.isArray(timeData.members) && { members: timeData.members.map(expandVariables) })
+    }))
+  };
+};
+
+// JSON value arrays (numbers and nulls) as Float32Arrays with NaN for the nulls, so a batch
+// leaves the worker as buffers rather than boxed numbers
+const packValues = (value) => {
+  if (Array.isArray(value)) {
+    if (!value.every(item => item === null || typeof item === 'number')) return value;
+    return Float32Array.from(value, item => (item === null ? NaN : item));
+  }
+  if (value && typeof value === 'object' && !ArrayBuffer.isView(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, packValues(inner)]));
+  }
+  return value;
+};
+
+const packBatchValues = (batch) => {
+  if (!batch?.time_series) return batch;
+
+  return {
+    ...batch,
+    time_series: batch.time_series.map(timeData => ({
+      ...timeData,
+      variables: packValues(timeData.variables || {}),
+      ...(Array.isArray(timeData.members) && { members: timeData.members.map(packValues) })
+    }))
+  };
+};
+
+// Buffers of a batch's value arrays, to hand to postMessage as transferables
+export const batchTransferables = (batch) => {
+  const buffers = new Set();
+  const collect = (value) => {
+    if (ArrayBuffer.isView(value)) buffers.add(value.buffer);
+    else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+  };
+  (batch?.time_series || []).forEach(({ variables, members }) => {
+    collect(variables);
+    collect(members);
+  });
+  return [...buffers];
+};
+
+// Decode a batch response body regardless of which format the backend chose. Also gives the
+// size of the (inflated) body, which the cache counts as the batch's size.
+const readBatchResponse = async (response) => {
+  const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+
+  let bytes = new Uint8Array(await response.arrayBuffer());
+
+  // Browsers only inflate transparently when Content-Encoding is set, so
+  // pre-compressed .msgpack.gz files served as-is are inflated here
+  if (isGzipped(bytes)) bytes = inflate(bytes);
+
+  const isMsgpack = MSGPACK_CONTENT_TYPES.some(type => contentType.includes(type));
+
+  // JSON, or an unknown or missing content type that looks like a JSON object/array
+  if (contentType.includes('json') || (!isMsgpack && (bytes[0] === 0x7b || bytes[0] === 0x5b))) {
+    return { data: JSON.parse(new TextDecoder().decode(bytes)), size: bytes.length };
+  }
+
+  return { data: expandBatchValues(decode(bytes)), size: bytes.length };
+};
+
+export const decodeBatchResponse = async (response) => (await readBatchResponse(response)).data;
+
+// Fetch and decode a single /data/NNN batch into { data, size }, values packed as typed
+// arrays (see batchTransferables). Nested domains are asked for with
+// options.domain (e.g. 2 -> /data/NNN?domain=d02); the outer domain has no query.
+// options.run picks an older run by its initial timestamp (?run=2025-07-01_00:00:00),
+// otherwise the backend serves its latest.
+export const fetchBatch = async (backendUrl, batchNumber, options = {}) => {
+  const { domain, run, ...init } = options;
+  const paddedBatchNumber = String(batchNumber).padStart(3, '0');
+  const params = new URLSearchParams();
+  if (domain) params.set('domain', `d${String(domain).padStart(2, '0')}`);
+  if (run) params.set('run', run);
+  const query = params.toString() ? `?${params}` : '';
+  const response = await fetch(`${backendUrl}/data/${paddedBatchNumber}${query}`, {
+    ...init,
+    headers: { Accept: BATCH_ACCEPT_HEADER, ...init.headers }
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const { data, size } = await readBatchResponse(response);
+  return { data: packBatchValues(data), size };
+};
@@ -0,0 +1,187 @@
+// Schedules /data/NNN batch downloads over a pool of batch workers with
+// priorities, per-request timeouts, exponential backoff and cancellation.
+// Status changes are reported through callbacks so the app can mirror them in Redux.
+
+const DEFAULT_OPTIONS = {
+  concurrency: Number(import.meta.env.VITE_BATCH_CONCURRENCY) || 3,
+  maxRetries: 4,
+  baseDelay: 1000,   // first retry after ~1s, then 2s, 4s, 8s...
+  maxDelay: 30000,
+  timeout: 60000,    // per request
+};
+
+export class BatchScheduler {
+  constructor({ onStatus, onSuccess, onCached, checkCache, requestOptions, ...options } = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.onStatus = onStatus || (() => {});
+    this.onSuccess = onSuccess || (() => {});
+    this.onCached = onCached || (() => {});
+    this.checkCache = checkCache || (async () => null);
+    this.requestOptions = requestOptions || (() => ({})); // extra fetch options, e.g. { run }
+
+    this.queue = [];              // jobs waiting for a free worker
+    this.retryTimers = new Map(); // batchNumber -> { timer, job } for jobs backing off
+    this.active = new Map();      // jobId -> job currently checking cache or fetching
+    this.nextJobId = 1;
+
+    this.slots = Array.from({ length: Math.max(1, this.options.concurrency) }, () => {
+      const worker = new Worker(new URL('./batchWorker.jsx', import.meta.url), { type: 'module' });
+      const slot = { worker, job: null };
+      worker.onmessage = (e) => this.handleWorkerMessage(slot, e.data);
+      return slot;
+    });
+  }
+
+  // True if the batch is queued, backing off or in flight. Cancelled jobs stay in `active` until
+  // their worker answers, but no longer count: the batch can be queued again right away.
+  has(batchNumber) {
+    return this.queue.some(job => job.batchNumber === batchNumber) ||
+      this.retryTimers.has(batchNumber) ||
+      [...this.active.values()].some(job => job.batchNumber === batchNumber && !job.cancelled);
+  }
+
+  // Add batches to the queue; batches already known to the scheduler are ignored
+  enqueue(batchNumbers, priority = 0) {
+    batchNumbers.forEach(batchNumber => {
+      if (this.has(batchNumber)) return;
+      this.queue.push({ batchNumber, priority, attempts: 0, cancelled: false });
+      this.onStatus(batchNumber, 'queued', { attempts: 0 });
+    });
+    this.pump();
+  }
+
+  // Move a batch to the front of the queue (skipping any backoff wait)
+  prioritize(batchNumber, priority = 100) {
+    const queued = this.queue.find(job => job.batchNumber === batchNumber);
+    if (queued) {
+      queued.priority = Math.max(queued.priority, priority);
+    } else if (this.retryTimers.has(batchNumber)) {
+      const { timer, job } = this.retryTimers.get(batchNumber);
+      clearTimeout(timer);
+      this.retryTimers.delete(batchNumber);
+      job.priority = Math.max(job.priority, priority);
+      this.queue.push(job);
+    } else if (!this.has(batchNumber)) {
+      this.enqueue([batchNumber], priority);
+      return;
+    }
+    this.pump();
+  }
+
+  // Drop everything queued, backing off or in flight. Returns the affected batch numbers.
+  cancelAll() {
+    const cancelled = new Set(this.queue.map(job => job.batchNumber));
+
+    this.queue.forEach(job => { job.cancelled = true; });
+    this.queue = [];
+
+    this.retryTimers.forEach(({ timer, job }, batchNumber) => {
+      clearTimeout(timer);
+      job.cancelled = true;
+      cancelled.add(batchNumber);
+    });
+    this.retryTimers.clear();
+
+    this.active.forEach((job, jobId) => {
+      job.cancelled = true;
+      cancelled.add(job.batchNumber);
+      const slot = this.slots.find(s => s.job === job);
+      if (slot) slot.worker.postMessage({ type: 'CANCEL', jobId });
+    });
+
+    if (cancelled.size > 0) console.log(`🛑 Cancelled batches: ${[...cancelled].join(', ')}`);
+    return [...cancelled];
+  }
+
+  destroy() {
+    this.cancelAll();
+    this.slots.forEach(slot => slot.worker.terminate());
+    this.slots = [];
+  }
+
+  // Hand queued jobs to idle workers, highest priority (then earliest batch) first
+  pump() {
+    const idle = this.slots.filter(slot => !slot.job);
+    if (idle.length === 0 || this.queue.length === 0) return;
+
+    this.queue.sort((a, b) => b.priority - a.priority || a.batchNumber - b.batchNumber);
+    idle.forEach(slot => {
+      const job = this.queue.shift();
+      if (job) this.run(slot, job);
+    });
+  }
+
+  async run(slot, job) {
+    const jobId = this.nextJobId++;
+    slot.job = job;
+    this.active.set(jobId, job);
+
+    // IndexedDB first - a hit never touches the network
+    let cached = null;
+    try {
+      cached = await this.checkCache(job.batchNumber);
+    } catch (error) {
+      console.warn(`Cache check failed for batch ${job.batchNumber}, fetching instead:`, error);
+    }
+
+    if (job.cancelled) {
+      this.release(slot, jobId);
+      return;
+    }
+
+    if (cached) {
+      console.log(`📦 Loading batch ${job.batchNumber} from cache (instant)`);
+      this.release(slot, jobId);
+      this.onCached(job.batchNumber, cached);
+      return;
+    }
+
+    job.attempts += 1;
+    this.onStatus(job.batchNumber, 'fetching', { attempts: job.attempts });
+    slot.worker.postMessage({
+      type: 'FETCH_BATCH', jobId, batchNumber: job.batchNumber, timeout: this.options.timeout, ...this.requestOptions()
+    });
+  }
+
+  release(slot, jobId) {
+    this.active.delete(jobId);
+    slot.job = null;
+    this.pump();
+  }
+
+  handleWorkerMessage(slot, message) {
+    const { type, jobId, batchNumber, data, size, error, retryable } = message;
+    const job = this.active.get(jobId);
+    if (!job) return; // result of a job we no longer track
+
+    this.release(slot, jobId);
+    if (job.cancelled || type === 'FETCH_CANCELLED') return;
+
+    if (type === 'FETCH_SUCCESS') {
+      this.onSuccess(batchNumber, data, size);
+      return;
+    }
+
+    // Offline errors would only burn retries; they are retried when the connection returns
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    if (retryable && !offline && job.attempts <= this.options.maxRetries) {
+      const backoff = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** (job.attempts - 1));
+      const delay = Math.round(backoff * (0.75 + Math.random() * 0.5)); // jitter so pools don't retry in lockstep
+
+      console.warn(`⏳ Batch ${batchNumber} failed (${error}), retry ${job.attempts}/${this.options.maxRetries} in ${delay}ms`);
+      this.onStatus(batchNumber, 'queued', { attempts: job.attempts, error, retryAt: Date.now() + delay });
+
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(batchNumber);
+        this.queue.push(job);
+        this.pump();
+      }, delay);
+      this.retryTimers.set(batchNumber, { timer, job });
+      return;
+    }
+
+    console.error(`❌ Batch ${batchNumber} failed after ${job.attempts} attempt(s):`, error);
+    this.onStatus(batchNumber, 'failed', { attempts: job.attempts, error });
+  }
+}
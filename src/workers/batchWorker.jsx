@@ -0,0 +1,56 @@
+import { fetchBatch, batchTransferables } from './batchFormat';
+
+const backendUrl = import.meta.env.VITE_BACKEND_URL;
+
+// In-flight requests by job id, so the scheduler can abort them
+const controllers = new Map();
+
+// Network failures, timeouts, throttling and server errors are worth retrying; other 4xx are not
+const isRetryable = (error) => !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+
+// Fetches and decodes /data/NNN batches off the main thread so JSON parsing,
+// gzip inflation and MessagePack decoding never block the map animation. Values arrive
+// on the main thread as transferred typed arrays, with the decoded size for the cache.
+// BatchScheduler runs a pool of these, one job per worker at a time; batch 1, nest batches
+// and run comparisons go through a worker of their own (weatherSlice fetchBatchInWorker).
+self.onmessage = async (e) => {
+  const { type, jobId, batchNumber, timeout, run, domain } = e.data;
+
+  if (type === 'CANCEL') {
+    controllers.get(jobId)?.abort('cancelled');
+    return;
+  }
+
+  if (type === 'FETCH_BATCH') {
+    const controller = new AbortController();
+    const timer = timeout ? setTimeout(() => controller.abort('timeout'), timeout) : null;
+    controllers.set(jobId, controller);
+
+    try {
+      console.log(`🔄 Worker fetching batch ${batchNumber}...`);
+
+      const { data, size } = await fetchBatch(backendUrl, batchNumber, { domain, run, signal: controller.signal });
+
+      self.postMessage({ type: 'FETCH_SUCCESS', jobId, batchNumber, data, size }, batchTransferables(data));
+
+      console.log(`✅ Worker completed batch ${batchNumber}`);
+    } catch (error) {
+      if (controller.signal.aborted && controller.signal.reason === 'cancelled') {
+        self.postMessage({ type: 'FETCH_CANCELLED', jobId, batchNumber });
+        return;
+      }
+
+      const timedOut = controller.signal.aborted && controller.signal.reason === 'timeout';
+      console.error(`❌ Worker error for batch ${batchNumber}:`, timedOut ? 'timed out' : error);
+
+      self.postMessage({
+        type: 'FETCH_ERROR', jobId, batchNumber,
+        error: timedOut ? `Timed out after ${timeout}ms` : error.message, status: error.status,
+        retryable: timedOut || isRetryable(error)
+      });
+    } finally {
+      clearTimeout(timer);
+      controllers.delete(jobId);
+    }
+  }
+};
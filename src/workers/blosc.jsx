@@ -0,0 +1,212 @@
+import { inflate } from 'pako';
+
+// Decompressor for Blosc 1.x frames as written by numcodecs (the default Zarr v2 compressor).
+// Handles the blosclz, lz4/lz4hc and zlib codecs with byte or bit shuffle; zstd and snappy
+// are reported as unsupported instead of producing garbage.
+
+const BLOSC_HEADER_SIZE = 16;
+const BLOSC_DOSHUFFLE = 0x01;
+const BLOSC_MEMCPYED = 0x02;
+const BLOSC_DOBITSHUFFLE = 0x04;
+const BLOSC_DONT_SPLIT = 0x10;
+
+// Blocks are only split into one stream per byte of the type when both of these hold
+const MAX_SPLITS = 16;
+const MIN_BUFFERSIZE = 128;
+
+const CODEC_NAMES = ['blosclz', 'lz4', 'snappy', 'zlib', 'zstd'];
+
+// blosclz matches may reach this far back with the 16-bit distance escape
+const BLOSCLZ_MAX_DISTANCE = 8191;
+
+const copyMatch = (out, op, distance, length) => {
+  const ref = op - distance;
+  if (ref < 0) throw new Error('Corrupt compressed stream (match before start of block)');
+  // Byte by byte on purpose: matches may overlap the bytes they produce
+  for (let i = 0; i < length; i++) out[op + i] = out[ref + i];
+};
+
+// LZ4 block format (no frame header). Returns the number of bytes written.
+export const decompressLz4Block = (src, out) => {
+  let ip = 0;
+  let op = 0;
+
+  while (ip < src.length) {
+    const token = src[ip++];
+
+    let literals = token >> 4;
+    if (literals === 15) {
+      let byte;
+      do {
+        byte = src[ip++];
+        literals += byte;
+      } while (byte === 255);
+    }
+    out.set(src.subarray(ip, ip + literals), op);
+    ip += literals;
+    op += literals;
+
+    // The last sequence is literals only
+    if (ip >= src.length) break;
+
+    const distance = src[ip] | (src[ip + 1] << 8);
+    ip += 2;
+
+    let length = token & 15;
+    if (length === 15) {
+      let byte;
+      do {
+        byte = src[ip++];
+        length += byte;
+      } while (byte === 255);
+    }
+    length += 4;
+
+    copyMatch(out, op, distance, length);
+    op += length;
+  }
+
+  return op;
+};
+
+// blosclz is a FastLZ (level 2) derivative. Returns the number of bytes written.
+const decompressBlosclz = (src, out) => {
+  let ip = 0;
+  let op = 0;
+  let ctrl = src[ip++] & 31;
+
+  for (;;) {
+    if (ctrl >= 32) {
+      let length = (ctrl >> 5) - 1;
+      let distance = (ctrl & 31) << 8;
+
+      if (length === 7 - 1) {
+        let byte;
+        do {
+          byte = src[ip++];
+          length += byte;
+        } while (byte === 255);
+      }
+
+      const code = src[ip++];
+      distance += code;
+      if (code === 255 && distance === (31 << 8) + 255) {
+        distance = ((src[ip] << 8) | src[ip + 1]) + BLOSCLZ_MAX_DISTANCE;
+        ip += 2;
+      }
+
+      copyMatch(out, op, distance + 1, length + 3);
+      op += length + 3;
+    } else {
+      const literals = ctrl + 1;
+      out.set(src.subarray(ip, ip + literals), op);
+      ip += literals;
+      op += literals;
+    }
+
+    if (ip >= src.length) break;
+    ctrl = src[ip++];
+  }
+
+  return op;
+};
+
+const decompressStream = (codec, src, out) => {
+  switch (codec) {
+    case 'blosclz': return decompressBlosclz(src, out);
+    case 'lz4': return decompressLz4Block(src, out);
+    case 'zlib': {
+      const inflated = inflate(src);
+      out.set(inflated.subarray(0, out.length));
+      return inflated.length;
+    }
+    default: throw new Error(`Blosc codec ${codec} is not supported`);
+  }
+};
+
+// Undo the byte shuffle: bytes were grouped by their position within each element
+const unshuffle = (src, typesize, out, outOffset) => {
+  const elements = Math.floor(src.length / typesize);
+  for (let i = 0; i < elements; i++) {
+    for (let j = 0; j < typesize; j++) {
+      out[outOffset + i * typesize + j] = src[j * elements + i];
+    }
+  }
+  // Trailing bytes that don't make a whole element are stored as-is
+  out.set(src.subarray(elements * typesize), outOffset + elements * typesize);
+};
+
+// Undo the bit shuffle: the block is a [elements x typesize*8] bit matrix stored transposed,
+// least significant bit first. Only whole groups of 8 elements are shuffled.
+const bitunshuffle = (src, typesize, out, outOffset) => {
+  const elements = Math.floor(src.length / typesize / 8) * 8;
+  const rowBytes = elements / 8;
+  out.fill(0, outOffset, outOffset + elements * typesize);
+
+  for (let row = 0; row < typesize * 8; row++) {
+    const byteInElement = row >> 3;
+    const bit = 1 << (row & 7);
+    for (let group = 0; group < rowBytes; group++) {
+      const packed = src[row * rowBytes + group];
+      if (!packed) continue;
+      for (let k = 0; k < 8; k++) {
+        if (packed & (1 << k)) out[outOffset + (group * 8 + k) * typesize + byteInElement] |= bit;
+      }
+    }
+  }
+  out.set(src.subarray(elements * typesize), outOffset + elements * typesize);
+};
+
+export const decompressBlosc = (bytes) => {
+  if (bytes.length < BLOSC_HEADER_SIZE) throw new Error('Blosc frame is too short');
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const flags = bytes[2];
+  const typesize = bytes[3];
+  const nbytes = view.getUint32(4, true);
+  const blocksize = view.getUint32(8, true);
+
+  const out = new Uint8Array(nbytes);
+  if (flags & BLOSC_MEMCPYED) {
+    out.set(bytes.subarray(BLOSC_HEADER_SIZE, BLOSC_HEADER_SIZE + nbytes));
+    return out;
+  }
+
+  const codec = CODEC_NAMES[flags >> 5] || `#${flags >> 5}`;
+  const unshuffleBlock = (flags & BLOSC_DOBITSHUFFLE) ? bitunshuffle
+    : (flags & BLOSC_DOSHUFFLE) && typesize > 1 ? unshuffle : null;
+  const shuffled = unshuffleBlock !== null;
+  const nblocks = Math.ceil(nbytes / blocksize);
+  const block = new Uint8Array(blocksize);
+
+  for (let b = 0; b < nblocks; b++) {
+    const blockStart = b * blocksize;
+    const size = Math.min(blocksize, nbytes - blockStart);
+    const leftover = size < blocksize;
+    const splits = !(flags & BLOSC_DONT_SPLIT) && !leftover &&
+      typesize <= MAX_SPLITS && size / typesize >= MIN_BUFFERSIZE ? typesize : 1;
+    const splitSize = size / splits;
+
+    const target = shuffled ? block : out;
+    const targetOffset = shuffled ? 0 : blockStart;
+    let ip = view.getUint32(BLOSC_HEADER_SIZE + b * 4, true);
+
+    for (let s = 0; s < splits; s++) {
+      const compressed = view.getInt32(ip, true);
+      ip += 4;
+      const dest = target.subarray(targetOffset + s * splitSize, targetOffset + (s + 1) * splitSize);
+
+      // A stream that didn't shrink is stored raw
+      if (compressed === splitSize) {
+        dest.set(bytes.subarray(ip, ip + compressed));
+      } else if (decompressStream(codec, bytes.subarray(ip, ip + compressed), dest) !== splitSize) {
+        throw new Error(`Corrupt Blosc block ${b}`);
+      }
+      ip += compressed;
+    }
+
+    if (shuffled) unshuffleBlock(block.subarray(0, size), typesize, out, blockStart);
+  }
+
+  return out;
+};
@@ -0,0 +1,42 @@
+import { openCog, readCogView } from './geotiff';
+
+// Open files, kept for their IFDs and decoded tiles; failed opens are forgotten so a retry refetches
+const MAX_FILES = 8;
+const cogs = new Map(); // url -> Promise of an opened COG
+
+const getCog = (url) => {
+  if (cogs.has(url)) {
+    const cog = cogs.get(url);
+    cogs.delete(url);
+    cogs.set(url, cog);
+    return cog;
+  }
+
+  const cog = openCog(url).catch((error) => {
+    cogs.delete(url);
+    throw error;
+  });
+  cogs.set(url, cog);
+  if (cogs.size > MAX_FILES) cogs.delete(cogs.keys().next().value);
+  return cog;
+};
+
+// Reads the part of a COG band under the map view, from the overview matching the zoom
+self.onmessage = async (e) => {
+  const { type, jobId, url, bounds, screenWidth, band } = e.data;
+
+  if (type === 'READ_COG_VIEW') {
+    try {
+      const cog = await getCog(url);
+      if (band >= cog.bandCount) throw new Error(`Band ${band + 1} requested, the file has ${cog.bandCount}`);
+
+      const view = await readCogView(cog, bounds, screenWidth, band);
+      const bands = Array.from({ length: cog.bandCount }, (_, i) => cog.bands[i]?.name || `Band ${i + 1}`);
+
+      self.postMessage({ type: 'COG_SUCCESS', jobId, view, bands }, view ? [view.values.buffer] : []);
+    } catch (error) {
+      console.error(`❌ Worker error reading ${url}:`, error);
+      self.postMessage({ type: 'COG_ERROR', jobId, error: error.message });
+    }
+  }
+};
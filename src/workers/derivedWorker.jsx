@@ -0,0 +1,36 @@
+import { computeDerivedGrid } from '../hooks/derived';
+import { parseExpression, evaluateExpressionGrid } from '../hooks/expression';
+import { memberStatistics, exceedanceProbability } from '../hooks/ensemble';
+
+// Derived variables (wind speed, dew point, ...), user expression layers and ensemble products
+// are computed here so a large domain doesn't stall the map. The inputs arrive as copies of the
+// grid store's grids, in the order of the variable's inputs (or as the members of one variable),
+// and the results are handed back without copying.
+const parsedExpressions = new Map(); // source -> parseExpression() result
+
+const compute = ({ type, key, expression, inputs, members, threshold, earlier }) => {
+  if (type === 'COMPUTE_DERIVED') return computeDerivedGrid(key, inputs);
+  if (type === 'COMPUTE_ENSEMBLE') return memberStatistics(members);
+  if (type === 'COMPUTE_EXCEEDANCE') return exceedanceProbability(members, threshold, earlier);
+
+  if (!parsedExpressions.has(expression)) parsedExpressions.set(expression, parseExpression(expression));
+  return evaluateExpressionGrid(parsedExpressions.get(expression), inputs);
+};
+
+const COMPUTE_TYPES = ['COMPUTE_DERIVED', 'COMPUTE_EXPRESSION', 'COMPUTE_ENSEMBLE', 'COMPUTE_EXCEEDANCE'];
+
+self.onmessage = (e) => {
+  const { type, jobId, key } = e.data;
+
+  if (COMPUTE_TYPES.includes(type)) {
+    try {
+      // One grid, or { mean, std, min, max } for COMPUTE_ENSEMBLE
+      const values = compute(e.data);
+      const transfer = ArrayBuffer.isView(values) ? [values.buffer] : Object.values(values).map(grid => grid.buffer);
+      self.postMessage({ type: 'DERIVED_SUCCESS', jobId, values }, transfer);
+    } catch (error) {
+      console.error(`❌ Worker error computing ${key}:`, error);
+      self.postMessage({ type: 'DERIVED_ERROR', jobId, error: error.message });
+    }
+  }
+};
@@ -0,0 +1,507 @@
+import { inflate } from 'pako';
+
+// Reader for Cloud-Optimized GeoTIFFs over HTTP. The header and IFDs come from the first bytes
+// of the file; pixel data is read with range requests, one tile at a time, from the overview
+// whose resolution matches the map view. Classic TIFF and BigTIFF, tiled or stripped, with
+// deflate, LZW or PackBits compression and the horizontal / floating-point predictors.
+// Rasters must be in geographic coordinates (e.g. EPSG:4326) or Web Mercator (EPSG:3857).
+
+// Most COGs keep every IFD in the first few KB; anything beyond is fetched on demand
+const HEADER_BYTES = 64 * 1024;
+
+// Decoded tiles kept per file (a 512 x 512 tile is 1 MB as Float32), oldest dropped first
+const MAX_TILES = 64;
+
+const TAGS = {
+  NewSubfileType: 254, ImageWidth: 256, ImageLength: 257, BitsPerSample: 258, Compression: 259,
+  StripOffsets: 273, SamplesPerPixel: 277, RowsPerStrip: 278, StripByteCounts: 279,
+  PlanarConfiguration: 284, Predictor: 317, TileWidth: 322, TileLength: 323, TileOffsets: 324,
+  TileByteCounts: 325, SampleFormat: 339, ModelPixelScale: 33550, ModelTiepoint: 33922,
+  GeoKeyDirectory: 34735, GdalMetadata: 42112, GdalNodata: 42113
+};
+
+// TIFF field type -> [byte size, DataView getter]
+const FIELD_TYPES = {
+  1: [1, 'getUint8'], 2: [1, 'getUint8'], 3: [2, 'getUint16'], 4: [4, 'getUint32'],
+  5: [8, 'rational'], 6: [1, 'getInt8'], 7: [1, 'getUint8'], 8: [2, 'getInt16'],
+  9: [4, 'getInt32'], 10: [8, 'srational'], 11: [4, 'getFloat32'], 12: [8, 'getFloat64'],
+  16: [8, 'uint64'], 17: [8, 'uint64'], 18: [8, 'uint64']
+};
+
+// SampleFormat (1 uint, 2 int, 3 float) + bits -> DataView getter
+const SAMPLE_GETTERS = {
+  '1-8': 'getUint8', '1-16': 'getUint16', '1-32': 'getUint32',
+  '2-8': 'getInt8', '2-16': 'getInt16', '2-32': 'getInt32',
+  '3-32': 'getFloat32', '3-64': 'getFloat64'
+};
+
+const PROJECTED_CS_TYPE_KEY = 3072;
+const RASTER_TYPE_KEY = 1025;
+const RASTER_PIXEL_IS_POINT = 2;
+const WEB_MERCATOR_CODES = [3857, 900913, 102100, 102113];
+
+const EARTH_RADIUS = 6378137;
+
+export const lonToMercatorX = (lon) => EARTH_RADIUS * lon * Math.PI / 180;
+export const latToMercatorY = (lat) => EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + Math.max(-85.06, Math.min(85.06, lat)) * Math.PI / 360));
+export const mercatorXToLon = (x) => x / EARTH_RADIUS * 180 / Math.PI;
+export const mercatorYToLat = (y) => (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * 180 / Math.PI;
+
+const fetchRange = async (url, offset, length) => {
+  const response = await fetch(url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status} for ${url}`);
+  const buffer = await response.arrayBuffer();
+  // 200 instead of 206: the server ignored the range and sent the whole file
+  return { buffer, whole: response.status === 200 };
+};
+
+// Byte source over a remote file: the header block is kept, other ranges are fetched as needed
+class RangeReader {
+  constructor(url) {
+    this.url = url;
+    this.blocks = []; // [{ offset, bytes }]
+  }
+
+  async bytes(offset, length) {
+    const block = this.blocks.find(b => offset >= b.offset && offset + length <= b.offset + b.bytes.length);
+    if (block) return block.bytes.subarray(offset - block.offset, offset - block.offset + length);
+
+    const { buffer, whole } = await fetchRange(this.url, offset, length);
+    if (whole) {
+      console.warn(`⚠️ ${this.url} was served without range support, keeping the whole file`);
+      this.blocks = [{ offset: 0, bytes: new Uint8Array(buffer) }];
+      return this.blocks[0].bytes.subarray(offset, offset + length);
+    }
+    return new Uint8Array(buffer);
+  }
+
+  async loadHeader() {
+    const { buffer, whole } = await fetchRange(this.url, 0, HEADER_BYTES);
+    this.blocks.push({ offset: 0, bytes: new Uint8Array(buffer) });
+    if (whole) console.warn(`⚠️ ${this.url} was served without range support, keeping the whole file`);
+  }
+}
+
+const readUint64 = (view, offset, littleEndian) => {
+  const low = view.getUint32(offset + (littleEndian ? 0 : 4), littleEndian);
+  const high = view.getUint32(offset + (littleEndian ? 4 : 0), littleEndian);
+  return high * 2 ** 32 + low;
+};
+
+const readFieldValues = (view, offset, type, count, littleEndian) => {
+  const [size, getter] = FIELD_TYPES[type];
+  const values = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    if (getter === 'uint64') values[i] = readUint64(view, at, littleEndian);
+    else if (getter === 'rational') values[i] = view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian);
+    else if (getter === 'srational') values[i] = view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian);
+    else values[i] = view[getter](at, littleEndian);
+  }
+  return type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values;
+};
+
+// Read one IFD: its tags (values resolved) and the offset of the next IFD
+const readIfd = async (reader, offset, littleEndian, bigTiff) => {
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const inlineSize = bigTiff ? 8 : 4;
+
+  const countBytes = await reader.bytes(offset, countSize);
+  const countView = new DataView(countBytes.buffer, countBytes.byteOffset, countSize);
+  const count = bigTiff ? readUint64(countView, 0, littleEndian) : countView.getUint16(0, littleEndian);
+
+  const entries = await reader.bytes(offset + countSize, count * entrySize + inlineSize);
+  const view = new DataView(entries.buffer, entries.byteOffset, entries.byteLength);
+  const tags = {};
+
+  for (let i = 0; i < count; i++) {
+    const at = i * entrySize;
+    const tag = view.getUint16(at, littleEndian);
+    const type = view.getUint16(at + 2, littleEndian);
+    if (!FIELD_TYPES[type]) continue;
+
+    const valueCount = bigTiff ? readUint64(view, at + 4, littleEndian) : view.getUint32(at + 4, littleEndian);
+    const byteLength = valueCount * FIELD_TYPES[type][0];
+    const valueAt = at + (bigTiff ? 12 : 8);
+
+    if (byteLength <= inlineSize) {
+      tags[tag] = readFieldValues(view, valueAt, type, valueCount, littleEndian);
+    } else {
+      const valueOffset = bigTiff ? readUint64(view, valueAt, littleEndian) : view.getUint32(valueAt, littleEndian);
+      const bytes = await reader.bytes(valueOffset, byteLength);
+      tags[tag] = readFieldValues(new DataView(bytes.buffer, bytes.byteOffset, byteLength), 0, type, valueCount, littleEndian);
+    }
+  }
+
+  const nextAt = count * entrySize;
+  const next = bigTiff ? readUint64(view, nextAt, littleEndian) : view.getUint32(nextAt, littleEndian);
+  return { tags, next };
+};
+
+const geoKeys = (directory) => {
+  const keys = {};
+  if (!directory) return keys;
+  for (let i = 4; i + 3 < directory.length; i += 4) {
+    // Only keys stored directly in the directory (location 0) are needed here
+    if (directory[i + 1] === 0) keys[directory[i]] = directory[i + 3];
+  }
+  return keys;
+};
+
+// Per-band scale/offset and names from GDAL's metadata XML
+const parseGdalMetadata = (xml) => {
+  const bands = {};
+  if (!xml) return bands;
+
+  const itemPattern = /<Item\s+([^>]*)>([^<]*)<\/Item>/g;
+  let match;
+  while ((match = itemPattern.exec(xml)) !== null) {
+    const attrs = Object.fromEntries([...match[1].matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+    if (attrs.sample === undefined) continue;
+    const band = (bands[attrs.sample] ||= {});
+    if (attrs.role === 'scale') band.scale = Number(match[2]);
+    if (attrs.role === 'offset') band.offset = Number(match[2]);
+    if (attrs.role === 'description') band.name = match[2];
+  }
+  return bands;
+};
+
+const describeImage = (tags) => {
+  const width = tags[TAGS.ImageWidth][0];
+  const height = tags[TAGS.ImageLength][0];
+  const tiled = Boolean(tags[TAGS.TileWidth]);
+  const bits = tags[TAGS.BitsPerSample]?.[0] ?? 1;
+  const sampleFormat = tags[TAGS.SampleFormat]?.[0] ?? 1;
+  const getter = SAMPLE_GETTERS[`${sampleFormat}-${bits}`];
+  if (!getter) throw new Error(`Unsupported GeoTIFF samples: ${bits}-bit, format ${sampleFormat}`);
+
+  return {
+    width, height,
+    tileWidth: tiled ? tags[TAGS.TileWidth][0] : width,
+    tileHeight: tiled ? tags[TAGS.TileLength][0] : (tags[TAGS.RowsPerStrip]?.[0] ?? height),
+    offsets: tags[tiled ? TAGS.TileOffsets : TAGS.StripOffsets],
+    byteCounts: tags[tiled ? TAGS.TileByteCounts : TAGS.StripByteCounts],
+    samplesPerPixel: tags[TAGS.SamplesPerPixel]?.[0] ?? 1,
+    planar: tags[TAGS.PlanarConfiguration]?.[0] === 2,
+    compression: tags[TAGS.Compression]?.[0] ?? 1,
+    predictor: tags[TAGS.Predictor]?.[0] ?? 1,
+    bytesPerSample: bits / 8,
+    getter
+  };
+};
+
+// Open a COG: every full-resolution and overview image, plus the georeferencing of the first
+export const openCog = async (url) => {
+  const reader = new RangeReader(url);
+  await reader.loadHeader();
+
+  const header = await reader.bytes(0, 16);
+  const view = new DataView(header.buffer, header.byteOffset, 16);
+  const littleEndian = header[0] === 0x49;
+  const version = view.getUint16(2, littleEndian);
+  if ((header[0] !== 0x49 && header[0] !== 0x4d) || (version !== 42 && version !== 43)) {
+    throw new Error(`${url} is not a TIFF file`);
+  }
+  const bigTiff = version === 43;
+
+  const ifds = [];
+  let offset = bigTiff ? readUint64(view, 8, littleEndian) : view.getUint32(4, littleEndian);
+  while (offset) {
+    const ifd = await readIfd(reader, offset, littleEndian, bigTiff);
+    ifds.push(ifd.tags);
+    offset = ifd.next;
+  }
+
+  const [base] = ifds;
+  const scale = base[TAGS.ModelPixelScale];
+  const tiepoint = base[TAGS.ModelTiepoint];
+  if (!scale || !tiepoint) throw new Error(`${url} has no georeferencing (only pixel scale + tiepoint is supported)`);
+
+  const keys = geoKeys(base[TAGS.GeoKeyDirectory]);
+  const projected = keys[PROJECTED_CS_TYPE_KEY];
+  if (projected && !WEB_MERCATOR_CODES.includes(projected)) {
+    throw new Error(`EPSG:${projected} rasters are not supported, reproject to EPSG:4326 or EPSG:3857`);
+  }
+
+  // Top-left corner of the top-left pixel, in raster CRS units
+  let originX = tiepoint[3] - tiepoint[0] * scale[0];
+  let originY = tiepoint[4] + tiepoint[1] * scale[1];
+  if (keys[RASTER_TYPE_KEY] === RASTER_PIXEL_IS_POINT) {
+    originX -= scale[0] / 2;
+    originY += scale[1] / 2;
+  }
+
+  const nodata = base[TAGS.GdalNodata] !== undefined ? Number(base[TAGS.GdalNodata]) : null;
+  const baseImage = describeImage(base);
+
+  // Overviews are the reduced-resolution IFDs; masks (bit 4) are skipped
+  const images = ifds
+    .filter((tags, i) => i === 0 || ((tags[TAGS.NewSubfileType]?.[0] ?? 0) & 1 && !((tags[TAGS.NewSubfileType]?.[0] ?? 0) & 4)))
+    .map(describeImage)
+    .filter(image => image.samplesPerPixel === baseImage.samplesPerPixel)
+    .map(image => ({
+      ...image,
+      resX: scale[0] * baseImage.width / image.width,
+      resY: scale[1] * baseImage.height / image.height
+    }))
+    .sort((a, b) => a.resX - b.resX);
+
+  return {
+    url, reader, littleEndian, images, originX, originY, nodata,
+    mercator: Boolean(projected),
+    bandCount: baseImage.samplesPerPixel,
+    bands: parseGdalMetadata(base[TAGS.GdalMetadata]),
+    tiles: new Map() // tile key -> Promise of decoded samples
+  };
+};
+
+// TIFF LZW: MSB-first codes, 9-12 bits, code width grows one code early
+const decompressLzw = (src) => {
+  const out = [];
+  let table = [];
+  let bitPos = 0;
+  let codeWidth = 9;
+  let previous = null;
+
+  const reset = () => {
+    table = Array.from({ length: 258 }, (_, i) => (i < 256 ? [i] : null));
+    codeWidth = 9;
+    previous = null;
+  };
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeWidth; i++) {
+      const bit = (src[bitPos >> 3] >> (7 - (bitPos & 7))) & 1;
+      code = (code << 1) | bit;
+      bitPos++;
+    }
+    return code;
+  };
+
+  reset();
+  while (bitPos + codeWidth <= src.length * 8) {
+    const code = readCode();
+    if (code === 257) break;
+    if (code === 256) {
+      reset();
+      continue;
+    }
+
+    let entry;
+    if (code < table.length && table[code]) entry = table[code];
+    else if (previous) entry = [...previous, previous[0]];
+    else throw new Error('Corrupt LZW stream');
+
+    for (const byte of entry) out.push(byte);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+
+    if (table.length + 1 >= 1 << codeWidth && codeWidth < 12) codeWidth++;
+  }
+
+  return Uint8Array.from(out);
+};
+
+const decompressPackBits = (src) => {
+  const out = [];
+  let i = 0;
+  while (i < src.length) {
+    const header = (src[i++] << 24) >> 24;
+    if (header >= 0) {
+      for (let j = 0; j <= header; j++) out.push(src[i++]);
+    } else if (header !== -128) {
+      const byte = src[i++];
+      for (let j = 0; j <= -header; j++) out.push(byte);
+    }
+  }
+  return Uint8Array.from(out);
+};
+
+const decompressTile = (bytes, compression) => {
+  switch (compression) {
+    case 1: return bytes;
+    case 5: return decompressLzw(bytes);
+    case 8:
+    case 32946: return inflate(bytes);
+    case 32773: return decompressPackBits(bytes);
+    default: throw new Error(`GeoTIFF compression ${compression} is not supported`);
+  }
+};
+
+// Decode one tile (or strip) into samples: [pixel][sample] interleaved, or one band for planar files
+const decodeTile = (bytes, image, littleEndian, rows) => {
+  const { tileWidth, compression, predictor, bytesPerSample, getter, planar } = image;
+  const samples = planar ? 1 : image.samplesPerPixel;
+  const rowSamples = tileWidth * samples;
+  const count = rowSamples * rows;
+
+  let data = decompressTile(bytes, compression);
+  let dataLittleEndian = littleEndian;
+
+  // Floating-point predictor: each row is byte-differenced, then its bytes grouped most significant first
+  if (predictor === 3) {
+    const rowBytes = rowSamples * bytesPerSample;
+    const restored = new Uint8Array(count * bytesPerSample);
+    for (let row = 0; row < rows; row++) {
+      const input = data.slice(row * rowBytes, (row + 1) * rowBytes);
+      for (let i = 1; i < rowBytes; i++) input[i] = (input[i] + input[i - 1]) & 0xff;
+      for (let k = 0; k < rowSamples; k++) {
+        for (let b = 0; b < bytesPerSample; b++) restored[row * rowBytes + k * bytesPerSample + b] = input[b * rowSamples + k];
+      }
+    }
+    data = restored;
+    dataLittleEndian = false;
+  }
+
+  if (data.length < count * bytesPerSample) throw new Error('GeoTIFF tile is truncated');
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const values = new Float64Array(count);
+  for (let i = 0; i < count; i++) values[i] = view[getter](i * bytesPerSample, dataLittleEndian);
+
+  // Horizontal predictor: integer samples are stored as differences from the previous pixel
+  if (predictor === 2) {
+    const wrap = getter === 'getFloat32' || getter === 'getFloat64' ? null : 2 ** (bytesPerSample * 8);
+    for (let row = 0; row < rows; row++) {
+      for (let i = row * rowSamples + samples; i < (row + 1) * rowSamples; i++) {
+        values[i] += values[i - samples];
+        if (wrap) {
+          const signed = getter.startsWith('getInt');
+          values[i] = ((values[i] % wrap) + wrap) % wrap;
+          if (signed && values[i] >= wrap / 2) values[i] -= wrap;
+        }
+      }
+    }
+  }
+
+  return Float32Array.from(values);
+};
+
+const getTile = (cog, level, tileIndex) => {
+  const key = `${level}:${tileIndex}`;
+  if (!cog.tiles.has(key)) {
+    const image = cog.images[level];
+    const offset = image.offsets[tileIndex];
+    const length = image.byteCounts[tileIndex];
+    const tilesDown = Math.ceil(image.height / image.tileHeight);
+    const tileRow = Math.floor(tileIndex / Math.ceil(image.width / image.tileWidth)) % tilesDown;
+    // Strips at the bottom edge can be shorter than the rest
+    const rows = image.tileWidth === image.width ? Math.min(image.tileHeight, image.height - tileRow * image.tileHeight) : image.tileHeight;
+
+    const promise = !length
+      ? Promise.resolve(null) // sparse file: tile was never written
+      : cog.reader.bytes(offset, length).then(bytes => decodeTile(bytes, image, cog.littleEndian, rows));
+    cog.tiles.set(key, promise.catch((error) => {
+      cog.tiles.delete(key);
+      throw error;
+    }));
+    if (cog.tiles.size > MAX_TILES) cog.tiles.delete(cog.tiles.keys().next().value);
+  }
+  return cog.tiles.get(key);
+};
+
+// Read a pixel window [x0, x1) x [y0, y1) of one band of one image as numbers (NaN for nodata)
+export const readCogWindow = async (cog, level, { x0, y0, x1, y1 }, band = 0) => {
+  const image = cog.images[level];
+  const { tileWidth, tileHeight, planar } = image;
+  const samples = planar ? 1 : image.samplesPerPixel;
+  const tilesAcross = Math.ceil(image.width / tileWidth);
+  const tilesPerBand = tilesAcross * Math.ceil(image.height / tileHeight);
+  const width = x1 - x0;
+
+  const bandInfo = cog.bands[band] || {};
+  const scale = bandInfo.scale ?? 1;
+  const offset = bandInfo.offset ?? 0;
+  // Tiles hold Float32 samples, so the nodata value is rounded the same way
+  const nodata = cog.nodata === null ? null : Math.fround(cog.nodata);
+
+  const result = new Float32Array(width * (y1 - y0)).fill(NaN);
+  const jobs = [];
+
+  for (let ty = Math.floor(y0 / tileHeight); ty <= Math.floor((y1 - 1) / tileHeight); ty++) {
+    for (let tx = Math.floor(x0 / tileWidth); tx <= Math.floor((x1 - 1) / tileWidth); tx++) {
+      const tileIndex = (planar ? band * tilesPerBand : 0) + ty * tilesAcross + tx;
+      jobs.push(getTile(cog, level, tileIndex).then((tile) => {
+        if (!tile) return;
+        const rowStart = Math.max(y0, ty * tileHeight);
+        const rowEnd = Math.min(y1, (ty + 1) * tileHeight);
+        const colStart = Math.max(x0, tx * tileWidth);
+        const colEnd = Math.min(x1, (tx + 1) * tileWidth);
+
+        for (let y = rowStart; y < rowEnd; y++) {
+          for (let x = colStart; x < colEnd; x++) {
+            const raw = tile[((y - ty * tileHeight) * tileWidth + (x - tx * tileWidth)) * samples + (planar ? 0 : band)];
+            if (raw === nodata || Number.isNaN(raw)) continue;
+            result[(y - y0) * width + (x - x0)] = raw * scale + offset;
+          }
+        }
+      }));
+    }
+  }
+
+  await Promise.all(jobs);
+  return result;
+};
+
+// Read the part of a band under a map view at about one raster pixel per screen pixel. The overview
+// is the coarsest one that is still at least as fine as the screen. Rows come back evenly spaced in
+// Web Mercator (as drawn on the map), whatever the raster's own CRS.
+export const readCogView = async (cog, { south, north, west, east }, screenWidth, band = 0) => {
+  const toX = cog.mercator ? lonToMercatorX : (lon) => lon;
+  const toY = cog.mercator ? latToMercatorY : (lat) => lat;
+  const fromY = cog.mercator ? mercatorYToLat : (y) => y;
+  const fromX = cog.mercator ? mercatorXToLon : (x) => x;
+
+  const screenResolution = (toX(east) - toX(west)) / screenWidth;
+  let level = 0;
+  cog.images.forEach((image, i) => {
+    if (image.resX <= screenResolution) level = i;
+  });
+  const image = cog.images[level];
+
+  const x0 = Math.max(0, Math.floor((toX(west) - cog.originX) / image.resX));
+  const x1 = Math.min(image.width, Math.ceil((toX(east) - cog.originX) / image.resX));
+  const y0 = Math.max(0, Math.floor((cog.originY - toY(north)) / image.resY));
+  const y1 = Math.min(image.height, Math.ceil((cog.originY - toY(south)) / image.resY));
+  if (x0 >= x1 || y0 >= y1) return null;
+
+  const window = await readCogWindow(cog, level, { x0, y0, x1, y1 }, band);
+  const width = x1 - x0;
+  const height = y1 - y0;
+
+  const bounds = {
+    west: fromX(cog.originX + x0 * image.resX),
+    east: fromX(cog.originX + x1 * image.resX),
+    north: fromY(cog.originY - y0 * image.resY),
+    south: fromY(cog.originY - y1 * image.resY)
+  };
+
+  let values = window;
+  if (!cog.mercator) {
+    // Geographic rows are evenly spaced in latitude; resample them onto Mercator rows
+    values = new Float32Array(width * height).fill(NaN);
+    const top = latToMercatorY(bounds.north);
+    const bottom = latToMercatorY(bounds.south);
+    for (let row = 0; row < height; row++) {
+      const lat = mercatorYToLat(top + (row + 0.5) * (bottom - top) / height);
+      const sourceRow = Math.floor((cog.originY - lat) / image.resY) - y0;
+      if (sourceRow < 0 || sourceRow >= height) continue;
+      values.set(window.subarray(sourceRow * width, (sourceRow + 1) * width), row * width);
+    }
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (Number.isNaN(value)) continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  return {
+    values, width, height, bounds, level,
+    min: min === Infinity ? null : min,
+    max: max === -Infinity ? null : max
+  };
+};
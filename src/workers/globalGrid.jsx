@@ -0,0 +1,104 @@
+// Cropping of global model fields (e.g. 0.25° = 721 x 1440 points) to the part of the world
+// on screen. A source grid describes point positions: corner is the lat/lon of the first value,
+// steps may be negative (north-to-south rows are common). Crops use the app's grid_info
+// convention instead: row 0 is the southern edge, and cells span corner + [i, i+1] * steps.
+
+const isGlobalInLongitude = ({ size, steps }) => Math.abs(size[1] * steps[1]) >= 359.9;
+
+// Plan the cropped grid_info for a lat/lon box. The crop is thinned with a stride so zoomed-out
+// views stay under maxCells. Returns null when the box misses the source grid.
+export const planCrop = (sourceGrid, { south, north, west, east }, maxCells) => {
+  const { corner: [lat0, lon0], size: [rows, cols], steps: [latStep, lonStep] } = sourceGrid;
+  const dLat = Math.abs(latStep);
+  const dLon = Math.abs(lonStep);
+
+  const latMin = Math.min(lat0, lat0 + (rows - 1) * latStep);
+  const latMax = Math.max(lat0, lat0 + (rows - 1) * latStep);
+  const top = Math.min(north, latMax + dLat / 2);
+  const bottom = Math.max(south, latMin - dLat / 2);
+  if (bottom >= top) return null;
+
+  let left = west;
+  let right = east;
+  let lonOrigin = lon0 - dLon / 2;
+  if (isGlobalInLongitude(sourceGrid)) {
+    right = Math.min(right, left + 360);
+  } else {
+    const lonMin = Math.min(lon0, lon0 + (cols - 1) * lonStep);
+    const lonMax = Math.max(lon0, lon0 + (cols - 1) * lonStep);
+    lonOrigin = lonMin - dLon / 2;
+    left = Math.max(left, lonOrigin);
+    right = Math.min(right, lonMax + dLon / 2);
+    if (left >= right) return null;
+  }
+
+  const cellCount = ((top - bottom) / dLat) * ((right - left) / dLon);
+  const stride = Math.max(1, Math.ceil(Math.sqrt(cellCount / maxCells)));
+  const cropLatStep = dLat * stride;
+  const cropLonStep = dLon * stride;
+
+  // Snap the corner to source cell edges so cropped cells line up with the model grid
+  const latOrigin = latMin - dLat / 2;
+  const cornerLat = latOrigin + Math.floor((bottom - latOrigin) / cropLatStep) * cropLatStep;
+  const cornerLon = lonOrigin + Math.floor((left - lonOrigin) / cropLonStep) * cropLonStep;
+
+  return {
+    corner: [cornerLat, cornerLon],
+    size: [Math.ceil((top - cornerLat) / cropLatStep), Math.ceil((right - cornerLon) / cropLonStep)],
+    steps: [cropLatStep, cropLonStep]
+  };
+};
+
+// Source row and column sampled for each row and column of a planned crop (nearest point to
+// the cell centre, -1 when outside the source). Longitudes wrap around for global grids, so
+// crops can cross the antimeridian.
+export const cropIndices = (sourceGrid, cropGrid) => {
+  const { corner: [lat0, lon0], size: [rows, cols], steps: [latStep, lonStep] } = sourceGrid;
+  const { corner: [cropLat, cropLon], size: [cropRows, cropCols], steps: [cropLatStep, cropLonStep] } = cropGrid;
+  const wraps = isGlobalInLongitude(sourceGrid);
+
+  const rowIndices = Array.from({ length: cropRows }, (_, row) => {
+    const sourceRow = Math.round((cropLat + (row + 0.5) * cropLatStep - lat0) / latStep);
+    return sourceRow >= 0 && sourceRow < rows ? sourceRow : -1;
+  });
+
+  const colIndices = Array.from({ length: cropCols }, (_, col) => {
+    const sourceCol = Math.round((cropLon + (col + 0.5) * cropLonStep - lon0) / lonStep);
+    if (wraps) return ((sourceCol % cols) + cols) % cols;
+    return sourceCol >= 0 && sourceCol < cols ? sourceCol : -1;
+  });
+
+  return { rowIndices, colIndices };
+};
+
+// Sample a full source field at every cell of a planned crop
+export const cropField = (values, sourceGrid, cropGrid) => {
+  const cols = sourceGrid.size[1];
+  const { rowIndices, colIndices } = cropIndices(sourceGrid, cropGrid);
+
+  const cropped = new Float32Array(rowIndices.length * colIndices.length).fill(NaN);
+
+  rowIndices.forEach((sourceRow, row) => {
+    if (sourceRow < 0) return;
+    colIndices.forEach((sourceCol, col) => {
+      if (sourceCol >= 0) cropped[row * colIndices.length + col] = values[sourceRow * cols + sourceCol];
+    });
+  });
+
+  return cropped;
+};
+
+// A field file holds one variable at one step: a plain array, { values }, or a typed payload
+// already expanded by the batch decoder. Missing values become NaN; the rest are value / scale + offset
+// (e.g. offset -273.15 for Kelvin fields shown in °C).
+export const fieldToFloat32 = (field, scale = 1, offset = 0) => {
+  const values = Array.isArray(field) || ArrayBuffer.isView(field) ? field : field?.values;
+  if (!values || values.length === undefined) throw new Error('Field file has no values');
+
+  const result = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    result[i] = value === null || value === undefined ? NaN : value / scale + offset;
+  }
+  return result;
+};
@@ -0,0 +1,483 @@
+// Minimal GRIB2 decoder for regular lat/lon grids (template 3.0) with simple
+// (5.0) and complex packing, with or without spatial differencing (5.2 / 5.3).
+// Output matches the batch shape used by weatherSlice / GridOverlay.
+
+// GRIB2 stores signed integers as sign-and-magnitude, not two's complement
+const readSignedInt = (view, offset, bytes) => {
+  let value = view.getUint8(offset) & 0x7f;
+  for (let i = 1; i < bytes; i++) value = value * 256 + view.getUint8(offset + i);
+  return view.getUint8(offset) & 0x80 ? -value : value;
+};
+
+const readUnsignedInt = (view, offset, bytes) => {
+  let value = 0;
+  for (let i = 0; i < bytes; i++) value = value * 256 + view.getUint8(offset + i);
+  return value;
+};
+
+// Reads big-endian, MSB-first unsigned integers of arbitrary bit width
+class BitReader {
+  constructor(bytes, byteOffset = 0) {
+    this.bytes = bytes;
+    this.bitPos = byteOffset * 8;
+  }
+
+  read(nbits) {
+    let value = 0;
+    for (let i = 0; i < nbits; i++) {
+      const byte = this.bytes[this.bitPos >> 3];
+      const bit = (byte >> (7 - (this.bitPos & 7))) & 1;
+      value = value * 2 + bit;
+      this.bitPos++;
+    }
+    return value;
+  }
+
+  alignToByte() {
+    this.bitPos = Math.ceil(this.bitPos / 8) * 8;
+  }
+}
+
+// (discipline, category, number, surface type, surface value) -> app variable
+const PARAMETER_TABLE = [
+  { key: 'T2', discipline: 0, category: 0, number: 0, surface: 103, level: 2, offset: -273.15 },
+  { key: 'TSK', discipline: 0, category: 0, number: 0, surface: 1, offset: -273.15 },
+  { key: 'RH', discipline: 0, category: 1, number: 1, surface: 103, level: 2 },
+  { key: 'TOTAL_RAIN', discipline: 0, category: 1, number: 8 },
+  { key: 'U10', discipline: 0, category: 2, number: 2, surface: 103, level: 10 },
+  { key: 'V10', discipline: 0, category: 2, number: 3, surface: 103, level: 10 },
+  { key: 'SST', discipline: 10, category: 3, number: 0, offset: -273.15 },
+  // Isobaric surfaces (type 100, value in Pa), kept per level in hPa
+  { key: 'T_PL', discipline: 0, category: 0, number: 0, surface: 100, offset: -273.15 },
+  { key: 'RH_PL', discipline: 0, category: 1, number: 1, surface: 100 },
+  { key: 'S_PL', discipline: 0, category: 2, number: 1, surface: 100 },
+  { key: 'U_PL', discipline: 0, category: 2, number: 2, surface: 100 },
+  { key: 'V_PL', discipline: 0, category: 2, number: 3, surface: 100 },
+  { key: 'GHT_PL', discipline: 0, category: 3, number: 5, surface: 100 },
+];
+
+const ISOBARIC_SURFACE = 100;
+
+const findParameter = (field) => PARAMETER_TABLE.find(p =>
+  p.discipline === field.discipline && p.category === field.category && p.number === field.number &&
+  (p.surface === undefined || p.surface === field.surfaceType) &&
+  (p.level === undefined || p.level === field.surfaceValue)
+);
+
+// Forecast time unit (code table 4.4) -> hours
+const TIME_UNIT_HOURS = { 0: 1 / 60, 1: 1, 2: 24, 10: 3, 11: 6, 12: 12, 13: 1 / 3600 };
+
+const parseGridDefinition = (view, offset) => {
+  const template = readUnsignedInt(view, offset + 12, 2);
+  if (template !== 0) {
+    throw new Error(`Unsupported GRIB2 grid template 3.${template} (only regular lat/lon is supported)`);
+  }
+
+  const basicAngle = readUnsignedInt(view, offset + 38, 4);
+  const subdivisions = readUnsignedInt(view, offset + 42, 4);
+  const unit = basicAngle && basicAngle !== 0xffffffff && subdivisions !== 0xffffffff
+    ? basicAngle / subdivisions : 1e-6;
+
+  return {
+    ni: readUnsignedInt(view, offset + 30, 4),
+    nj: readUnsignedInt(view, offset + 34, 4),
+    la1: readSignedInt(view, offset + 46, 4) * unit,
+    lo1: readSignedInt(view, offset + 50, 4) * unit,
+    la2: readSignedInt(view, offset + 55, 4) * unit,
+    lo2: readSignedInt(view, offset + 59, 4) * unit,
+    di: readUnsignedInt(view, offset + 63, 4) * unit,
+    dj: readUnsignedInt(view, offset + 67, 4) * unit,
+    scanMode: view.getUint8(offset + 71),
+  };
+};
+
+const parseProductDefinition = (view, offset) => {
+  const template = readUnsignedInt(view, offset + 7, 2);
+  // Templates 4.0 - 4.15 share the same leading octets we need
+  if (template > 15) throw new Error(`Unsupported GRIB2 product template 4.${template}`);
+
+  const timeUnit = view.getUint8(offset + 17);
+  const surfaceScale = readSignedInt(view, offset + 23, 1);
+
+  const product = {
+    category: view.getUint8(offset + 9),
+    number: view.getUint8(offset + 10),
+    forecastHours: readSignedInt(view, offset + 18, 4) * (TIME_UNIT_HOURS[timeUnit] ?? 1),
+    surfaceType: view.getUint8(offset + 22),
+    surfaceValue: readSignedInt(view, offset + 24, 4) / Math.pow(10, surfaceScale),
+  };
+
+  // Ensemble members (4.1, and 4.11 for their accumulations) carry the member's perturbation
+  // number; the control run counts as a member like the perturbed ones
+  if (template === 1 || template === 11) {
+    product.member = view.getUint8(offset + 35);
+    product.ensembleSize = view.getUint8(offset + 36);
+  }
+
+  // Statistically processed fields (4.8, e.g. accumulated rain) are valid at the end of their
+  // interval, which 4.11 puts after the ensemble octets
+  if (template === 8 || template === 11) {
+    const start = offset + (template === 8 ? 34 : 37);
+    product.intervalEnd = new Date(Date.UTC(
+      readUnsignedInt(view, start, 2), view.getUint8(start + 2) - 1, view.getUint8(start + 3),
+      view.getUint8(start + 4), view.getUint8(start + 5), view.getUint8(start + 6)
+    ));
+  }
+
+  return product;
+};
+
+const parseDataRepresentation = (view, offset) => {
+  const template = readUnsignedInt(view, offset + 9, 2);
+  if (template !== 0 && template !== 2 && template !== 3) {
+    throw new Error(`Unsupported GRIB2 packing template 5.${template}`);
+  }
+
+  const repr = {
+    template,
+    numValues: readUnsignedInt(view, offset + 5, 4),
+    reference: view.getFloat32(offset + 11),
+    binaryScale: readSignedInt(view, offset + 15, 2),
+    decimalScale: readSignedInt(view, offset + 17, 2),
+    nbits: view.getUint8(offset + 19),
+  };
+
+  if (template === 2 || template === 3) {
+    Object.assign(repr, {
+      missingManagement: view.getUint8(offset + 22),
+      numGroups: readUnsignedInt(view, offset + 31, 4),
+      widthReference: view.getUint8(offset + 35),
+      widthBits: view.getUint8(offset + 36),
+      lengthReference: readUnsignedInt(view, offset + 37, 4),
+      lengthIncrement: view.getUint8(offset + 41),
+      lastGroupLength: readUnsignedInt(view, offset + 42, 4),
+      lengthBits: view.getUint8(offset + 46),
+    });
+  }
+
+  if (template === 3) {
+    repr.spatialOrder = view.getUint8(offset + 47);
+    repr.spatialOctets = view.getUint8(offset + 48);
+  }
+
+  return repr;
+};
+
+const unpackSimple = (bytes, dataOffset, repr) => {
+  const raw = new Float64Array(repr.numValues);
+  if (repr.nbits === 0) return raw; // constant field: every value equals the reference
+
+  const reader = new BitReader(bytes, dataOffset);
+  for (let i = 0; i < repr.numValues; i++) raw[i] = reader.read(repr.nbits);
+  return raw;
+};
+
+// Complex packing (5.2) with optional spatial differencing (5.3).
+// Returns raw integer values with NaN for missing points.
+const unpackComplex = (bytes, view, dataOffset, repr) => {
+  let offset = dataOffset;
+  const initialValues = [];
+  let minSpatial = 0;
+
+  if (repr.template === 3) {
+    for (let i = 0; i < repr.spatialOrder; i++) {
+      initialValues.push(readSignedInt(view, offset, repr.spatialOctets));
+      offset += repr.spatialOctets;
+    }
+    minSpatial = readSignedInt(view, offset, repr.spatialOctets);
+    offset += repr.spatialOctets;
+  }
+
+  const { numGroups, nbits } = repr;
+  const reader = new BitReader(bytes, offset);
+
+  const groupRefs = new Array(numGroups);
+  for (let g = 0; g < numGroups; g++) groupRefs[g] = reader.read(nbits);
+  reader.alignToByte();
+
+  const groupWidths = new Array(numGroups);
+  for (let g = 0; g < numGroups; g++) groupWidths[g] = reader.read(repr.widthBits) + repr.widthReference;
+  reader.alignToByte();
+
+  const groupLengths = new Array(numGroups);
+  for (let g = 0; g < numGroups; g++) {
+    groupLengths[g] = reader.read(repr.lengthBits) * repr.lengthIncrement + repr.lengthReference;
+  }
+  groupLengths[numGroups - 1] = repr.lastGroupLength;
+  reader.alignToByte();
+
+  const raw = new Float64Array(repr.numValues);
+  const checkMissing = repr.missingManagement === 1 || repr.missingManagement === 2;
+  let index = 0;
+
+  for (let g = 0; g < numGroups; g++) {
+    const width = groupWidths[g];
+    const missingRef = Math.pow(2, nbits) - 1;
+    const missingPacked = Math.pow(2, width) - 1;
+
+    for (let k = 0; k < groupLengths[g] && index < raw.length; k++, index++) {
+      if (width === 0) {
+        raw[index] = checkMissing && groupRefs[g] === missingRef ? NaN : groupRefs[g];
+      } else {
+        const packed = reader.read(width);
+        raw[index] = checkMissing && packed === missingPacked ? NaN : groupRefs[g] + packed;
+      }
+    }
+  }
+
+  if (repr.template === 3) {
+    // Undo spatial differencing over the non-missing values only
+    const present = [];
+    for (let i = 0; i < raw.length; i++) if (!Number.isNaN(raw[i])) present.push(i);
+
+    const order = repr.spatialOrder;
+    for (let p = 0; p < present.length; p++) {
+      const i = present[p];
+      if (p < order) {
+        raw[i] = initialValues[p];
+      } else if (order === 1) {
+        raw[i] = raw[i] + minSpatial + raw[present[p - 1]];
+      } else {
+        raw[i] = raw[i] + minSpatial + 2 * raw[present[p - 1]] - raw[present[p - 2]];
+      }
+    }
+  }
+
+  return raw;
+};
+
+// Y = (R + X * 2^E) / 10^D
+const scaleValues = (raw, repr) => {
+  const binary = Math.pow(2, repr.binaryScale);
+  const decimal = Math.pow(10, repr.decimalScale);
+  const values = new Float64Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    values[i] = Number.isNaN(raw[i]) ? NaN : (repr.reference + raw[i] * binary) / decimal;
+  }
+  return values;
+};
+
+// Spread packed values over the full grid using the bitmap (missing -> NaN)
+const applyBitmap = (values, bitmap, totalPoints) => {
+  if (!bitmap) return values;
+
+  const full = new Float64Array(totalPoints).fill(NaN);
+  let v = 0;
+  for (let i = 0; i < totalPoints; i++) {
+    if (bitmap[i >> 3] & (0x80 >> (i & 7))) full[i] = values[v++];
+  }
+  return full;
+};
+
+// Reorder scanned values into rows running south -> north, columns west -> east
+const normaliseScan = (values, grid) => {
+  const { ni, nj, scanMode } = grid;
+  const iNegative = (scanMode & 0x80) !== 0;
+  const jPositive = (scanMode & 0x40) !== 0;
+  const jConsecutive = (scanMode & 0x20) !== 0;
+  const boustrophedon = (scanMode & 0x10) !== 0;
+
+  const out = new Float64Array(ni * nj);
+  for (let j = 0; j < nj; j++) {
+    for (let i = 0; i < ni; i++) {
+      const source = jConsecutive ? i * nj + j : j * ni + i;
+      let col = iNegative ? ni - 1 - i : i;
+      if (boustrophedon && j % 2 === 1) col = ni - 1 - col;
+      const row = jPositive ? j : nj - 1 - j;
+      out[row * ni + col] = values[source];
+    }
+  }
+  return out;
+};
+
+// GRIB2 grid points are cell centres, while grid_info's corner is the south-west edge of cell 0,
+// half a cell further out
+const gridInfoFromDefinition = (grid) => {
+  const south = Math.min(grid.la1, grid.la2);
+  // With -i scanning the first point is the easternmost one
+  const westPoint = grid.scanMode & 0x80 ? grid.lo2 : grid.lo1;
+  const west = westPoint > 180 ? westPoint - 360 : westPoint;
+
+  return {
+    corner: [south - grid.dj / 2, west - grid.di / 2],
+    size: [grid.nj, grid.ni],
+    steps: [grid.dj, grid.di],
+  };
+};
+
+const sameGrid = (a, b) => a.ni === b.ni && a.nj === b.nj && a.la1 === b.la1 && a.lo1 === b.lo1 && a.di === b.di && a.dj === b.dj;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Backend timestamp format: YYYY-MM-DD_HH:MM:SS
+const formatTimestamp = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}_` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+// Walk all GRIB2 messages in the buffer and decode each field
+export const decodeGribMessages = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const fields = [];
+  let offset = 0;
+
+  while (offset + 16 <= bytes.length) {
+    // Find the next "GRIB" indicator (files may contain padding between messages)
+    if (!(bytes[offset] === 0x47 && bytes[offset + 1] === 0x52 && bytes[offset + 2] === 0x49 && bytes[offset + 3] === 0x42)) {
+      offset++;
+      continue;
+    }
+
+    const edition = bytes[offset + 7];
+    if (edition !== 2) throw new Error(`Unsupported GRIB edition ${edition}`);
+
+    const discipline = bytes[offset + 6];
+    const messageLength = readUnsignedInt(view, offset + 8, 8);
+    const messageEnd = offset + messageLength;
+
+    let sectionOffset = offset + 16;
+    let referenceTime = null;
+    let grid = null;
+    let product = null;
+    let repr = null;
+    let bitmap = null;
+
+    // Sections 2-7 may repeat within one message; each section 7 closes a field
+    while (sectionOffset < messageEnd - 4) {
+      const sectionLength = readUnsignedInt(view, sectionOffset, 4);
+      const sectionNumber = bytes[sectionOffset + 4];
+
+      switch (sectionNumber) {
+        case 1:
+          referenceTime = new Date(Date.UTC(
+            readUnsignedInt(view, sectionOffset + 12, 2), bytes[sectionOffset + 14] - 1, bytes[sectionOffset + 15],
+            bytes[sectionOffset + 16], bytes[sectionOffset + 17], bytes[sectionOffset + 18]
+          ));
+          break;
+        case 3:
+          grid = parseGridDefinition(view, sectionOffset);
+          break;
+        case 4:
+          product = parseProductDefinition(view, sectionOffset);
+          break;
+        case 5:
+          repr = parseDataRepresentation(view, sectionOffset);
+          break;
+        case 6: {
+          const indicator = bytes[sectionOffset + 5];
+          if (indicator === 0) bitmap = bytes.subarray(sectionOffset + 6, sectionOffset + sectionLength);
+          else if (indicator === 255) bitmap = null;
+          break;
+        }
+        case 7: {
+          const raw = repr.template === 0
+            ? unpackSimple(bytes, sectionOffset + 5, repr)
+            : unpackComplex(bytes, view, sectionOffset + 5, repr);
+          const scaled = applyBitmap(scaleValues(raw, repr), bitmap, grid.ni * grid.nj);
+
+          fields.push({
+            discipline, ...product, grid, referenceTime,
+            validTime: product.intervalEnd || new Date(referenceTime.getTime() + product.forecastHours * 3600 * 1000),
+            values: normaliseScan(scaled, grid),
+          });
+          break;
+        }
+        default:
+          break;
+      }
+
+      sectionOffset += sectionLength;
+    }
+
+    offset = messageEnd;
+  }
+
+  return fields;
+};
+
+// One time step's variables from its fields, as Float32Arrays with NaN for missing points (the
+// grid store's form), so they leave the worker as transferred buffers
+const buildVariables = (fields) => {
+  const variables = {};
+  fields.forEach(f => {
+    const offsetValue = f.parameter.offset || 0;
+    const values = Float32Array.from(f.values, v => v + offsetValue);
+    if (f.parameter.surface === ISOBARIC_SURFACE) {
+      variables[f.parameter.key] = { ...variables[f.parameter.key], [Math.round(f.surfaceValue / 100)]: values };
+    } else {
+      variables[f.parameter.key] = values;
+    }
+  });
+
+  // Wind speed aloft from the components when the file has no speed field
+  const { U_PL: u, V_PL: v } = variables;
+  if (u && v && !variables.S_PL) {
+    variables.S_PL = Object.fromEntries(Object.keys(u).filter(level => v[level]).map(level => [
+      level, u[level].map((value, i) => Math.hypot(value, v[level][i]))
+    ]));
+  }
+  return variables;
+};
+
+// Convert decoded fields into the weatherSlice batch structure. Ensemble files (GEFS, ENS) give
+// each step its members, in perturbation number order: { time, variables, members: [{ T2 }, ...] }.
+export const gribToWeatherData = (buffer) => {
+  const fields = decodeGribMessages(buffer);
+  if (fields.length === 0) throw new Error('No GRIB2 messages found in file');
+
+  const inventory = [];
+  const usable = [];
+  let baseGrid = null;
+
+  fields.forEach(field => {
+    const parameter = findParameter(field);
+    inventory.push({
+      discipline: field.discipline, category: field.category, number: field.number,
+      surfaceType: field.surfaceType, surfaceValue: field.surfaceValue,
+      forecastHours: field.forecastHours, member: field.member ?? null, variable: parameter?.key || null,
+    });
+
+    if (!parameter) return;
+    if (!baseGrid) baseGrid = field.grid;
+    if (!sameGrid(baseGrid, field.grid)) return; // only one grid per dataset
+
+    usable.push({ ...field, parameter });
+  });
+
+  if (usable.length === 0) throw new Error('GRIB2 file contains no supported variables (T2, RH, TOTAL_RAIN, U10, V10, TSK, SST or isobaric T, RH, U, V, HGT)');
+
+  const validTimes = [...new Set(usable.map(f => f.validTime.getTime()))].sort((a, b) => a - b);
+
+  const members = [...new Set(usable.map(f => f.member).filter(member => member !== undefined))].sort((a, b) => a - b);
+
+  const time_series = validTimes.map((validTime, time) => {
+    const stepFields = usable.filter(f => f.validTime.getTime() === validTime);
+    const variables = buildVariables(stepFields.filter(f => f.member === undefined));
+    if (members.length === 0) return { time, variables };
+
+    return {
+      time,
+      variables,
+      members: members.map(member => buildVariables(stepFields.filter(f => f.member === member)))
+    };
+  });
+
+  const variableKeys = [...new Set(time_series.flatMap(({ variables, members: stepMembers = [] }) =>
+    [variables, ...stepMembers].flatMap(Object.keys)))];
+
+  return {
+    grid_info: gridInfoFromDefinition(baseGrid),
+    metadata: {
+      source: 'grib2',
+      initial_timestamp: formatTimestamp(new Date(validTimes[0])),
+      final_timestamp: formatTimestamp(new Date(validTimes[validTimes.length - 1])),
+      total_timestamps: validTimes.length,
+      timestamps: validTimes.map(validTime => formatTimestamp(new Date(validTime))),
+      batch_info: { total_batches: 1, batch_size: validTimes.length },
+      variable_scales: Object.fromEntries(variableKeys.map(key => [key, 1])),
+      ...(members.length > 0 && { ensemble: { members } }),
+    },
+    time_series,
+    inventory,
+  };
+};
@@ -0,0 +1,24 @@
+import { gribToWeatherData } from './grib2';
+import { batchTransferables } from './batchFormat';
+
+// Decodes GRIB2 files off the main thread; a 0.25° global field is ~1M points per message, so
+// the fields are transferred rather than copied back
+self.onmessage = (e) => {
+  const { type, buffer, fileName } = e.data;
+
+  if (type === 'DECODE_GRIB') {
+    try {
+      console.log(`🔄 Worker decoding GRIB2 file ${fileName}...`);
+
+      const data = gribToWeatherData(buffer);
+
+      self.postMessage({ type: 'DECODE_SUCCESS', fileName, data }, batchTransferables(data));
+
+      console.log(`✅ Worker decoded ${data.inventory.length} GRIB2 messages from ${fileName}`);
+    } catch (error) {
+      console.error(`❌ Worker error decoding ${fileName}:`, error);
+
+      self.postMessage({ type: 'DECODE_ERROR', fileName, error: error.message });
+    }
+  }
+};
@@ -0,0 +1,201 @@
+// Reader for NetCDF classic (CDF-1) and 64-bit offset (CDF-2) files.
+// Works on a File/Blob and only reads the byte ranges it needs, so multi-GB
+// wrfout files never have to be loaded into memory whole.
+
+const NC_DIMENSION = 10;
+const NC_VARIABLE = 11;
+const NC_ATTRIBUTE = 12;
+
+// nc_type -> [byte size, DataView getter]
+const NC_TYPES = {
+  1: [1, 'getInt8'],     // NC_BYTE
+  2: [1, 'getUint8'],    // NC_CHAR
+  3: [2, 'getInt16'],    // NC_SHORT
+  4: [4, 'getInt32'],    // NC_INT
+  5: [4, 'getFloat32'],  // NC_FLOAT
+  6: [8, 'getFloat64'],  // NC_DOUBLE
+};
+
+const padTo4 = (n) => Math.ceil(n / 4) * 4;
+
+// Sequential big-endian reader over the header bytes
+class HeaderCursor {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.bytes = new Uint8Array(buffer);
+    this.offset = 0;
+  }
+
+  uint32() {
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  uint64() {
+    const high = this.view.getUint32(this.offset);
+    const low = this.view.getUint32(this.offset + 4);
+    this.offset += 8;
+    return high * 2 ** 32 + low;
+  }
+
+  name() {
+    const length = this.uint32();
+    const text = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += padTo4(length);
+    return text;
+  }
+
+  values(type, count) {
+    const [size, getter] = NC_TYPES[type];
+    if (!getter) throw new Error(`Unknown NetCDF type ${type}`);
+
+    let result;
+    if (type === 2) {
+      result = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + count)).replace(/\0+$/, '');
+    } else {
+      result = [];
+      for (let i = 0; i < count; i++) result.push(this.view[getter](this.offset + i * size));
+    }
+
+    this.offset += padTo4(count * size);
+    return result;
+  }
+
+  attributes() {
+    const tag = this.uint32();
+    const count = this.uint32();
+    if (tag !== NC_ATTRIBUTE && !(tag === 0 && count === 0)) throw new Error('Malformed NetCDF attribute list');
+
+    const attributes = {};
+    for (let i = 0; i < count; i++) {
+      const name = this.name();
+      const type = this.uint32();
+      const values = this.values(type, this.uint32());
+      attributes[name] = Array.isArray(values) && values.length === 1 ? values[0] : values;
+    }
+    return attributes;
+  }
+}
+
+const parseHeader = (buffer) => {
+  const cursor = new HeaderCursor(buffer);
+  const magic = new TextDecoder().decode(cursor.bytes.subarray(0, 3));
+  const version = cursor.bytes[3];
+
+  if (magic !== 'CDF') {
+    // NetCDF-4 files are HDF5 containers
+    if (magic === '\x89HD') throw new Error('NetCDF-4/HDF5 files are not supported - convert with "nccopy -k classic"');
+    throw new Error('Not a NetCDF file');
+  }
+  if (version !== 1 && version !== 2) throw new Error(`Unsupported NetCDF version ${version}`);
+
+  cursor.offset = 4;
+  const numRecords = cursor.uint32();
+
+  const dimTag = cursor.uint32();
+  const dimCount = cursor.uint32();
+  if (dimTag !== NC_DIMENSION && dimCount !== 0) throw new Error('Malformed NetCDF dimension list');
+
+  const dimensions = [];
+  for (let i = 0; i < dimCount; i++) {
+    dimensions.push({ name: cursor.name(), size: cursor.uint32() });
+  }
+
+  const globalAttributes = cursor.attributes();
+
+  const varTag = cursor.uint32();
+  const varCount = cursor.uint32();
+  if (varTag !== NC_VARIABLE && varCount !== 0) throw new Error('Malformed NetCDF variable list');
+
+  const variables = {};
+  for (let i = 0; i < varCount; i++) {
+    const name = cursor.name();
+    const dimIds = [];
+    const rank = cursor.uint32();
+    for (let d = 0; d < rank; d++) dimIds.push(cursor.uint32());
+    const attributes = cursor.attributes();
+    const type = cursor.uint32();
+    const vsize = cursor.uint32();
+    const begin = version === 2 ? cursor.uint64() : cursor.uint32();
+
+    const dims = dimIds.map(id => dimensions[id]);
+    variables[name] = {
+      name, type, vsize, begin, attributes,
+      dimensions: dims.map(d => d.name),
+      shape: dims.map(d => d.size),
+      isRecord: dims.length > 0 && dims[0].size === 0,
+    };
+  }
+
+  // Record variables are interleaved; one record holds one slab of each of them
+  const recordVariables = Object.values(variables).filter(v => v.isRecord);
+  const recordSize = recordVariables.length === 1
+    ? recordVariables[0].shape.slice(1).reduce((a, b) => a * b, 1) * NC_TYPES[recordVariables[0].type][0]
+    : recordVariables.reduce((sum, v) => sum + v.vsize, 0);
+
+  return { version, numRecords, dimensions, globalAttributes, variables, recordSize };
+};
+
+export class NetCDFReader {
+  constructor(file) {
+    this.file = file;
+    this.header = null;
+  }
+
+  async readBytes(offset, length) {
+    return this.file.slice(offset, offset + length).arrayBuffer();
+  }
+
+  // The header length is not stored up front, so grow the read window until it parses
+  async open() {
+    let length = 64 * 1024;
+    for (;;) {
+      const buffer = await this.readBytes(0, length);
+      try {
+        this.header = parseHeader(buffer);
+        break;
+      } catch (error) {
+        if (!(error instanceof RangeError) || length >= this.file.size) throw error;
+        length *= 4;
+      }
+    }
+
+    // Streaming files store 0xFFFFFFFF as the record count - derive it from the file size
+    if (this.header.numRecords === 0xffffffff) {
+      const firstRecord = Math.min(...Object.values(this.header.variables).filter(v => v.isRecord).map(v => v.begin));
+      this.header.numRecords = Math.floor((this.file.size - firstRecord) / this.header.recordSize);
+    }
+
+    return this.header;
+  }
+
+  hasVariable(name) {
+    return Boolean(this.header.variables[name]);
+  }
+
+  get numRecords() {
+    return this.header.numRecords;
+  }
+
+  // Read one record (time step) of a record variable, or the whole of a fixed variable
+  async readVariable(name, record = 0) {
+    const variable = this.header.variables[name];
+    if (!variable) throw new Error(`Variable ${name} not found`);
+
+    const [size, getter] = NC_TYPES[variable.type];
+    const slabShape = variable.isRecord ? variable.shape.slice(1) : variable.shape;
+    const count = slabShape.reduce((a, b) => a * b, 1);
+    const offset = variable.isRecord ? variable.begin + record * this.header.recordSize : variable.begin;
+
+    const view = new DataView(await this.readBytes(offset, count * size));
+
+    if (variable.type === 2) {
+      return new TextDecoder().decode(new Uint8Array(view.buffer)).replace(/\0+$/, '');
+    }
+
+    const values = new Float32Array(count);
+    for (let i = 0; i < count; i++) values[i] = view[getter](i * size);
+    return values;
+  }
+}
@@ -0,0 +1,25 @@
+import { readWrfout } from './wrfout';
+import { batchTransferables } from './batchFormat';
+
+// Parses dropped wrfout NetCDF files off the main thread, handing the fields back as transferred buffers
+self.onmessage = async (e) => {
+  const { type, file } = e.data;
+
+  if (type === 'READ_WRFOUT') {
+    try {
+      console.log(`🔄 Worker reading ${file.name} (${(file.size / (1024 * 1024)).toFixed(1)}MB)...`);
+
+      const data = await readWrfout(file, (done, total) => {
+        self.postMessage({ type: 'READ_PROGRESS', done, total });
+      });
+
+      self.postMessage({ type: 'READ_SUCCESS', data }, batchTransferables(data));
+
+      console.log(`✅ Worker read ${data.metadata.total_timestamps} time steps from ${file.name}`);
+    } catch (error) {
+      console.error(`❌ Worker error reading ${file.name}:`, error);
+
+      self.postMessage({ type: 'READ_ERROR', error: error.message });
+    }
+  }
+};
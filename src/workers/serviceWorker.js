@@ -0,0 +1,120 @@
+// Service worker: keeps the app usable on flaky connections.
+// - App shell: every file of the Vite build is precached on install (cache-first).
+// - Basemap tiles: cache-first, capped at MAX_TILES entries (oldest dropped first).
+// - Open-Meteo: network-first; the last successful response is served when the network fails,
+//   marked with an X-SW-Fetched-At header so the app can say how old it is.
+// WRF batches are not handled here - they already live in IndexedDB (see weatherSlice).
+//
+// This file is not bundled: the build inlines the precache list and version (vite.config.js)
+// and emits it as /sw.js, so every build installs a fresh worker.
+
+const PRECACHE = self.__PRECACHE_MANIFEST || [];
+const VERSION = self.__PRECACHE_VERSION || 'dev';
+
+const SHELL_CACHE = `app-shell-${VERSION}`;
+const TILE_CACHE = 'basemap-tiles';
+const OPEN_METEO_CACHE = 'open-meteo';
+
+const MAX_TILES = 3000;
+const TILE_HOSTS = [
+  'tile.openstreetmap.org', 'basemaps.cartocdn.com', 'tile.opentopomap.org', 'server.arcgisonline.com'
+];
+const OPEN_METEO_HOST = 'api.open-meteo.com';
+const LAST_OPEN_METEO_KEY = 'https://api.open-meteo.com/__last_response__';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('app-shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Trimming walks every key, so only do it every so often
+let tilesSinceTrim = 0;
+const trimTiles = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys(); // insertion order, oldest first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(key => cache.delete(key)));
+};
+
+const handleTile = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (no-CORS) responses are padded to megabytes of quota each, so only cache readable ones
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (++tilesSinceTrim >= 100) {
+      tilesSinceTrim = 0;
+      trimTiles();
+    }
+  }
+  return response;
+};
+
+const handleOpenMeteo = async (request) => {
+  const cache = await caches.open(OPEN_METEO_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      // Only the latest response is kept; the polygon (and so the URL) changes between requests
+      const headers = new Headers(response.headers);
+      headers.set('X-SW-Fetched-At', new Date().toISOString());
+      const body = await response.clone().blob();
+      await cache.put(LAST_OPEN_METEO_KEY, new Response(body, { status: 200, headers }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(LAST_OPEN_METEO_KEY);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Navigations always get index.html so the app boots offline; built assets come from the shell cache
+const handleShell = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+
+  if (request.mode === 'navigate') {
+    try {
+      return await fetch(request);
+    } catch (error) {
+      const shell = await cache.match('./') || await cache.match('./index.html');
+      if (shell) return shell;
+      throw error;
+    }
+  }
+
+  return (await cache.match(request)) || fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  // Range requests (COG tiles) must reach the server; a cached whole-file response would not fit
+  if (request.headers.has('range')) return;
+
+  const url = new URL(request.url);
+
+  if (TILE_HOSTS.some(host => url.hostname.endsWith(host))) {
+    event.respondWith(handleTile(request));
+  } else if (url.hostname === OPEN_METEO_HOST) {
+    event.respondWith(handleOpenMeteo(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleShell(request));
+  }
+});
@@ -0,0 +1,212 @@
+import { NetCDFReader } from './netcdf';
+import { getCellCenter } from '../hooks/gridGeometry';
+
+const KELVIN = 273.15;
+
+// Every field is returned as a Float32Array of its own with NaN for missing cells (the grid
+// store's form), so it can be transferred to the main thread
+const toCelsius = (values) => Float32Array.from(values, v => v - KELVIN);
+
+// Relative humidity (%) from 2 m mixing ratio, surface pressure and temperature.
+// Used when the run was not configured to write RH2.
+const relativeHumidity = (q2, psfc, t2) => Float32Array.from(q2, (q, i) => {
+  const vapourPressure = (q * psfc[i] / 100) / (0.622 + q); // hPa
+  const tempC = t2[i] - KELVIN;
+  const saturation = 6.112 * Math.exp((17.67 * tempC) / (tempC + 243.5)); // hPa
+  return Math.max(0, Math.min(100, (100 * vapourPressure) / saturation));
+});
+
+// WRF winds are grid-relative on projected domains; rotate them to earth-relative
+const rotateWinds = (u, v, cosAlpha, sinAlpha) => {
+  if (!cosAlpha || !sinAlpha) return [Float32Array.from(u), Float32Array.from(v)];
+
+  const uEarth = new Float32Array(u.length);
+  const vEarth = new Float32Array(v.length);
+  for (let i = 0; i < u.length; i++) {
+    uEarth[i] = u[i] * cosAlpha[i] - v[i] * sinAlpha[i];
+    vEarth[i] = v[i] * cosAlpha[i] + u[i] * sinAlpha[i];
+  }
+  return [uEarth, vEarth];
+};
+
+// Pressure-level diagnostics (namelist p_lev_diags): fields on the levels of P_PL (Pa), with -999
+// where a level is below ground. Returned per variable as { [hPa]: grid }, the batch format of
+// upper-air fields.
+const PL_MISSING = -999;
+
+const readPressureLevels = async (reader, t, cellCount, cosAlpha, sinAlpha) => {
+  const levels = Array.from(await reader.readVariable('P_PL', t), pa => Math.round(pa / 100));
+  const read = async (name) => (reader.hasVariable(name) ? reader.readVariable(name, t) : null);
+  const temperature = await read('T_PL');
+  const humidity = await read('RH_PL');
+  const height = await read('GHT_PL');
+  const speed = await read('S_PL');
+  const u = await read('U_PL');
+  const v = await read('V_PL');
+
+  const fields = {};
+  const add = (name, k, values) => {
+    if (!values) return;
+    fields[name] = fields[name] || {};
+    fields[name][levels[k]] = values;
+  };
+  const slice = (values, k) => values && values.subarray(k * cellCount, (k + 1) * cellCount);
+  const missing = (values) => Float32Array.from(values, value => (value <= PL_MISSING ? NaN : value));
+
+  levels.forEach((level, k) => {
+    if (!(level > 0)) return; // unused slots of num_press_levels_stag
+
+    const tempK = slice(temperature, k);
+    add('T_PL', k, tempK && Float32Array.from(tempK, value => (value <= PL_MISSING ? NaN : value - KELVIN)));
+    add('RH_PL', k, humidity && missing(slice(humidity, k)));
+    add('GHT_PL', k, height && missing(slice(height, k)));
+
+    if (u && v) {
+      const uLevel = slice(u, k);
+      const vLevel = slice(v, k);
+      const below = (i) => uLevel[i] <= PL_MISSING || vLevel[i] <= PL_MISSING;
+      const [uEarth, vEarth] = rotateWinds(uLevel, vLevel, cosAlpha, sinAlpha);
+      add('U_PL', k, uEarth.map((value, i) => (below(i) ? NaN : value)));
+      add('V_PL', k, vEarth.map((value, i) => (below(i) ? NaN : value)));
+      if (!speed) add('S_PL', k, uEarth.map((value, i) => (below(i) ? NaN : Math.hypot(value, vEarth[i]))));
+    }
+    add('S_PL', k, speed && missing(slice(speed, k)));
+  });
+
+  return fields;
+};
+
+// Approximate the (usually Lambert conformal) WRF mass grid with the regular
+// corner/size/steps description, using the spacing along the middle row and
+// column of XLAT/XLONG. Kept for consumers that only handle regular grids.
+// XLAT/XLONG are cell centres; the regular corner is the edge of cell 0, half a step out.
+const approximateGridInfo = (xlat, xlong, rows, cols) => {
+  const midRow = Math.floor(rows / 2);
+  const midCol = Math.floor(cols / 2);
+
+  const latStep = rows > 1 ? (xlat[(rows - 1) * cols + midCol] - xlat[midCol]) / (rows - 1) : 0;
+  const lonStep = cols > 1 ? (xlong[midRow * cols + cols - 1] - xlong[midRow * cols]) / (cols - 1) : 0;
+
+  return {
+    corner: [xlat[0] - latStep / 2, xlong[0] - lonStep / 2],
+    size: [rows, cols],
+    steps: [latStep, lonStep],
+  };
+};
+
+// Exact geometry of the mass grid next to the regular approximation. Lambert conformal domains
+// (MAP_PROJ 1) get their projection, checked against XLAT/XLONG at the far corner; other
+// projections, or a projection that doesn't reproduce the coordinates, keep the 2-D XLAT/XLONG.
+// Lat/lon domains (MAP_PROJ 6) are regular already.
+const WRF_LAMBERT = 1;
+const WRF_LATLON = 6;
+
+const gridGeometry = (gridInfo, xlat, xlong, attributes) => {
+  const { MAP_PROJ, TRUELAT1, TRUELAT2, STAND_LON, DX, DY } = attributes;
+  if (MAP_PROJ === undefined || MAP_PROJ === WRF_LATLON) return gridInfo;
+
+  if (MAP_PROJ === WRF_LAMBERT && DX && DY) {
+    const projected = {
+      ...gridInfo,
+      corner: [xlat[0], xlong[0]], // projected grids are placed by the centre of cell 0
+      projection: { type: 'lambert', truelat1: TRUELAT1, truelat2: TRUELAT2, stand_lon: STAND_LON, dx: DX, dy: DY }
+    };
+    const last = xlat.length - 1;
+    const { lat, lon } = getCellCenter(projected, last);
+    if (Math.abs(lat - xlat[last]) < 0.01 && Math.abs(lon - xlong[last]) < 0.01) return projected;
+    console.warn('⚠️ Lambert projection does not match XLAT/XLONG, using the 2-D coordinates');
+  }
+
+  return { ...gridInfo, lats: xlat, lons: xlong };
+};
+
+// Read a wrfout_d0X NetCDF file into the weatherSlice batch structure
+export const readWrfout = async (file, onProgress) => {
+  const reader = new NetCDFReader(file);
+  const header = await reader.open();
+
+  const required = ['Times', 'XLAT', 'XLONG', 'T2'];
+  const missing = required.filter(name => !reader.hasVariable(name));
+  if (missing.length > 0) {
+    throw new Error(`Not a wrfout file - missing ${missing.join(', ')}`);
+  }
+
+  const [, rows, cols] = header.variables.T2.shape;
+  const numTimes = reader.numRecords;
+
+  const xlat = await reader.readVariable('XLAT', 0);
+  const xlong = await reader.readVariable('XLONG', 0);
+  const cosAlpha = reader.hasVariable('COSALPHA') ? await reader.readVariable('COSALPHA', 0) : null;
+  const sinAlpha = reader.hasVariable('SINALPHA') ? await reader.readVariable('SINALPHA', 0) : null;
+  const landMask = reader.hasVariable('LANDMASK') ? await reader.readVariable('LANDMASK', 0) : null;
+
+  const timestamps = [];
+  const time_series = [];
+
+  for (let t = 0; t < numTimes; t++) {
+    const variables = {};
+    timestamps.push(await reader.readVariable('Times', t));
+
+    const t2 = await reader.readVariable('T2', t);
+    variables.T2 = toCelsius(t2);
+
+    if (reader.hasVariable('RH2')) {
+      variables.RH = Float32Array.from(await reader.readVariable('RH2', t));
+    } else if (reader.hasVariable('Q2') && reader.hasVariable('PSFC')) {
+      variables.RH = relativeHumidity(await reader.readVariable('Q2', t), await reader.readVariable('PSFC', t), t2);
+    }
+
+    // Surface pressure (hPa) starts soundings at the ground
+    if (reader.hasVariable('PSFC')) {
+      variables.PSFC = Float32Array.from(await reader.readVariable('PSFC', t), pa => pa / 100);
+    }
+
+    if (reader.hasVariable('U10') && reader.hasVariable('V10')) {
+      [variables.U10, variables.V10] = rotateWinds(
+        await reader.readVariable('U10', t), await reader.readVariable('V10', t), cosAlpha, sinAlpha
+      );
+    }
+
+    if (reader.hasVariable('RAINC') && reader.hasVariable('RAINNC')) {
+      const rainc = await reader.readVariable('RAINC', t);
+      const rainnc = await reader.readVariable('RAINNC', t);
+      variables.TOTAL_RAIN = Float32Array.from(rainc, (v, i) => v + rainnc[i]);
+    }
+
+    if (reader.hasVariable('TSK')) {
+      variables.TSK = toCelsius(await reader.readVariable('TSK', t));
+    }
+
+    if (reader.hasVariable('SST')) {
+      const sst = await reader.readVariable('SST', t);
+      // SST is only meaningful over water
+      variables.SST = Float32Array.from(sst, (v, i) => (landMask && landMask[i] >= 0.5) || v <= 0 ? NaN : v - KELVIN);
+    }
+
+    if (reader.hasVariable('P_PL')) {
+      Object.assign(variables, await readPressureLevels(reader, t, rows * cols, cosAlpha, sinAlpha));
+    }
+
+    time_series.push({ time: t, variables });
+    if (onProgress) onProgress(t + 1, numTimes);
+  }
+
+  const variableKeys = Object.keys(time_series[0]?.variables || {});
+
+  return {
+    grid_info: gridGeometry(approximateGridInfo(xlat, xlong, rows, cols), xlat, xlong, header.globalAttributes),
+    metadata: {
+      source: 'wrfout',
+      file_name: file.name,
+      domain: header.globalAttributes.GRID_ID ?? null,
+      dx: header.globalAttributes.DX ?? null,
+      initial_timestamp: timestamps[0],
+      final_timestamp: timestamps[timestamps.length - 1],
+      total_timestamps: numTimes,
+      timestamps,
+      batch_info: { total_batches: 1, batch_size: numTimes },
+      variable_scales: Object.fromEntries(variableKeys.map(key => [key, 1])),
+    },
+    time_series,
+  };
+};
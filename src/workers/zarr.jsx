@@ -0,0 +1,200 @@
+import { inflate } from 'pako';
+import { decompressBlosc, decompressLz4Block } from './blosc';
+
+// Reader for Zarr v2 stores over HTTP. Only array metadata and the chunks that overlap the
+// requested selection are fetched, so a whole run is never downloaded for one map view.
+// Consolidated metadata (.zmetadata) is used when the store has it.
+
+// dtype kind + size -> DataView getter
+const DTYPE_GETTERS = {
+  f4: 'getFloat32', f8: 'getFloat64',
+  i1: 'getInt8', i2: 'getInt16', i4: 'getInt32',
+  u1: 'getUint8', u2: 'getUint16', u4: 'getUint32'
+};
+
+// Decoded chunks are kept until their bytes add up to this, least recently used first
+const CHUNK_CACHE_BYTES = 64 * 1024 * 1024;
+const chunkCache = new Map(); // chunk URL -> Float32Array | null (missing chunk)
+let chunkCacheBytes = 0;
+
+const fetchJson = async (url, optional = false) => {
+  const response = await fetch(url);
+  if (optional && (response.status === 404 || response.status === 403)) return null;
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status} for ${url}`);
+  return response.json();
+};
+
+const parseDtype = (dtype) => {
+  const match = /^([<>|])([fiu])(\d)$/.exec(dtype);
+  const getter = match && DTYPE_GETTERS[`${match[2]}${match[3]}`];
+  if (!getter) throw new Error(`Unsupported Zarr dtype ${JSON.stringify(dtype)}`);
+  return { getter, size: Number(match[3]), littleEndian: match[1] !== '>' };
+};
+
+// JSON can't hold NaN/Infinity, so Zarr writes them as strings
+const parseFillValue = (value) => {
+  if (value === 'NaN') return NaN;
+  if (value === 'Infinity') return Infinity;
+  if (value === '-Infinity') return -Infinity;
+  return value;
+};
+
+export const openZarrStore = async (url) => {
+  const consolidated = await fetchJson(`${url}/.zmetadata`, true);
+  return { url, metadata: consolidated?.metadata || null };
+};
+
+export const openZarrArray = async (store, path) => {
+  const [meta, attrs] = store.metadata
+    ? [store.metadata[`${path}/.zarray`], store.metadata[`${path}/.zattrs`]]
+    : await Promise.all([fetchJson(`${store.url}/${path}/.zarray`), fetchJson(`${store.url}/${path}/.zattrs`, true)]);
+
+  if (!meta) throw new Error(`Zarr array ${path} not found`);
+  if (meta.zarr_format !== 2) throw new Error(`Zarr array ${path} is not Zarr v2`);
+  if (meta.filters?.length) {
+    throw new Error(`Zarr filters (${meta.filters.map(f => f.id).join(', ')}) are not supported`);
+  }
+
+  const attributes = attrs || {};
+  const dtype = parseDtype(meta.dtype);
+  // Compared against the raw values, so float32 fill values are rounded the same way
+  const fill = [parseFillValue(meta.fill_value), attributes._FillValue, attributes.missing_value]
+    .filter(value => value !== null && value !== undefined)
+    .map(value => (dtype.getter === 'getFloat32' ? Math.fround(value) : value));
+
+  return {
+    url: `${store.url}/${path}`,
+    shape: meta.shape,
+    chunks: meta.chunks,
+    dtype,
+    order: meta.order || 'C',
+    compressor: meta.compressor,
+    separator: meta.dimension_separator || '.',
+    dimensions: attributes._ARRAY_DIMENSIONS || null,
+    attrs: attributes,
+    fill,
+    // CF packing: stored = (value - add_offset) / scale_factor
+    scaleFactor: attributes.scale_factor ?? 1,
+    addOffset: attributes.add_offset ?? 0
+  };
+};
+
+const decompressChunk = (bytes, compressor) => {
+  switch (compressor?.id) {
+    case undefined: return bytes;
+    case 'zlib':
+    case 'gzip': return inflate(bytes);
+    case 'blosc': return decompressBlosc(bytes);
+    case 'lz4': {
+      // numcodecs prefixes the LZ4 block with its uncompressed size
+      const size = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+      const out = new Uint8Array(size);
+      decompressLz4Block(bytes.subarray(4), out);
+      return out;
+    }
+    default: throw new Error(`Zarr compressor ${compressor.id} is not supported`);
+  }
+};
+
+// Fetch and decode one chunk into unpacked numbers (NaN for fill values).
+// Chunks that were never written (404) hold only the fill value, returned as null.
+const getChunk = async (array, chunkCoords) => {
+  const url = `${array.url}/${chunkCoords.join(array.separator)}`;
+
+  if (chunkCache.has(url)) {
+    const chunk = chunkCache.get(url);
+    chunkCache.delete(url);
+    chunkCache.set(url, chunk);
+    return chunk;
+  }
+
+  const response = await fetch(url);
+  let chunk = null;
+  if (response.ok) {
+    const bytes = decompressChunk(new Uint8Array(await response.arrayBuffer()), array.compressor);
+    const { getter, size, littleEndian } = array.dtype;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = array.chunks.reduce((product, n) => product * n, 1);
+    if (bytes.byteLength < count * size) throw new Error(`Chunk ${url} is truncated`);
+
+    chunk = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      const raw = view[getter](i * size, littleEndian);
+      chunk[i] = array.fill.includes(raw) || Number.isNaN(raw) ? NaN : raw * array.scaleFactor + array.addOffset;
+    }
+  } else if (response.status !== 404 && response.status !== 403) {
+    throw new Error(`HTTP error! status: ${response.status} for ${url}`);
+  }
+
+  chunkCache.set(url, chunk);
+  chunkCacheBytes += chunk ? chunk.byteLength : 0;
+  while (chunkCacheBytes > CHUNK_CACHE_BYTES && chunkCache.size > 1) {
+    const [oldest, evicted] = chunkCache.entries().next().value;
+    chunkCache.delete(oldest);
+    chunkCacheBytes -= evicted ? evicted.byteLength : 0;
+  }
+  return chunk;
+};
+
+const chunkStrides = ({ chunks, order }) => {
+  const strides = new Array(chunks.length);
+  let stride = 1;
+  const dims = chunks.map((_, d) => d);
+  for (const d of order === 'F' ? dims : dims.reverse()) {
+    strides[d] = stride;
+    stride *= chunks[d];
+  }
+  return strides;
+};
+
+// Orthogonal selection: one list of indices per dimension (-1 = outside the array, gives NaN).
+// Returns a Float32Array in C order over the selected indices, e.g. a crop of a lat/lon field.
+export const readZarrSelection = async (array, selection) => {
+  if (selection.length !== array.shape.length) {
+    throw new Error(`Selection has ${selection.length} dimensions, array has ${array.shape.length}`);
+  }
+
+  const outShape = selection.map(indices => indices.length);
+  const outStrides = outShape.map((_, d) => outShape.slice(d + 1).reduce((product, n) => product * n, 1));
+  const result = new Float32Array(outShape.reduce((product, n) => product * n, 1)).fill(NaN);
+  const strides = chunkStrides(array);
+
+  // Per dimension: chunk index -> [[output position, index inside the chunk], ...]
+  const groups = selection.map((indices, d) => {
+    const byChunk = new Map();
+    indices.forEach((index, position) => {
+      if (index < 0 || index >= array.shape[d]) return;
+      const chunk = Math.floor(index / array.chunks[d]);
+      if (!byChunk.has(chunk)) byChunk.set(chunk, []);
+      byChunk.get(chunk).push([position, index % array.chunks[d]]);
+    });
+    return [...byChunk.entries()];
+  });
+
+  // Every combination of chunks across the dimensions
+  const combinations = groups.reduce(
+    (combos, dimGroups) => combos.flatMap(combo => dimGroups.map(group => [...combo, group])),
+    [[]]
+  );
+
+  await Promise.all(combinations.map(async (combo) => {
+    const chunk = await getChunk(array, combo.map(([chunkIndex]) => chunkIndex));
+    if (!chunk) return;
+
+    const copy = (d, outOffset, chunkOffset) => {
+      for (const [position, inner] of combo[d][1]) {
+        const out = outOffset + position * outStrides[d];
+        const source = chunkOffset + inner * strides[d];
+        if (d === combo.length - 1) result[out] = chunk[source];
+        else copy(d + 1, out, source);
+      }
+    };
+    copy(0, 0, 0);
+  }));
+
+  return result;
+};
+
+// Read a whole (small) array, e.g. a coordinate variable
+export const readZarrArray = (array) =>
+  readZarrSelection(array, array.shape.map(n => Array.from({ length: n }, (_, i) => i)));
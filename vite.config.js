@@ -1,8 +1,36 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { createHash } from 'node:crypto'
+import { existsSync, readdirSync, readFileSync } from 'node:fs'
+
+// Emits /sw.js from src/workers/serviceWorker.js with the list of built files inlined.
+// The version is a hash of that list, so each build with changed assets ships a new worker.
+const serviceWorker = () => {
+  let publicDir = null
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const publicFiles = publicDir && existsSync(publicDir) ? readdirSync(publicDir) : []
+      const files = new Set(['index.html', ...Object.keys(bundle), ...publicFiles])
+      const precache = ['./', ...[...files].filter(file => !file.endsWith('.map')).map(file => `./${file}`)]
+      const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12)
+
+      const source = readFileSync(new URL('./src/workers/serviceWorker.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(precache))
+        .replace('self.__PRECACHE_VERSION', JSON.stringify(version))
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss(),],
+  plugins: [react(), tailwindcss(), serviceWorker()],
 })